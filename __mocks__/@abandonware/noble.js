@@ -5,6 +5,7 @@ class MockNoble extends EventEmitter {
     super();
     this.state = 'poweredOff';
     this.peripherals = {};
+    this._bindings = { addService: jest.fn(), addCharacteristics: jest.fn() };
 
     // Mock functions
     this.startScanning = jest.fn((serviceUuids, allowDuplicates, callback) => {
@@ -14,6 +15,8 @@ class MockNoble extends EventEmitter {
         }
         return;
       }
+      this._allowDuplicates = !!allowDuplicates;
+      this._reported = new Set();
       this.emit('scanStart');
       if (callback) {
         callback(null);
@@ -44,10 +47,38 @@ class MockNoble extends EventEmitter {
     this.emit('discover', peripheral);
   }
 
+  // Helper to simulate an advertisement as the adapter reports it: once per scan unless the scan allows duplicates
+  _advertise(peripheral) {
+    if (!this._allowDuplicates && this._reported.has(peripheral.id)) {
+      return;
+    }
+    this._reported.add(peripheral.id);
+    this._discover(peripheral);
+  }
+
+  // Recreates a cached GATT layout, like noble's addServices / addCharacteristics (HCI socket bindings)
+  addServices(peripheralUuid, services) {
+    const peripheral = this.peripherals[peripheralUuid];
+    return services.map(service => {
+      const restored = new MockService(service.uuid, []);
+      peripheral.services.push(restored);
+      return restored;
+    });
+  }
+
+  addCharacteristics(peripheralUuid, serviceUuid, characteristics) {
+    const service = this.peripherals[peripheralUuid].services.find(s => s.uuid === serviceUuid);
+    // Like noble, the characteristics get the numeric ATT properties.
+    service.characteristics = characteristics.map(c => new MockCharacteristic(c.uuid, c.properties));
+    return service.characteristics;
+  }
+
   // Reset all mocks
   _reset() {
     this.state = 'poweredOff';
     this.peripherals = {};
+    this._allowDuplicates = false;
+    this._reported = new Set();
     this.startScanning.mockClear();
     this.stopScanning.mockClear();
     this.on.mockClear();
@@ -64,6 +95,8 @@ class MockPeripheral extends EventEmitter {
     this.advertisement = { localName: name, ...advertisement };
     this.state = 'disconnected';
     this.services = [];
+    this._gattServices = []; // every service of the device; discovery copies (some of) them to services
+    this.mtu = null; // set by noble once the MTU exchange has completed
 
     // Mock functions
     this.connect = jest.fn((callback) => {
@@ -88,8 +121,28 @@ class MockPeripheral extends EventEmitter {
       });
     });
 
+    this.cancelConnect = jest.fn(() => {
+      if (this.state === 'connecting') {
+        this.emit('connect', new Error('connection canceled!'));
+      }
+    });
+
+    this.updateRssi = jest.fn((callback) => {
+      process.nextTick(() => {
+        if (callback) callback(null, this.rssi);
+      });
+    });
+
     this.discoverAllServicesAndCharacteristics = jest.fn((callback) => {
       process.nextTick(() => {
+        this._discover(this._gattServices);
+        if (callback) callback(null, this.services, this.services.flatMap(s => s.characteristics));
+      });
+    });
+
+    this.discoverSomeServicesAndCharacteristics = jest.fn((serviceUuids, characteristicUuids, callback) => {
+      process.nextTick(() => {
+        this._discover(this._gattServices.filter(s => serviceUuids.includes(s.uuid)));
         if (callback) callback(null, this.services, this.services.flatMap(s => s.characteristics));
       });
     });
@@ -102,6 +155,25 @@ class MockPeripheral extends EventEmitter {
 
   _addService(service) {
     this.services.push(service);
+    this._gattServices.push(service);
+  }
+
+  // Emits the discovery events noble raises (raw ATT layouts first) and sets the discovered services
+  _discover(services) {
+    this.emit('servicesDiscovered', this, services.map((s, i) => ({ uuid: s.uuid, startHandle: i * 16 + 1, endHandle: i * 16 + 16 })));
+    this.services = services.slice();
+    this.emit('servicesDiscover', this.services);
+    this.services.forEach(s => s.emit('characteristicsDiscovered', s.characteristics.map(c => ({
+      uuid: c.uuid,
+      properties: 0,
+      propsDecoded: c.properties.slice()
+    }))));
+  }
+
+  // Helper to simulate the link dropping without a disconnect request
+  _simulateDisconnect(reason) {
+    this.state = 'disconnected';
+    this.emit('disconnect', reason);
   }
 }
 
@@ -125,6 +197,8 @@ class MockCharacteristic extends EventEmitter {
     this.name = `Characteristic ${uuid}`;
     this.properties = properties;
     this._data = data;
+    this.descriptors = null;
+    this._descriptors = [];
 
     this.read = jest.fn((callback) => {
       if (!this.properties.includes('read')) {
@@ -162,6 +236,17 @@ class MockCharacteristic extends EventEmitter {
         if (callback) callback(null);
       });
     });
+
+    this.discoverDescriptors = jest.fn((callback) => {
+      process.nextTick(() => {
+        this.descriptors = this._descriptors;
+        if (callback) callback(null, this.descriptors);
+      });
+    });
+  }
+
+  _addDescriptor(descriptor) {
+    this._descriptors.push(descriptor);
   }
 
   // Helper to simulate data notification
@@ -171,11 +256,34 @@ class MockCharacteristic extends EventEmitter {
   }
 }
 
+class MockDescriptor extends EventEmitter {
+  constructor(uuid, data = Buffer.from([])) {
+    super();
+    this.uuid = uuid;
+    this.name = `Descriptor ${uuid}`;
+    this._data = data;
+
+    this.readValue = jest.fn((callback) => {
+      process.nextTick(() => {
+        if (callback) callback(null, this._data);
+      });
+    });
+
+    this.writeValue = jest.fn((buffer, callback) => {
+      this._data = buffer;
+      process.nextTick(() => {
+        if (callback) callback(null);
+      });
+    });
+  }
+}
+
 const noble = new MockNoble();
 
 // Attach mock classes to the instance for easy creation in tests
 noble.MockPeripheral = MockPeripheral;
 noble.MockService = MockService;
 noble.MockCharacteristic = MockCharacteristic;
+noble.MockDescriptor = MockDescriptor;
 
 module.exports = noble;
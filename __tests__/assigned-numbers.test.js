@@ -0,0 +1,56 @@
+// __tests__/assigned-numbers.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assignedNumbers = require('../assigned-numbers');
+
+describe('assigned-numbers', () => {
+  let vendorFile;
+
+  beforeEach(() => {
+    vendorFile = path.join(os.tmpdir(), 'uuid-names-' + process.pid + '.json');
+  });
+
+  afterEach(() => {
+    // Reset to an empty vendor file so later tests only see SIG names.
+    fs.writeFileSync(vendorFile, '{}');
+    assignedNumbers.loadVendorNames(vendorFile);
+    fs.rmSync(vendorFile, { force: true });
+  });
+
+  it('should resolve SIG names in short and full UUID notation', () => {
+    expect(assignedNumbers.lookupService('180d')).toEqual({ name: 'Heart Rate', type: 'sig' });
+    expect(assignedNumbers.lookupCharacteristic('00002A37-0000-1000-8000-00805F9B34FB')).toEqual({ name: 'Heart Rate Measurement', type: 'sig' });
+    expect(assignedNumbers.lookupDescriptor('2902')).toEqual({ name: 'Client Characteristic Configuration', type: 'sig' });
+    expect(assignedNumbers.lookupCompany(0x0059)).toEqual({ name: 'Nordic Semiconductor ASA', type: 'sig' });
+  });
+
+  it('should fall back to the given name for unknown UUIDs', () => {
+    expect(assignedNumbers.lookupService('f00d')).toEqual({ name: null, type: 'unknown' });
+    expect(assignedNumbers.lookupCharacteristic('fff1', 'Noble Name')).toEqual({ name: 'Noble Name', type: 'unknown' });
+  });
+
+  it('should load vendor names that add to and override SIG names', () => {
+    fs.writeFileSync(vendorFile, JSON.stringify({
+      services: { '6E400001-B5A3-F393-E0A9-E50E24DCCA9E': 'Nordic UART' },
+      characteristics: { '2a19': { name: 'Cell Charge' } },
+      companies: { '0xffff': 'Test Vendor' }
+    }));
+
+    expect(assignedNumbers.loadVendorNames(vendorFile)).toEqual({ services: 1, characteristics: 1, descriptors: 0, companies: 1 });
+    expect(assignedNumbers.lookupService('6e400001b5a3f393e0a9e50e24dcca9e')).toEqual({ name: 'Nordic UART', type: 'vendor' });
+    expect(assignedNumbers.lookupCharacteristic('2a19')).toEqual({ name: 'Cell Charge', type: 'vendor' });
+    expect(assignedNumbers.lookupCompany(0xffff)).toEqual({ name: 'Test Vendor', type: 'vendor' });
+  });
+
+  it('should reject malformed vendor files and keep the previous names', () => {
+    fs.writeFileSync(vendorFile, JSON.stringify({ services: { fff0: 'Sensor' } }));
+    assignedNumbers.loadVendorNames(vendorFile);
+
+    fs.writeFileSync(vendorFile, JSON.stringify({ services: { fff1: 42 } }));
+    expect(() => assignedNumbers.loadVendorNames(vendorFile)).toThrow('Invalid vendor names file');
+    fs.writeFileSync(vendorFile, 'not json');
+    expect(() => assignedNumbers.loadVendorNames(vendorFile)).toThrow('Invalid vendor names file');
+    expect(assignedNumbers.lookupService('fff0')).toEqual({ name: 'Sensor', type: 'vendor' });
+  });
+});
@@ -0,0 +1,50 @@
+// __tests__/ble-backend.test.js
+const path = require('path');
+const bleBackend = require('../ble-backend');
+
+describe('bleBackend', () => {
+  afterEach(() => {
+    delete process.env.BLE_BACKEND;
+  });
+
+  it('should load noble by default and reject unknown backends', () => {
+    expect(bleBackend.loadBackend()).toBe(require('@abandonware/noble'));
+    expect(bleBackend.getBackendNames()).toEqual(['noble', 'simulator']);
+    expect(() => bleBackend.loadBackend('bluez')).toThrow('Unknown BLE backend bluez (available: noble, simulator, or a module path)');
+  });
+
+  it('should load the simulator with the bundled devices', () => {
+    const simulator = bleBackend.loadBackend('simulator');
+    expect(simulator.peripherals.map(p => p.id)).toEqual(expect.arrayContaining(['sim-heart-rate', 'sim-uart']));
+  });
+
+  it('should run the BLE manager end to end on the simulator', async () => {
+    process.env.BLE_BACKEND = 'simulator';
+    let bleManager;
+    jest.isolateModules(() => {
+      bleManager = require('../ble-manager');
+    });
+    const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      // The simulator powers on, the manager starts a scan and the bundled devices are reported.
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(bleManager.getAdapterInfo()).toEqual(expect.objectContaining({ backend: 'simulator', state: 'poweredOn', scanning: true }));
+      expect(bleManager.getDiscoveredPeripherals().map(d => d.id)).toContain('sim-uart');
+
+      await expect(bleManager.connectDevice('sim-uart')).resolves.toEqual(expect.objectContaining({ state: 'connected', discovery: 'full' }));
+      const received = [];
+      await bleManager.subscribeToCharacteristic('sim-uart', '6e400003-b5a3-f393-e0a9-e50e24dcca9e', data => received.push(data.value));
+      await bleManager.writeCharacteristic('sim-uart', '6e400002-b5a3-f393-e0a9-e50e24dcca9e', '68690a');
+      expect(received).toEqual(['68690a']);
+      await bleManager.disconnectDevice('sim-uart');
+    } finally {
+      bleManager.stopScan();
+      consoleLogSpy.mockRestore();
+    }
+  });
+
+  it('should load a backend module by path', () => {
+    const modulePath = path.join(__dirname, '..', '__mocks__', '@abandonware', 'noble.js');
+    expect(bleBackend.loadBackend(modulePath)).toBe(require(modulePath));
+  });
+});
@@ -0,0 +1,31 @@
+// __tests__/ble-errors.test.js
+const { ERROR_STATUS, ERROR_MESSAGES, BleError, errorCode, httpStatus } = require('../ble-errors');
+
+describe('bleErrors', () => {
+  it('should carry the code of a BleError and its fixed HTTP status', () => {
+    const error = new BleError('NOT_CONNECTED', 'Peripheral not connected');
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('Peripheral not connected');
+    expect(errorCode(error)).toBe('NOT_CONNECTED');
+    expect(httpStatus(error)).toBe(404);
+    expect(httpStatus(new BleError('CHAR_NOT_WRITABLE', 'Characteristic not writable'))).toBe(404);
+    expect(httpStatus(new BleError('ADAPTER_OFF', 'Adapter unavailable (state: poweredOff)'))).toBe(503);
+    expect(httpStatus(new BleError('TIMEOUT', 'Connection timed out'))).toBe(504);
+  });
+
+  it('should report errors without a known code as internal errors', () => {
+    const stackError = Object.assign(new Error('connect EHOSTDOWN'), { code: 'EHOSTDOWN' });
+
+    expect(errorCode(new Error('ATT error 0x0e'))).toBe('INTERNAL_ERROR');
+    expect(errorCode(stackError)).toBe('INTERNAL_ERROR');
+    expect(errorCode(undefined)).toBe('INTERNAL_ERROR');
+    expect(httpStatus(stackError)).toBe(500);
+    Object.values(ERROR_STATUS).forEach(status => expect(status).toBeGreaterThanOrEqual(400));
+  });
+
+  it('should have a safe client message for every code', () => {
+    expect(Object.keys(ERROR_MESSAGES)).toEqual(Object.keys(ERROR_STATUS));
+    Object.values(ERROR_MESSAGES).forEach(message => expect(message).toMatch(/^[A-Z].*\.$/));
+  });
+});
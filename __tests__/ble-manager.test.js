@@ -1,12 +1,19 @@
 // __tests__/ble-manager.test.js
 const noble = require('@abandonware/noble');
 const bleManager = require('../ble-manager');
+const gattCache = require('../gatt-cache');
+const devicePolicy = require('../device-policy');
+const writeProtection = require('../write-protection');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Mock the noble instance provided by the mock file
 const mockNoble = noble;
 const MockPeripheral = noble.MockPeripheral;
 const MockService = noble.MockService;
 const MockCharacteristic = noble.MockCharacteristic;
+const MockDescriptor = noble.MockDescriptor;
 
 describe('BLEManager', () => {
   // Reset mocks before each test to ensure isolation
@@ -42,10 +49,209 @@ describe('BLEManager', () => {
       expect(discovered[0].id).toBe('p1');
       expect(discovered[0].name).toBe('Test Peripheral');
     });
+
+    it('should list the full advertisement data with binary fields hex-encoded', () => {
+      const mockPeripheral = new MockPeripheral('p1', 'Adv-Test', {
+        txPowerLevel: -4,
+        manufacturerData: Buffer.from([0x4c, 0x00, 0x02]),
+        serviceData: [{ uuid: '181a', data: Buffer.from([0x01, 0x02]) }],
+        serviceUuids: ['181a']
+      });
+      mockPeripheral.rssi = -70;
+      mockPeripheral.addressType = 'random';
+      mockPeripheral.connectable = false;
+      mockNoble._discover(mockPeripheral);
+
+      const [device] = bleManager.getDiscoveredPeripherals();
+      expect(device).toEqual(expect.objectContaining({
+        rssi: -70,
+        txPowerLevel: -4,
+        manufacturerData: '4c0002',
+        manufacturer: { companyId: '0x004c', name: 'Apple, Inc.' },
+        serviceData: [{ uuid: '181a', data: '0102' }],
+        advertisedServices: ['181a'],
+        addressType: 'random',
+        connectable: false
+      }));
+    });
+
+    it('should refresh the advertisement data on every advertisement', () => {
+      const mockPeripheral = new MockPeripheral('p1', 'Adv-Refresh', { serviceData: [{ uuid: '181a', data: Buffer.from([0x01]) }] });
+      mockPeripheral.rssi = -80;
+      mockNoble._discover(mockPeripheral);
+
+      mockPeripheral.rssi = -55;
+      mockPeripheral.advertisement.serviceData = [{ uuid: '181a', data: Buffer.from([0x02]) }];
+      mockNoble._discover(mockPeripheral);
+
+      const discovered = bleManager.getDiscoveredPeripherals();
+      expect(discovered).toHaveLength(1);
+      expect(discovered[0].rssi).toBe(-55);
+      expect(discovered[0].serviceData).toEqual([{ uuid: '181a', data: '02' }]);
+    });
+
+    it('should list the advertisement data noble updates without reporting the peripheral again', () => {
+      const mockPeripheral = new MockPeripheral('p1', 'Adv-In-Place', { manufacturerData: Buffer.from([0x59, 0x00, 0x01]) });
+      mockPeripheral.rssi = -80;
+      mockNoble._discover(mockPeripheral);
+
+      // Without duplicates noble reports a peripheral once per scan, but keeps its fields up to date.
+      mockPeripheral.rssi = -60;
+      mockPeripheral.advertisement.manufacturerData = Buffer.from([0x59, 0x00, 0x02]);
+
+      const [device] = bleManager.getDiscoveredPeripherals();
+      expect(device.rssi).toBe(-60);
+      expect(device.manufacturerData).toBe('590002');
+    });
+
+    it('should track first-seen and last-seen times and emit deviceAppeared once', () => {
+      const onAppeared = jest.fn();
+      bleManager.events.on('deviceAppeared', onAppeared);
+      try {
+        const mockPeripheral = new MockPeripheral('p1', 'Presence-Test');
+        mockNoble._discover(mockPeripheral);
+        mockNoble._discover(mockPeripheral);
+      } finally {
+        bleManager.events.removeListener('deviceAppeared', onAppeared);
+      }
+
+      const [device] = bleManager.getDiscoveredPeripherals();
+      expect(device.firstSeen).toEqual(expect.any(String));
+      expect(device.lastSeen).toEqual(expect.any(String));
+      expect(onAppeared).toHaveBeenCalledTimes(1);
+      expect(onAppeared).toHaveBeenCalledWith(expect.objectContaining({ type: 'deviceAppeared', deviceId: 'p1' }));
+    });
+
+    it('should evict unconnected devices not seen within the TTL and emit deviceLost', () => {
+      const onLost = jest.fn();
+      const previousTtl = bleManager.getDeviceTtl();
+      bleManager.setDeviceTtl(60000);
+      bleManager.events.on('deviceLost', onLost);
+      try {
+        mockNoble._discover(new MockPeripheral('p1', 'Stale'));
+        const connected = new MockPeripheral('p2', 'Connected');
+        mockNoble._discover(connected);
+        connected.state = 'connected';
+
+        expect(bleManager.evictStaleDevices(Date.now() + 30000)).toEqual([]);
+        expect(bleManager.evictStaleDevices(Date.now() + 61000)).toEqual(['p1']);
+      } finally {
+        bleManager.events.removeListener('deviceLost', onLost);
+        bleManager.setDeviceTtl(previousTtl);
+      }
+
+      expect(bleManager.getDiscoveredPeripherals().map(d => d.id)).toEqual(['p2']);
+      expect(onLost).toHaveBeenCalledWith(expect.objectContaining({ type: 'deviceLost', deviceId: 'p1' }));
+    });
+
+    it('should keep devices that still advertise when the scan does not allow duplicates', async () => {
+      const previousTtl = bleManager.getDeviceTtl();
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        bleManager.setDeviceTtl(60000);
+        mockNoble._setState('poweredOn');
+        await bleManager.startScan();
+        // The adapter is asked for every advertisement, so present devices stay seen.
+        expect(mockNoble.startScanning).toHaveBeenLastCalledWith([], true, expect.any(Function));
+
+        const start = Date.now();
+        const peripheral = new MockPeripheral('p1', 'Present');
+        mockNoble._advertise(peripheral);
+        jest.setSystemTime(start + 50000);
+        mockNoble._advertise(peripheral);
+
+        expect(bleManager.evictStaleDevices(start + 61000)).toEqual([]);
+        expect(bleManager.getScanStatus().allowDuplicates).toBe(false);
+
+        // Without eviction the scan goes back to one report per device.
+        bleManager.setDeviceTtl(0);
+        await Promise.resolve();
+        expect(mockNoble.startScanning).toHaveBeenLastCalledWith([], false, expect.any(Function));
+      } finally {
+        bleManager.setDeviceTtl(previousTtl);
+        await bleManager.stopScan();
+        jest.useRealTimers();
+      }
+    });
+
+    it('should start a filtered scan with duplicates allowed', async () => {
+      mockNoble._setState('poweredOn');
+      const status = await bleManager.startScan({ serviceUuids: ['180D', '0000180f-0000-1000-8000-00805f9b34fb'], allowDuplicates: true });
+
+      expect(mockNoble.startScanning).toHaveBeenLastCalledWith(['180d', '0000180f00001000800000805f9b34fb'], true, expect.any(Function));
+      expect(status.scanning).toBe(true);
+      expect(status.allowDuplicates).toBe(true);
+      await bleManager.stopScan();
+    });
+
+    it('should stop a scan automatically after its duration', async () => {
+      jest.useFakeTimers();
+      try {
+        mockNoble._setState('poweredOn');
+        const status = await bleManager.startScan({ duration: 5000 });
+        expect(status.stopsAt).not.toBeNull();
+
+        jest.advanceTimersByTime(5000);
+
+        expect(mockNoble.stopScanning).toHaveBeenCalled();
+        expect(bleManager.getScanStatus().scanning).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should reject an invalid scan duration', async () => {
+      await expect(bleManager.startScan({ duration: -1 })).rejects.toThrow('Invalid scan duration');
+    });
+
+    it('should reject starting a scan while the adapter is off', async () => {
+      await expect(bleManager.startScan()).rejects.toThrow('Adapter unavailable (state: poweredOff)');
+    });
+
+    it('should stop scanning on request', async () => {
+      mockNoble._setState('poweredOn');
+      const status = await bleManager.stopScan();
+      expect(mockNoble.stopScanning).toHaveBeenCalled();
+      expect(status.scanning).toBe(false);
+    });
+  });
+
+  // Test suite for adapter state reporting
+  describe('Adapter', () => {
+    it('should report the adapter state and when it last changed', () => {
+      mockNoble._setState('poweredOn');
+      const info = bleManager.getAdapterInfo();
+
+      expect(info.state).toBe('poweredOn');
+      expect(info.available).toBe(true);
+      expect(info.connectedDevices).toBe(0);
+      expect(info.lastStateChange).not.toBeNull();
+    });
+
+    it('should emit adapterStateChange and generic events on state changes', () => {
+      const onStateChange = jest.fn();
+      const onEvent = jest.fn();
+      bleManager.events.on('adapterStateChange', onStateChange);
+      bleManager.events.on('event', onEvent);
+      try {
+        mockNoble._setState('unauthorized');
+      } finally {
+        bleManager.events.removeListener('adapterStateChange', onStateChange);
+        bleManager.events.removeListener('event', onEvent);
+      }
+
+      expect(onStateChange).toHaveBeenCalledWith(expect.objectContaining({ state: 'unauthorized' }));
+      expect(onEvent).toHaveBeenCalledWith(expect.objectContaining({ type: 'adapterStateChange', state: 'unauthorized' }));
+      expect(bleManager.getAdapterInfo().available).toBe(false);
+    });
   });
 
   // Test suite for device connection
   describe('Connection', () => {
+    beforeEach(() => {
+      mockNoble._setState('poweredOn');
+    });
+
     it('should connect to a discovered device successfully', async () => {
       const mockPeripheral = new MockPeripheral('p1', 'Connect-Test');
       mockNoble._discover(mockPeripheral);
@@ -58,11 +264,306 @@ describe('BLEManager', () => {
 
     it('should fail to connect to a non-existent device', async () => {
       await expect(bleManager.connectDevice('nonexistent')).rejects.toThrow('Peripheral not found');
+      await expect(bleManager.connectDevice('nonexistent')).rejects.toMatchObject({ code: 'DEVICE_NOT_FOUND' });
+    });
+
+    it('should fail fast when the adapter is not powered on', async () => {
+      const mockPeripheral = new MockPeripheral('p1', 'Adapter-Off-Test');
+      mockNoble._discover(mockPeripheral);
+      mockNoble._setState('poweredOff');
+
+      await expect(bleManager.connectDevice('p1')).rejects.toThrow('Adapter unavailable (state: poweredOff)');
+      await expect(bleManager.connectDevice('p1')).rejects.toMatchObject({ code: 'ADAPTER_OFF' });
+      expect(mockPeripheral.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  // Test suite for the device allow/deny policy
+  describe('Device policy', () => {
+    beforeEach(() => {
+      mockNoble._setState('poweredOn');
+      mockNoble._discover(new MockPeripheral('p1', 'Sensor-1', { serviceUuids: ['181a'] }));
+      mockNoble._discover(new MockPeripheral('p2', 'Neighbour-TV', { manufacturerData: Buffer.from([0x4c, 0x00, 0x10]) }));
+    });
+
+    afterEach(() => {
+      devicePolicy.setPolicy({});
+    });
+
+    it('should hide devices the policy rejects and refuse to connect to them', async () => {
+      bleManager.setDevicePolicy({ allow: [{ name: '^Sensor-' }] });
+
+      expect(bleManager.getDiscoveredPeripherals().map(d => d.id)).toEqual(['p1']);
+      await expect(bleManager.connectDevice('p2')).rejects.toThrow('Peripheral not permitted by the device policy');
+      await expect(bleManager.connectDevice('p1')).resolves.toEqual(expect.objectContaining({ id: 'p1' }));
+    });
+
+    it('should match denied devices by advertised service and company', () => {
+      bleManager.setDevicePolicy({ deny: [{ companyId: '0x004c' }] });
+      expect(bleManager.getDiscoveredPeripherals().map(d => d.id)).toEqual(['p1']);
+
+      bleManager.setDevicePolicy({ deny: [{ serviceUuid: '0000181A-0000-1000-8000-00805F9B34FB' }] });
+      expect(bleManager.getDiscoveredPeripherals().map(d => d.id)).toEqual(['p2']);
+    });
+
+    it('should keep the previous policy when the new one is invalid', () => {
+      bleManager.setDevicePolicy({ deny: [{ id: 'p2' }] });
+
+      expect(() => bleManager.setDevicePolicy({ allow: [{ name: '(' }] })).toThrow('Invalid device policy: allow[0].name is not a valid regular expression');
+      expect(bleManager.getDevicePolicy()).toEqual({ allow: [], deny: [{ id: 'p2' }] });
+      expect(bleManager.getDiscoveredPeripherals().map(d => d.id)).toEqual(['p1']);
+    });
+
+    it('should not announce devices the policy rejects', () => {
+      const onAppeared = jest.fn();
+      bleManager.setDevicePolicy({ deny: [{ name: 'TV' }] });
+      bleManager.events.on('deviceAppeared', onAppeared);
+      try {
+        mockNoble._discover(new MockPeripheral('p3', 'Kitchen-TV'));
+        mockNoble._discover(new MockPeripheral('p4', 'Sensor-2'));
+      } finally {
+        bleManager.events.removeListener('deviceAppeared', onAppeared);
+      }
+
+      expect(onAppeared.mock.calls.map(([event]) => event.deviceId)).toEqual(['p4']);
+    });
+  });
+
+  // Test suite for read-only mode and write rules
+  describe('Write protection', () => {
+    let control;
+    let level;
+
+    beforeEach(async () => {
+      mockNoble._setState('poweredOn');
+      control = new MockCharacteristic('2a06', ['write', 'writeWithoutResponse']);
+      level = new MockCharacteristic('2a19', ['read', 'notify'], Buffer.from([0x64]));
+      const mockPeripheral = new MockPeripheral('p1', 'Protected');
+      mockPeripheral._addService(new MockService('1802', [control]));
+      mockPeripheral._addService(new MockService('180f', [level]));
+      mockNoble._discover(mockPeripheral);
+      mockNoble._discover(new MockPeripheral('p2', 'Other'));
+      await bleManager.connectDevice('p1');
+    });
+
+    afterEach(() => {
+      writeProtection.setReadOnly(false);
+      writeProtection.setWriteRules({});
+    });
+
+    it('should refuse writes, subscriptions and connections in read-only mode but allow reads', async () => {
+      bleManager.setWriteProtection({ readOnly: true });
+
+      await expect(bleManager.writeCharacteristic('p1', '2a06', '01')).rejects.toThrow('Write refused: the gateway is read-only');
+      await expect(bleManager.writeCharacteristicChunked('p1', '2a06', '0102', { delayMs: 0 })).rejects.toThrow('Write refused: the gateway is read-only');
+      await expect(bleManager.writeDescriptor('p1', '2a19', '2902', '0100')).rejects.toThrow('Write refused: the gateway is read-only');
+      await expect(bleManager.subscribeToCharacteristic('p1', '2a19', jest.fn())).rejects.toThrow('Subscription refused: the gateway is read-only');
+      await expect(bleManager.connectDevice('p2')).rejects.toThrow('Connection refused: the gateway is read-only');
+      await expect(bleManager.readCharacteristic('p1', '2a19')).resolves.toBe('64');
+      expect(control.write).not.toHaveBeenCalled();
+    });
+
+    it('should apply the write rules to characteristic writes', async () => {
+      bleManager.setWriteProtection({ defaultAction: 'deny', rules: [{ action: 'allow', characteristicUuid: '2a06', values: ['0[0-2]'] }] });
+
+      await expect(bleManager.writeCharacteristic('p1', '2a06', '02')).resolves.toEqual({ message: 'Write successful' });
+      await expect(bleManager.writeCharacteristic('p1', '2a06', '03')).rejects.toThrow('Write refused: the value does not match the values allowed by write rule 0');
+      await expect(bleManager.writeCharacteristicChunked('p1', '2a06', '0203', { delayMs: 0 })).rejects.toThrow('Write refused');
+      expect(control.write).toHaveBeenCalledTimes(1);
+    });
+
+    it('should change settings partially, atomically and announce them', () => {
+      const onChanged = jest.fn();
+      bleManager.events.on('writeProtectionChanged', onChanged);
+      try {
+        bleManager.setWriteProtection({ rules: [{ action: 'deny', device: 'p1' }] });
+        bleManager.setWriteProtection({ readOnly: true });
+        expect(() => bleManager.setWriteProtection({ readOnly: false, rules: [{ action: 'block' }] })).toThrow('Invalid write rules: rules[0].action');
+        expect(() => bleManager.setWriteProtection({ readOnly: 'no', rules: [] })).toThrow('Invalid read-only setting');
+      } finally {
+        bleManager.events.removeListener('writeProtectionChanged', onChanged);
+      }
+
+      expect(bleManager.getWriteProtection()).toEqual({ readOnly: true, defaultAction: 'allow', rules: [{ action: 'deny', device: 'p1' }] });
+      expect(onChanged).toHaveBeenCalledTimes(2);
+      expect(onChanged).toHaveBeenLastCalledWith(expect.objectContaining({ readOnly: true, defaultAction: 'allow', rules: 1 }));
+    });
+  });
+
+  // Test suite for connection timeouts and cancellation
+  describe('Connection timeouts and cancellation', () => {
+    let mockPeripheral;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      mockNoble._setState('poweredOn');
+      mockPeripheral = new MockPeripheral('p1', 'Timeout-Test');
+      // The device never answers the connection request.
+      mockPeripheral.connect.mockImplementation(() => {
+        mockPeripheral.state = 'connecting';
+      });
+      mockNoble._discover(mockPeripheral);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should abort a connection attempt after the connect timeout', async () => {
+      const connecting = bleManager.connectDevice('p1', { timeoutMs: 2000 });
+      jest.advanceTimersByTime(2000);
+
+      await expect(connecting).rejects.toThrow('Connection timed out');
+      expect(mockPeripheral.cancelConnect).toHaveBeenCalled();
+      expect(mockPeripheral.state).toBe('disconnected');
+    });
+
+    it('should abort and disconnect when service discovery times out', async () => {
+      mockPeripheral.connect.mockImplementation(() => {
+        mockPeripheral.state = 'connected';
+        mockPeripheral.emit('connect');
+      });
+      mockPeripheral.discoverAllServicesAndCharacteristics.mockImplementation(() => {});
+
+      const connecting = bleManager.connectDevice('p1', { discoveryTimeoutMs: 3000 });
+      jest.advanceTimersByTime(3000);
+
+      await expect(connecting).rejects.toThrow('Service discovery timed out');
+      expect(mockPeripheral.disconnect).toHaveBeenCalled();
+      expect(bleManager.connectedPeripherals['p1']).toBeUndefined();
+    });
+
+    it('should cancel a pending connection and allow connecting again', async () => {
+      const connecting = bleManager.connectDevice('p1');
+      const result = await bleManager.cancelConnect('p1');
+
+      await expect(connecting).rejects.toThrow('Connection cancelled');
+      expect(result).toEqual({ id: 'p1', message: 'Connection cancelled' });
+      expect(mockPeripheral.state).toBe('disconnected');
+
+      mockPeripheral.connect.mockImplementation((callback) => {
+        mockPeripheral.state = 'connected';
+        mockPeripheral.emit('connect');
+        callback(null);
+      });
+      await expect(bleManager.connectDevice('p1')).resolves.toEqual(expect.objectContaining({ id: 'p1' }));
+    });
+
+    it('should reject cancelling when no connection is pending', async () => {
+      await expect(bleManager.cancelConnect('p1')).rejects.toThrow('No pending connection for this peripheral');
+    });
+  });
+
+  // Test suite for automatic reconnects after unexpected disconnects
+  describe('Reconnect', () => {
+    // Lets pending process.nextTick callbacks and promise chains of the mock peripheral run.
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    const policy = { maxAttempts: 2, baseDelayMs: 1000, maxDelayMs: 5000, jitter: 0 };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      mockNoble._setState('poweredOn');
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should untrack a device that drops when reconnect is disabled', async () => {
+      const onDisconnected = jest.fn();
+      const mockPeripheral = new MockPeripheral('p1', 'Drop-Test');
+      mockNoble._discover(mockPeripheral);
+      await bleManager.connectDevice('p1');
+
+      bleManager.events.on('deviceDisconnected', onDisconnected);
+      try {
+        mockPeripheral._simulateDisconnect('timeout');
+      } finally {
+        bleManager.events.removeListener('deviceDisconnected', onDisconnected);
+      }
+
+      expect(bleManager.connectedPeripherals['p1']).toBeUndefined();
+      expect(bleManager.getReconnectStatus('p1')).toBeNull();
+      expect(onDisconnected).toHaveBeenCalledWith(expect.objectContaining({ deviceId: 'p1', reason: 'timeout', expected: false }));
+    });
+
+    it('should reconnect with backoff and restore subscriptions', async () => {
+      const notifyCharacteristic = new MockCharacteristic('c1', ['notify']);
+      const mockPeripheral = new MockPeripheral('p1', 'Reconnect-Test');
+      mockPeripheral._addService(new MockService('s1', [notifyCharacteristic]));
+      mockNoble._discover(mockPeripheral);
+      await bleManager.connectDevice('p1', { reconnect: policy });
+      const callback = jest.fn();
+      await bleManager.subscribeToCharacteristic('p1', 'c1', callback);
+
+      mockPeripheral._simulateDisconnect();
+      expect(bleManager.getReconnectStatus('p1')).toEqual(expect.objectContaining({ status: 'waiting', attempts: 0 }));
+      expect(bleManager.getDiscoveredPeripherals()[0].reconnect.status).toBe('waiting');
+
+      jest.advanceTimersByTime(1000);
+      await flush();
+      await flush();
+
+      expect(mockPeripheral.connect).toHaveBeenCalledTimes(2);
+      expect(bleManager.connectedPeripherals['p1']).toBe(mockPeripheral);
+      expect(bleManager.getReconnectStatus('p1')).toEqual(expect.objectContaining({ status: 'connected', attempts: 0 }));
+      expect(notifyCharacteristic.subscribe).toHaveBeenCalledTimes(2);
+
+      notifyCharacteristic._notify(Buffer.from([0x01]));
+      expect(callback).toHaveBeenCalledTimes(1);
+      await bleManager.disconnectDevice('p1');
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+      const onFailed = jest.fn();
+      const mockPeripheral = new MockPeripheral('p1', 'Reconnect-Fail');
+      mockNoble._discover(mockPeripheral);
+      await bleManager.connectDevice('p1', { reconnect: policy });
+      mockPeripheral.connect.mockImplementation((callback) => {
+        process.nextTick(() => callback(new Error('Connection refused')));
+      });
+
+      bleManager.events.on('reconnectFailed', onFailed);
+      try {
+        mockPeripheral._simulateDisconnect();
+        jest.advanceTimersByTime(1000);
+        await flush();
+        jest.advanceTimersByTime(2000);
+        await flush();
+      } finally {
+        bleManager.events.removeListener('reconnectFailed', onFailed);
+      }
+
+      expect(bleManager.getReconnectStatus('p1')).toEqual(expect.objectContaining({ status: 'failed', attempts: 2 }));
+      expect(onFailed).toHaveBeenCalledWith(expect.objectContaining({ deviceId: 'p1', attempts: 2 }));
+    });
+
+    it('should cancel a pending reconnect on disconnect', async () => {
+      const mockPeripheral = new MockPeripheral('p1', 'Reconnect-Cancel');
+      mockNoble._discover(mockPeripheral);
+      await bleManager.connectDevice('p1', { reconnect: policy });
+      mockPeripheral._simulateDisconnect();
+
+      const result = await bleManager.disconnectDevice('p1');
+      jest.advanceTimersByTime(5000);
+
+      expect(result.message).toBe('Reconnect cancelled');
+      expect(mockPeripheral.connect).toHaveBeenCalledTimes(1);
+      expect(bleManager.getReconnectStatus('p1')).toBeNull();
+    });
+
+    it('should reject an invalid reconnect policy', async () => {
+      mockNoble._discover(new MockPeripheral('p1', 'Reconnect-Invalid'));
+      await expect(bleManager.connectDevice('p1', { reconnect: { maxAttempts: -1 } })).rejects.toThrow('Invalid reconnect policy');
     });
   });
 
   // Test suite for device disconnection
   describe('Disconnection', () => {
+    beforeEach(() => {
+      mockNoble._setState('poweredOn');
+    });
+
     it('should disconnect from a connected device successfully', async () => {
       const mockPeripheral = new MockPeripheral('p1', 'Disconnect-Test');
       mockNoble._discover(mockPeripheral);
@@ -85,6 +586,7 @@ describe('BLEManager', () => {
     let mockCharacteristic;
 
     beforeEach(async () => {
+      mockNoble._setState('poweredOn');
       // Setup a connected peripheral with services and characteristics for these tests
       mockCharacteristic = new MockCharacteristic('c1', ['read', 'write'], Buffer.from('hello'));
       mockService = new MockService('s1', [mockCharacteristic]);
@@ -117,13 +619,611 @@ describe('BLEManager', () => {
       await bleManager.writeCharacteristic('p1', 'c1', '776f726c64'); // "world"
       expect(mockCharacteristic.write).toHaveBeenCalledWith(Buffer.from('776f726c64', 'hex'), false, expect.any(Function));
     });
+
+    it('should serialize concurrent GATT operations on a device', async () => {
+      const readCallbacks = [];
+      mockCharacteristic.read.mockImplementation((callback) => readCallbacks.push(callback));
+
+      const first = bleManager.readCharacteristic('p1', 'c1');
+      const second = bleManager.readCharacteristic('p1', 'c1');
+      await Promise.resolve();
+
+      expect(mockCharacteristic.read).toHaveBeenCalledTimes(1);
+      expect(await bleManager.getQueueStats('p1')).toEqual(expect.objectContaining({ depth: 1, inFlight: 1 }));
+
+      readCallbacks[0](null, Buffer.from([0x01]));
+      await expect(first).resolves.toBe('01');
+      expect(mockCharacteristic.read).toHaveBeenCalledTimes(2);
+      readCallbacks[1](null, Buffer.from([0x02]));
+      await expect(second).resolves.toBe('02');
+    });
+
+    it('should drop the link when a GATT operation times out', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        mockCharacteristic.read.mockImplementation(() => {}); // the device never answers
+        const stuck = bleManager.readCharacteristic('p1', 'c1');
+        const queued = bleManager.readCharacteristic('p1', 'c1');
+        await Promise.resolve();
+
+        jest.advanceTimersByTime(10000);
+
+        await expect(stuck).rejects.toMatchObject({ code: 'TIMEOUT' });
+        // The read stays in flight until the link is down, so the next one never overlaps it.
+        await expect(queued).rejects.toMatchObject({ code: 'DISCONNECTED' });
+        expect(mockCharacteristic.read).toHaveBeenCalledTimes(1);
+        expect(mockPeripheral.disconnect).toHaveBeenCalled();
+        expect(bleManager.connectedPeripherals.p1).toBeUndefined();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+  // Test suite for selective discovery and the GATT cache
+  describe('Discovery and the GATT cache', () => {
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    let cacheDir;
+    let mockPeripheral;
+    let battery;
+    let serviceChanged;
+
+    beforeEach(() => {
+      mockNoble._setState('poweredOn');
+      cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gatt-cache-'));
+      gattCache.setCacheDir(cacheDir);
+      battery = new MockCharacteristic('2a19', ['read', 'notify'], Buffer.from([0x64]));
+      serviceChanged = new MockCharacteristic('2a05', ['indicate']);
+      mockPeripheral = new MockPeripheral('p1', 'Cache-Test');
+      mockPeripheral.address = 'aa:bb:cc:dd:ee:ff';
+      mockPeripheral._addService(new MockService('1801', [serviceChanged]));
+      mockPeripheral._addService(new MockService('180f', [battery]));
+      mockPeripheral._addService(new MockService('fff0', [new MockCharacteristic('fff1', ['read'], Buffer.from([0x01]))]));
+      mockNoble._discover(mockPeripheral);
+    });
+
+    afterEach(() => {
+      gattCache.setCacheDir(null);
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('should discover only the requested services and the rest on first access', async () => {
+      const result = await bleManager.connectDevice('p1', { services: ['180F'] });
+
+      expect(result.discovery).toBe('partial');
+      expect(mockPeripheral.discoverSomeServicesAndCharacteristics).toHaveBeenCalledWith(['180f', '1801'], [], expect.any(Function));
+      expect(mockPeripheral.discoverAllServicesAndCharacteristics).not.toHaveBeenCalled();
+      expect(mockPeripheral.services.map(s => s.uuid)).toEqual(['1801', '180f']);
+
+      await expect(bleManager.readCharacteristic('p1', 'fff1')).resolves.toBe('01');
+      expect(mockPeripheral.discoverAllServicesAndCharacteristics).toHaveBeenCalledTimes(1);
+      expect((await bleManager.getServices('p1')).map(s => s.uuid)).toEqual(['1801', '180f', 'fff0']);
+    });
+
+    it('should cache the layout and restore it on the next connection', async () => {
+      await expect(bleManager.connectDevice('p1')).resolves.toEqual(expect.objectContaining({ discovery: 'full' }));
+      expect(fs.existsSync(path.join(cacheDir, 'aabbccddeeff.json'))).toBe(true);
+      await bleManager.disconnectDevice('p1');
+
+      const result = await bleManager.connectDevice('p1');
+
+      expect(result.discovery).toBe('cache');
+      expect(mockPeripheral.discoverAllServicesAndCharacteristics).toHaveBeenCalledTimes(1);
+      expect(mockPeripheral.services.map(s => s.uuid)).toEqual(['1801', '180f', 'fff0']);
+      const characteristics = await bleManager.getCharacteristics('p1', '180f');
+      expect(characteristics[0]).toEqual(expect.objectContaining({ uuid: '2a19', properties: ['read', 'notify'] }));
+    });
+
+    it('should rediscover when forced and replace the cached layout', async () => {
+      await bleManager.connectDevice('p1');
+      await bleManager.disconnectDevice('p1');
+
+      const result = await bleManager.connectDevice('p1', { forceRediscover: true });
+
+      expect(result.discovery).toBe('full');
+      expect(mockPeripheral.discoverAllServicesAndCharacteristics).toHaveBeenCalledTimes(2);
+      expect(gattCache.load('aa:bb:cc:dd:ee:ff')).not.toBeNull();
+    });
+
+    it('should reject invalid discovery options', async () => {
+      await expect(bleManager.connectDevice('p1', { services: '180f' })).rejects.toThrow('Invalid discovery options');
+      await expect(bleManager.connectDevice('p1', { forceRediscover: 'yes' })).rejects.toThrow('Invalid discovery options');
+    });
+
+    it('should drop the cached layout and rediscover when the device indicates Service Changed', async () => {
+      const onGattChanged = jest.fn();
+      await bleManager.connectDevice('p1');
+      await flush();
+      expect(serviceChanged.subscribe).toHaveBeenCalled();
+      await bleManager.subscribeToCharacteristic('p1', '2a19', jest.fn());
+      battery.subscribe.mockClear();
+
+      bleManager.events.on('gattChanged', onGattChanged);
+      try {
+        serviceChanged._notify(Buffer.from([0x01, 0x00, 0xff, 0xff]));
+        expect(gattCache.load('aa:bb:cc:dd:ee:ff')).toBeNull();
+        await flush();
+        await flush();
+      } finally {
+        bleManager.events.removeListener('gattChanged', onGattChanged);
+      }
+
+      expect(onGattChanged).toHaveBeenCalledWith(expect.objectContaining({ deviceId: 'p1' }));
+      expect(mockPeripheral.discoverAllServicesAndCharacteristics).toHaveBeenCalledTimes(2);
+      expect(gattCache.load('aa:bb:cc:dd:ee:ff')).not.toBeNull();
+      expect(battery.subscribe).toHaveBeenCalled();
+    });
+
+    it('should rediscover a connected device on request', async () => {
+      await bleManager.connectDevice('p1', { services: ['180f'] });
+
+      const result = await bleManager.rediscoverDevice('p1');
+
+      expect(result).toEqual(expect.objectContaining({ id: 'p1', discovery: 'full' }));
+      expect(result.services.map(s => s.uuid)).toEqual(['1801', '180f', 'fff0']);
+      await expect(bleManager.rediscoverDevice('p2')).rejects.toThrow('Peripheral not connected');
+    });
+  });
+
+  // Test suite for MTU reporting and chunked writes
+  describe('MTU and chunked writes', () => {
+    let mockPeripheral;
+    let blob;
+
+    beforeEach(async () => {
+      mockNoble._setState('poweredOn');
+      blob = new MockCharacteristic('fff1', ['write', 'writeWithoutResponse']);
+      mockPeripheral = new MockPeripheral('p1', 'Config-Target');
+      mockPeripheral._addService(new MockService('fff0', [blob]));
+      mockNoble._discover(mockPeripheral);
+      await bleManager.connectDevice('p1');
+    });
+
+    it('should report the negotiated MTU, or the default before an MTU exchange', async () => {
+      expect(await bleManager.getMtu('p1')).toEqual({ mtu: 23, negotiated: false, maxWritePayload: 20 });
+      mockPeripheral.mtu = 185;
+      expect(await bleManager.getMtu('p1')).toEqual({ mtu: 185, negotiated: true, maxWritePayload: 182 });
+      expect(bleManager.getDiscoveredPeripherals()[0].mtu).toBe(185);
+    });
+
+    it('should split a value into MTU-sized writes without response and report progress', async () => {
+      const onProgress = jest.fn();
+      const value = Buffer.alloc(45, 0xab);
+
+      const result = await bleManager.writeCharacteristicChunked('p1', 'fff1', value.toString('hex'), { delayMs: 0, onProgress });
+
+      expect(blob.write.mock.calls.map(([chunk, withoutResponse]) => [chunk.length, withoutResponse])).toEqual([[20, true], [20, true], [5, true]]);
+      expect(Buffer.concat(blob.write.mock.calls.map(([chunk]) => chunk))).toEqual(value);
+      expect(onProgress).toHaveBeenCalledTimes(3);
+      expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ characteristicUuid: 'fff1', chunk: 3, chunks: 3, bytesWritten: 45, totalBytes: 45 }));
+      expect(result).toEqual(expect.objectContaining({ message: 'Chunked write successful', bytesWritten: 45, chunks: 3, chunkSize: 20, withoutResponse: true }));
+    });
+
+    it('should reject chunks larger than the MTU allows and overlapping chunked writes', async () => {
+      await expect(bleManager.writeCharacteristicChunked('p1', 'fff1', '0102', { chunkSize: 21 })).rejects.toThrow('Invalid chunk size');
+
+      const first = bleManager.writeCharacteristicChunked('p1', 'fff1', 'aa'.repeat(30), { delayMs: 0 });
+      await expect(bleManager.writeCharacteristicChunked('p1', 'fff1', '01', { delayMs: 0 })).rejects.toThrow('already in progress');
+      await expect(first).resolves.toEqual(expect.objectContaining({ bytesWritten: 30 }));
+    });
+  });
+
+  // Test suite for RSSI reads and the periodic sampler
+  describe('RSSI monitoring', () => {
+    let mockPeripheral;
+
+    beforeEach(async () => {
+      mockNoble._setState('poweredOn');
+      mockPeripheral = new MockPeripheral('p1', 'Rssi-Test');
+      mockPeripheral.rssi = -70;
+      mockNoble._discover(mockPeripheral);
+      await bleManager.connectDevice('p1');
+    });
+
+    it('should read the RSSI of a connected device and show it in the device list', async () => {
+      mockPeripheral.rssi = -58;
+
+      const report = await bleManager.getRssi('p1');
+
+      expect(mockPeripheral.updateRssi).toHaveBeenCalled();
+      expect(report).toEqual(expect.objectContaining({ rssi: -58, sampler: null, history: [expect.objectContaining({ rssi: -58 })] }));
+      expect(report.trend).toEqual(expect.objectContaining({ samples: 1, quality: 'excellent' }));
+      expect(bleManager.getDiscoveredPeripherals()[0].rssi).toBe(-58);
+    });
+
+    it('should sample periodically, report quality changes and stop on disconnect', async () => {
+      jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+      try {
+        const onQuality = jest.fn();
+        bleManager.events.on('linkQualityChanged', onQuality);
+        await bleManager.startRssiSampler('p1', { intervalMs: 1000, historySize: 5 });
+
+        mockPeripheral.rssi = -50;
+        jest.advanceTimersByTime(1000);
+        await new Promise(resolve => process.nextTick(resolve));
+        mockPeripheral.rssi = -90;
+        jest.advanceTimersByTime(1000);
+        await new Promise(resolve => process.nextTick(resolve));
+        bleManager.events.removeListener('linkQualityChanged', onQuality);
+
+        expect(mockPeripheral.updateRssi).toHaveBeenCalledTimes(2);
+        // The quality follows the average of the history: (-50 + -90) / 2 = -70 dBm.
+        expect(onQuality).toHaveBeenCalledWith(expect.objectContaining({ deviceId: 'p1', quality: 'good', previousQuality: 'excellent', rssi: -90 }));
+
+        await bleManager.disconnectDevice('p1');
+        jest.advanceTimersByTime(5000);
+        expect(mockPeripheral.updateRssi).toHaveBeenCalledTimes(2);
+        await expect(bleManager.stopRssiSampler('p1')).rejects.toThrow('No RSSI sampler running');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should reject sampling intervals that are too short', async () => {
+      await expect(bleManager.startRssiSampler('p1', { intervalMs: 10 })).rejects.toThrow('Invalid RSSI interval');
+      await expect(bleManager.getRssi('p2')).rejects.toThrow('Peripheral not connected');
+    });
+  });
+
+  // Test suite for service-scoped addressing of duplicate UUIDs
+  describe('Service-scoped characteristic addressing', () => {
+    let firstLevel;
+    let secondLevel;
+    let secondChannel;
+
+    beforeEach(async () => {
+      mockNoble._setState('poweredOn');
+      firstLevel = new MockCharacteristic('2a19', ['read', 'notify'], Buffer.from([0x50]));
+      secondLevel = new MockCharacteristic('2a19', ['read', 'notify'], Buffer.from([0x20]));
+      secondChannel = new MockCharacteristic('2a19', ['read'], Buffer.from([0x10]));
+      const mockPeripheral = new MockPeripheral('p1', 'Dual-Battery');
+      mockPeripheral._addService(new MockService('180f', [firstLevel]));
+      mockPeripheral._addService(new MockService('180f', [secondLevel, secondChannel]));
+      mockNoble._discover(mockPeripheral);
+      await bleManager.connectDevice('p1');
+    });
+
+    it('should report instance indexes for services and characteristics', async () => {
+      const services = await bleManager.getServices('p1');
+      expect(services.map(s => s.instance)).toEqual([0, 1]);
+
+      const characteristics = await bleManager.getCharacteristics('p1', '180f', 1);
+      expect(characteristics.map(c => c.instance)).toEqual([0, 1]);
+    });
+
+    it('should name services and characteristics from the assigned numbers', async () => {
+      const [service] = await bleManager.getServices('p1');
+      expect(service).toEqual(expect.objectContaining({ uuid: '180f', name: 'Battery', type: 'sig' }));
+
+      const [characteristic] = await bleManager.getCharacteristics('p1', '180f');
+      expect(characteristic).toEqual(expect.objectContaining({ uuid: '2a19', name: 'Battery Level', type: 'sig' }));
+    });
+
+    it('should read the characteristic of the addressed service and instance', async () => {
+      expect(await bleManager.readCharacteristic('p1', '2a19')).toBe('50');
+      expect(await bleManager.readCharacteristic('p1', { serviceUuid: '180F', serviceInstance: 1, characteristicUuid: '2a19' })).toBe('20');
+      expect(await bleManager.readCharacteristic('p1', { serviceUuid: '180f', serviceInstance: 1, characteristicUuid: '2a19', instance: 1 })).toBe('10');
+      // Without a service, the instance counts across all services.
+      expect(await bleManager.readCharacteristic('p1', { characteristicUuid: '2a19', instance: 2 })).toBe('10');
+    });
+
+    it('should reject addresses that match nothing or are malformed', async () => {
+      await expect(bleManager.readCharacteristic('p1', { serviceUuid: '180f', serviceInstance: 2, characteristicUuid: '2a19' })).rejects.toThrow('Service not found');
+      await expect(bleManager.readCharacteristic('p1', { serviceUuid: '180f', characteristicUuid: '2a19', instance: 1 })).rejects.toThrow('Characteristic not found');
+      await expect(bleManager.readCharacteristic('p1', { characteristicUuid: '2a19', instance: -1 })).rejects.toThrow('Invalid characteristic address');
+    });
+
+    it('should keep separate subscriptions for each instance', async () => {
+      const firstCallback = jest.fn();
+      const secondCallback = jest.fn();
+      const result = await bleManager.subscribeToCharacteristic('p1', { serviceUuid: '180f', serviceInstance: 1, characteristicUuid: '2a19' }, secondCallback);
+      await bleManager.subscribeToCharacteristic('p1', '2a19', firstCallback);
+
+      expect(result).toEqual(expect.objectContaining({ serviceUuid: '180f', serviceInstance: 1, characteristicUuid: '2a19', instance: 0 }));
+      secondLevel._notify(Buffer.from([0x1f]));
+      expect(secondCallback).toHaveBeenCalledWith(expect.objectContaining({ serviceInstance: 1, value: '1f' }));
+      expect(firstCallback).not.toHaveBeenCalled();
+
+      await expect(bleManager.locateCharacteristic('p1', { characteristicUuid: '2a19', instance: 2 })).resolves.toEqual(
+        { serviceUuid: '180f', serviceInstance: 1, characteristicUuid: '2a19', instance: 1, properties: ['read'] });
+    });
+  });
+
+  // Test suite for descriptors
+  describe('Descriptors', () => {
+    let labelled;
+    let cccd;
+
+    beforeEach(async () => {
+      mockNoble._setState('poweredOn');
+      labelled = new MockCharacteristic('fff1', ['read', 'notify']);
+      labelled._addDescriptor(new MockDescriptor('2901', Buffer.from('Channel A\0')));
+      // sint16, exponent -2, unit 0x272f (degrees Celsius), namespace 1, description 0x0000
+      labelled._addDescriptor(new MockDescriptor('2904', Buffer.from([0x0e, 0xfe, 0x2f, 0x27, 0x01, 0x00, 0x00])));
+      cccd = new MockDescriptor('2902', Buffer.from([0x00, 0x00]));
+      labelled._addDescriptor(cccd);
+      const plain = new MockCharacteristic('fff2', ['read']);
+      const mockPeripheral = new MockPeripheral('p1', 'Descriptor-Test');
+      mockPeripheral._addService(new MockService('fff0', [labelled, plain]));
+      mockNoble._discover(mockPeripheral);
+      await bleManager.connectDevice('p1');
+    });
+
+    it('should label characteristics from their user description and presentation format', async () => {
+      const characteristics = await bleManager.getCharacteristics('p1', 'fff0');
+
+      expect(characteristics[0].userDescription).toBe('Channel A');
+      expect(characteristics[0].presentationFormat).toEqual({ format: 0x0e, formatName: 'sint16', exponent: -2, unit: '272f', namespace: 1, description: '0000' });
+      expect(characteristics[1].userDescription).toBeNull();
+      expect(characteristics[1].presentationFormat).toBeNull();
+
+      // Descriptors are discovered and read once per characteristic.
+      await bleManager.getCharacteristics('p1', 'fff0');
+      expect(labelled.discoverDescriptors).toHaveBeenCalledTimes(1);
+    });
+
+    it('should list, read and write descriptors', async () => {
+      const descriptors = await bleManager.getDescriptors('p1', 'fff1');
+      expect(descriptors.map(d => d.uuid)).toEqual(['2901', '2904', '2902']);
+      expect(descriptors[2]).toEqual({ uuid: '2902', name: 'Client Characteristic Configuration', type: 'sig' });
+
+      await bleManager.writeDescriptor('p1', { serviceUuid: 'fff0', characteristicUuid: 'fff1' }, '2902', '0100');
+      expect(cccd.writeValue).toHaveBeenCalledWith(Buffer.from([0x01, 0x00]), expect.any(Function));
+      expect(await bleManager.readDescriptor('p1', 'fff1', '2902')).toBe('0100');
+    });
+
+    it('should reject unknown descriptors', async () => {
+      await expect(bleManager.readDescriptor('p1', 'fff2', '2901')).rejects.toThrow('Descriptor not found');
+    });
+
+    it('should apply the write rules of the characteristic to descriptor writes', async () => {
+      bleManager.setWriteProtection({ defaultAction: 'deny', rules: [{ action: 'allow', characteristicUuid: 'fff1', values: ['0[01]00'] }] });
+      try {
+        await expect(bleManager.writeDescriptor('p1', 'fff1', '2902', '0100')).resolves.toEqual(expect.objectContaining({ descriptorUuid: '2902' }));
+        await expect(bleManager.writeDescriptor('p1', 'fff1', '2902', '0200')).rejects.toMatchObject({ code: 'WRITE_REFUSED', message: 'Write refused: the value does not match the values allowed by write rule 0' });
+        bleManager.setWriteProtection({ rules: [{ action: 'deny', device: 'p1', characteristicUuid: 'fff1' }] });
+        await expect(bleManager.writeDescriptor('p1', 'fff1', '2901', '00')).rejects.toMatchObject({ code: 'WRITE_REFUSED', message: 'Write refused: denied by write rule 0' });
+        expect(cccd.writeValue).toHaveBeenCalledTimes(1);
+      } finally {
+        writeProtection.setWriteRules({});
+      }
+    });
   });
+
+  // Test suite for GATT profile snapshots
+  describe('Profile snapshots', () => {
+    let battery;
+
+    beforeEach(async () => {
+      mockNoble._setState('poweredOn');
+      battery = new MockCharacteristic('2a19', ['read', 'notify'], Buffer.from([0x64]));
+      battery._addDescriptor(new MockDescriptor('2902', Buffer.from([0x00, 0x00])));
+      const control = new MockCharacteristic('fff1', ['write']);
+      const mockPeripheral = new MockPeripheral('p1', 'Profile-Test');
+      mockPeripheral.address = 'aa:bb:cc:dd:ee:ff';
+      mockPeripheral._addService(new MockService('180f', [battery]));
+      mockPeripheral._addService(new MockService('fff0', [control]));
+      mockNoble._discover(mockPeripheral);
+      await bleManager.connectDevice('p1');
+    });
+
+    it('should export the GATT database as a versioned snapshot', async () => {
+      const profile = await bleManager.getProfile('p1');
+
+      expect(profile).toEqual(expect.objectContaining({ version: 1, device: expect.objectContaining({ id: 'p1', name: 'Profile-Test', address: 'aa:bb:cc:dd:ee:ff' }) }));
+      expect(profile.services.map(s => s.uuid)).toEqual(['180f', 'fff0']);
+      expect(profile.services[0].characteristics[0]).toEqual({
+        uuid: '2a19',
+        instance: 0,
+        name: 'Battery Level',
+        type: 'sig',
+        properties: ['read', 'notify'],
+        descriptors: [{ uuid: '2902', name: 'Client Characteristic Configuration', type: 'sig' }]
+      });
+      expect(battery.read).not.toHaveBeenCalled();
+    });
+
+    it('should include the values of readable characteristics on request', async () => {
+      battery.read.mockImplementationOnce((callback) => callback(new Error('Read not permitted')));
+      const failed = await bleManager.getProfile('p1', { includeValues: true });
+      expect(failed.services[0].characteristics[0]).toEqual(expect.objectContaining({ value: null, readError: 'Read not permitted' }));
+
+      const profile = await bleManager.getProfile('p1', { includeValues: true });
+      expect(profile.services[0].characteristics[0].value).toBe('64');
+      expect(profile.services[1].characteristics[0]).not.toHaveProperty('value');
+    });
+
+    it('should diff the device against a saved snapshot', async () => {
+      const snapshot = await bleManager.getProfile('p1', { includeValues: true });
+      await expect(bleManager.diffProfile('p1', snapshot)).resolves.toEqual(expect.objectContaining({ deviceId: 'p1', matches: true, differences: [] }));
+
+      battery._data = Buffer.from([0x32]);
+      snapshot.services.push({ uuid: '180a', characteristics: [] });
+      const diff = await bleManager.diffProfile('p1', snapshot);
+
+      expect(diff.matches).toBe(false);
+      expect(diff.differences).toEqual([
+        { path: '180f:0/2a19:0', change: 'changed', field: 'value', expected: '64', actual: '32' },
+        { path: '180a:0', change: 'removed', expected: null }
+      ]);
+      await expect(bleManager.diffProfile('p1', snapshot, { compareValues: false })).resolves.toEqual(expect.objectContaining({ differences: [{ path: '180a:0', change: 'removed', expected: null }] }));
+    });
+
+    it('should reject invalid snapshots', async () => {
+      await expect(bleManager.diffProfile('p1', { version: 2, services: [] })).rejects.toThrow('Invalid profile: unsupported version 2');
+      await expect(bleManager.getProfile('p2')).rejects.toThrow('Peripheral not connected');
+    });
+  });
+
    // Test suite for subscriptions
+  describe('Session recording', () => {
+    let level;
+    let measurement;
+
+    beforeEach(async () => {
+      mockNoble._setState('poweredOn');
+      level = new MockCharacteristic('2a19', ['read'], Buffer.from([0x64]));
+      measurement = new MockCharacteristic('2a37', ['notify']);
+      const mockPeripheral = new MockPeripheral('p1', 'Recorded');
+      mockPeripheral._addService(new MockService('180f', [level]));
+      mockPeripheral._addService(new MockService('180d', [measurement]));
+      mockNoble._discover(mockPeripheral);
+    });
+
+    it('should record connects, reads, subscriptions, notifications and disconnects', async () => {
+      await expect(bleManager.startRecording('unknown')).rejects.toThrow('Peripheral not found');
+      await expect(bleManager.startRecording('p1')).resolves.toEqual(expect.objectContaining({ deviceId: 'p1', events: 1 }));
+      await expect(bleManager.startRecording('p1')).rejects.toThrow('Already recording this device');
+      expect(bleManager.getRecordings()).toEqual([expect.objectContaining({ deviceId: 'p1' })]);
+
+      await bleManager.connectDevice('p1');
+      await bleManager.readCharacteristic('p1', '2a19');
+      await bleManager.subscribeToCharacteristic('p1', '2a37', jest.fn());
+      measurement._notify(Buffer.from([0x00, 0x48]));
+      await bleManager.disconnectDevice('p1');
+      const result = await bleManager.stopRecording('p1');
+
+      expect(result).toEqual(expect.objectContaining({ deviceId: 'p1', events: 7, truncated: false, file: null }));
+      expect(result.session.events.map(e => e.type)).toEqual(['advertisement', 'connect', 'gatt', 'read', 'subscribe', 'notification', 'disconnect']);
+      expect(result.session.events[3]).toEqual(expect.objectContaining({ serviceUuid: '180f', serviceInstance: 0, characteristicUuid: '2a19', instance: 0, value: '64' }));
+      expect(result.session.events[5]).toEqual(expect.objectContaining({ characteristicUuid: '2a37', value: '0048' }));
+      await expect(bleManager.stopRecording('p1')).rejects.toThrow('Not recording this device');
+    });
+
+    it('should replay a recorded session as a stand-in device', async () => {
+      await bleManager.startRecording('p1');
+      await bleManager.connectDevice('p1');
+      await bleManager.readCharacteristic('p1', '2a19');
+      await bleManager.subscribeToCharacteristic('p1', '2a37', jest.fn());
+      measurement._notify(Buffer.from([0x00, 0x48]));
+      const { session } = await bleManager.stopRecording('p1');
+
+      const replay = await bleManager.startReplay({ session }, { id: 'bench-1' });
+      expect(replay).toEqual(expect.objectContaining({ deviceId: 'bench-1', recordedDeviceId: 'p1', services: 2, notifications: 1 }));
+      await expect(bleManager.startReplay({ session }, { id: 'bench-1' })).rejects.toThrow('Device ID already in use: bench-1');
+      await expect(bleManager.startReplay({ session: { version: 1 } })).rejects.toThrow('Invalid session: device.id must be a string');
+      expect(bleManager.getDiscoveredPeripherals().map(d => d.id)).toContain('bench-1');
+
+      await bleManager.connectDevice('bench-1');
+      await expect(bleManager.readCharacteristic('bench-1', '2a19')).resolves.toBe('64');
+      const notifications = [];
+      await new Promise(resolve => bleManager.subscribeToCharacteristic('bench-1', '2a37', data => {
+        notifications.push(data.value);
+        resolve();
+      }));
+      expect(notifications).toEqual(['0048']);
+      expect(bleManager.getReplayDevices()).toEqual([expect.objectContaining({ deviceId: 'bench-1', recordedDeviceId: 'p1', connected: true })]);
+
+      const onLost = jest.fn();
+      bleManager.events.on('deviceLost', onLost);
+      try {
+        await expect(bleManager.stopReplay('bench-1')).resolves.toEqual({ id: 'bench-1', message: 'Replay stopped' });
+      } finally {
+        bleManager.events.removeListener('deviceLost', onLost);
+      }
+      expect(onLost).toHaveBeenCalledWith(expect.objectContaining({ deviceId: 'bench-1' }));
+      expect(bleManager.getDiscoveredPeripherals().map(d => d.id)).not.toContain('bench-1');
+      expect(bleManager.getReplayDevices()).toEqual([]);
+      await expect(bleManager.stopReplay('bench-1')).rejects.toThrow('Replay device not found');
+    });
+  });
+
+  describe('Batches', () => {
+    let command;
+    let response;
+
+    beforeEach(async () => {
+      mockNoble._setState('poweredOn');
+      command = new MockCharacteristic('ff01', ['write', 'writeWithoutResponse']);
+      response = new MockCharacteristic('ff02', ['notify']);
+      const level = new MockCharacteristic('2a19', ['read'], Buffer.from([0x64]));
+      // The device answers every command with a notification, before the write completes.
+      const write = command.write.getMockImplementation();
+      command.write.mockImplementation((buffer, withoutResponse, callback) => {
+        write(buffer, withoutResponse, callback);
+        response._notify(Buffer.from([buffer[0] + 1]));
+      });
+      const mockPeripheral = new MockPeripheral('p1', 'Provisioned');
+      mockPeripheral._addService(new MockService('ffe0', [command, response]));
+      mockPeripheral._addService(new MockService('180f', [level]));
+      mockNoble._discover(mockPeripheral);
+      await bleManager.connectDevice('p1');
+    });
+
+    it('should run the steps in order and end its own subscriptions', async () => {
+      const result = await bleManager.runBatch('p1', [
+        { op: 'subscribe', characteristicUuid: 'ff02' },
+        { op: 'write', characteristicUuid: 'ff01', value: '01' },
+        { op: 'waitForNotification', characteristicUuid: 'ff02', value: '02' },
+        { op: 'writeWithoutResponse', characteristicUuid: 'ff01', value: 4, format: 'uint8' },
+        { op: 'waitForNotification', characteristicUuid: 'ff02', format: 'uint8' },
+        { op: 'delay', ms: 5 },
+        { op: 'read', serviceUuid: '180f', characteristicUuid: '2a19' }
+      ]);
+
+      expect(result).toEqual({ deviceId: 'p1', ok: true, completed: 7, failed: 0, skipped: 0, results: [
+        { index: 0, op: 'subscribe', status: 'ok' },
+        { index: 1, op: 'write', status: 'ok' },
+        { index: 2, op: 'waitForNotification', status: 'ok', value: '02' },
+        { index: 3, op: 'writeWithoutResponse', status: 'ok' },
+        { index: 4, op: 'waitForNotification', status: 'ok', value: 5, format: 'uint8' },
+        { index: 5, op: 'delay', status: 'ok' },
+        { index: 6, op: 'read', status: 'ok', value: '64', decoded: { level: 100, units: { level: '%' } } }
+      ] });
+      expect(command.write.mock.calls.map(([buffer, withoutResponse]) => [buffer.toString('hex'), withoutResponse])).toEqual([['01', false], ['04', true]]);
+      expect(response.unsubscribe).toHaveBeenCalledTimes(1);
+      expect(response.listenerCount('data')).toBe(0);
+    });
+
+    it('should stop at a failed step, or continue when asked to', async () => {
+      const steps = [
+        { op: 'subscribe', characteristicUuid: 'ff02' },
+        { op: 'write', characteristicUuid: 'ff01', value: '01' },
+        { op: 'waitForNotification', characteristicUuid: 'ff02', value: '03' },
+        { op: 'waitForNotification', characteristicUuid: 'ff02', timeoutMs: 10 },
+        { op: 'read', characteristicUuid: '2a19' }
+      ];
+
+      const stopped = await bleManager.runBatch('p1', steps);
+      const continued = await bleManager.runBatch('p1', steps, { onError: 'continue' });
+
+      expect(stopped).toEqual(expect.objectContaining({ ok: false, completed: 2, failed: 1, skipped: 2 }));
+      expect(stopped.results[2]).toEqual({ index: 2, op: 'waitForNotification', status: 'error', error: 'Unexpected notification value 02 (expected 03)', code: 'VALUE_MISMATCH' });
+      expect(stopped.results.slice(3).map(r => r.status)).toEqual(['skipped', 'skipped']);
+      expect(continued).toEqual(expect.objectContaining({ ok: false, completed: 3, failed: 2, skipped: 0 }));
+      expect(continued.results[3]).toEqual(expect.objectContaining({ status: 'error', error: 'Timed out waiting for a notification' }));
+      expect(continued.results[4]).toEqual(expect.objectContaining({ status: 'ok', value: '64' }));
+    });
+
+    it('should join an existing subscription without taking it over', async () => {
+      const callback = jest.fn();
+      await bleManager.subscribeToCharacteristic('p1', 'ff02', callback);
+
+      const result = await bleManager.runBatch('p1', [
+        { op: 'subscribe', characteristicUuid: 'ff02' },
+        { op: 'write', characteristicUuid: 'ff01', value: '07' },
+        { op: 'waitForNotification', characteristicUuid: 'ff02' }
+      ]);
+      response._notify(Buffer.from([0x09]));
+
+      expect(result.results[2]).toEqual(expect.objectContaining({ status: 'ok', value: '08' }));
+      expect(response.subscribe).toHaveBeenCalledTimes(1);
+      expect(response.unsubscribe).not.toHaveBeenCalled();
+      expect(callback.mock.calls.map(([data]) => data.value)).toEqual(['08', '09']);
+    });
+
+    it('should reject invalid batches and disconnected devices', async () => {
+      await expect(bleManager.runBatch('p1', [])).rejects.toThrow('Invalid batch: steps must be an array of 1 to 100 steps');
+      await expect(bleManager.runBatch('p1', [{ op: 'read', characteristicUuid: '2a19' }], { onError: 'retry' })).rejects.toThrow('Invalid batch: onError must be one of stop, continue');
+      await expect(bleManager.runBatch('p2', [{ op: 'delay', ms: 1 }])).rejects.toThrow('Peripheral not connected');
+    });
+  });
+
   describe('Subscriptions', () => {
     let mockPeripheral;
     let mockCharacteristic;
 
     beforeEach(async () => {
+      mockNoble._setState('poweredOn');
       mockCharacteristic = new MockCharacteristic('c1', ['notify']);
       const mockService = new MockService('s1', [mockCharacteristic]);
       mockPeripheral = new MockPeripheral('p1', 'Sub-Test');
@@ -147,10 +1247,46 @@ describe('BLEManager', () => {
       }));
     });
 
+    it('should attach decoded values for standard characteristics', async () => {
+      const batteryLevel = new MockCharacteristic('2a19', ['notify']);
+      const batteryPeripheral = new MockPeripheral('p2', 'Battery-Test');
+      batteryPeripheral._addService(new MockService('180f', [batteryLevel]));
+      mockNoble._discover(batteryPeripheral);
+      await bleManager.connectDevice('p2');
+      const callback = jest.fn();
+      await bleManager.subscribeToCharacteristic('p2', '2a19', callback);
+
+      batteryLevel._notify(Buffer.from([0x55]));
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ value: '55', decoded: { level: 85, units: { level: '%' } } }));
+      expect(bleManager.decodeCharacteristicValue('2a19', '55')).toEqual({ level: 85, units: { level: '%' } });
+    });
+
     it('should unsubscribe from a characteristic', async () => {
       await bleManager.subscribeToCharacteristic('p1', 'c1', jest.fn());
       await bleManager.unsubscribeFromCharacteristic('p1', 'c1');
       expect(mockCharacteristic.unsubscribe).toHaveBeenCalled();
     });
+
+    it('should keep the subscription until its last subscriber unsubscribes', async () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      await bleManager.subscribeToCharacteristic('p1', 'c1', first);
+      await bleManager.subscribeToCharacteristic('p1', 'c1', second);
+
+      mockCharacteristic._notify(Buffer.from([0x01]));
+      await bleManager.unsubscribeFromCharacteristic('p1', 'c1', first);
+      mockCharacteristic._notify(Buffer.from([0x02]));
+
+      expect(mockCharacteristic.subscribe).toHaveBeenCalledTimes(1);
+      expect(mockCharacteristic.unsubscribe).not.toHaveBeenCalled();
+      expect(first.mock.calls.map(([data]) => data.value)).toEqual(['01']);
+      expect(second.mock.calls.map(([data]) => data.value)).toEqual(['01', '02']);
+      await expect(bleManager.unsubscribeFromCharacteristic('p1', 'c1', first)).rejects.toMatchObject({ code: 'NOT_SUBSCRIBED' });
+
+      await bleManager.unsubscribeFromCharacteristic('p1', 'c1', second);
+      expect(mockCharacteristic.unsubscribe).toHaveBeenCalledTimes(1);
+      expect(mockCharacteristic.listenerCount('data')).toBe(0);
+    });
   });
 });
@@ -0,0 +1,217 @@
+// __tests__/ble-simulator.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSimulator, createPeripheral, loadDefinition, validateDefinition } = require('../ble-simulator');
+
+// Waits for pending simulator callbacks (operations answer on the next tick).
+const flush = () => new Promise(resolve => setImmediate(resolve));
+const call = (fn, ...args) => new Promise((resolve, reject) => fn(...args, (error, result) => (error ? reject(error) : resolve(result))));
+
+describe('ble-simulator', () => {
+  const definition = {
+    advertisingIntervalMs: 100,
+    peripherals: [
+      {
+        id: 'sim-1',
+        address: 'C0:FF:EE:00:00:01',
+        rssi: -61,
+        mtu: 185,
+        advertisement: { localName: 'Sim One', serviceUuids: ['180F'], manufacturerData: '5900aa' },
+        services: [
+          {
+            uuid: '0000180f-0000-1000-8000-00805f9b34fb',
+            characteristics: [
+              { uuid: '2a19', properties: ['read', 'notify'], values: ['64', '63'], notifyIntervalMs: 1000, descriptors: [{ uuid: '2901', value: '4c6576656c' }] }
+            ]
+          },
+          {
+            uuid: 'fff0',
+            characteristics: [
+              { uuid: 'fff1', properties: ['write'], onWrite: { notify: 'fff2' } },
+              { uuid: 'fff2', properties: ['notify'] }
+            ]
+          }
+        ]
+      },
+      { address: 'c0:ff:ee:00:00:02', connectable: false, advertisement: { localName: 'Beacon' } }
+    ]
+  };
+  let simulator;
+
+  beforeEach(async () => {
+    simulator = createSimulator(definition);
+    await flush();
+  });
+
+  afterEach(() => {
+    simulator.stopScanning();
+    simulator.peripherals.forEach(p => p.simulateDisconnect());
+  });
+
+  it('should power on and report the peripherals matching the scan filter once per scan', async () => {
+    const discovered = jest.fn();
+    simulator.on('discover', discovered);
+    expect(simulator.state).toBe('poweredOn');
+
+    simulator.startScanning(['180f'], false);
+    await flush();
+    simulator._advertise();
+
+    expect(discovered).toHaveBeenCalledTimes(1);
+    const peripheral = discovered.mock.calls[0][0];
+    expect(peripheral).toEqual(expect.objectContaining({ id: 'sim-1', address: 'c0:ff:ee:00:00:01', rssi: -61, connectable: true }));
+    expect(peripheral.advertisement).toEqual(expect.objectContaining({ localName: 'Sim One', serviceUuids: ['180f'], manufacturerData: Buffer.from('5900aa', 'hex') }));
+  });
+
+  it('should report every advertisement with duplicates and derive missing ids from the address', async () => {
+    const discovered = jest.fn();
+    simulator.on('discover', discovered);
+
+    simulator.startScanning([], true);
+    await flush();
+    simulator._advertise();
+
+    expect(discovered.mock.calls.map(([p]) => p.id)).toEqual(['sim-1', 'c0ffee000002', 'sim-1', 'c0ffee000002']);
+  });
+
+  it('should connect, discover and serve scripted values', async () => {
+    const peripheral = simulator.peripherals[0];
+    await call(peripheral.connect.bind(peripheral));
+    await call(peripheral.discoverSomeServicesAndCharacteristics.bind(peripheral), ['180f'], []);
+
+    expect(peripheral.state).toBe('connected');
+    expect(peripheral.mtu).toBe(185);
+    expect(peripheral.services.map(s => s.uuid)).toEqual(['180f']);
+    const level = peripheral.services[0].characteristics[0];
+    const values = [];
+    for (let i = 0; i < 3; i++) {
+      values.push((await call(level.read.bind(level))).toString('hex'));
+    }
+    expect(values).toEqual(['64', '63', '64']);
+    const [descriptor] = await call(level.discoverDescriptors.bind(level));
+    expect((await call(descriptor.readValue.bind(descriptor))).toString()).toBe('Level');
+  });
+
+  it('should refuse connections to non-connectable peripherals', async () => {
+    const beacon = simulator.peripherals[1];
+    await expect(call(beacon.connect.bind(beacon))).rejects.toThrow('Peripheral is not connectable');
+    expect(beacon.state).toBe('disconnected');
+  });
+
+  it('should notify periodically while subscribed and on writes of the onWrite characteristic', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      const peripheral = simulator.peripherals[0];
+      await call(peripheral.connect.bind(peripheral));
+      await call(peripheral.discoverAllServicesAndCharacteristics.bind(peripheral));
+      const [level] = peripheral.services[0].characteristics;
+      const [rx, tx] = peripheral.services[1].characteristics;
+      const onLevel = jest.fn();
+      const onTx = jest.fn();
+      level.on('data', onLevel);
+      tx.on('data', onTx);
+
+      await call(level.subscribe.bind(level));
+      await call(tx.subscribe.bind(tx));
+      jest.advanceTimersByTime(2000);
+      await call(rx.write.bind(rx), Buffer.from('6869', 'hex'), false);
+
+      expect(onLevel.mock.calls.map(([data, isNotification]) => [data.toString('hex'), isNotification])).toEqual([['64', true], ['63', true]]);
+      expect(onTx).toHaveBeenCalledWith(Buffer.from('6869', 'hex'), true);
+
+      peripheral.simulateDisconnect();
+      jest.advanceTimersByTime(2000);
+      expect(onLevel).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should send the scheduled notifications once per subscription', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      const peripheral = createPeripheral({ id: 'replay-1', services: [{ uuid: '180d', characteristics: [
+        { uuid: '2a37', properties: ['notify'], notifications: [{ delayMs: 100, value: '0048' }, { delayMs: 250, value: '004a' }] }
+      ] }] });
+      await call(peripheral.connect.bind(peripheral));
+      await call(peripheral.discoverAllServicesAndCharacteristics.bind(peripheral));
+      const [measurement] = peripheral.services[0].characteristics;
+      const onData = jest.fn();
+      measurement.on('data', onData);
+
+      await call(measurement.subscribe.bind(measurement));
+      jest.advanceTimersByTime(150);
+      expect(onData.mock.calls.map(([data]) => data.toString('hex'))).toEqual(['0048']);
+      await call(measurement.unsubscribe.bind(measurement));
+      jest.advanceTimersByTime(500);
+      expect(onData).toHaveBeenCalledTimes(1);
+
+      await call(measurement.subscribe.bind(measurement));
+      jest.advanceTimersByTime(500);
+      expect(onData.mock.calls.map(([data]) => data.toString('hex'))).toEqual(['0048', '0048', '004a']);
+      expect(() => createPeripheral({ id: 'bad', services: [{ uuid: '180d', characteristics: [{ uuid: '2a37', properties: ['notify'], notifications: [{ delayMs: -1, value: '00' }] }] }] }))
+        .toThrow('peripherals[0].services[0].characteristics[0].notifications[0].delayMs must be a non-negative integer');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should report a dropped link and an adapter power-off as disconnects', async () => {
+    const peripheral = simulator.peripherals[0];
+    const onDisconnect = jest.fn();
+    peripheral.on('disconnect', onDisconnect);
+    await call(peripheral.connect.bind(peripheral));
+
+    simulator.setState('poweredOff');
+
+    expect(onDisconnect).toHaveBeenCalledWith('adapter poweredOff');
+    expect(peripheral.state).toBe('disconnected');
+    expect(() => simulator.startScanning([], false, (error) => { throw error; })).toThrow('not poweredOn');
+  });
+
+  it('should reject invalid definitions and name the offending field', () => {
+    expect(() => validateDefinition({})).toThrow('Invalid simulator definition: peripherals must be an array');
+    expect(() => validateDefinition({ peripherals: [{ name: 'x' }] })).toThrow('Invalid simulator definition: peripherals[0] must have an id or an address');
+    expect(() => validateDefinition({ peripherals: [{ id: 'a' }, { id: 'a' }] })).toThrow('peripherals[1].id duplicates a');
+    expect(() => validateDefinition({ peripherals: [{ id: 'a', rssi: 'strong' }] })).toThrow('peripherals[0].rssi must be a number or { min, max }');
+    expect(() => validateDefinition({ peripherals: [{ id: 'a', services: [{ uuid: '180f', characteristics: [{ uuid: '2a19', properties: ['read'], values: ['6'] }] }] }] }))
+      .toThrow('peripherals[0].services[0].characteristics[0].values[0] must be a hex string');
+    expect(() => validateDefinition({ peripherals: [{ id: 'a', services: [{ uuid: 'fff0', characteristics: [{ uuid: 'fff1', properties: ['write'], onWrite: {} }] }] }] }))
+      .toThrow('peripherals[0].services[0].characteristics[0].onWrite.notify must be a UUID string');
+  });
+
+  it('should load JS definitions with value and write handler functions', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ble-simulator-'));
+    const file = path.join(dir, 'devices.js');
+    try {
+      fs.writeFileSync(file, `module.exports = { peripherals: [{ id: 'js-1', services: [{ uuid: 'fff0', characteristics: [
+        { uuid: 'fff1', properties: ['read'], value: (ctx) => [ctx.count] },
+        { uuid: 'fff2', properties: ['write'], onWrite: (value, ctx) => {
+          if (value[0] === 0xff) throw new Error('Rejected by the device');
+          ctx.notify(value, 'fff3');
+        } },
+        { uuid: 'fff3', properties: ['notify'] }
+      ] }] }] };`);
+      const jsSimulator = createSimulator(file);
+      const peripheral = jsSimulator.peripherals[0];
+      await call(peripheral.connect.bind(peripheral));
+      await call(peripheral.discoverAllServicesAndCharacteristics.bind(peripheral));
+      const [counter, command, events] = peripheral.services[0].characteristics;
+      const onEvent = jest.fn();
+      events.on('data', onEvent);
+      await call(events.subscribe.bind(events));
+
+      expect((await call(counter.read.bind(counter))).toString('hex')).toBe('00');
+      expect((await call(counter.read.bind(counter))).toString('hex')).toBe('01');
+      await call(command.write.bind(command), Buffer.from([0x01]), false);
+      await expect(call(command.write.bind(command), Buffer.from([0xff]), false)).rejects.toThrow('Rejected by the device');
+      expect(onEvent).toHaveBeenCalledWith(Buffer.from([0x01]), true);
+
+      fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+      expect(() => loadDefinition(path.join(dir, 'broken.json'))).toThrow('Invalid simulator definition file');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
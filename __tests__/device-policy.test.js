@@ -0,0 +1,59 @@
+// __tests__/device-policy.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const devicePolicy = require('../device-policy');
+
+describe('devicePolicy', () => {
+  const sensor = { id: 'p1', address: 'AA:BB:CC:DD:EE:01', name: 'Sensor-1', serviceUuids: ['181a'], companyId: 0x0059 };
+  const phone = { id: 'p2', address: 'aa:bb:cc:dd:ee:02', name: 'Phone', serviceUuids: [], companyId: 0x004c };
+
+  afterEach(() => {
+    devicePolicy.setPolicy({});
+  });
+
+  it('should permit every device without rules', () => {
+    expect(devicePolicy.isPermitted(sensor)).toBe(true);
+    expect(devicePolicy.isPermitted({ id: 'p3' })).toBe(true);
+  });
+
+  it('should permit only devices matching an allow rule, with all fields of a rule required', () => {
+    devicePolicy.setPolicy({ allow: [{ name: '^Sensor-', companyId: 89 }, { address: 'AA:BB:CC:DD:EE:02' }] });
+
+    expect(devicePolicy.isPermitted(sensor)).toBe(true);
+    expect(devicePolicy.isPermitted(phone)).toBe(true);
+    expect(devicePolicy.isPermitted({ ...sensor, companyId: null })).toBe(false);
+    expect(devicePolicy.isPermitted({ id: 'p3', name: 'Sensor-3' })).toBe(false);
+  });
+
+  it('should let deny rules win over allow rules', () => {
+    devicePolicy.setPolicy({ allow: [{ serviceUuid: '181a' }], deny: [{ id: 'P1' }] });
+
+    expect(devicePolicy.isPermitted(sensor)).toBe(false);
+    expect(devicePolicy.isPermitted({ ...sensor, id: 'p4' })).toBe(true);
+  });
+
+  it('should reject invalid policies and name the offending rule', () => {
+    expect(() => devicePolicy.setPolicy([])).toThrow('Invalid device policy: expected an object');
+    expect(() => devicePolicy.setPolicy({ allow: {} })).toThrow('Invalid device policy: allow must be an array of rules');
+    expect(() => devicePolicy.setPolicy({ deny: [{}] })).toThrow('Invalid device policy: deny[0] must set at least one of');
+    expect(() => devicePolicy.setPolicy({ deny: [{ mac: 'aa' }] })).toThrow('Invalid device policy: deny[0] has unknown field mac');
+    expect(() => devicePolicy.setPolicy({ allow: [{ id: 'p1' }, { companyId: '0x12345' }] })).toThrow('Invalid device policy: allow[1].companyId');
+    expect(devicePolicy.getPolicy()).toEqual({ allow: [], deny: [] });
+  });
+
+  it('should load a policy file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'device-policy-'));
+    const file = path.join(dir, 'policy.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify({ deny: [{ companyId: '0x004c' }] }));
+      expect(devicePolicy.loadPolicyFile(file)).toEqual({ allow: [], deny: [{ companyId: '0x004c' }] });
+      expect(devicePolicy.isPermitted(phone)).toBe(false);
+
+      fs.writeFileSync(file, '{ not json');
+      expect(() => devicePolicy.loadPolicyFile(file)).toThrow('Invalid device policy file');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,56 @@
+// __tests__/gatt-batch.test.js
+const gattBatch = require('../gatt-batch');
+
+describe('gattBatch', () => {
+  it('should normalize steps into hex values and characteristic addresses', () => {
+    const batch = gattBatch.validateBatch([
+      { op: 'subscribe', serviceUuid: 'FFE0', characteristicUuid: 'FF02' },
+      { op: 'write', characteristicUuid: 'ff01', value: 'AB01' },
+      { op: 'writeWithoutResponse', characteristicUuid: 'ff01', instance: 1, value: 'wifi', format: 'utf8' },
+      { op: 'waitForNotification', serviceUuid: 'ffe0', serviceInstance: 0, characteristicUuid: 'ff02', value: 1, format: 'uint16' },
+      { op: 'read', characteristicUuid: '2a19', format: 'uint8' },
+      { op: 'delay', ms: 250 }
+    ], { onError: 'continue' });
+
+    expect(batch.onError).toBe('continue');
+    expect(batch.steps).toEqual([
+      { op: 'subscribe', target: { serviceUuid: 'ffe0', serviceInstance: 0, characteristicUuid: 'ff02', instance: 0 }, key: 'ffe0:0/ff02:0' },
+      { op: 'write', target: 'ff01', key: 'ff01', value: 'ab01' },
+      { op: 'writeWithoutResponse', target: { characteristicUuid: 'ff01', instance: 1 }, key: ':0/ff01:1', value: '77696669', format: 'utf8' },
+      { op: 'waitForNotification', target: { serviceUuid: 'ffe0', serviceInstance: 0, characteristicUuid: 'ff02', instance: 0 }, key: 'ffe0:0/ff02:0', timeoutMs: 5000, value: '0100', format: 'uint16' },
+      { op: 'read', target: '2a19', key: '2a19', format: 'uint8' },
+      { op: 'delay', ms: 250 }
+    ]);
+    expect(gattBatch.validateBatch([{ op: 'delay', ms: 0 }]).onError).toBe('stop');
+  });
+
+  it('should reject malformed batches and name the offending step', () => {
+    const invalid = (steps, options) => () => gattBatch.validateBatch(steps, options);
+
+    expect(invalid({})).toThrow('Invalid batch: steps must be an array of 1 to 100 steps');
+    expect(invalid(new Array(101).fill({ op: 'delay', ms: 1 }))).toThrow('Invalid batch: steps must be an array of 1 to 100 steps');
+    expect(invalid([{ op: 'delay', ms: 1 }], { onError: 'ignore' })).toThrow('Invalid batch: onError must be one of stop, continue');
+    expect(invalid([null])).toThrow('Invalid batch: steps[0] must be an object');
+    expect(invalid([{ op: 'notify' }])).toThrow('Invalid batch: steps[0].op must be one of read, write, writeWithoutResponse, subscribe, waitForNotification, delay');
+    expect(invalid([{ op: 'delay', ms: 60001 }])).toThrow('Invalid batch: steps[0].ms must be an integer between 0 and 60000');
+    expect(invalid([{ op: 'read', characteristicUuid: 'battery' }])).toThrow('Invalid batch: steps[0].characteristicUuid must be a UUID');
+    expect(invalid([{ op: 'read', characteristicUuid: '2a19', serviceInstance: 1 }])).toThrow('Invalid batch: steps[0].serviceInstance requires serviceUuid');
+    expect(invalid([{ op: 'read', characteristicUuid: '2a19', instance: -1 }])).toThrow('Invalid batch: steps[0].instance must be a non-negative integer');
+    expect(invalid([{ op: 'read', characteristicUuid: '2a19', format: 'int24' }])).toThrow('Invalid batch: steps[0].format is not a supported value format');
+    expect(invalid([{ op: 'write', characteristicUuid: 'ff01' }])).toThrow('Invalid batch: steps[0].value is required');
+    expect(invalid([{ op: 'write', characteristicUuid: 'ff01', value: 'abc' }])).toThrow('Invalid batch: steps[0].value must be a hex string');
+    expect(invalid([{ op: 'write', characteristicUuid: 'ff01', value: 300, format: 'uint8' }])).toThrow('Invalid batch: steps[0].value: ');
+    expect(invalid([{ op: 'waitForNotification', characteristicUuid: 'ff02' }])).toThrow('Invalid batch: steps[0] waits for a characteristic no earlier step subscribes to');
+    expect(invalid([
+      { op: 'subscribe', characteristicUuid: 'ff02' },
+      { op: 'waitForNotification', characteristicUuid: 'ff02', timeoutMs: 1.5 }
+    ])).toThrow('Invalid batch: steps[1].timeoutMs must be an integer between 0 and 60000');
+  });
+
+  it('should convert read and notified values into the step format', () => {
+    expect(gattBatch.formatValue('3408', undefined)).toEqual({ value: '3408' });
+    expect(gattBatch.formatValue('3408', 'int16')).toEqual({ value: 2100, format: 'int16' });
+    expect(gattBatch.formatValue(null, 'int16')).toEqual({ value: null });
+    expect(() => gattBatch.formatValue('34', 'int16')).toThrow();
+  });
+});
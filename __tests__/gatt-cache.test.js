@@ -0,0 +1,59 @@
+// __tests__/gatt-cache.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const gattCache = require('../gatt-cache');
+
+describe('gattCache', () => {
+  const layout = {
+    services: [{ uuid: '180f', startHandle: 1, endHandle: 5 }],
+    characteristics: { '180f': [{ uuid: '2a19', properties: 18, propsDecoded: ['read', 'notify'], startHandle: 2, valueHandle: 3, endHandle: 5 }] }
+  };
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gatt-cache-'));
+    gattCache.setCacheDir(cacheDir);
+  });
+
+  afterEach(() => {
+    gattCache.setCacheDir(null);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('should store and load a layout per device address', () => {
+    expect(gattCache.save('AA:BB:CC:DD:EE:FF', layout)).toBe(true);
+
+    expect(fs.existsSync(path.join(cacheDir, 'aabbccddeeff.json'))).toBe(true);
+    expect(gattCache.load('aa:bb:cc:dd:ee:ff')).toEqual(expect.objectContaining({ address: 'AA:BB:CC:DD:EE:FF', ...layout }));
+    expect(gattCache.load('11:22:33:44:55:66')).toBeNull();
+  });
+
+  it('should remove an entry', () => {
+    gattCache.save('aa:bb:cc:dd:ee:ff', layout);
+
+    expect(gattCache.remove('aa:bb:cc:dd:ee:ff')).toBe(true);
+    expect(gattCache.load('aa:bb:cc:dd:ee:ff')).toBeNull();
+    expect(gattCache.remove('aa:bb:cc:dd:ee:ff')).toBe(false);
+  });
+
+  it('should ignore unreadable entries and entries of other versions', () => {
+    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    fs.writeFileSync(path.join(cacheDir, 'aabbccddeeff.json'), '{ not json');
+    fs.writeFileSync(path.join(cacheDir, '112233445566.json'), JSON.stringify({ version: 0, ...layout }));
+
+    expect(gattCache.load('aa:bb:cc:dd:ee:ff')).toBeNull();
+    expect(gattCache.load('11:22:33:44:55:66')).toBeNull();
+    expect(consoleErrorSpy).toHaveBeenCalled();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should do nothing while disabled or for unknown addresses', () => {
+    expect(gattCache.save('unknown', layout)).toBe(false);
+
+    gattCache.setCacheDir(null);
+    expect(gattCache.getCacheDir()).toBeNull();
+    expect(gattCache.save('aa:bb:cc:dd:ee:ff', layout)).toBe(false);
+    expect(gattCache.load('aa:bb:cc:dd:ee:ff')).toBeNull();
+  });
+});
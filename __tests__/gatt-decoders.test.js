@@ -0,0 +1,43 @@
+// __tests__/gatt-decoders.test.js
+const gattDecoders = require('../gatt-decoders');
+
+describe('gatt-decoders', () => {
+  it('should decode battery level, temperature, humidity and device name', () => {
+    expect(gattDecoders.decode('2a19', '57')).toEqual({ level: 87, units: { level: '%' } });
+    expect(gattDecoders.decode('2a6e', Buffer.from([0x66, 0x08]))).toEqual({ temperature: 21.5, units: { temperature: '°C' } });
+    expect(gattDecoders.decode('2a6e', 'f6ff')).toEqual({ temperature: -0.1, units: { temperature: '°C' } });
+    expect(gattDecoders.decode('2a6f', '4c17')).toEqual({ humidity: 59.64, units: { humidity: '%' } });
+    expect(gattDecoders.decode('2a00', Buffer.from('Sensor\0'))).toEqual({ name: 'Sensor' });
+  });
+
+  it('should decode heart rate measurements with energy expended and RR intervals', () => {
+    // 16-bit rate, contact detected, energy expended and two RR intervals (1024 and 512 / 1024 s).
+    const full = Buffer.from([0x1f, 0x48, 0x00, 0x10, 0x00, 0x00, 0x04, 0x00, 0x02]);
+    expect(gattDecoders.decode('2a37', full)).toEqual({
+      bpm: 72,
+      sensorContact: true,
+      energyExpended: 16,
+      rrIntervals: [1000, 500],
+      units: { bpm: 'beats/min', energyExpended: 'kJ', rrIntervals: 'ms' }
+    });
+
+    // 8-bit rate without optional fields.
+    expect(gattDecoders.decode('2a37', '0050')).toEqual(expect.objectContaining({ bpm: 80, sensorContact: null, energyExpended: null, rrIntervals: [] }));
+  });
+
+  it('should accept 128-bit SIG base UUIDs', () => {
+    expect(gattDecoders.decode('00002A19-0000-1000-8000-00805F9B34FB', '64')).toEqual(expect.objectContaining({ level: 100 }));
+  });
+
+  it('should return null for unknown characteristics and malformed values', () => {
+    expect(gattDecoders.decode('fff1', '01')).toBeNull();
+    expect(gattDecoders.decode('2a6e', '01')).toBeNull();
+    expect(gattDecoders.decode('2a19', null)).toBeNull();
+  });
+
+  it('should use registered decoders', () => {
+    gattDecoders.registerDecoder('FFF1', data => ({ channel: data.readUInt8(0) }));
+    expect(gattDecoders.hasDecoder('fff1')).toBe(true);
+    expect(gattDecoders.decode('fff1', '02')).toEqual({ channel: 2 });
+  });
+});
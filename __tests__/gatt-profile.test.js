@@ -0,0 +1,72 @@
+// __tests__/gatt-profile.test.js
+const gattProfile = require('../gatt-profile');
+
+describe('gattProfile', () => {
+  const profile = () => ({
+    version: 1,
+    services: [
+      {
+        uuid: '180f',
+        instance: 0,
+        name: 'Battery',
+        characteristics: [
+          { uuid: '2a19', instance: 0, name: 'Battery Level', properties: ['read', 'notify'], descriptors: [{ uuid: '2902' }], value: '64' }
+        ]
+      },
+      { uuid: 'fff0', instance: 0, characteristics: [{ uuid: 'fff1', instance: 0, properties: ['write'], descriptors: [] }] }
+    ]
+  });
+
+  it('should report no differences between equal profiles', () => {
+    expect(gattProfile.diffProfiles(profile(), profile())).toEqual([]);
+  });
+
+  it('should report removed, added and changed entries', () => {
+    const live = profile();
+    live.services[0].characteristics[0].properties = ['read'];
+    live.services[0].characteristics[0].descriptors = [{ uuid: '2901', name: 'Characteristic User Description' }];
+    live.services[0].characteristics[0].value = '32';
+    live.services[1] = { uuid: '180a', name: 'Device Information', characteristics: [] };
+
+    expect(gattProfile.diffProfiles(profile(), live)).toEqual([
+      { path: '180f:0/2a19:0', change: 'changed', field: 'properties', expected: ['read', 'notify'], actual: ['read'] },
+      { path: '180f:0/2a19:0/2902', change: 'removed', expected: null },
+      { path: '180f:0/2a19:0/2901', change: 'added', actual: 'Characteristic User Description' },
+      { path: '180f:0/2a19:0', change: 'changed', field: 'value', expected: '64', actual: '32' },
+      { path: 'fff0:0', change: 'removed', expected: null },
+      { path: '180a:0', change: 'added', actual: 'Device Information' }
+    ]);
+    expect(gattProfile.diffProfiles(profile(), live, { compareValues: false }).map(d => d.field)).not.toContain('value');
+  });
+
+  it('should match full-length SIG UUIDs, number instances by position and ignore property order', () => {
+    const snapshot = profile();
+    snapshot.services[0].uuid = '0000180F-0000-1000-8000-00805F9B34FB';
+    delete snapshot.services[0].instance;
+    snapshot.services[0].characteristics[0].properties = ['notify', 'read'];
+
+    expect(gattProfile.diffProfiles(snapshot, profile())).toEqual([]);
+  });
+
+  it('should validate imported snapshots and name the offending field', () => {
+    expect(() => gattProfile.validateProfile(profile())).not.toThrow();
+    expect(() => gattProfile.validateProfile(null)).toThrow('Invalid profile: expected a profile object');
+    expect(() => gattProfile.validateProfile({ version: 1 })).toThrow('Invalid profile: services must be an array');
+
+    const badValue = profile();
+    badValue.services[0].characteristics[0].value = 'zz';
+    expect(() => gattProfile.validateProfile(badValue)).toThrow('Invalid profile: services[0].characteristics[0].value must be a hex string or null');
+
+    const badDescriptor = profile();
+    badDescriptor.services[0].characteristics[0].descriptors = [{}];
+    expect(() => gattProfile.validateProfile(badDescriptor)).toThrow('services[0].characteristics[0].descriptors[0].uuid');
+  });
+
+  it('should tell whether a snapshot carries values', () => {
+    const withoutValues = profile();
+    delete withoutValues.services[0].characteristics[0].value;
+
+    expect(gattProfile.hasValues(profile())).toBe(true);
+    expect(gattProfile.hasValues(withoutValues)).toBe(false);
+  });
+});
@@ -0,0 +1,145 @@
+// __tests__/gatt-queue.test.js
+const GattQueue = require('../gatt-queue');
+
+// Returns an operation whose promise is settled from the test, plus a record of when it started.
+function deferredOperation(log, name) {
+  let resolve;
+  let reject;
+  const run = jest.fn(() => {
+    log.push(name);
+    return new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+  });
+  return { run, resolve: (value) => resolve(value), reject: (err) => reject(err) };
+}
+
+describe('GattQueue', () => {
+  it('should run one operation at a time in FIFO order', async () => {
+    const log = [];
+    const queue = new GattQueue();
+    const first = deferredOperation(log, 'first');
+    const second = deferredOperation(log, 'second');
+
+    const firstResult = queue.enqueue(first.run);
+    const secondResult = queue.enqueue(second.run);
+
+    expect(log).toEqual(['first']);
+    expect(queue.getStats()).toEqual(expect.objectContaining({ depth: 1, inFlight: 1 }));
+
+    first.resolve('a');
+    await expect(firstResult).resolves.toBe('a');
+    await Promise.resolve();
+    expect(log).toEqual(['first', 'second']);
+
+    second.resolve('b');
+    await expect(secondResult).resolves.toBe('b');
+    expect(queue.getStats()).toEqual(expect.objectContaining({ depth: 0, inFlight: 0, processed: 2, maxDepth: 1 }));
+  });
+
+  it('should run high-priority operations before queued normal ones', async () => {
+    const log = [];
+    const queue = new GattQueue();
+    const active = deferredOperation(log, 'active');
+    queue.enqueue(active.run);
+    const read = queue.enqueue(() => { log.push('read'); return Promise.resolve(); });
+    const write1 = queue.enqueue(() => { log.push('write1'); return Promise.resolve(); }, { priority: 'high' });
+    const write2 = queue.enqueue(() => { log.push('write2'); return Promise.resolve(); }, { priority: 'high' });
+
+    active.resolve();
+    await Promise.all([read, write1, write2]);
+
+    expect(log).toEqual(['active', 'write1', 'write2', 'read']);
+  });
+
+  it('should fail an operation that exceeds its timeout and hold the queue until it settles', async () => {
+    jest.useFakeTimers();
+    try {
+      const log = [];
+      const onTimeout = jest.fn();
+      const queue = new GattQueue({ timeoutMs: 1000, onTimeout });
+      const stuck = deferredOperation(log, 'stuck');
+      const stuckResult = queue.enqueue(stuck.run, { label: 'read 2a19' });
+      const next = queue.enqueue(() => { log.push('next'); return Promise.resolve('next'); });
+
+      expect(queue.getStats().activeOperation).toBe('read 2a19');
+      jest.advanceTimersByTime(1000);
+
+      await expect(stuckResult).rejects.toThrow('GATT operation timed out');
+      expect(onTimeout).toHaveBeenCalledWith('read 2a19');
+      // The ATT request is still in flight, so the next operation waits for it.
+      expect(log).toEqual(['stuck']);
+      expect(queue.getStats().activeOperation).toBe('read 2a19');
+
+      stuck.resolve('late');
+      await expect(next).resolves.toBe('next');
+      expect(queue.getStats()).toEqual(expect.objectContaining({ timedOut: 1, failed: 1, processed: 1 }));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should free the queue of a timed-out operation when cleared', async () => {
+    jest.useFakeTimers();
+    try {
+      const log = [];
+      const queue = new GattQueue({ timeoutMs: 1000 });
+      const stuck = deferredOperation(log, 'stuck');
+      const stuckResult = queue.enqueue(stuck.run);
+      jest.advanceTimersByTime(1000);
+      await expect(stuckResult).rejects.toThrow('GATT operation timed out');
+
+      queue.clear(new Error('Peripheral disconnected'));
+      const next = queue.enqueue(() => { log.push('next'); return Promise.resolve('next'); });
+      await expect(next).resolves.toBe('next');
+
+      // The operation settling after all does not disturb the queue.
+      stuck.resolve('late');
+      await Promise.resolve();
+      expect(log).toEqual(['stuck', 'next']);
+      expect(queue.getStats()).toEqual(expect.objectContaining({ inFlight: 0, timedOut: 1, processed: 1 }));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should fail the operation in flight when cleared before it times out', async () => {
+    jest.useFakeTimers();
+    try {
+      const log = [];
+      const onTimeout = jest.fn();
+      const queue = new GattQueue({ timeoutMs: 1000, onTimeout });
+      const active = deferredOperation(log, 'active');
+      const activeResult = queue.enqueue(active.run, { label: 'old' });
+
+      queue.clear(new Error('Peripheral disconnected'));
+      await expect(activeResult).rejects.toThrow('Peripheral disconnected');
+
+      jest.advanceTimersByTime(1000);
+      active.resolve('late');
+      await Promise.resolve();
+      expect(onTimeout).not.toHaveBeenCalled();
+      expect(queue.getStats()).toEqual(expect.objectContaining({ inFlight: 0, timedOut: 0, failed: 1, processed: 0 }));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should reject queued operations when cleared', async () => {
+    const log = [];
+    const queue = new GattQueue();
+    const active = deferredOperation(log, 'active');
+    const activeResult = queue.enqueue(active.run);
+    const queued = queue.enqueue(() => Promise.resolve());
+
+    queue.clear(new Error('Peripheral disconnected'));
+
+    await expect(queued).rejects.toThrow('Peripheral disconnected');
+    expect(queue.getStats().depth).toBe(0);
+
+    // The operation in flight fails with them, and its late result is ignored.
+    await expect(activeResult).rejects.toThrow('Peripheral disconnected');
+    active.resolve('done');
+  });
+});
@@ -2,8 +2,39 @@ const net = require('net');
 jest.mock('../ble-manager'); // stub ble-manager functions
 
 const bleManager = require('../ble-manager');
+const { BleError } = require('../ble-errors');
 const mcp = require('../mcp-server');
 
+// Sends one envelope on a fresh connection and resolves with the first reply of the expected type.
+// Pass an array as `received` to also collect the replies that arrive before it.
+function sendAndWait(message, resultType, received = []) {
+  return new Promise((resolve, reject) => {
+    const client = net.createConnection({ port: 8124, host: '127.0.0.1' }, () => {
+      client.write(JSON.stringify(message) + '\n');
+    });
+    client.setEncoding('utf8');
+
+    let buffer = '';
+    client.on('data', (chunk) => {
+      buffer += chunk;
+      let idx;
+      while ((idx = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, idx).trim();
+        buffer = buffer.slice(idx + 1);
+        if (!line) continue;
+        const msg = JSON.parse(line);
+        received.push(msg);
+        if (msg.type === resultType || msg.type === 'mcp/error') {
+          client.end();
+          resolve(msg);
+        }
+      }
+    });
+
+    client.on('error', reject);
+  });
+}
+
 describe('MCP server (SDK envelope)', () => {
   beforeAll(done => {
     bleManager.getDiscoveredPeripherals.mockResolvedValue([{ id: 'dev1', name: 'Test' }]);
@@ -46,4 +77,295 @@ describe('MCP server (SDK envelope)', () => {
       done(err);
     });
   });
-});
\ No newline at end of file
+
+  test('responds with adapter state for mcp.ble.adapter', async () => {
+    bleManager.getAdapterInfo.mockReturnValue({ state: 'poweredOff', available: false, scanning: false, address: null, connectedDevices: 0, lastStateChange: null });
+
+    const msg = await sendAndWait({ type: 'mcp.ble.adapter', id: 'a1', payload: {} }, 'mcp.ble.adapter.result');
+
+    expect(msg.id).toBe('a1');
+    expect(msg.payload.adapter.state).toBe('poweredOff');
+    expect(msg.payload.adapter.available).toBe(false);
+  });
+
+  test('responds with GATT queue metrics for mcp.ble.queue', async () => {
+    bleManager.getQueueStats.mockResolvedValue({ depth: 1, inFlight: 1, activeOperation: 'write 2a06', processed: 3, failed: 0, timedOut: 0, maxDepth: 2 });
+
+    const msg = await sendAndWait({ type: 'mcp.ble.queue', id: 'q1', payload: { deviceId: 'dev1' } }, 'mcp.ble.queue.result');
+
+    expect(bleManager.getQueueStats).toHaveBeenCalledWith('dev1');
+    expect(msg.payload.deviceId).toBe('dev1');
+    expect(msg.payload.queue.depth).toBe(1);
+  });
+
+  test('forwards BLE events only while it runs', (done) => {
+    const server = new mcp.constructor();
+    server.start(8125, () => {
+      const listener = bleManager.events.on.mock.calls.filter(([name]) => name === 'event').pop()[1];
+      server.stop(() => {
+        expect(bleManager.events.removeListener).toHaveBeenCalledWith('event', listener);
+        done();
+      });
+    });
+  });
+
+  test('validates scan options for mcp.ble.scan.start', async () => {
+    bleManager.startScan.mockResolvedValueOnce({ scanning: true, serviceUuids: ['180d'] });
+
+    const started = await sendAndWait({ type: 'mcp.ble.scan.start', id: 'sc1', payload: { serviceUuids: ['180d'], duration: 10000 } }, 'mcp.ble.scan.start.result');
+    const invalid = await sendAndWait({ type: 'mcp.ble.scan.start', id: 'sc2', payload: { serviceUuids: ['180d', 'heart rate'] } }, 'mcp.ble.scan.start.result');
+
+    expect(bleManager.startScan).toHaveBeenCalledTimes(1);
+    expect(bleManager.startScan).toHaveBeenCalledWith({ serviceUuids: ['180d'], allowDuplicates: undefined, duration: 10000 });
+    expect(started.payload).toEqual({ scan: { scanning: true, serviceUuids: ['180d'] } });
+    expect(invalid.payload).toEqual({ code: 'invalid_params' });
+  });
+
+  test('passes service-scoped addresses for mcp.ble.read', async () => {
+    bleManager.readCharacteristic.mockResolvedValue('20');
+
+    const msg = await sendAndWait({ type: 'mcp.ble.read', id: 'r1', payload: { deviceId: 'dev1', serviceUuid: '180f', serviceInstance: 1, characteristicUuid: '2a19' } }, 'mcp.ble.read.result');
+
+    expect(bleManager.readCharacteristic).toHaveBeenCalledWith('dev1', { characteristicUuid: '2a19', instance: 0, serviceUuid: '180f', serviceInstance: 1 });
+    expect(msg.payload).toEqual({ characteristicUuid: '2a19', instance: 0, serviceUuid: '180f', serviceInstance: 1, value: '20' });
+  });
+
+  test('subscribes through bleManager for mcp.ble.subscribe', async () => {
+    bleManager.subscribeToCharacteristic.mockResolvedValue({ message: 'Subscription successful', serviceUuid: '180f', serviceInstance: 0, characteristicUuid: '2a19', instance: 1 });
+
+    const msg = await sendAndWait({ type: 'mcp.ble.subscribe', id: 's1', payload: { deviceId: 'dev1', characteristicUuid: '2a19', instance: 1 } }, 'mcp.ble.subscribe.result');
+
+    expect(bleManager.subscribeToCharacteristic).toHaveBeenCalledWith('dev1', { characteristicUuid: '2a19', instance: 1 }, expect.any(Function));
+    expect(msg.payload).toEqual(expect.objectContaining({ msg: 'subscribed', serviceUuid: '180f', instance: 1 }));
+  });
+
+  test('removes only its own listener when the socket closes', async () => {
+    bleManager.subscribeToCharacteristic.mockResolvedValue({ message: 'Subscription successful', characteristicUuid: '2a37', instance: 0 });
+    bleManager.unsubscribeFromCharacteristic.mockResolvedValue({ message: 'Unsubscription successful' });
+
+    await sendAndWait({ type: 'mcp.ble.subscribe', id: 'u1', payload: { deviceId: 'dev1', characteristicUuid: '2a37' } }, 'mcp.ble.subscribe.result');
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const listener = bleManager.subscribeToCharacteristic.mock.calls[0][2];
+    expect(bleManager.unsubscribeFromCharacteristic).toHaveBeenCalledWith('dev1', '2a37', listener);
+  });
+
+  test('reports NOT_SUBSCRIBED for mcp.ble.unsubscribe without a subscription', async () => {
+    const msg = await sendAndWait({ type: 'mcp.ble.unsubscribe', id: 'n1', payload: { deviceId: 'dev1', characteristicUuid: '2a37' } }, 'mcp.ble.unsubscribe.result');
+
+    expect(msg.payload).toEqual({ code: 'NOT_SUBSCRIBED', message: 'Not subscribed to this characteristic' });
+    expect(bleManager.unsubscribeFromCharacteristic).not.toHaveBeenCalled();
+  });
+
+  test('refuses a second mcp.ble.subscribe to the same characteristic on one socket', async () => {
+    bleManager.subscribeToCharacteristic.mockResolvedValue({ message: 'Subscription successful', characteristicUuid: '2a37', instance: 0 });
+    bleManager.unsubscribeFromCharacteristic.mockResolvedValue({ message: 'Unsubscription successful' });
+
+    const replies = await new Promise((resolve, reject) => {
+      const client = net.createConnection({ port: 8124, host: '127.0.0.1' }, () => {
+        const subscribe = id => JSON.stringify({ type: 'mcp.ble.subscribe', id, payload: { deviceId: 'dev1', characteristicUuid: '2a37' } }) + '\n';
+        client.write(subscribe('d1') + subscribe('d2'));
+      });
+      client.setEncoding('utf8');
+      const received = [];
+      let buffer = '';
+      client.on('data', (chunk) => {
+        buffer += chunk;
+        let idx;
+        while ((idx = buffer.indexOf('\n')) >= 0) {
+          received.push(JSON.parse(buffer.slice(0, idx)));
+          buffer = buffer.slice(idx + 1);
+        }
+        if (received.length === 2) {
+          client.end();
+          resolve(received);
+        }
+      });
+      client.on('error', reject);
+    });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const byId = Object.fromEntries(replies.map(msg => [msg.id, msg]));
+    expect(byId.d1.type).toBe('mcp.ble.subscribe.result');
+    expect(byId.d2.payload).toEqual({ code: 'ALREADY_SUBSCRIBED', message: 'Already subscribed to this characteristic' });
+    expect(bleManager.subscribeToCharacteristic).toHaveBeenCalledTimes(1);
+    // Closing the socket ends the one subscription it holds.
+    expect(bleManager.unsubscribeFromCharacteristic).toHaveBeenCalledTimes(1);
+  });
+
+  test('reads a descriptor for mcp.ble.descriptor.read', async () => {
+    bleManager.readDescriptor.mockResolvedValue('4368616e6e656c2041');
+
+    const msg = await sendAndWait({ type: 'mcp.ble.descriptor.read', id: 'd1', payload: { deviceId: 'dev1', characteristicUuid: 'fff1', descriptorUuid: '2901' } }, 'mcp.ble.descriptor.read.result');
+
+    expect(bleManager.readDescriptor).toHaveBeenCalledWith('dev1', 'fff1', '2901');
+    expect(msg.payload).toEqual({ characteristicUuid: 'fff1', descriptorUuid: '2901', value: '4368616e6e656c2041' });
+  });
+
+  test('converts values for mcp.ble.read and mcp.ble.write formats', async () => {
+    bleManager.readCharacteristic.mockResolvedValue('68656c6c6f');
+    bleManager.writeCharacteristic.mockResolvedValue({ message: 'Write successful' });
+
+    const read = await sendAndWait({ type: 'mcp.ble.read', id: 'f1', payload: { deviceId: 'dev1', characteristicUuid: '2a00', format: 'utf8' } }, 'mcp.ble.read.result');
+    await sendAndWait({ type: 'mcp.ble.write', id: 'f2', payload: { deviceId: 'dev1', characteristicUuid: '2a06', value: 2, encoding: 'uint8' } }, 'mcp.ble.write.result');
+
+    expect(read.payload).toEqual({ characteristicUuid: '2a00', value: 'hello', format: 'utf8' });
+    expect(bleManager.writeCharacteristic).toHaveBeenCalledWith('dev1', '2a06', '02', false);
+  });
+
+  test('rejects write values that do not match their format with INVALID_REQUEST', async () => {
+    const payload = { deviceId: 'dev1', characteristicUuid: '2a06', descriptorUuid: '2902' };
+
+    const write = await sendAndWait({ type: 'mcp.ble.write', id: 'v1', payload: { ...payload, value: 'xyz' } }, 'mcp.ble.write.result');
+    const chunked = await sendAndWait({ type: 'mcp.ble.write', id: 'v2', payload: { ...payload, value: { hex: '01' }, chunked: true } }, 'mcp.ble.write.result');
+    const numeric = await sendAndWait({ type: 'mcp.ble.write', id: 'v3', payload: { ...payload, value: 'abc', format: 'uint8' } }, 'mcp.ble.write.result');
+    const descriptor = await sendAndWait({ type: 'mcp.ble.descriptor.write', id: 'v4', payload: { ...payload, value: '010' } }, 'mcp.ble.descriptor.write.result');
+    const batch = await sendAndWait({ type: 'mcp.ble.batch', id: 'v5', payload: { deviceId: 'dev1', steps: [{ op: 'write', characteristicUuid: '2a06', value: 7 }] } }, 'mcp.ble.batch.result');
+
+    const format = await sendAndWait({ type: 'mcp.ble.write', id: 'v6', payload: { ...payload, value: '01', format: 'uint7' } }, 'mcp.ble.write.result');
+
+    // The same code and message as the REST routes give.
+    expect(write.payload).toEqual({ code: 'INVALID_REQUEST', message: 'Invalid value for format hex: expected an even-length hex string' });
+    expect(chunked.payload).toEqual({ code: 'INVALID_REQUEST', message: 'Invalid value for format hex: expected a string' });
+    expect(numeric.payload).toEqual({ code: 'INVALID_REQUEST', message: 'Invalid value for format uint8: expected a number' });
+    expect(descriptor.payload).toEqual({ code: 'INVALID_REQUEST', message: 'Invalid value for format hex: expected an even-length hex string' });
+    expect(batch.payload).toEqual({ code: 'INVALID_REQUEST', message: 'Invalid batch: steps[0].value: Invalid value for format hex: expected a string' });
+    expect(format.payload).toEqual({ code: 'INVALID_REQUEST', message: 'Invalid value format: uint7' });
+    expect(bleManager.writeCharacteristic).not.toHaveBeenCalled();
+    expect(bleManager.writeCharacteristicChunked).not.toHaveBeenCalled();
+    expect(bleManager.writeDescriptor).not.toHaveBeenCalled();
+    expect(bleManager.runBatch).not.toHaveBeenCalled();
+  });
+
+  test('includes decoded SIG values in mcp.ble.read', async () => {
+    bleManager.readCharacteristic.mockResolvedValue('0048');
+    bleManager.decodeCharacteristicValue.mockReturnValueOnce({ bpm: 72 });
+
+    const msg = await sendAndWait({ type: 'mcp.ble.read', id: 'h1', payload: { deviceId: 'dev1', characteristicUuid: '2a37' } }, 'mcp.ble.read.result');
+
+    expect(msg.payload).toEqual({ characteristicUuid: '2a37', value: '0048', decoded: { bpm: 72 } });
+  });
+
+  it('should stream progress for chunked writes', async () => {
+    bleManager.writeCharacteristicChunked.mockImplementationOnce((deviceId, target, hex, options) => {
+      options.onProgress({ characteristicUuid: 'fff1', chunk: 1, chunks: 1, bytesWritten: 2, totalBytes: 2 });
+      return Promise.resolve({ message: 'Chunked write successful', bytesWritten: 2, chunks: 1 });
+    });
+
+    const messages = [];
+    await sendAndWait({ type: 'mcp.ble.write', id: 'c1', payload: { deviceId: 'dev1', characteristicUuid: 'fff1', value: '0102', chunked: true, chunkSize: 2 } }, 'mcp.ble.write.result', messages);
+
+    expect(bleManager.writeCharacteristicChunked).toHaveBeenCalledWith('dev1', 'fff1', '0102', expect.objectContaining({ chunkSize: 2, onProgress: expect.any(Function) }));
+    const replies = messages.filter(m => m.id === 'c1');
+    expect(replies.map(m => m.type)).toEqual(['mcp.ble.write.progress', 'mcp.ble.write.result']);
+    expect(replies[0].payload).toEqual(expect.objectContaining({ deviceId: 'dev1', chunk: 1, bytesWritten: 2 }));
+    expect(replies[1].payload).toEqual({ msg: 'written', bytesWritten: 2, chunks: 1 });
+  });
+
+  it('should report writes refused by the write protection', async () => {
+    bleManager.writeCharacteristic.mockRejectedValueOnce(new BleError('READ_ONLY', 'Write refused: the gateway is read-only'));
+
+    const msg = await sendAndWait({ type: 'mcp.ble.write', id: 'w1', payload: { deviceId: 'dev1', characteristicUuid: '2a06', value: '01' } }, 'mcp.ble.write.result');
+
+    expect(msg.type).toBe('mcp/error');
+    expect(msg.payload).toEqual({ code: 'READ_ONLY', message: 'Write refused: the gateway is read-only' });
+  });
+
+  it('should report descriptor writes refused by the write rules', async () => {
+    bleManager.writeDescriptor.mockRejectedValueOnce(new BleError('WRITE_REFUSED', 'Write refused: denied by write rule 0'));
+
+    const msg = await sendAndWait({ type: 'mcp.ble.descriptor.write', id: 'w2', payload: { deviceId: 'dev1', characteristicUuid: 'fff1', descriptorUuid: '2902', value: '0100' } }, 'mcp.ble.descriptor.write.result');
+
+    expect(bleManager.writeDescriptor).toHaveBeenCalledWith('dev1', 'fff1', '2902', '0100');
+    expect(msg.payload).toEqual({ code: 'WRITE_REFUSED', message: 'Write refused: denied by write rule 0' });
+  });
+
+  it('should report BLE errors with the codes of the REST API', async () => {
+    bleManager.readCharacteristic.mockRejectedValueOnce(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+    bleManager.readCharacteristic.mockRejectedValueOnce(new Error('ATT error 0x0e'));
+
+    const notConnected = await sendAndWait({ type: 'mcp.ble.read', id: 'e1', payload: { deviceId: 'dev1', characteristicUuid: '2a19' } }, 'mcp.ble.read.result');
+    const failed = await sendAndWait({ type: 'mcp.ble.read', id: 'e2', payload: { deviceId: 'dev1', characteristicUuid: '2a19' } }, 'mcp.ble.read.result');
+    const missing = await sendAndWait({ type: 'mcp.ble.read', id: 'e3', payload: { deviceId: 'dev1' } }, 'mcp.ble.read.result');
+
+    expect(notConnected.payload).toEqual({ code: 'NOT_CONNECTED', message: 'Peripheral not connected' });
+    expect(failed.payload).toEqual({ code: 'INTERNAL_ERROR', message: 'ATT error 0x0e' });
+    expect(missing.payload).toEqual({ code: 'missing_params' });
+  });
+
+  it('should pass discovery options on connect and rediscover on request', async () => {
+    bleManager.connectDevice.mockResolvedValueOnce({ id: 'dev1', state: 'connected', discovery: 'partial' });
+    bleManager.rediscoverDevice.mockResolvedValueOnce({ id: 'dev1', discovery: 'full', services: [] });
+
+    const connect = await sendAndWait({ type: 'mcp.ble.connect', id: 'g1', payload: { deviceId: 'dev1', services: ['180f'], forceRediscover: true } }, 'mcp.ble.connect.result');
+    const rediscover = await sendAndWait({ type: 'mcp.ble.rediscover', id: 'g2', payload: { deviceId: 'dev1' } }, 'mcp.ble.rediscover.result');
+
+    expect(bleManager.connectDevice).toHaveBeenCalledWith('dev1', expect.objectContaining({ services: ['180f'], forceRediscover: true }));
+    expect(connect.payload.device.discovery).toBe('partial');
+    expect(bleManager.rediscoverDevice).toHaveBeenCalledWith('dev1');
+    expect(rediscover.payload).toEqual({ device: { id: 'dev1', discovery: 'full', services: [] } });
+  });
+
+  it('should export a profile and diff against a snapshot', async () => {
+    const profile = { version: 1, services: [] };
+    bleManager.getProfile.mockResolvedValueOnce(profile);
+    bleManager.diffProfile.mockResolvedValueOnce({ deviceId: 'dev1', matches: true, differences: [] });
+
+    const exported = await sendAndWait({ type: 'mcp.ble.profile', id: 'p1', payload: { deviceId: 'dev1', includeValues: true } }, 'mcp.ble.profile.result');
+    const diff = await sendAndWait({ type: 'mcp.ble.profile.diff', id: 'p2', payload: { deviceId: 'dev1', profile } }, 'mcp.ble.profile.diff.result');
+
+    expect(bleManager.getProfile).toHaveBeenCalledWith('dev1', { includeValues: true });
+    expect(exported.payload).toEqual({ profile });
+    expect(bleManager.diffProfile).toHaveBeenCalledWith('dev1', profile, {});
+    expect(diff.payload).toEqual({ deviceId: 'dev1', matches: true, differences: [] });
+  });
+
+  it('should run a batch of GATT operations', async () => {
+    const steps = [{ op: 'read', characteristicUuid: '2a19' }];
+    const result = { deviceId: 'dev1', ok: true, completed: 1, failed: 0, skipped: 0, results: [{ index: 0, op: 'read', status: 'ok', value: '64' }] };
+    bleManager.runBatch.mockResolvedValueOnce(result);
+    bleManager.runBatch.mockRejectedValueOnce(new BleError('INVALID_REQUEST', 'Invalid batch: steps[0].op must be one of read'));
+
+    const batch = await sendAndWait({ type: 'mcp.ble.batch', id: 'b1', payload: { deviceId: 'dev1', steps, onError: 'continue' } }, 'mcp.ble.batch.result');
+    const invalid = await sendAndWait({ type: 'mcp.ble.batch', id: 'b2', payload: { deviceId: 'dev1', steps: [{}] } }, 'mcp.ble.batch.result');
+    const missing = await sendAndWait({ type: 'mcp.ble.batch', id: 'b3', payload: { deviceId: 'dev1' } }, 'mcp.ble.batch.result');
+
+    expect(bleManager.runBatch).toHaveBeenCalledWith('dev1', steps, { onError: 'continue' });
+    expect(batch.payload).toEqual(result);
+    expect(invalid.payload).toEqual({ code: 'INVALID_REQUEST', message: 'Invalid batch: steps[0].op must be one of read' });
+    expect(missing.payload).toEqual({ code: 'missing_params' });
+  });
+
+  it('should record a device and replay its session', async () => {
+    const session = { version: 1, device: { id: 'dev1' }, events: [] };
+    bleManager.startRecording.mockResolvedValueOnce({ deviceId: 'dev1', events: 1, truncated: false });
+    bleManager.stopRecording.mockResolvedValueOnce({ deviceId: 'dev1', events: 4, truncated: false, file: null, session });
+    bleManager.startReplay.mockResolvedValueOnce({ deviceId: 'bench-1', recordedDeviceId: 'dev1', services: 1, notifications: 2 });
+    bleManager.stopReplay.mockResolvedValueOnce({ id: 'bench-1', message: 'Replay stopped' });
+
+    const start = await sendAndWait({ type: 'mcp.ble.record.start', id: 's1', payload: { deviceId: 'dev1' } }, 'mcp.ble.record.start.result');
+    const stop = await sendAndWait({ type: 'mcp.ble.record.stop', id: 's2', payload: { deviceId: 'dev1' } }, 'mcp.ble.record.stop.result');
+    const replay = await sendAndWait({ type: 'mcp.ble.replay', id: 's3', payload: { session, deviceId: 'bench-1' } }, 'mcp.ble.replay.result');
+    const replayStop = await sendAndWait({ type: 'mcp.ble.replay.stop', id: 's4', payload: { deviceId: 'bench-1' } }, 'mcp.ble.replay.stop.result');
+    const missing = await sendAndWait({ type: 'mcp.ble.replay', id: 's5', payload: {} }, 'mcp.ble.replay.result');
+
+    expect(start.payload).toEqual({ recording: { deviceId: 'dev1', events: 1, truncated: false } });
+    expect(stop.payload).toEqual(expect.objectContaining({ events: 4, session }));
+    expect(bleManager.startReplay).toHaveBeenCalledWith({ session }, { id: 'bench-1' });
+    expect(replay.payload.replay).toEqual(expect.objectContaining({ deviceId: 'bench-1', notifications: 2 }));
+    expect(replayStop.payload).toEqual({ device: { id: 'bench-1', message: 'Replay stopped' } });
+    expect(missing.payload).toEqual({ code: 'missing_params' });
+  });
+
+  it('should report RSSI and control the sampler', async () => {
+    bleManager.getRssi.mockResolvedValueOnce({ rssi: -71, trend: { quality: 'fair' } });
+    bleManager.startRssiSampler.mockResolvedValueOnce({ rssi: -71, sampler: { intervalMs: 1000, historySize: 60 } });
+
+    const read = await sendAndWait({ type: 'mcp.ble.rssi', id: 'r1', payload: { deviceId: 'dev1' } }, 'mcp.ble.rssi.result');
+    const start = await sendAndWait({ type: 'mcp.ble.rssi.start', id: 'r2', payload: { deviceId: 'dev1', intervalMs: 1000 } }, 'mcp.ble.rssi.start.result');
+
+    expect(read.payload).toEqual({ deviceId: 'dev1', rssi: -71, trend: { quality: 'fair' } });
+    expect(bleManager.startRssiSampler).toHaveBeenCalledWith('dev1', { intervalMs: 1000 });
+    expect(start.payload.sampler).toEqual({ intervalMs: 1000, historySize: 60 });
+  });
+});
@@ -0,0 +1,44 @@
+// __tests__/openapi.test.js
+const openApi = require('../openapi');
+
+describe('openApi', () => {
+  it('should give every operation a unique ID and the responses of invalid and unauthorized requests', () => {
+    const operations = Object.entries(openApi.document.paths).flatMap(([path, item]) => Object.values(item).map(operation => [path, operation]));
+    const ids = operations.map(([, operation]) => operation.operationId);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    operations.forEach(([path, operation]) => {
+      if (operation.parameters || operation.requestBody) {
+        expect(operation.responses).toHaveProperty('400');
+      }
+      if (path.startsWith('/ble/') || path.startsWith('/admin/')) {
+        expect(operation.responses).toHaveProperty('401');
+      }
+    });
+  });
+
+  it('should match requests to operations and name the offending field', () => {
+    expect(openApi.validateRequest('GET', '/ble/devices/dev-1/services/180f/characteristics/2a19', { serviceInstance: '1', format: 'uint8' })).toBeNull();
+    expect(openApi.validateRequest('GET', '/ble/devices/dev-1/services/180f/characteristics/2a19/', { instance: '-1' }))
+      .toEqual({ error: 'Invalid request: query.instance must be >= 0', field: 'query.instance', code: 'INVALID_REQUEST' });
+    expect(openApi.validateRequest('POST', '/ble/devices/dev-1/characteristics/2A19', {}, { value: true }))
+      .toEqual({ error: 'Invalid request: body.value must be a string, a number or an array', field: 'body.value', code: 'INVALID_REQUEST' });
+    expect(openApi.validateRequest('POST', '/ble/devices/dev-1/connect', {}, { services: ['180f', 'battery'] }))
+      .toEqual({ error: 'Invalid request: body.services[1] must be a UUID', field: 'body.services[1]', code: 'INVALID_REQUEST' });
+    expect(openApi.validateRequest('POST', '/ble/devices/dev-1/connect', {}, { reconnect: 'always' }))
+      .toEqual({ error: 'Invalid request: body.reconnect must be a boolean or an object', field: 'body.reconnect', code: 'INVALID_REQUEST' });
+    expect(openApi.validateRequest('POST', '/ble/devices/dev-1/batch', {}, { steps: [{ op: 'delay' }] }))
+      .toEqual({ error: 'Invalid request: body.steps[0].ms is required', field: 'body.steps[0].ms', code: 'INVALID_REQUEST' });
+    expect(openApi.validateRequest('GET', '/ble/devices/%E0/services'))
+      .toEqual({ error: 'Invalid request: the path is not valid URI encoding', field: 'path', code: 'INVALID_REQUEST' });
+    expect(openApi.validateRequest('GET', '/ble/unknown')).toBeNull();
+  });
+
+  it('should validate requests by operation, optionally naming fields without their location', () => {
+    const request = { params: { deviceId: 'dev 1', characteristicUuid: '2a19' }, query: {}, body: {} };
+
+    expect(openApi.validateOperation('readCharacteristic', request)).toEqual({ error: 'Invalid request: path.deviceId must be a device ID', field: 'path.deviceId', code: 'INVALID_REQUEST' });
+    expect(openApi.validateOperation('readCharacteristic', request, { flat: true })).toEqual({ error: 'Invalid request: deviceId must be a device ID', field: 'deviceId', code: 'INVALID_REQUEST' });
+    expect(() => openApi.validateOperation('dance', request)).toThrow('Unknown operation: dance');
+  });
+});
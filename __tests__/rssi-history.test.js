@@ -0,0 +1,37 @@
+// __tests__/rssi-history.test.js
+const RssiHistory = require('../rssi-history');
+
+describe('RssiHistory', () => {
+  it('should keep only the most recent samples', () => {
+    const history = new RssiHistory({ size: 3 });
+    [-50, -55, -60, -65].forEach((rssi, i) => history.add(rssi, i * 1000));
+
+    expect(history.samples.map(s => s.rssi)).toEqual([-55, -60, -65]);
+    expect(history.latest()).toEqual({ rssi: -65, timestamp: new Date(3000).toISOString() });
+
+    history.resize(2);
+    expect(history.samples.map(s => s.rssi)).toEqual([-60, -65]);
+  });
+
+  it('should report a falling trend and the quality of the average', () => {
+    const history = new RssiHistory();
+    // Loses 2 dB every 30 seconds: -4 dB per minute.
+    [-62, -64, -66, -68, -70].forEach((rssi, i) => history.add(rssi, i * 30000));
+
+    expect(history.getTrend()).toEqual({ samples: 5, average: -66, min: -70, max: -62, quality: 'good', direction: 'falling', slopeDbPerMin: -4 });
+  });
+
+  it('should report a stable link, and no direction before three samples', () => {
+    const history = new RssiHistory();
+    history.add(-85, 0);
+    history.add(-86, 60000);
+    expect(history.getTrend()).toEqual(expect.objectContaining({ quality: 'poor', direction: 'unknown', slopeDbPerMin: null }));
+
+    history.add(-85, 120000);
+    expect(history.getTrend()).toEqual(expect.objectContaining({ direction: 'stable', slopeDbPerMin: 0 }));
+  });
+
+  it('should summarize an empty history', () => {
+    expect(new RssiHistory().getTrend()).toEqual({ samples: 0, average: null, min: null, max: null, quality: null, direction: 'unknown', slopeDbPerMin: null });
+  });
+});
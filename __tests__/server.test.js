@@ -1,11 +1,28 @@
 // __tests__/server.test.js
+// The suite sends more requests than the default rate limit allows per minute; set it before loading the app.
+process.env.RATE_LIMIT_MAX = '1000';
 const request = require('supertest');
+const http = require('http');
+const { WebSocket } = require('ws');
 const app = require('../server.js'); // Our Express app
 
 // Mock the ble-manager module
 // Jest will hoist this, so it's mocked before 'app' is required if 'app' itself requires ble-manager.
 jest.mock('../ble-manager.js'); 
 const bleManager = require('../ble-manager.js'); // Import the mocked version
+const { BleError } = require('../ble-errors');
+
+// The server subscribes to BLE lifecycle events when loaded (after the MCP server it requires);
+// keep its listener to feed it events.
+const emitBleEvent = bleManager.events.on.mock.calls.filter(([name]) => name === 'event').pop()[1];
+
+// Polls until a condition holds (for streamed responses and socket messages).
+const waitFor = async (condition) => {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  expect(condition()).toBe(true);
+};
 
 describe('BLE API Endpoints', () => {
   // Clear all mocks before each test to ensure test isolation
@@ -39,7 +56,8 @@ describe('BLE API Endpoints', () => {
 
       expect(response.status).toBe(500);
       expect(response.body).toEqual({
-        error: 'Failed to get discovered devices'
+        error: 'Failed to get discovered devices',
+        code: 'INTERNAL_ERROR'
       });
       expect(consoleErrorSpy).toHaveBeenCalled(); // Verify console.error was called
 
@@ -47,6 +65,282 @@ describe('BLE API Endpoints', () => {
     });
   });
 
+  describe('Adapter state', () => {
+    it('should report ok health while the adapter is powered on', async () => {
+      bleManager.getAdapterInfo.mockReturnValue({ state: 'poweredOn', available: true });
+
+      const response = await request(app).get('/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ status: 'ok', adapter: 'poweredOn' });
+    });
+
+    it('should report degraded health while the adapter is powered off', async () => {
+      bleManager.getAdapterInfo.mockReturnValue({ state: 'poweredOff', available: false });
+
+      const response = await request(app).get('/health');
+
+      expect(response.status).toBe(503);
+      expect(response.body).toEqual({ status: 'degraded', adapter: 'poweredOff' });
+    });
+
+    it('should return the adapter details', async () => {
+      const mockAdapter = { state: 'poweredOn', available: true, scanning: true, address: '00:11:22:33:44:55', connectedDevices: 2, lastStateChange: 'now' };
+      bleManager.getAdapterInfo.mockReturnValue(mockAdapter);
+
+      const response = await request(app).get('/ble/adapter');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockAdapter);
+    });
+  });
+
+  describe('GET /ble/events', () => {
+    it('should return lifecycle events after a given event ID and filtered by type', async () => {
+      emitBleEvent({ type: 'deviceAppeared', deviceId: 'dev-a', timestamp: 't1' });
+      emitBleEvent({ type: 'deviceLost', deviceId: 'dev-a', timestamp: 't2' });
+
+      const all = await request(app).get('/ble/events');
+      expect(all.status).toBe(200);
+      const first = all.body.events.find(event => event.deviceId === 'dev-a');
+
+      const response = await request(app).get(`/ble/events?since=${first.id}&type=deviceLost`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.events).toEqual([{ id: first.id + 1, type: 'deviceLost', deviceId: 'dev-a', timestamp: 't2' }]);
+      expect(response.body.lastEventId).toBe(first.id + 1);
+    });
+  });
+
+  describe('Scan control', () => {
+    const mockStatus = { scanning: true, serviceUuids: ['180d'], allowDuplicates: true, duration: 10000, startedAt: 'now', stopsAt: 'later' };
+
+    it('should return the scan status', async () => {
+      bleManager.getScanStatus.mockReturnValue(mockStatus);
+
+      const response = await request(app).get('/ble/scan');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(mockStatus);
+    });
+
+    it('should start a scan with filters, duplicates and duration', async () => {
+      bleManager.startScan.mockResolvedValue(mockStatus);
+
+      const response = await request(app)
+        .post('/ble/scan/start')
+        .send({ serviceUuids: ['180d'], allowDuplicates: true, duration: 10000 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ message: 'Scan started', scan: mockStatus });
+      expect(bleManager.startScan).toHaveBeenCalledWith({ serviceUuids: ['180d'], allowDuplicates: true, duration: 10000 });
+    });
+
+    it('should start an unfiltered scan without a body', async () => {
+      bleManager.startScan.mockResolvedValue({ ...mockStatus, serviceUuids: [] });
+
+      const response = await request(app).post('/ble/scan/start');
+
+      expect(response.status).toBe(200);
+      expect(bleManager.startScan).toHaveBeenCalledWith({ serviceUuids: undefined, allowDuplicates: undefined, duration: undefined });
+    });
+
+    it('should return 400 for invalid scan options', async () => {
+      const response = await request(app)
+        .post('/ble/scan/start')
+        .send({ serviceUuids: ['not-a-uuid'], duration: -5 });
+
+      expect(response.status).toBe(400);
+      expect(bleManager.startScan).not.toHaveBeenCalled();
+    });
+
+    it('should stop a scan', async () => {
+      bleManager.stopScan.mockResolvedValue({ ...mockStatus, scanning: false });
+
+      const response = await request(app).post('/ble/scan/stop');
+
+      expect(response.status).toBe(200);
+      expect(response.body.scan.scanning).toBe(false);
+    });
+  });
+
+  describe('Device policy', () => {
+    const policy = { allow: [{ name: '^Sensor-' }], deny: [{ address: 'aa:bb:cc:dd:ee:ff' }] };
+
+    it('should return the device policy', async () => {
+      bleManager.getDevicePolicy.mockReturnValue(policy);
+
+      const response = await request(app).get('/admin/policy');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(policy);
+    });
+
+    it('should replace the device policy', async () => {
+      bleManager.setDevicePolicy.mockReturnValue(policy);
+
+      const response = await request(app).put('/admin/policy').send(policy);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ message: 'Device policy updated', policy });
+      expect(bleManager.setDevicePolicy).toHaveBeenCalledWith(policy);
+    });
+
+    it('should return 400 naming the invalid rule', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.setDevicePolicy.mockImplementation(() => {
+        throw new BleError('INVALID_REQUEST', 'Invalid device policy: allow[0].name is not a valid regular expression');
+      });
+
+      const response = await request(app).put('/admin/policy').send({ allow: [{ name: '(' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid device policy: allow[0].name is not a valid regular expression', code: 'INVALID_REQUEST' });
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should return 403 when connecting to a device the policy rejects', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.connectDevice.mockRejectedValue(new BleError('DEVICE_NOT_PERMITTED', 'Peripheral not permitted by the device policy'));
+
+      const response = await request(app).post('/ble/devices/test-device-id/connect');
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'The device is not permitted by the gateway device policy.', code: 'DEVICE_NOT_PERMITTED' });
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('Write protection', () => {
+    const settings = { readOnly: false, defaultAction: 'deny', rules: [{ action: 'allow', characteristicUuid: '2a06', values: ['0[0-2]'] }] };
+
+    it('should return and change the write protection settings', async () => {
+      bleManager.getWriteProtection.mockReturnValue(settings);
+      bleManager.setWriteProtection.mockReturnValue({ ...settings, readOnly: true });
+
+      const current = await request(app).get('/admin/write-protection');
+      const updated = await request(app).put('/admin/write-protection').send({ readOnly: true });
+
+      expect(current.body).toEqual(settings);
+      expect(updated.status).toBe(200);
+      expect(updated.body).toEqual({ message: 'Write protection updated', writeProtection: { ...settings, readOnly: true } });
+      expect(bleManager.setWriteProtection).toHaveBeenCalledWith({ readOnly: true });
+    });
+
+    it('should return 400 naming the invalid rule', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.setWriteProtection.mockImplementation(() => {
+        throw new BleError('INVALID_REQUEST', 'Invalid write rules: rules[0] has unknown field color');
+      });
+
+      const unknownField = await request(app).put('/admin/write-protection').send({ rules: [{ action: 'allow', color: 'red' }] });
+      const badAction = await request(app).put('/admin/write-protection').send({ rules: [{ action: 'block' }] });
+
+      expect(unknownField.status).toBe(400);
+      expect(unknownField.body).toEqual({ error: 'Invalid write rules: rules[0] has unknown field color', code: 'INVALID_REQUEST' });
+      expect(badAction.status).toBe(400);
+      expect(badAction.body).toEqual({ error: 'Invalid request: body.rules[0].action must be one of allow, deny', field: 'body.rules[0].action', code: 'INVALID_REQUEST' });
+      expect(bleManager.setWriteProtection).toHaveBeenCalledTimes(1);
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should return 403 with the reason when a write is refused', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.writeCharacteristic.mockRejectedValueOnce(new BleError('WRITE_REFUSED', 'Write refused: the value does not match the values allowed by write rule 0'));
+      bleManager.writeCharacteristic.mockRejectedValueOnce(new BleError('WRITE_REFUSED', 'Write refused: denied by write rule 1'));
+      bleManager.writeCharacteristic.mockRejectedValueOnce(new BleError('READ_ONLY', 'Write refused: the gateway is read-only'));
+
+      const path = '/ble/devices/test-device-id/characteristics/2a06';
+      const badValue = await request(app).post(path).send({ value: '03' });
+      const denied = await request(app).post(path).send({ value: '01' });
+      const readOnly = await request(app).post(path).send({ value: '01' });
+
+      expect([badValue.status, denied.status, readOnly.status]).toEqual([403, 403, 403]);
+      expect(badValue.body).toEqual({ error: 'The write is not allowed by the gateway write rules.', code: 'WRITE_REFUSED' });
+      expect(denied.body).toEqual({ error: 'The write is not allowed by the gateway write rules.', code: 'WRITE_REFUSED' });
+      expect(readOnly.body).toEqual({ error: 'The gateway is read-only: writes, subscriptions and connections are disabled.', code: 'READ_ONLY' });
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should return 403 for subscriptions and connections in read-only mode', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.subscribeToCharacteristic.mockRejectedValueOnce(new BleError('READ_ONLY', 'Subscription refused: the gateway is read-only'));
+      bleManager.connectDevice.mockRejectedValueOnce(new BleError('READ_ONLY', 'Connection refused: the gateway is read-only'));
+
+      const subscribe = await request(app).post('/ble/devices/test-device-id/characteristics/2a19/subscribe');
+      const connect = await request(app).post('/ble/devices/test-device-id/connect');
+
+      expect(subscribe.status).toBe(403);
+      expect(connect.status).toBe(403);
+      expect(connect.body).toEqual({ error: 'The gateway is read-only: writes, subscriptions and connections are disabled.', code: 'READ_ONLY' });
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('Record and replay', () => {
+    it('should start and stop recordings and list them', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.startRecording.mockResolvedValueOnce({ deviceId: 'test-device-id', events: 1, truncated: false });
+      bleManager.startRecording.mockRejectedValueOnce(new BleError('ALREADY_RECORDING', 'Already recording this device'));
+      bleManager.stopRecording.mockResolvedValueOnce({ deviceId: 'test-device-id', events: 3, truncated: false, file: 'test-device-id-1.json', session: {} });
+      bleManager.stopRecording.mockRejectedValueOnce(new BleError('NOT_RECORDING', 'Not recording this device'));
+      bleManager.getRecordings.mockReturnValue([]);
+
+      const start = await request(app).post('/ble/devices/test-device-id/recording/start');
+      const again = await request(app).post('/ble/devices/test-device-id/recording/start');
+      const stop = await request(app).post('/ble/devices/test-device-id/recording/stop');
+      const notRecording = await request(app).post('/ble/devices/test-device-id/recording/stop');
+      const list = await request(app).get('/ble/recordings');
+
+      expect(start.status).toBe(200);
+      expect(again.status).toBe(409);
+      expect(again.body).toEqual({ error: 'This device is already being recorded.', code: 'ALREADY_RECORDING' });
+      expect(stop.body).toEqual(expect.objectContaining({ events: 3, file: 'test-device-id-1.json' }));
+      expect(notRecording.status).toBe(404);
+      expect(list.body).toEqual({ recordings: [] });
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should start a replay from a session or a file and map its errors', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const session = { version: 1, device: { id: 'p1' }, events: [] };
+      bleManager.startReplay.mockResolvedValueOnce({ deviceId: 'bench-1', recordedDeviceId: 'p1', services: 1, notifications: 0 });
+      bleManager.startReplay.mockRejectedValueOnce(new BleError('INVALID_REQUEST', 'Invalid session: no GATT tree was recorded; record the device while connecting to it'));
+      bleManager.startReplay.mockRejectedValueOnce(new BleError('SESSION_NOT_FOUND', 'Session file not found'));
+      bleManager.startReplay.mockRejectedValueOnce(new BleError('ID_IN_USE', 'Device ID already in use: bench-1'));
+
+      const created = await request(app).post('/ble/replay').send({ session, id: 'bench-1' });
+      const invalid = await request(app).post('/ble/replay').send({ session });
+      const missing = await request(app).post('/ble/replay').send({ file: 'missing.json' });
+      const taken = await request(app).post('/ble/replay').send({ session, id: 'bench-1' });
+      const neither = await request(app).post('/ble/replay').send({});
+
+      expect(created.status).toBe(201);
+      expect(bleManager.startReplay).toHaveBeenCalledWith({ session }, { id: 'bench-1' });
+      expect(bleManager.startReplay).toHaveBeenCalledWith({ file: 'missing.json' }, {});
+      expect([invalid.status, missing.status, taken.status, neither.status]).toEqual([400, 404, 409, 400]);
+      expect(invalid.body).toEqual({ error: 'The session is not a valid recorded session.', code: 'INVALID_REQUEST' });
+      expect(bleManager.startReplay).toHaveBeenCalledTimes(4);
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should list and stop replay devices', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.getReplayDevices.mockReturnValue([{ deviceId: 'bench-1', recordedDeviceId: 'p1', connected: false }]);
+      bleManager.stopReplay.mockResolvedValueOnce({ id: 'bench-1', message: 'Replay stopped' });
+      bleManager.stopReplay.mockRejectedValueOnce(new BleError('DEVICE_NOT_FOUND', 'Replay device not found'));
+
+      const list = await request(app).get('/ble/replay');
+      const stop = await request(app).post('/ble/replay/bench-1/stop');
+      const missing = await request(app).post('/ble/replay/bench-1/stop');
+
+      expect(list.body.devices).toHaveLength(1);
+      expect(stop.body).toEqual({ message: 'Replay stopped', device: { id: 'bench-1', message: 'Replay stopped' } });
+      expect(missing.status).toBe(404);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
   describe('POST /ble/devices/:deviceId/connect', () => {
     const deviceId = 'test-device-id';
 
@@ -58,18 +352,55 @@ describe('BLE API Endpoints', () => {
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual({ message: 'Connection successful', device: mockConnectionResult });
-      expect(bleManager.connectDevice).toHaveBeenCalledWith(deviceId);
+      expect(bleManager.connectDevice).toHaveBeenCalledWith(deviceId, {});
+    });
+
+    it('should pass a reconnect policy to the BLE manager', async () => {
+      bleManager.connectDevice.mockResolvedValue({ id: deviceId, name: 'Test Device', state: 'connected' });
+      const reconnect = { maxAttempts: 3, baseDelayMs: 500 };
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/connect`).send({ reconnect });
+
+      expect(response.status).toBe(200);
+      expect(bleManager.connectDevice).toHaveBeenCalledWith(deviceId, { reconnect });
+    });
+
+    it('should pass discovery options to the BLE manager', async () => {
+      bleManager.connectDevice.mockResolvedValue({ id: deviceId, name: 'Test Device', state: 'connected', discovery: 'partial' });
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/connect`).send({ services: ['180f'], forceRediscover: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.device.discovery).toBe('partial');
+      expect(bleManager.connectDevice).toHaveBeenCalledWith(deviceId, { services: ['180f'], forceRediscover: true });
+    });
+
+    it('should return 400 for invalid discovery options', async () => {
+      const badServices = await request(app).post(`/ble/devices/${deviceId}/connect`).send({ services: ['battery'] });
+      const badFlag = await request(app).post(`/ble/devices/${deviceId}/connect`).send({ forceRediscover: 'yes' });
+
+      expect(badServices.status).toBe(400);
+      expect(badFlag.status).toBe(400);
+      expect(bleManager.connectDevice).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an invalid reconnect policy', async () => {
+      const response = await request(app).post(`/ble/devices/${deviceId}/connect`).send({ reconnect: 'always' });
+
+      expect(response.status).toBe(400);
+      expect(bleManager.connectDevice).not.toHaveBeenCalled();
     });
 
     it('should return 404 if device to connect is not found', async () => {
       const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-      bleManager.connectDevice.mockRejectedValue(new Error('Peripheral not found'));
+      bleManager.connectDevice.mockRejectedValue(new BleError('DEVICE_NOT_FOUND', 'Peripheral not found'));
 
       const response = await request(app).post(`/ble/devices/${deviceId}/connect`);
 
       expect(response.status).toBe(404);
       expect(response.body).toEqual({
-        error: 'Device or resource not found.'
+        error: 'Device not found.',
+        code: 'DEVICE_NOT_FOUND'
       });
       expect(consoleErrorSpy).toHaveBeenCalled();
       consoleErrorSpy.mockRestore();
@@ -77,18 +408,45 @@ describe('BLE API Endpoints', () => {
 
     it('should return 400 if device is already connected', async () => {
       const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-      bleManager.connectDevice.mockRejectedValue(new Error('Peripheral already connected'));
+      bleManager.connectDevice.mockRejectedValue(new BleError('ALREADY_CONNECTED', 'Peripheral already connected'));
 
       const response = await request(app).post(`/ble/devices/${deviceId}/connect`);
 
       expect(response.status).toBe(400);
       expect(response.body).toEqual({
-        error: 'Device is already connected.'
+        error: 'Device is already connected.',
+        code: 'ALREADY_CONNECTED'
       });
       expect(consoleErrorSpy).toHaveBeenCalled();
       consoleErrorSpy.mockRestore();
     });
     
+    it('should return 503 if the adapter is unavailable', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.connectDevice.mockRejectedValue(new BleError('ADAPTER_OFF', 'Adapter unavailable (state: poweredOff)'));
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/connect`);
+
+      expect(response.status).toBe(503);
+      expect(response.body).toEqual({
+        error: 'Bluetooth adapter is unavailable.',
+        code: 'ADAPTER_OFF'
+      });
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should return 504 if the connection times out', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.connectDevice.mockRejectedValue(new BleError('TIMEOUT', 'Connection timed out'));
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/connect`).send({ timeoutMs: 5000 });
+
+      expect(response.status).toBe(504);
+      expect(response.body).toEqual({ error: 'The operation timed out.', code: 'TIMEOUT' });
+      expect(bleManager.connectDevice).toHaveBeenCalledWith(deviceId, { timeoutMs: 5000 });
+      consoleErrorSpy.mockRestore();
+    });
+
     it('should return 500 for other connection errors', async () => {
       const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
       bleManager.connectDevice.mockRejectedValue(new Error('Some other connection error'));
@@ -97,11 +455,200 @@ describe('BLE API Endpoints', () => {
 
       expect(response.status).toBe(500);
       expect(response.body).toEqual({
-        error: 'An error occurred. Please try again later.'
+        error: 'An error occurred. Please try again later.',
+        code: 'INTERNAL_ERROR'
       });
       expect(consoleErrorSpy).toHaveBeenCalled();
       consoleErrorSpy.mockRestore();
     });
+
+    it('should take the status from the error code, not the message', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.connectDevice.mockRejectedValueOnce(new BleError('DISCONNECTED', 'Peripheral disconnected during connection process'));
+      bleManager.connectDevice.mockRejectedValueOnce(new Error('Peripheral not found'));
+
+      const disconnected = await request(app).post(`/ble/devices/${deviceId}/connect`);
+      const uncoded = await request(app).post(`/ble/devices/${deviceId}/connect`);
+
+      expect(disconnected.status).toBe(502);
+      expect(disconnected.body).toEqual({ error: 'Device has been disconnected.', code: 'DISCONNECTED' });
+      expect(uncoded.status).toBe(500);
+      expect(uncoded.body.code).toBe('INTERNAL_ERROR');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('GATT profile snapshots', () => {
+    const deviceId = 'test-device-id';
+    const profile = { version: 1, exportedAt: '2026-01-01T00:00:00.000Z', device: { id: deviceId }, services: [] };
+
+    it('should export the profile of a device', async () => {
+      bleManager.getProfile.mockResolvedValue(profile);
+
+      const plain = await request(app).get(`/ble/devices/${deviceId}/profile`);
+      const withValues = await request(app).get(`/ble/devices/${deviceId}/profile?includeValues=true`);
+
+      expect(plain.status).toBe(200);
+      expect(plain.body).toEqual(profile);
+      expect(bleManager.getProfile).toHaveBeenNthCalledWith(1, deviceId, {});
+      expect(withValues.status).toBe(200);
+      expect(bleManager.getProfile).toHaveBeenNthCalledWith(2, deviceId, { includeValues: true });
+    });
+
+    it('should return 400 for an invalid includeValues flag', async () => {
+      const response = await request(app).get(`/ble/devices/${deviceId}/profile?includeValues=yes`);
+
+      expect(response.status).toBe(400);
+      expect(bleManager.getProfile).not.toHaveBeenCalled();
+    });
+
+    it('should diff the device against an imported snapshot', async () => {
+      const diff = { deviceId, matches: false, snapshot: { exportedAt: profile.exportedAt, device: profile.device }, differences: [{ path: '180f:0', change: 'removed', expected: 'Battery' }] };
+      bleManager.diffProfile.mockResolvedValue(diff);
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/profile?compareValues=false`).send(profile);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(diff);
+      expect(bleManager.diffProfile).toHaveBeenCalledWith(deviceId, profile, { compareValues: false });
+    });
+
+    it('should return 400 for an invalid snapshot', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.diffProfile.mockRejectedValue(new BleError('INVALID_REQUEST', 'Invalid profile: unsupported version 2 (expected 1)'));
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/profile`).send({ version: 2, services: [] });
+      const incomplete = await request(app).post(`/ble/devices/${deviceId}/profile`).send({ version: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'The profile is not a valid GATT profile snapshot.', code: 'INVALID_REQUEST' });
+      expect(incomplete.status).toBe(400);
+      expect(incomplete.body).toEqual({ error: 'Invalid request: body.services is required', field: 'body.services', code: 'INVALID_REQUEST' });
+      expect(bleManager.diffProfile).toHaveBeenCalledTimes(1);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('POST /ble/devices/:deviceId/batch', () => {
+    const deviceId = 'test-device-id';
+    const steps = [
+      { op: 'write', characteristicUuid: 'ff01', value: '01' },
+      { op: 'waitForNotification', characteristicUuid: 'ff02' }
+    ];
+
+    it('should run the batch and return a safe error per failed step', async () => {
+      bleManager.runBatch.mockResolvedValue({ deviceId, ok: false, completed: 1, failed: 1, skipped: 0, results: [
+        { index: 0, op: 'write', status: 'ok' },
+        { index: 1, op: 'waitForNotification', status: 'error', error: 'Timed out waiting for a notification', code: 'TIMEOUT' }
+      ] });
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/batch`).send({ steps, onError: 'continue' });
+
+      expect(response.status).toBe(200);
+      expect(bleManager.runBatch).toHaveBeenCalledWith(deviceId, steps, { onError: 'continue' });
+      expect(response.body).toEqual(expect.objectContaining({ ok: false, completed: 1, failed: 1 }));
+      expect(response.body.results[1].error).toBe('The operation timed out.');
+    });
+
+    it('should return 400 naming the offending step, and 404 for a device that is not connected', async () => {
+      bleManager.runBatch.mockRejectedValueOnce(new BleError('INVALID_REQUEST', 'Invalid batch: steps[1].op must be one of read, write'));
+      bleManager.runBatch.mockRejectedValueOnce(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+
+      const invalid = await request(app).post(`/ble/devices/${deviceId}/batch`).send({ steps });
+      const notConnected = await request(app).post(`/ble/devices/${deviceId}/batch`).send({ steps });
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toEqual({ error: 'Invalid batch: steps[1].op must be one of read, write', code: 'INVALID_REQUEST' });
+      expect(bleManager.runBatch).toHaveBeenNthCalledWith(1, deviceId, steps, {});
+      expect(notConnected.status).toBe(404);
+    });
+  });
+
+  describe('OpenAPI document', () => {
+    it('should serve a document describing every route', async () => {
+      const response = await request(app).get('/openapi.json');
+      const routes = app.router.stack.filter(layer => layer.route).flatMap(layer =>
+        Object.keys(layer.route.methods).map(method => [layer.route.path.replace(/:(\w+)/g, '{$1}'), method]));
+
+      expect(response.status).toBe(200);
+      expect(response.body.openapi).toBe('3.1.0');
+      expect(routes.length).toBeGreaterThan(40);
+      routes.forEach(([path, method]) => {
+        expect(response.body.paths[path]).toHaveProperty(method);
+      });
+    });
+
+    it('should refuse requests that do not fit it with a 400 naming the field', async () => {
+      const badDevice = await request(app).post('/ble/devices/bad%20id/connect');
+      const badInstance = await request(app).get('/ble/devices/dev1/characteristics/2a19?instance=first');
+      const badStep = await request(app).post('/ble/devices/dev1/batch').send({ steps: [{ op: 'read', characteristicUuid: '2a19' }, { op: 'dance' }] });
+      const missingValue = await request(app).post('/ble/devices/dev1/services/180f/characteristics/2a19').send({ format: 'uint8' });
+      const badEncoding = await request(app).get('/ble/devices/%E0/services');
+
+      expect(badDevice.status).toBe(400);
+      expect(badDevice.body).toEqual({ error: 'Invalid request: path.deviceId must be a device ID', field: 'path.deviceId', code: 'INVALID_REQUEST' });
+      expect(badInstance.body).toEqual({ error: 'Invalid request: query.instance must be an integer', field: 'query.instance', code: 'INVALID_REQUEST' });
+      expect(badStep.body.field).toBe('body.steps[1].op');
+      expect(badStep.body.error).toMatch('Invalid request: body.steps[1].op must be one of read, write');
+      expect(missingValue.body).toEqual({ error: 'Invalid request: body.value is required', field: 'body.value', code: 'INVALID_REQUEST' });
+      expect(badEncoding.status).toBe(400);
+      expect(badEncoding.body).toEqual({ error: 'Invalid request: the path is not valid URI encoding', field: 'path', code: 'INVALID_REQUEST' });
+      expect(bleManager.connectDevice).not.toHaveBeenCalled();
+      expect(bleManager.readCharacteristic).not.toHaveBeenCalled();
+      expect(bleManager.runBatch).not.toHaveBeenCalled();
+      expect(bleManager.writeCharacteristic).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /ble/devices/:deviceId/rediscover', () => {
+    const deviceId = 'test-device-id';
+
+    it('should rediscover the services of a device', async () => {
+      const result = { id: deviceId, discovery: 'full', services: [{ uuid: '180f', name: 'Battery', type: 'sig' }] };
+      bleManager.rediscoverDevice.mockResolvedValue(result);
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/rediscover`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ message: 'Rediscovery successful', device: result });
+      expect(bleManager.rediscoverDevice).toHaveBeenCalledWith(deviceId);
+    });
+
+    it('should return 404 if the device is not connected', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.rediscoverDevice.mockRejectedValue(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/rediscover`);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'Device is not connected.', code: 'NOT_CONNECTED' });
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('POST /ble/devices/:deviceId/connect/cancel', () => {
+    const deviceId = 'test-device-id';
+
+    it('should cancel a pending connection', async () => {
+      bleManager.cancelConnect.mockResolvedValue({ id: deviceId, message: 'Connection cancelled' });
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/connect/cancel`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ message: 'Connection attempt cancelled', device: { id: deviceId, message: 'Connection cancelled' } });
+      expect(bleManager.cancelConnect).toHaveBeenCalledWith(deviceId);
+    });
+
+    it('should return 404 if no connection is pending', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.cancelConnect.mockRejectedValue(new BleError('NO_PENDING_CONNECTION', 'No pending connection for this peripheral'));
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/connect/cancel`);
+
+      expect(response.status).toBe(404);
+      expect(response.body).toEqual({ error: 'No connection attempt is pending for this device.', code: 'NO_PENDING_CONNECTION' });
+      consoleErrorSpy.mockRestore();
+    });
   });
 
   describe('POST /ble/devices/:deviceId/disconnect', () => {
@@ -120,13 +667,14 @@ describe('BLE API Endpoints', () => {
 
     it('should return 404 if device to disconnect is not found or not connected', async () => {
       const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-      bleManager.disconnectDevice.mockRejectedValue(new Error('Peripheral not connected'));
+      bleManager.disconnectDevice.mockRejectedValue(new BleError('NOT_CONNECTED', 'Peripheral not connected or not found'));
 
       const response = await request(app).post(`/ble/devices/${deviceId}/disconnect`);
 
       expect(response.status).toBe(404);
       expect(response.body).toEqual({
-        error: 'Device is not connected.'
+        error: 'Device is not connected.',
+        code: 'NOT_CONNECTED'
       });
       expect(consoleErrorSpy).toHaveBeenCalled();
       consoleErrorSpy.mockRestore();
@@ -140,13 +688,557 @@ describe('BLE API Endpoints', () => {
       
       expect(response.status).toBe(500);
       expect(response.body).toEqual({
-        error: 'An error occurred. Please try again later.'
+        error: 'An error occurred. Please try again later.',
+        code: 'INTERNAL_ERROR'
       });
       expect(consoleErrorSpy).toHaveBeenCalled();
       consoleErrorSpy.mockRestore();
     });
   });
 
+  describe('GET /ble/devices/:deviceId/queue', () => {
+    const deviceId = 'test-device-id';
+
+    it('should return the GATT queue metrics of a device', async () => {
+      const mockStats = { depth: 2, inFlight: 1, activeOperation: 'read 2a19', processed: 10, failed: 1, timedOut: 0, maxDepth: 4 };
+      bleManager.getQueueStats.mockResolvedValue(mockStats);
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/queue`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ deviceId, ...mockStats });
+    });
+
+    it('should return 404 if the device is not connected', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.getQueueStats.mockRejectedValue(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/queue`);
+
+      expect(response.status).toBe(404);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('RSSI monitoring', () => {
+    const deviceId = 'test-device-id';
+    const report = { rssi: -64, timestamp: 't1', sampler: null, history: [{ rssi: -64, timestamp: 't1' }], trend: { samples: 1, quality: 'good', direction: 'unknown' } };
+
+    it('should return the current RSSI with history and trend', async () => {
+      bleManager.getRssi.mockResolvedValue(report);
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/rssi`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ deviceId, ...report });
+    });
+
+    it('should start and stop the RSSI sampler', async () => {
+      bleManager.startRssiSampler.mockResolvedValue({ ...report, sampler: { intervalMs: 2000, historySize: 30 } });
+      bleManager.stopRssiSampler.mockResolvedValue(report);
+
+      const started = await request(app).post(`/ble/devices/${deviceId}/rssi/start`).send({ intervalMs: 2000, historySize: 30 });
+      const stopped = await request(app).post(`/ble/devices/${deviceId}/rssi/stop`);
+
+      expect(started.status).toBe(200);
+      expect(bleManager.startRssiSampler).toHaveBeenCalledWith(deviceId, { intervalMs: 2000, historySize: 30 });
+      expect(started.body.sampler).toEqual({ intervalMs: 2000, historySize: 30 });
+      expect(stopped.status).toBe(200);
+    });
+
+    it('should map sampler errors to status codes', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.startRssiSampler.mockRejectedValue(new BleError('INVALID_REQUEST', 'Invalid RSSI interval: must be at least 250 ms'));
+      bleManager.stopRssiSampler.mockRejectedValue(new BleError('NO_RSSI_SAMPLER', 'No RSSI sampler running for this peripheral'));
+
+      const invalid = await request(app).post(`/ble/devices/${deviceId}/rssi/start`).send({ intervalMs: 10 });
+      const notRunning = await request(app).post(`/ble/devices/${deviceId}/rssi/stop`);
+      const notInteger = await request(app).post(`/ble/devices/${deviceId}/rssi/start`).send({ intervalMs: 'fast' });
+
+      expect(invalid.status).toBe(400);
+      expect(invalid.body).toEqual({ error: 'Invalid request: body.intervalMs must be >= 250', field: 'body.intervalMs', code: 'INVALID_REQUEST' });
+      expect(notRunning.status).toBe(404);
+      expect(notInteger.status).toBe(400);
+      expect(notInteger.body.field).toBe('body.intervalMs');
+      expect(bleManager.startRssiSampler).not.toHaveBeenCalled();
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('MTU and chunked writes', () => {
+    const deviceId = 'test-device-id';
+
+    it('should return the MTU of a connected device', async () => {
+      bleManager.getMtu.mockResolvedValue({ mtu: 247, negotiated: true, maxWritePayload: 244 });
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/mtu`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ deviceId, mtu: 247, negotiated: true, maxWritePayload: 244 });
+    });
+
+    it('should pass chunked writes and their options to the chunked writer', async () => {
+      const result = { message: 'Chunked write successful', characteristicUuid: 'fff1', bytesWritten: 300, chunks: 2, chunkSize: 244, withoutResponse: true };
+      bleManager.writeCharacteristicChunked.mockResolvedValue(result);
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/characteristics/fff1`)
+        .send({ value: 'ab'.repeat(300), chunked: true, delayMs: 5 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual(result);
+      expect(bleManager.writeCharacteristicChunked).toHaveBeenCalledWith(deviceId, 'fff1', 'ab'.repeat(300), { delayMs: 5 });
+      expect(bleManager.writeCharacteristic).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid chunking options', async () => {
+      const base = `/ble/devices/${deviceId}/characteristics/fff1`;
+
+      expect((await request(app).post(base).send({ value: '01', chunkSize: 20 })).status).toBe(400);
+      expect((await request(app).post(base).send({ value: '01', chunked: true, chunkSize: 0 })).status).toBe(400);
+      expect((await request(app).post(base).send({ value: '', chunked: true })).status).toBe(400);
+      expect(bleManager.writeCharacteristicChunked).not.toHaveBeenCalled();
+    });
+
+    it('should return 409 while a chunked write to the characteristic is in progress', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.writeCharacteristicChunked.mockRejectedValue(new BleError('WRITE_IN_PROGRESS', 'Chunked write already in progress for this characteristic'));
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/characteristics/fff1`).send({ value: '0102', chunked: true });
+
+      expect(response.status).toBe(409);
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should pass on the reason when the chunk size exceeds the write payload', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.writeCharacteristicChunked.mockRejectedValue(new BleError('INVALID_REQUEST', 'Invalid chunk size: must be between 1 and 20 bytes'));
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/characteristics/fff1`).send({ value: '0102', chunked: true, chunkSize: 21 });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid chunk size: must be between 1 and 20 bytes', code: 'INVALID_REQUEST' });
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
+  describe('Service-scoped characteristic routes', () => {
+    const deviceId = 'test-device-id';
+
+    it('should read a characteristic within a service instance', async () => {
+      bleManager.readCharacteristic.mockResolvedValue('20');
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/services/180f/characteristics/2a19?serviceInstance=1`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ characteristicUuid: '2a19', instance: 0, serviceUuid: '180f', serviceInstance: 1, value: '20' });
+      expect(bleManager.readCharacteristic).toHaveBeenCalledWith(deviceId, { characteristicUuid: '2a19', instance: 0, serviceUuid: '180f', serviceInstance: 1 });
+    });
+
+    it('should keep passing the bare UUID on flat routes', async () => {
+      bleManager.readCharacteristic.mockResolvedValue('50');
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/characteristics/2a19`);
+
+      expect(response.body).toEqual({ characteristicUuid: '2a19', value: '50' });
+      expect(bleManager.readCharacteristic).toHaveBeenCalledWith(deviceId, '2a19');
+    });
+
+    it('should write to a characteristic instance', async () => {
+      bleManager.writeCharacteristic.mockResolvedValue({ message: 'Write successful' });
+
+      const response = await request(app)
+        .post(`/ble/devices/${deviceId}/services/180f/characteristics/2a19?instance=1`)
+        .send({ value: '01' });
+
+      expect(response.status).toBe(200);
+      expect(bleManager.writeCharacteristic).toHaveBeenCalledWith(deviceId, { characteristicUuid: '2a19', instance: 1, serviceUuid: '180f', serviceInstance: 0 }, '01', false);
+    });
+
+    it('should reject malformed instance indexes', async () => {
+      const badInstance = await request(app).get(`/ble/devices/${deviceId}/services/180f/characteristics/2a19?instance=x`);
+      const flatServiceInstance = await request(app).get(`/ble/devices/${deviceId}/characteristics/2a19?serviceInstance=1`);
+
+      expect(badInstance.status).toBe(400);
+      expect(flatServiceInstance.status).toBe(400);
+      expect(bleManager.readCharacteristic).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the service instance does not exist', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.readCharacteristic.mockRejectedValue(new BleError('SERVICE_NOT_FOUND', 'Service not found'));
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/services/180f/characteristics/2a19?serviceInstance=3`);
+
+      expect(response.status).toBe(404);
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should buffer notifications per service-scoped subscription', async () => {
+      let deliver;
+      bleManager.subscribeToCharacteristic.mockImplementation((id, target, callback) => {
+        deliver = callback;
+        return Promise.resolve({ message: 'Subscription successful', serviceUuid: '180f', serviceInstance: 1, characteristicUuid: '2a19', instance: 0 });
+      });
+      bleManager.unsubscribeFromCharacteristic.mockResolvedValue({ message: 'Unsubscription successful' });
+      const base = `/ble/devices/${deviceId}/services/180f/characteristics/2a19`;
+
+      const subscribed = await request(app).post(`${base}/subscribe?serviceInstance=1`);
+      deliver({ serviceUuid: '180f', serviceInstance: 1, characteristicUuid: '2a19', instance: 0, value: '1f' });
+      const notifications = await request(app).get(`${base}/notifications?serviceInstance=1`);
+      const otherInstance = await request(app).get(`${base}/notifications`);
+      await request(app).post(`${base}/unsubscribe?serviceInstance=1`);
+
+      expect(subscribed.body.subscriptionKey).toBe(`${deviceId}-180f:1-2a19:0`);
+      expect(notifications.body.notifications).toEqual([expect.objectContaining({ value: '1f' })]);
+      expect(notifications.body.serviceInstance).toBe(1);
+      expect(otherInstance.status).toBe(404);
+      expect(bleManager.unsubscribeFromCharacteristic).toHaveBeenCalledWith(deviceId, { characteristicUuid: '2a19', instance: 0, serviceUuid: '180f', serviceInstance: 1 }, deliver);
+    });
+  });
+
+  describe('Value formats', () => {
+    const deviceId = 'test-device-id';
+
+    it('should decode a read into the requested format', async () => {
+      bleManager.readCharacteristic.mockResolvedValue('3412');
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/characteristics/2a19?format=uint16`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ characteristicUuid: '2a19', value: 0x1234, format: 'uint16' });
+    });
+
+    it('should return 422 when the value does not fit the format', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.readCharacteristic.mockResolvedValue('01');
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/characteristics/2a19?format=uint32`);
+
+      expect(response.status).toBe(422);
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should reject unknown formats', async () => {
+      const response = await request(app).get(`/ble/devices/${deviceId}/characteristics/2a19?encoding=int64`);
+
+      expect(response.status).toBe(400);
+      expect(bleManager.readCharacteristic).not.toHaveBeenCalled();
+    });
+
+    it('should encode written values from the requested format', async () => {
+      bleManager.writeCharacteristic.mockResolvedValue({ message: 'Write successful' });
+
+      const text = await request(app).post(`/ble/devices/${deviceId}/characteristics/2a00`).send({ value: 'hi', format: 'utf8' });
+      const number = await request(app).post(`/ble/devices/${deviceId}/characteristics/2a06`).send({ value: 258, encoding: 'uint16be' });
+      const outOfRange = await request(app).post(`/ble/devices/${deviceId}/characteristics/2a06`).send({ value: 300, format: 'uint8' });
+
+      expect(text.status).toBe(200);
+      expect(bleManager.writeCharacteristic).toHaveBeenCalledWith(deviceId, '2a00', '6869', false);
+      expect(number.status).toBe(200);
+      expect(bleManager.writeCharacteristic).toHaveBeenCalledWith(deviceId, '2a06', '0102', false);
+      expect(outOfRange.status).toBe(400);
+      expect(outOfRange.body.error).toMatch('out of range');
+    });
+
+    it('should return buffered notifications in the subscription format', async () => {
+      let deliver;
+      bleManager.subscribeToCharacteristic.mockImplementation((id, target, callback) => {
+        deliver = callback;
+        return Promise.resolve({ message: 'Subscription successful', characteristicUuid: '2a6e' });
+      });
+      bleManager.unsubscribeFromCharacteristic.mockResolvedValue({ message: 'Unsubscription successful' });
+      const base = `/ble/devices/${deviceId}/characteristics/2a6e`;
+
+      await request(app).post(`${base}/subscribe`).send({ format: 'int16' });
+      deliver({ characteristicUuid: '2a6e', value: '3408' });
+      deliver({ characteristicUuid: '2a6e', value: '01' });
+      const decoded = await request(app).get(`${base}/notifications`);
+      const asHex = await request(app).get(`${base}/notifications?format=hex`);
+      await request(app).post(`${base}/unsubscribe`);
+
+      expect(decoded.body.format).toBe('int16');
+      expect(decoded.body.notifications[0]).toEqual(expect.objectContaining({ value: 2100, format: 'int16' }));
+      expect(decoded.body.notifications[1]).toEqual(expect.objectContaining({ value: '01', format: 'hex', decodeError: expect.any(String) }));
+      expect(asHex.body.notifications.map(n => n.value)).toEqual(['3408', '01']);
+    });
+  });
+
+  describe('Notification streams', () => {
+    const deviceId = 'test-device-id';
+    let server;
+    let deliver;
+
+    // Opens an SSE stream and collects its raw text.
+    const openStream = (path, headers = {}) => new Promise((resolve, reject) => {
+      const req = http.get({ port: server.address().port, path, headers }, res => {
+        const stream = { res, text: '', ended: false, close: () => req.destroy() };
+        res.setEncoding('utf8');
+        res.on('data', chunk => { stream.text += chunk; });
+        res.on('end', () => { stream.ended = true; });
+        resolve(stream);
+      });
+      req.on('error', reject);
+    });
+    const eventsOf = (stream) => stream.text.split('\n\n').filter(block => block.includes('data: ')).map(block => {
+      const field = name => (block.split('\n').find(line => line.startsWith(name + ': ')) || '').slice(name.length + 2);
+      return { id: field('id'), event: field('event'), data: JSON.parse(field('data')) };
+    });
+
+    beforeAll(done => {
+      server = app.listen(0, done);
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      const callbacks = {};
+      bleManager.subscribeToCharacteristic.mockImplementation((id, target, callback) => {
+        callbacks[typeof target === 'string' ? target : target.characteristicUuid] = callback;
+        return Promise.resolve({ message: 'Subscription successful', characteristicUuid: typeof target === 'string' ? target : target.characteristicUuid });
+      });
+      bleManager.unsubscribeFromCharacteristic.mockResolvedValue({ message: 'Unsubscription successful' });
+      deliver = (uuid, value) => callbacks[uuid]({ characteristicUuid: uuid, value });
+    });
+
+    it('should push notifications with event ids, resume after Last-Event-ID and end on unsubscribe', async () => {
+      const base = `/ble/devices/${deviceId}/characteristics/2a37`;
+      await request(app).post(`${base}/subscribe`);
+      deliver('2a37', '0048');
+      deliver('2a37', '004a');
+      const buffered = await request(app).get(`${base}/notifications`);
+      const [first, second] = buffered.body.notifications;
+
+      const stream = await openStream(`${base}/stream`, { 'Last-Event-ID': String(first.id) });
+      expect(stream.res.statusCode).toBe(200);
+      expect(stream.res.headers['content-type']).toMatch('text/event-stream');
+      await waitFor(() => eventsOf(stream).length === 1);
+      deliver('2a37', '004c');
+      await waitFor(() => eventsOf(stream).length === 2);
+      await request(app).post(`${base}/unsubscribe`);
+      await waitFor(() => stream.ended);
+
+      expect(eventsOf(stream)).toEqual([
+        { id: String(second.id), event: 'notification', data: expect.objectContaining({ subscriptionKey: `${deviceId}-2a37`, deviceId, value: '004a' }) },
+        { id: String(second.id + 1), event: 'notification', data: expect.objectContaining({ value: '004c' }) },
+        { id: '', event: 'unsubscribed', data: { subscriptionKey: `${deviceId}-2a37` } }
+      ]);
+      expect(stream.text.startsWith('retry: 3000')).toBe(true);
+      const notSubscribed = await request(app).get(`${base}/stream`);
+      expect(notSubscribed.status).toBe(404);
+    });
+
+    it('should multiplex several subscriptions over one stream', async () => {
+      await request(app).post(`/ble/devices/${deviceId}/characteristics/2a6e/subscribe`).send({ format: 'int16' });
+      await request(app).post(`/ble/devices/${deviceId}/characteristics/2a6f/subscribe`);
+
+      const missing = await request(app).get('/ble/stream');
+      const unknown = await request(app).get(`/ble/stream?subscriptions=${deviceId}-2a6e,${deviceId}-ffff`);
+      const stream = await openStream(`/ble/stream?subscriptions=${deviceId}-2a6e,${deviceId}-2a6f`);
+      deliver('2a6e', '3408');
+      deliver('2a6f', '1027');
+      await waitFor(() => eventsOf(stream).length === 2);
+      stream.close();
+      await request(app).post(`/ble/devices/${deviceId}/characteristics/2a6e/unsubscribe`);
+      await request(app).post(`/ble/devices/${deviceId}/characteristics/2a6f/unsubscribe`);
+
+      expect(missing.status).toBe(400);
+      expect(unknown.status).toBe(404);
+      expect(unknown.body).toEqual({ error: `Not subscribed: ${deviceId}-ffff`, code: 'NOT_SUBSCRIBED' });
+      expect(eventsOf(stream).map(e => [e.data.subscriptionKey, e.data.value])).toEqual([[`${deviceId}-2a6e`, 2100], [`${deviceId}-2a6f`, '1027']]);
+    });
+  });
+
+  describe('WebSocket API', () => {
+    const deviceId = 'test-device-id';
+    let server;
+    let deliver;
+
+    // Opens a socket and collects its messages; resolves with the handshake error if it is refused.
+    const openSocket = (path, options = {}) => new Promise(resolve => {
+      const ws = new WebSocket(`ws://localhost:${server.address().port}${path}`, options);
+      const socket = { ws, messages: [] };
+      ws.on('message', data => socket.messages.push(JSON.parse(data)));
+      ws.on('open', () => resolve(socket));
+      ws.on('error', error => resolve({ error: error.message }));
+    });
+    const call = async (socket, message) => {
+      socket.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+      const id = typeof message === 'string' ? null : message.id;
+      await waitFor(() => socket.messages.some(m => m.id === id));
+      return socket.messages.find(m => m.id === id);
+    };
+    const pushed = (socket, type) => socket.messages.filter(m => m.type === type).map(m => m.data);
+
+    beforeAll(done => {
+      server = app.listen(0, done);
+      app.attachWebSocket(server, null);
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      const callbacks = {};
+      bleManager.subscribeToCharacteristic.mockImplementation((id, target, callback) => {
+        callbacks[target] = callback;
+        return Promise.resolve({ message: 'Subscription successful', characteristicUuid: target });
+      });
+      bleManager.unsubscribeFromCharacteristic.mockResolvedValue({ message: 'Unsubscription successful' });
+      deliver = (uuid, value) => callbacks[uuid]({ characteristicUuid: uuid, value });
+    });
+
+    it('should answer requests by id with the status and body of the REST routes', async () => {
+      bleManager.getDiscoveredPeripherals.mockReturnValue([{ id: deviceId, name: 'Sensor' }]);
+      bleManager.readCharacteristic.mockRejectedValue(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+      bleManager.writeCharacteristic.mockResolvedValue({ message: 'Write successful' });
+      const socket = await openSocket('/ble/ws');
+
+      const list = await call(socket, { id: 1, op: 'list' });
+      const read = await call(socket, { id: 2, op: 'read', deviceId, characteristicUuid: '2a19' });
+      const write = await call(socket, { id: 'w', op: 'write', deviceId, serviceUuid: '1802', characteristicUuid: '2a06', instance: 1, value: 2, format: 'uint8' });
+      const invalid = await call(socket, { id: 4, op: 'write', deviceId: 'bad id!', characteristicUuid: '2a06', value: '01' });
+      const unknown = await call(socket, { id: 5, op: 'dance' });
+      const garbage = await call(socket, 'not json');
+      socket.ws.close();
+
+      expect(socket.messages[0]).toEqual({ type: 'welcome', data: { operations: ['list', 'connect', 'disconnect', 'services', 'characteristics', 'read', 'write', 'subscribe', 'unsubscribe'] } });
+      expect(list).toEqual({ id: 1, type: 'result', status: 200, data: [{ id: deviceId, name: 'Sensor' }] });
+      expect(read).toEqual({ id: 2, type: 'error', status: 404, error: 'Device is not connected.', code: 'NOT_CONNECTED' });
+      expect(write).toEqual({ id: 'w', type: 'result', status: 200, data: { message: 'Write successful' } });
+      expect(bleManager.writeCharacteristic).toHaveBeenCalledWith(deviceId, { serviceUuid: '1802', serviceInstance: 0, characteristicUuid: '2a06', instance: 1 }, '02', false);
+      expect(invalid).toEqual({ id: 4, type: 'error', status: 400, error: 'Invalid request: deviceId must be a device ID', code: 'INVALID_REQUEST' });
+      expect(unknown).toEqual(expect.objectContaining({ id: 5, type: 'error', status: 400 }));
+      expect(garbage).toEqual({ id: null, type: 'error', status: 400, error: 'Invalid request. Messages must be JSON.', code: 'INVALID_REQUEST' });
+    });
+
+    it('should push notifications of shared subscriptions, unsubscribes and the chosen lifecycle events', async () => {
+      const first = await openSocket('/ble/ws?events=deviceConnected');
+      const second = await openSocket('/ble/ws');
+
+      const subscribed = await call(first, { id: 1, op: 'subscribe', deviceId, characteristicUuid: '2a6e', format: 'int16' });
+      const joined = await call(second, { id: 1, op: 'subscribe', deviceId, characteristicUuid: '2a6e' });
+      const rest = await request(app).get('/ble/subscriptions');
+      deliver('2a6e', '3408');
+      emitBleEvent({ type: 'deviceAppeared', deviceId: 'dev-b' });
+      emitBleEvent({ type: 'deviceConnected', deviceId });
+      await waitFor(() => pushed(first, 'notification').length === 1 && pushed(second, 'event').length === 2);
+      const unsubscribed = await call(first, { id: 2, op: 'unsubscribe', deviceId, characteristicUuid: '2a6e' });
+      await waitFor(() => pushed(second, 'unsubscribed').length === 1);
+      first.ws.close();
+      second.ws.close();
+
+      expect(subscribed).toEqual(expect.objectContaining({ status: 200, data: expect.objectContaining({ subscriptionKey: `${deviceId}-2a6e` }) }));
+      expect(joined).toEqual(expect.objectContaining({ status: 200, data: expect.objectContaining({ subscriptionKey: `${deviceId}-2a6e` }) }));
+      expect(bleManager.subscribeToCharacteristic).toHaveBeenCalledTimes(1);
+      expect(rest.body.subscriptions).toEqual([expect.objectContaining({ subscriptionKey: `${deviceId}-2a6e` })]);
+      expect(pushed(first, 'notification')).toEqual([expect.objectContaining({ subscriptionKey: `${deviceId}-2a6e`, deviceId, value: 2100, format: 'int16' })]);
+      expect(pushed(second, 'notification')).toEqual([expect.objectContaining({ value: 2100 })]);
+      expect(pushed(first, 'event')).toEqual([expect.objectContaining({ type: 'deviceConnected', deviceId, id: expect.any(Number) })]);
+      expect(pushed(second, 'event').map(event => event.type)).toEqual(['deviceAppeared', 'deviceConnected']);
+      expect(unsubscribed).toEqual({ id: 2, type: 'result', status: 200, data: { message: 'Unsubscription successful' } });
+      expect(pushed(first, 'unsubscribed')).toEqual([{ subscriptionKey: `${deviceId}-2a6e` }]);
+    });
+
+    it('should check the API key and the page origin of the handshake', async () => {
+      const secured = http.createServer(app);
+      app.attachWebSocket(secured, 'secret-key');
+      await new Promise(resolve => secured.listen(0, resolve));
+      const url = `ws://localhost:${secured.address().port}`;
+      const open = (path, options) => new Promise(resolve => {
+        const ws = new WebSocket(url + path, options);
+        ws.on('open', () => { ws.close(); resolve('open'); });
+        ws.on('error', error => resolve(error.message));
+      });
+
+      const results = [
+        await open('/ble/ws'),
+        await open('/ble/ws?api_key=wrong-key'),
+        await open('/ble/ws?api_key=secret-key'),
+        await open('/ble/ws', { headers: { 'x-api-key': 'secret-key' } }),
+        await open('/ble/ws?api_key=secret-key', { origin: 'https://evil.example' }),
+        await open('/ble/ws?api_key=secret-key', { origin: `http://localhost:${secured.address().port}` }),
+        await open('/other?api_key=secret-key')
+      ];
+      await new Promise(resolve => secured.close(resolve));
+
+      expect(results).toEqual(['Unexpected server response: 401', 'Unexpected server response: 401', 'open', 'open',
+        'Unexpected server response: 403', 'open', 'Unexpected server response: 404']);
+    });
+  });
+
+  describe('Decoded SIG characteristics', () => {
+    it('should return the decoded value next to the raw hex', async () => {
+      const decoded = { level: 87, units: { level: '%' } };
+      bleManager.readCharacteristic.mockResolvedValue('57');
+      bleManager.decodeCharacteristicValue.mockReturnValueOnce(decoded);
+
+      const response = await request(app).get('/ble/devices/test-device-id/characteristics/2a19');
+
+      expect(response.body).toEqual({ characteristicUuid: '2a19', value: '57', decoded });
+      expect(bleManager.decodeCharacteristicValue).toHaveBeenCalledWith('2a19', '57');
+    });
+  });
+
+  describe('Descriptor routes', () => {
+    const deviceId = 'test-device-id';
+
+    it('should list the descriptors of a characteristic', async () => {
+      const descriptors = [{ uuid: '2901', name: 'Characteristic User Description', type: null }];
+      bleManager.getDescriptors.mockResolvedValue(descriptors);
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/services/fff0/characteristics/fff1/descriptors`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ characteristicUuid: 'fff1', descriptors });
+      expect(bleManager.getDescriptors).toHaveBeenCalledWith(deviceId, { characteristicUuid: 'fff1', instance: 0, serviceUuid: 'fff0', serviceInstance: 0 });
+    });
+
+    it('should read a descriptor', async () => {
+      bleManager.readDescriptor.mockResolvedValue('0100');
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/characteristics/fff1/descriptors/2902`);
+
+      expect(response.body).toEqual({ characteristicUuid: 'fff1', descriptorUuid: '2902', value: '0100' });
+      expect(bleManager.readDescriptor).toHaveBeenCalledWith(deviceId, 'fff1', '2902');
+    });
+
+    it('should write a descriptor and validate the value', async () => {
+      bleManager.writeDescriptor.mockResolvedValue({ message: 'Descriptor write successful', descriptorUuid: '2902' });
+
+      const ok = await request(app).post(`/ble/devices/${deviceId}/characteristics/fff1/descriptors/2902`).send({ value: '0100' });
+      const bad = await request(app).post(`/ble/devices/${deviceId}/characteristics/fff1/descriptors/2902`).send({ value: '010' });
+
+      expect(ok.status).toBe(200);
+      expect(bleManager.writeDescriptor).toHaveBeenCalledWith(deviceId, 'fff1', '2902', '0100');
+      expect(bad.status).toBe(400);
+      expect(bleManager.writeDescriptor).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 403 when the write rules refuse a descriptor write', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.writeDescriptor.mockRejectedValueOnce(new BleError('WRITE_REFUSED', 'Write refused: denied by write rule 0'));
+
+      const response = await request(app).post(`/ble/devices/${deviceId}/characteristics/fff1/descriptors/2902`).send({ value: '0100' });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'The write is not allowed by the gateway write rules.', code: 'WRITE_REFUSED' });
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should return 404 for an unknown descriptor', async () => {
+      const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      bleManager.readDescriptor.mockRejectedValue(new BleError('DESCRIPTOR_NOT_FOUND', 'Descriptor not found'));
+
+      const response = await request(app).get(`/ble/devices/${deviceId}/characteristics/fff1/descriptors/2901`);
+
+      expect(response.status).toBe(404);
+      consoleErrorSpy.mockRestore();
+    });
+  });
+
   describe('GET /ble/devices/:deviceId/services', () => {
     const deviceId = 'test-device-id';
 
@@ -163,13 +1255,14 @@ describe('BLE API Endpoints', () => {
 
     it('should return 404 if device is not connected when getting services', async () => {
       const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-      bleManager.getServices.mockRejectedValue(new Error('Peripheral not connected'));
+      bleManager.getServices.mockRejectedValue(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
 
       const response = await request(app).get(`/ble/devices/${deviceId}/services`);
 
       expect(response.status).toBe(404);
       expect(response.body).toEqual({
-        error: 'Device is not connected.'
+        error: 'Device is not connected.',
+        code: 'NOT_CONNECTED'
       });
       expect(consoleErrorSpy).toHaveBeenCalled();
       consoleErrorSpy.mockRestore();
@@ -183,7 +1276,8 @@ describe('BLE API Endpoints', () => {
 
       expect(response.status).toBe(500);
        expect(response.body).toEqual({
-        error: 'An error occurred. Please try again later.'
+        error: 'An error occurred. Please try again later.',
+        code: 'INTERNAL_ERROR'
       });
       expect(consoleErrorSpy).toHaveBeenCalled();
       consoleErrorSpy.mockRestore();
@@ -207,13 +1301,14 @@ describe('BLE API Endpoints', () => {
 
     it('should return 404 if service is not found when getting characteristics', async () => {
       const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-      bleManager.getCharacteristics.mockRejectedValue(new Error('Service not found'));
+      bleManager.getCharacteristics.mockRejectedValue(new BleError('SERVICE_NOT_FOUND', 'Service not found'));
 
       const response = await request(app).get(`/ble/devices/${deviceId}/services/${serviceUuid}/characteristics`);
 
       expect(response.status).toBe(404);
       expect(response.body).toEqual({
-        error: 'Device or resource not found.'
+        error: 'Service not found.',
+        code: 'SERVICE_NOT_FOUND'
       });
       expect(consoleErrorSpy).toHaveBeenCalled();
       consoleErrorSpy.mockRestore();
@@ -221,7 +1316,7 @@ describe('BLE API Endpoints', () => {
     
     it('should return 404 if device is not connected when getting characteristics', async () => {
       const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
-      bleManager.getCharacteristics.mockRejectedValue(new Error('Peripheral not connected'));
+      bleManager.getCharacteristics.mockRejectedValue(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
 
       const response = await request(app).get(`/ble/devices/${deviceId}/services/${serviceUuid}/characteristics`);
 
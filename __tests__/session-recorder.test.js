@@ -0,0 +1,100 @@
+// __tests__/session-recorder.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sessionRecorder = require('../session-recorder');
+
+describe('sessionRecorder', () => {
+  const device = { id: 'p1', address: 'aa:bb:cc:dd:ee:01', name: 'Sensor', addressType: 'random' };
+  const battery = { serviceUuid: '180f', serviceInstance: 0, characteristicUuid: '2a19', instance: 0 };
+  const measurement = { serviceUuid: '180d', serviceInstance: 0, characteristicUuid: '2a37', instance: 0 };
+  let recordingDir;
+
+  beforeEach(() => {
+    recordingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-recorder-'));
+    sessionRecorder.setRecordingDir(recordingDir);
+  });
+
+  afterEach(() => {
+    sessionRecorder.getRecordings().forEach(recording => sessionRecorder.stopRecording(recording.deviceId));
+    sessionRecorder.setRecordingDir(null);
+    fs.rmSync(recordingDir, { recursive: true, force: true });
+  });
+
+  it('should record timed events only while a device is recorded', () => {
+    sessionRecorder.record('p1', 'read', { ...battery, value: '64' });
+    const status = sessionRecorder.startRecording(device);
+    sessionRecorder.record('p1', 'read', { ...battery, value: '63' });
+
+    expect(status).toEqual(expect.objectContaining({ deviceId: 'p1', events: 0, truncated: false }));
+    expect(sessionRecorder.isRecording('p1')).toBe(true);
+    expect(sessionRecorder.getRecordings()).toEqual([expect.objectContaining({ deviceId: 'p1', events: 1 })]);
+    expect(() => sessionRecorder.startRecording(device)).toThrow('Already recording this device');
+
+    const { session, file } = sessionRecorder.stopRecording('p1');
+    expect(session).toEqual(expect.objectContaining({ version: 1, device, truncated: false, endedAt: expect.any(String) }));
+    expect(session.events).toEqual([{ t: expect.any(Number), type: 'read', ...battery, value: '63' }]);
+    expect(sessionRecorder.isRecording('p1')).toBe(false);
+    expect(() => sessionRecorder.stopRecording('p1')).toThrow('Not recording this device');
+
+    expect(file).toMatch(/^p1-.*\.json$/);
+    expect(sessionRecorder.loadSessionFile(file)).toEqual(session);
+  });
+
+  it('should only load session files from the recording directory', () => {
+    fs.writeFileSync(path.join(recordingDir, 'broken.json'), '{ not json');
+
+    expect(() => sessionRecorder.loadSessionFile('../etc/passwd.json')).toThrow('Invalid session: file must be the name of a .json file');
+    expect(() => sessionRecorder.loadSessionFile('missing.json')).toThrow('Session file not found');
+    expect(() => sessionRecorder.loadSessionFile('broken.json')).toThrow('Invalid session');
+  });
+
+  it('should reject malformed sessions and name the offending field', () => {
+    const session = { version: 1, device: { id: 'p1' }, events: [{ t: 0, type: 'read', value: '64' }] };
+
+    expect(() => sessionRecorder.validateSession(session)).not.toThrow();
+    expect(() => sessionRecorder.validateSession({ ...session, version: 2 })).toThrow('Invalid session: unsupported version 2');
+    expect(() => sessionRecorder.validateSession({ ...session, device: {} })).toThrow('Invalid session: device.id must be a string');
+    expect(() => sessionRecorder.validateSession({ ...session, events: [{ t: 0, type: 'dance' }] })).toThrow('Invalid session: events[0].type must be one of');
+    expect(() => sessionRecorder.validateSession({ ...session, events: [{ t: -1, type: 'read' }] })).toThrow('Invalid session: events[0].t must be a non-negative number');
+    expect(() => sessionRecorder.validateSession({ ...session, events: [{ t: 0, type: 'read', value: 'xyz' }] })).toThrow('Invalid session: events[0].value must be a hex string');
+  });
+
+  it('should turn a session into a peripheral answering with the recorded values and notification timing', () => {
+    const session = {
+      version: 1,
+      device,
+      events: [
+        { t: 0, type: 'advertisement', localName: 'Sensor', serviceUuids: ['180d'], rssi: -58, txPowerLevel: null, manufacturerData: '5900', serviceData: [] },
+        { t: 40, type: 'connect', discovery: 'full' },
+        { t: 40, type: 'gatt', services: [
+          { uuid: '180f', characteristics: [{ uuid: '2a19', properties: ['read'] }] },
+          { uuid: '180d', characteristics: [{ uuid: '2a37', properties: ['notify'] }] }
+        ] },
+        { t: 50, type: 'read', ...battery, value: '64' },
+        { t: 60, type: 'read', ...battery, error: 'Read failed' },
+        { t: 70, type: 'read', ...battery, value: '63' },
+        { t: 80, type: 'descriptors', ...battery, descriptors: ['2901'] },
+        { t: 90, type: 'descriptorRead', ...battery, descriptorUuid: '2901', value: '4c6576656c' },
+        { t: 100, type: 'subscribe', ...measurement },
+        { t: 1100, type: 'notification', ...measurement, value: '0048' },
+        { t: 2100, type: 'notification', ...measurement, value: '004a' }
+      ]
+    };
+
+    const definition = sessionRecorder.toPeripheralDefinition(session);
+
+    expect(definition).toEqual(expect.objectContaining({
+      id: 'replay-p1',
+      rssi: -58,
+      advertisement: expect.objectContaining({ localName: 'Sensor', serviceUuids: ['180d'], manufacturerData: '5900' })
+    }));
+    expect(definition.services).toEqual([
+      { uuid: '180f', characteristics: [{ uuid: '2a19', properties: ['read'], values: ['64', '63'], descriptors: [{ uuid: '2901', value: '4c6576656c' }] }] },
+      { uuid: '180d', characteristics: [{ uuid: '2a37', properties: ['notify'], notifications: [{ delayMs: 1000, value: '0048' }, { delayMs: 2000, value: '004a' }] }] }
+    ]);
+    expect(sessionRecorder.toPeripheralDefinition(session, { id: 'bench-1' }).id).toBe('bench-1');
+    expect(() => sessionRecorder.toPeripheralDefinition({ ...session, events: session.events.slice(0, 1) }))
+      .toThrow('Invalid session: no GATT tree was recorded');
+  });
+});
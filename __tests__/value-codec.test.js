@@ -0,0 +1,63 @@
+// __tests__/value-codec.test.js
+const valueCodec = require('../value-codec');
+
+describe('value-codec', () => {
+  describe('decodeValue', () => {
+    it('should convert hex into text formats', () => {
+      expect(valueCodec.decodeValue('68656c6c6f', 'utf8')).toBe('hello');
+      expect(valueCodec.decodeValue('68656c6c6f', 'base64')).toBe('aGVsbG8=');
+      expect(valueCodec.decodeValue('0AFF', 'hex')).toBe('0aff');
+      expect(valueCodec.decodeValue(null, 'utf8')).toBeNull();
+    });
+
+    it('should convert hex into numbers, little-endian unless asked otherwise', () => {
+      expect(valueCodec.decodeValue('ff', 'int8')).toBe(-1);
+      expect(valueCodec.decodeValue('ff', 'uint8')).toBe(255);
+      expect(valueCodec.decodeValue('3412', 'uint16')).toBe(0x1234);
+      expect(valueCodec.decodeValue('1234', 'uint16be')).toBe(0x1234);
+      expect(valueCodec.decodeValue('feff', 'int16le')).toBe(-2);
+      expect(valueCodec.decodeValue('78563412', 'uint32')).toBe(0x12345678);
+      expect(valueCodec.decodeValue('ffffffff', 'int32be')).toBe(-1);
+      expect(valueCodec.decodeValue('0000803f', 'float32')).toBe(1);
+      expect(valueCodec.decodeValue('3f800000', 'float32be')).toBe(1);
+    });
+
+    it('should return an array for values holding several numbers', () => {
+      expect(valueCodec.decodeValue('01000200', 'uint16')).toEqual([1, 2]);
+    });
+
+    it('should reject values that do not fit a numeric format', () => {
+      expect(() => valueCodec.decodeValue('010203', 'uint16')).toThrow('does not fit format uint16');
+      expect(() => valueCodec.decodeValue('', 'uint8')).toThrow('does not fit');
+      expect(() => valueCodec.decodeValue('01', 'int64')).toThrow('Invalid value format');
+    });
+  });
+
+  describe('encodeValue', () => {
+    it('should convert text formats into hex', () => {
+      expect(valueCodec.encodeValue('hello', 'utf8')).toBe('68656c6c6f');
+      expect(valueCodec.encodeValue('aGVsbG8=', 'base64')).toBe('68656c6c6f');
+      expect(valueCodec.encodeValue('0AFF', 'hex')).toBe('0aff');
+    });
+
+    it('should convert numbers into hex', () => {
+      expect(valueCodec.encodeValue(-1, 'int8')).toBe('ff');
+      expect(valueCodec.encodeValue(0x1234, 'uint16')).toBe('3412');
+      expect(valueCodec.encodeValue('4660', 'uint16be')).toBe('1234');
+      expect(valueCodec.encodeValue([1, 2], 'uint16le')).toBe('01000200');
+      expect(valueCodec.encodeValue(1, 'float32')).toBe('0000803f');
+    });
+
+    it('should reject values that are invalid for the format', () => {
+      expect(() => valueCodec.encodeValue(256, 'uint8')).toThrow('out of range');
+      expect(() => valueCodec.encodeValue(1.5, 'int16')).toThrow('expected a number');
+      expect(() => valueCodec.encodeValue('abc', 'hex')).toThrow('even-length hex');
+      expect(() => valueCodec.encodeValue(5, 'utf8')).toThrow('expected a string');
+    });
+  });
+
+  it('should report supported formats', () => {
+    expect(valueCodec.isValidFormat('UINT32BE')).toBe(true);
+    expect(valueCodec.isValidFormat('float64')).toBe(false);
+  });
+});
@@ -0,0 +1,81 @@
+// __tests__/write-protection.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const writeProtection = require('../write-protection');
+
+describe('writeProtection', () => {
+  const write = { deviceId: 'p1', address: 'AA:BB:CC:DD:EE:01', serviceUuid: 'fe59', characteristicUuid: '8ec90001f3154f609fb8838830daea50', value: '01' };
+
+  afterEach(() => {
+    writeProtection.setReadOnly(false);
+    writeProtection.setWriteRules({});
+  });
+
+  it('should allow every write without rules', () => {
+    expect(writeProtection.refusalReason(write)).toBeNull();
+  });
+
+  it('should refuse every write in read-only mode', () => {
+    writeProtection.setReadOnly(true);
+
+    expect(writeProtection.isReadOnly()).toBe(true);
+    expect(writeProtection.refusalReason(write)).toBe('the gateway is read-only');
+    expect(() => writeProtection.setReadOnly('yes')).toThrow('Invalid read-only setting: must be a boolean');
+  });
+
+  it('should let the first matching rule decide, with all fields of a rule required', () => {
+    writeProtection.setWriteRules({
+      rules: [
+        { action: 'allow', device: 'aa:bb:cc:dd:ee:01', serviceUuid: '0000FE59-0000-1000-8000-00805F9B34FB' },
+        { action: 'deny', serviceUuid: 'fe59' }
+      ]
+    });
+
+    expect(writeProtection.refusalReason(write)).toBeNull();
+    expect(writeProtection.refusalReason({ ...write, deviceId: 'p2', address: 'aa:bb:cc:dd:ee:02' })).toBe('denied by write rule 1');
+    expect(writeProtection.refusalReason({ ...write, serviceUuid: '180f', characteristicUuid: '2a19' })).toBeNull();
+  });
+
+  it('should refuse writes no rule matches when the default action is deny', () => {
+    writeProtection.setWriteRules({ defaultAction: 'deny', rules: [{ action: 'allow', characteristicUuid: '2a06' }] });
+
+    expect(writeProtection.refusalReason({ ...write, characteristicUuid: '2A06' })).toBeNull();
+    expect(writeProtection.refusalReason(write)).toBe('no write rule allows this characteristic');
+  });
+
+  it('should only allow values matching the patterns of an allow rule', () => {
+    writeProtection.setWriteRules({ rules: [{ action: 'allow', characteristicUuid: '2a06', values: ['0[0-2]'] }] });
+    const alert = { ...write, characteristicUuid: '2a06' };
+
+    expect(writeProtection.refusalReason({ ...alert, value: '02' })).toBeNull();
+    expect(writeProtection.refusalReason({ ...alert, value: '03' })).toBe('the value does not match the values allowed by write rule 0');
+    // Patterns match the whole value.
+    expect(writeProtection.refusalReason({ ...alert, value: '0201' })).toBe('the value does not match the values allowed by write rule 0');
+  });
+
+  it('should reject invalid rules and name the offending rule', () => {
+    expect(() => writeProtection.setWriteRules([])).toThrow('Invalid write rules: expected an object');
+    expect(() => writeProtection.setWriteRules({ defaultAction: 'block' })).toThrow('Invalid write rules: defaultAction must be allow or deny');
+    expect(() => writeProtection.setWriteRules({ rules: [{ action: 'allow' }, { action: 'skip' }] })).toThrow('Invalid write rules: rules[1].action must be allow or deny');
+    expect(() => writeProtection.setWriteRules({ rules: [{ action: 'deny', uuid: '2a06' }] })).toThrow('Invalid write rules: rules[0] has unknown field uuid');
+    expect(() => writeProtection.setWriteRules({ rules: [{ action: 'deny', values: ['00'] }] })).toThrow('Invalid write rules: rules[0].values must be a non-empty array on an allow rule');
+    expect(() => writeProtection.setWriteRules({ rules: [{ action: 'allow', values: ['('] }] })).toThrow('Invalid write rules: rules[0].values[0] is not a valid regular expression');
+    expect(writeProtection.getWriteRules()).toEqual({ defaultAction: 'allow', rules: [] });
+  });
+
+  it('should load a write rules file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'write-rules-'));
+    const file = path.join(dir, 'rules.json');
+    try {
+      fs.writeFileSync(file, JSON.stringify({ defaultAction: 'deny', rules: [{ action: 'allow', characteristicUuid: '2a06' }] }));
+      expect(writeProtection.loadWriteRulesFile(file)).toEqual({ defaultAction: 'deny', rules: [{ action: 'allow', characteristicUuid: '2a06' }] });
+      expect(writeProtection.refusalReason(write)).toBe('no write rule allows this characteristic');
+
+      fs.writeFileSync(file, '{ not json');
+      expect(() => writeProtection.loadWriteRulesFile(file)).toThrow('Invalid write rules file');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * @file assigned-numbers.js
+ * @description Resolves service, characteristic and descriptor UUIDs and company identifiers to
+ * human-readable names. Bluetooth SIG assigned numbers ship in `assigned-numbers.json`; a vendor
+ * file (path in UUID_NAMES_FILE) adds names for custom UUIDs and overrides SIG names.
+ *
+ * Vendor file format (names may also be given as { "name": "..." }):
+ *   { "services": { "<uuid>": "Name" }, "characteristics": { ... }, "descriptors": { ... },
+ *     "companies": { "0x1234": "Name" } }
+ */
+const fs = require('fs');
+const sigNumbers = require('./assigned-numbers.json');
+const { shortUuid } = require('./gatt-decoders');
+
+const TABLES = ['services', 'characteristics', 'descriptors', 'companies'];
+
+// Names loaded from the vendor file, keyed like the SIG tables.
+var vendorNames = emptyTables();
+
+/**
+ * @function emptyTables
+ * @description Creates an empty name table per kind.
+ * @returns {Object} { services: {}, characteristics: {}, descriptors: {}, companies: {} }.
+ */
+function emptyTables() {
+  return TABLES.reduce((tables, table) => ({ ...tables, [table]: {} }), {});
+}
+
+/**
+ * @function normalizeKey
+ * @description Normalizes a UUID (lowercase, no dashes, SIG base UUIDs shortened to 16 bits) or a
+ * company identifier (4-digit lowercase hex).
+ * @param {string} table - One of services, characteristics, descriptors or companies.
+ * @param {string|number} id - The UUID or company identifier (number, `0x004c` or `004c`).
+ * @returns {string} The lookup key.
+ */
+function normalizeKey(table, id) {
+  if (table === 'companies') {
+    const value = typeof id === 'number' ? id : parseInt(String(id).replace(/^0x/i, ''), 16);
+    return Number.isInteger(value) ? value.toString(16).padStart(4, '0') : String(id);
+  }
+  return shortUuid(id);
+}
+
+/**
+ * @function lookup
+ * @description Resolves a UUID or company identifier, preferring vendor names over SIG names.
+ * @param {string} table - One of services, characteristics, descriptors or companies.
+ * @param {string|number} id - The UUID or company identifier.
+ * @param {string|null} [fallbackName=null] - Name to use when neither table knows the ID (e.g. noble's).
+ * @returns {Object} { name, type } where type is 'vendor', 'sig' or 'unknown'.
+ */
+function lookup(table, id, fallbackName = null) {
+  const key = normalizeKey(table, id);
+  if (vendorNames[table][key]) {
+    return { name: vendorNames[table][key], type: 'vendor' };
+  }
+  if (sigNumbers[table][key]) {
+    return { name: sigNumbers[table][key], type: 'sig' };
+  }
+  return { name: fallbackName || null, type: 'unknown' };
+}
+
+/**
+ * @function loadVendorNames
+ * @description Loads (or reloads) the vendor names file, replacing previously loaded vendor names.
+ * @param {string} file - Path to the JSON file.
+ * @returns {Object} The number of names loaded per table.
+ * @throws {Error} If the file cannot be read or is not a valid names file.
+ */
+function loadVendorNames(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error('Invalid vendor names file: ' + error.message);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Invalid vendor names file: expected an object of name tables');
+  }
+
+  const tables = emptyTables();
+  for (const table of TABLES) {
+    for (const [id, entry] of Object.entries(parsed[table] || {})) {
+      const name = typeof entry === 'string' ? entry : entry && entry.name;
+      if (typeof name !== 'string' || name.length === 0) {
+        throw new Error('Invalid vendor names file: no name for ' + table + ' entry ' + id);
+      }
+      tables[table][normalizeKey(table, id)] = name;
+    }
+  }
+  vendorNames = tables;
+  return TABLES.reduce((counts, table) => ({ ...counts, [table]: Object.keys(tables[table]).length }), {});
+}
+
+if (process.env.UUID_NAMES_FILE) {
+  try {
+    const counts = loadVendorNames(process.env.UUID_NAMES_FILE);
+    console.log('Loaded vendor UUID names from ' + process.env.UUID_NAMES_FILE + ':', counts);
+  } catch (error) {
+    console.error(error.message);
+  }
+}
+
+module.exports = {
+  lookupService: (uuid, fallbackName) => lookup('services', uuid, fallbackName), // Function to name a service UUID.
+  lookupCharacteristic: (uuid, fallbackName) => lookup('characteristics', uuid, fallbackName), // Function to name a characteristic UUID.
+  lookupDescriptor: (uuid, fallbackName) => lookup('descriptors', uuid, fallbackName), // Function to name a descriptor UUID.
+  lookupCompany: (companyId) => lookup('companies', companyId), // Function to name a company identifier.
+  loadVendorNames // Function to load or reload the vendor names file.
+};
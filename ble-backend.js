@@ -0,0 +1,54 @@
+/**
+ * @file ble-backend.js
+ * @description Selects the BLE backend `ble-manager.js` talks to. A backend is an object with the
+ * part of noble's API the manager uses: `state` and `address`; the stateChange, scanStart, scanStop
+ * and discover events; startScanning(serviceUuids, allowDuplicates, callback) and stopScanning();
+ * and peripherals with noble's connect, discovery, RSSI, read, write, subscribe and descriptor
+ * methods and events. Built in are 'noble' (the Bluetooth adapter, the default) and 'simulator'
+ * (virtual peripherals from BLE_SIMULATOR_FILE, see ble-simulator.js). BLE_BACKEND selects one, or
+ * names a module (a path) exporting a backend or a function creating one.
+ */
+const path = require('path');
+
+// The peripherals the simulator serves when BLE_SIMULATOR_FILE is not set.
+const DEFAULT_SIMULATOR_FILE = path.join(__dirname, 'simulator-devices.json');
+
+// Factories of the available backends, by name. Only the selected one is loaded, so the simulator
+// runs where noble's native bindings are not installed.
+const backends = {
+  noble: () => require('@abandonware/noble'),
+  simulator: () => require('./ble-simulator').createSimulator(process.env.BLE_SIMULATOR_FILE || DEFAULT_SIMULATOR_FILE)
+};
+
+/**
+ * @function getBackendNames
+ * @description Lists the available backends.
+ * @returns {Array<string>} The backend names.
+ */
+function getBackendNames() {
+  return Object.keys(backends);
+}
+
+/**
+ * @function loadBackend
+ * @description Creates the selected backend.
+ * @param {string} [name='noble'] - A backend name, or the path of a backend module (starting with
+ *                                  `.` or `/`, relative paths resolved from the working directory).
+ * @returns {Object} The noble-compatible backend.
+ * @throws {Error} If no backend has this name, or it fails to load.
+ */
+function loadBackend(name = 'noble') {
+  if (Object.prototype.hasOwnProperty.call(backends, name)) {
+    return backends[name]();
+  }
+  if (/^[./]/.test(name)) {
+    const exported = require(path.resolve(name));
+    return typeof exported === 'function' ? exported() : exported;
+  }
+  throw new Error('Unknown BLE backend ' + name + ' (available: ' + getBackendNames().join(', ') + ', or a module path)');
+}
+
+module.exports = {
+  getBackendNames, // Function to list the available backends.
+  loadBackend // Function to create the selected backend.
+};
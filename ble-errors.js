@@ -0,0 +1,118 @@
+/**
+ * @file ble-errors.js
+ * @description Typed errors of the BLE operations. `ble-manager.js` and its helper modules fail with a
+ * BleError carrying a stable code, so `server.js` and `mcp-server.js` can report the same code and the
+ * REST API can answer with the HTTP status and the safe client message fixed for it, without parsing
+ * messages. Errors without a known code (e.g. from the Bluetooth stack) are reported as INTERNAL_ERROR.
+ */
+
+// Every error code and its HTTP status.
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400, // The request or a setting is malformed; the message names the offending field.
+  ALREADY_CONNECTED: 400, // The device is already connected or connecting.
+  ALREADY_SUBSCRIBED: 400, // The characteristic is already subscribed to.
+  UNAUTHORIZED: 401, // The API key is missing or wrong.
+  DEVICE_NOT_PERMITTED: 403, // The device policy does not permit the device.
+  READ_ONLY: 403, // The gateway is read-only: writes, subscriptions and connections are refused.
+  WRITE_REFUSED: 403, // A write rule refuses the write.
+  DEVICE_NOT_FOUND: 404, // No discovered (or replayed) device has this ID.
+  NOT_CONNECTED: 404, // The device is not connected.
+  SERVICE_NOT_FOUND: 404, // The device has no such service.
+  CHAR_NOT_FOUND: 404, // The service or device has no such characteristic.
+  DESCRIPTOR_NOT_FOUND: 404, // The characteristic has no such descriptor.
+  CHAR_NOT_READABLE: 404, // The characteristic does not support reads.
+  CHAR_NOT_WRITABLE: 404, // The characteristic does not support writes.
+  CHAR_NOT_NOTIFIABLE: 404, // The characteristic supports neither notifications nor indications.
+  NOT_SUBSCRIBED: 404, // The characteristic is not subscribed to.
+  NO_PENDING_CONNECTION: 404, // No connection attempt to the device is pending.
+  NO_RSSI_SAMPLER: 404, // No RSSI sampler runs for the device.
+  NOT_RECORDING: 404, // The device is not being recorded.
+  SESSION_NOT_FOUND: 404, // No recorded session file has this name.
+  CANCELLED: 409, // The connection attempt was cancelled.
+  NOT_DISCOVERED: 409, // The services or characteristics of the device have not been discovered.
+  WRITE_IN_PROGRESS: 409, // A chunked write to the characteristic is in progress.
+  ALREADY_RECORDING: 409, // The device is already being recorded.
+  ID_IN_USE: 409, // A device with this ID already exists.
+  VALUE_DOES_NOT_FIT: 422, // The value read does not fit the requested format.
+  VALUE_MISMATCH: 422, // A notification did not have the expected value (batch steps).
+  INTERNAL_ERROR: 500, // Any other failure.
+  DISCONNECTED: 502, // The device disconnected during the operation.
+  ADAPTER_OFF: 503, // The Bluetooth adapter is not powered on.
+  TIMEOUT: 504 // The device did not answer in time.
+};
+
+// The message the REST API sends clients for each code, in place of the error's own message.
+const ERROR_MESSAGES = {
+  INVALID_REQUEST: 'Invalid request. Please check your parameters.',
+  ALREADY_CONNECTED: 'Device is already connected.',
+  ALREADY_SUBSCRIBED: 'Already subscribed to this characteristic.',
+  UNAUTHORIZED: 'Access denied.',
+  DEVICE_NOT_PERMITTED: 'The device is not permitted by the gateway device policy.',
+  READ_ONLY: 'The gateway is read-only: writes, subscriptions and connections are disabled.',
+  WRITE_REFUSED: 'The write is not allowed by the gateway write rules.',
+  DEVICE_NOT_FOUND: 'Device not found.',
+  NOT_CONNECTED: 'Device is not connected.',
+  SERVICE_NOT_FOUND: 'Service not found.',
+  CHAR_NOT_FOUND: 'Characteristic not found.',
+  DESCRIPTOR_NOT_FOUND: 'Descriptor not found.',
+  CHAR_NOT_READABLE: 'Characteristic is not readable.',
+  CHAR_NOT_WRITABLE: 'Characteristic is not writable.',
+  CHAR_NOT_NOTIFIABLE: 'Characteristic does not support notifications or indications.',
+  NOT_SUBSCRIBED: 'Not subscribed to this characteristic.',
+  NO_PENDING_CONNECTION: 'No connection attempt is pending for this device.',
+  NO_RSSI_SAMPLER: 'No RSSI sampler is running for this device.',
+  NOT_RECORDING: 'This device is not being recorded.',
+  SESSION_NOT_FOUND: 'Session not found.',
+  CANCELLED: 'The connection attempt was cancelled.',
+  NOT_DISCOVERED: 'The services or characteristics of the device have not been discovered.',
+  WRITE_IN_PROGRESS: 'A chunked write to this characteristic is already in progress.',
+  ALREADY_RECORDING: 'This device is already being recorded.',
+  ID_IN_USE: 'A device with this ID already exists.',
+  VALUE_DOES_NOT_FIT: 'The value does not fit the requested format.',
+  VALUE_MISMATCH: 'The notification did not have the expected value.',
+  INTERNAL_ERROR: 'An error occurred. Please try again later.',
+  DISCONNECTED: 'Device has been disconnected.',
+  ADAPTER_OFF: 'Bluetooth adapter is unavailable.',
+  TIMEOUT: 'The operation timed out.'
+};
+
+class BleError extends Error {
+  /**
+   * @param {string} code - One of the ERROR_STATUS codes.
+   * @param {string} message - Describes the failure.
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'BleError';
+    this.code = code;
+  }
+}
+
+/**
+ * @function errorCode
+ * @description Returns the code of an error.
+ * @param {*} error - The error.
+ * @returns {string} Its code, or INTERNAL_ERROR when it has no known code.
+ */
+function errorCode(error) {
+  const code = error && error.code;
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(ERROR_STATUS, code) ? code : 'INTERNAL_ERROR';
+}
+
+/**
+ * @function httpStatus
+ * @description Returns the HTTP status of an error.
+ * @param {*} error - The error.
+ * @returns {number} The status fixed for its code.
+ */
+function httpStatus(error) {
+  return ERROR_STATUS[errorCode(error)];
+}
+
+module.exports = {
+  ERROR_STATUS, // Every error code and its HTTP status.
+  ERROR_MESSAGES, // The safe client message of every error code.
+  BleError, // Class of errors with a code.
+  errorCode, // Function to get the code of an error.
+  httpStatus // Function to get the HTTP status of an error.
+};
@@ -2,23 +2,125 @@
  * @file ble-manager.js
  * @description Manages Bluetooth Low Energy (BLE) interactions, including device discovery,
  * connection, disconnection, and data exchange (services, characteristics).
- * It uses the '@abandonware/noble' library for BLE communication.
+ * It talks to a noble-compatible backend: the '@abandonware/noble' library, or the simulator
+ * (see ble-backend.js). Operations fail with a BleError whose code names the failure (see ble-errors.js).
  */
-const noble = require('@abandonware/noble'); // Changed to @abandonware/noble
+const bleBackend = require('./ble-backend');
+const EventEmitter = require('events');
+const GattQueue = require('./gatt-queue');
+const RssiHistory = require('./rssi-history');
+const gattCache = require('./gatt-cache');
+const gattProfile = require('./gatt-profile');
+const gattBatch = require('./gatt-batch');
+const devicePolicy = require('./device-policy');
+const writeProtection = require('./write-protection');
+const sessionRecorder = require('./session-recorder');
+const bleSimulator = require('./ble-simulator');
+const gattDecoders = require('./gatt-decoders');
+const assignedNumbers = require('./assigned-numbers');
+const { BleError, errorCode } = require('./ble-errors');
 
-console.log('noble'); // Initial log to indicate noble module is being processed.
+// The BLE backend, selected by BLE_BACKEND; named noble since it has noble's API.
+const backendName = process.env.BLE_BACKEND || 'noble';
+const noble = bleBackend.loadBackend(backendName);
+console.log('BLE backend: ' + backendName);
 
 // Stores discovered peripheral objects.
 var discoveredPeripherals = [];
 // Stores currently connected peripheral objects, keyed by peripheral ID.
 var connectedPeripherals = {};
+// Latest advertisement data and first/last-seen times for each discovered peripheral, keyed by peripheral ID.
+var deviceRecords = new Map();
+// Unconnected peripherals not seen for this many milliseconds are evicted (0 disables eviction).
+var deviceTtlMs = parseInt(process.env.DEVICE_TTL_MS || '300000', 10);
+// Interval timer that periodically evicts stale peripherals.
+var evictionTimer = null;
+// Reconnect policy applied when a connect call does not specify one.
+var defaultReconnectPolicy = {
+  enabled: process.env.RECONNECT_ENABLED === 'true',
+  maxAttempts: parseInt(process.env.RECONNECT_MAX_ATTEMPTS || '5', 10),
+  baseDelayMs: parseInt(process.env.RECONNECT_BASE_DELAY_MS || '1000', 10),
+  maxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS || '30000', 10),
+  jitter: 0.3
+};
+// Connection watch and reconnect state (policy, status, attempts, timer) for each connected or dropped peripheral.
+var reconnectStates = new Map();
+// Subscription callbacks per peripheral, keyed by characteristic UUID, restored after a reconnect.
+var deviceSubscriptions = new Map();
+// How long a connection attempt and the service discovery that follows may take.
+var defaultConnectTimeoutMs = parseInt(process.env.CONNECT_TIMEOUT_MS || '15000', 10);
+var defaultDiscoveryTimeoutMs = parseInt(process.env.DISCOVERY_TIMEOUT_MS || '30000', 10);
+// Connection attempts in progress, keyed by peripheral ID, so they can be cancelled.
+var pendingConnections = new Map();
+// How the GATT layout of each connected peripheral was obtained: 'full', 'partial' (only the services
+// asked for at connect; the rest is discovered on first access) or 'cache'. Keyed by peripheral ID.
+var discoveryModes = new Map();
+// Discoveries completing a partial layout or replacing a changed one, keyed by peripheral ID.
+var pendingDiscoveries = new Map();
+// GATT operation queues, keyed by peripheral ID; one operation per peripheral is in flight at a time.
+var gattQueues = new Map();
+// How long a single GATT operation may take before it is failed.
+var gattOperationTimeoutMs = parseInt(process.env.GATT_OP_TIMEOUT_MS || '10000', 10);
+// Stand-in devices replaying recorded sessions: { recordedDeviceId, recordedAt, startedAt }, keyed by peripheral ID.
+var replayDevices = new Map();
+// Pause between the writes of a chunked write, so the controller can drain its transmit buffers.
+var chunkWriteDelayMs = parseInt(process.env.CHUNK_WRITE_DELAY_MS || '20', 10);
+// Chunked writes in progress, keyed by peripheral ID and characteristic location.
+var chunkedWrites = new Set();
+// RSSI history and sampler of each connection, keyed by peripheral ID: { history, intervalMs, timer, quality }.
+var rssiMonitors = new Map();
+// Sampling interval for connections that do not choose one (0 disables the sampler).
+var defaultRssiIntervalMs = parseInt(process.env.RSSI_SAMPLE_INTERVAL_MS || '0', 10);
+// Shortest sampling interval accepted; every sample is an HCI command to the controller.
+const MIN_RSSI_INTERVAL_MS = 250;
+// ATT_MTU of a link before (or without) an MTU exchange.
+const DEFAULT_ATT_MTU = 23;
+// Bytes of a write request taken by the ATT opcode and attribute handle.
+const ATT_WRITE_HEADER_BYTES = 3;
+// User description (0x2901) and presentation format (0x2904) per noble characteristic, read once.
+var descriptorMetadata = new WeakMap();
+// Describes the current scan session (filters, duplicate handling and optional duration).
+var scanState = {
+  scanning: false,
+  serviceUuids: [],
+  allowDuplicates: false,
+  duration: null,
+  startedAt: null,
+  stopsAt: null
+};
+// Timer that stops a scan started with a duration.
+var scanTimer = null;
+// Time of the last adapter state change, as an ISO string.
+var lastStateChange = null;
+// Emits BLE lifecycle events (each one also as a generic 'event') for the REST and MCP layers.
+const events = new EventEmitter();
+
+/**
+ * @function emitEvent
+ * @description Emits a BLE lifecycle event under its own name and as a generic 'event'
+ * carrying the type and a timestamp, so consumers can forward every event without listing them.
+ * @param {string} type - The event name (e.g. 'adapterStateChange').
+ * @param {Object} data - The event payload.
+ */
+function emitEvent(type, data) {
+  const event = Object.assign({ type }, data, { timestamp: new Date().toISOString() });
+  events.emit(type, event);
+  events.emit('event', event);
+}
 
 // Handles state changes in the BLE adapter (e.g., powered on, powered off).
 noble.on('stateChange', function(state) {
   console.log('on -> stateChange: ' + state); // Log the new state.
+  lastStateChange = new Date().toISOString();
+  emitEvent('adapterStateChange', { state });
   if (state === 'poweredOn') {
-    noble.startScanning(); // Start scanning for BLE devices if adapter is powered on.
+    // Start an unfiltered scan unless automatic scanning has been disabled.
+    if (process.env.BLE_AUTO_SCAN !== 'false') {
+      startScan().catch(error => console.error('Error starting scan after power on:', error));
+    }
   } else {
+    clearScanTimer();
+    scanState.scanning = false;
     noble.stopScanning(); // Stop scanning if adapter is not powered on.
   }
 });
@@ -26,54 +128,819 @@ noble.on('stateChange', function(state) {
 // Fired when scanning for BLE devices starts.
 noble.on('scanStart', function() {
   console.log('on -> scanStart');
+  scanState.scanning = true;
 });
 
 // Fired when scanning for BLE devices stops.
 noble.on('scanStop', function() {
   console.log('on -> scanStop');
+  scanState.scanning = false;
 });
 
 // Fired when a BLE peripheral is discovered.
-noble.on('discover', function(peripheral) {
+noble.on('discover', handleDiscover);
+
+/**
+ * @function handleDiscover
+ * @description Tracks a discovered peripheral and refreshes its advertisement data. Also adds
+ * replay devices, which are not reported by the backend.
+ * @param {Object} peripheral - The noble peripheral that advertised.
+ */
+function handleDiscover(peripheral) {
+  const now = new Date().toISOString();
   // Check if the peripheral is already in the list to avoid duplicates.
-  if (!discoveredPeripherals.find(p => p.id === peripheral.id)) {
+  const index = discoveredPeripherals.findIndex(p => p.id === peripheral.id);
+  const previous = index === -1 ? null : deviceRecords.get(peripheral.id);
+  if (index === -1) {
     console.log('on -> discover: ' + peripheral.id + ' (' + (peripheral.advertisement.localName || 'Unknown') + ')');
     discoveredPeripherals.push(peripheral); // Add new peripheral to the list.
+  } else if (discoveredPeripherals[index] !== peripheral && !connectedPeripherals[peripheral.id]) {
+    discoveredPeripherals[index] = peripheral; // Keep the most recent peripheral object.
   }
-});
+  // Refresh the advertisement data on every advertisement, not just the first one.
+  const record = Object.assign(snapshotAdvertisement(peripheral), {
+    firstSeen: previous ? previous.firstSeen : now,
+    lastSeen: now
+  });
+  deviceRecords.set(peripheral.id, record);
+  sessionRecorder.record(peripheral.id, 'advertisement', advertisementEvent(record));
+
+  if (index === -1 && isDevicePermitted(peripheral)) {
+    emitEvent('deviceAppeared', { deviceId: peripheral.id, address: peripheral.address, name: record.localName, rssi: record.rssi });
+  }
+  ensureEvictionTimer();
+}
+
+/**
+ * @function toHex
+ * @description Hex-encodes a binary advertisement field.
+ * @param {Buffer} [data] - The binary data.
+ * @returns {string|null} The hex string, or null if no data is present.
+ */
+function toHex(data) {
+  return Buffer.isBuffer(data) ? data.toString('hex') : null;
+}
+
+/**
+ * @function snapshotAdvertisement
+ * @description Copies the advertisement data of a peripheral, with binary fields hex-encoded.
+ * @param {Object} peripheral - The noble peripheral that was just discovered.
+ * @returns {Object} The advertisement snapshot (localName, serviceUuids, rssi, txPowerLevel,
+ *                   manufacturerData, serviceData, serviceSolicitationUuids, addressType, connectable).
+ */
+function snapshotAdvertisement(peripheral) {
+  const advertisement = peripheral.advertisement || {};
+  return {
+    localName: advertisement.localName,
+    serviceUuids: advertisement.serviceUuids || [],
+    rssi: peripheral.rssi === undefined ? null : peripheral.rssi,
+    txPowerLevel: advertisement.txPowerLevel === undefined ? null : advertisement.txPowerLevel,
+    manufacturerData: toHex(advertisement.manufacturerData),
+    serviceData: (advertisement.serviceData || []).map(entry => ({ uuid: entry.uuid, data: toHex(entry.data) })),
+    serviceSolicitationUuids: advertisement.serviceSolicitationUuids || [],
+    addressType: peripheral.addressType || null,
+    connectable: peripheral.connectable === undefined ? null : peripheral.connectable
+  };
+}
+
+/**
+ * @function advertisementEvent
+ * @description Picks the fields of an advertisement snapshot a recorded session keeps.
+ * @param {Object} record - The advertisement snapshot of a peripheral.
+ * @returns {Object} { localName, serviceUuids, rssi, txPowerLevel, manufacturerData, serviceData }.
+ */
+function advertisementEvent(record) {
+  const { localName, serviceUuids, rssi, txPowerLevel, manufacturerData, serviceData } = record;
+  return { localName, serviceUuids, rssi, txPowerLevel, manufacturerData, serviceData };
+}
+
+/**
+ * @function touchDevice
+ * @description Marks a peripheral as seen now, e.g. while it is connected and not advertising.
+ * @param {string} peripheralId - The ID of the peripheral.
+ */
+function touchDevice(peripheralId) {
+  const record = deviceRecords.get(peripheralId);
+  if (record) {
+    record.lastSeen = new Date().toISOString();
+  }
+}
+
+/**
+ * @function evictStaleDevices
+ * @description Removes unconnected peripherals that have not been seen within the device TTL
+ * and emits a 'deviceLost' event for each of them.
+ * @param {number} [now=Date.now()] - The reference time in milliseconds.
+ * @returns {Array<string>} The IDs of the evicted peripherals.
+ */
+function evictStaleDevices(now = Date.now()) {
+  if (!deviceTtlMs) {
+    return [];
+  }
+  const evicted = [];
+  for (let i = discoveredPeripherals.length - 1; i >= 0; i--) {
+    const peripheral = discoveredPeripherals[i];
+    if (connectedPeripherals[peripheral.id] || peripheral.state === 'connected' || peripheral.state === 'connecting') {
+      continue; // Connected peripherals stop advertising but are still present.
+    }
+    if (replayDevices.has(peripheral.id)) {
+      continue; // Replay devices do not advertise; they stay until their replay is stopped.
+    }
+    const reconnect = reconnectStates.get(peripheral.id);
+    if (reconnect && (reconnect.status === 'waiting' || reconnect.status === 'reconnecting')) {
+      continue; // Keep peripherals that are about to be reconnected.
+    }
+    const record = deviceRecords.get(peripheral.id);
+    if (record && now - Date.parse(record.lastSeen) <= deviceTtlMs) {
+      continue;
+    }
+    discoveredPeripherals.splice(i, 1);
+    deviceRecords.delete(peripheral.id);
+    evicted.push(peripheral.id);
+    console.log('Evicted stale peripheral: ' + peripheral.id);
+    if (isDevicePermitted(peripheral, record)) {
+      emitEvent('deviceLost', {
+        deviceId: peripheral.id,
+        address: peripheral.address,
+        name: record ? record.localName : undefined,
+        lastSeen: record ? record.lastSeen : null
+      });
+    }
+  }
+  return evicted;
+}
+
+/**
+ * @function ensureEvictionTimer
+ * @description Starts the periodic stale-device sweep if eviction is enabled and it is not running yet.
+ */
+function ensureEvictionTimer() {
+  if (evictionTimer || !deviceTtlMs) {
+    return;
+  }
+  evictionTimer = setInterval(() => evictStaleDevices(), Math.min(Math.max(deviceTtlMs / 2, 1000), 30000));
+  // The sweep alone should not keep the process alive.
+  if (evictionTimer.unref) evictionTimer.unref();
+}
+
+/**
+ * @function setDeviceTtl
+ * @description Changes how long unconnected peripherals are kept after they were last seen.
+ * @param {number} ttlMs - The TTL in milliseconds; 0 disables eviction.
+ * @throws {Error} If the TTL is not a non-negative integer.
+ */
+function setDeviceTtl(ttlMs) {
+  if (!Number.isInteger(ttlMs) || ttlMs < 0) {
+    throw new BleError('INVALID_REQUEST', 'Invalid device TTL');
+  }
+  const evicting = deviceTtlMs > 0;
+  deviceTtlMs = ttlMs;
+  // Without duplicates the adapter reports a device once per scan, so rescan when eviction is turned on or off.
+  if (scanState.scanning && !scanState.allowDuplicates && evicting !== ttlMs > 0) {
+    const remaining = scanState.stopsAt ? Math.max(Date.parse(scanState.stopsAt) - Date.now(), 1) : undefined;
+    startScan({ serviceUuids: scanState.serviceUuids, duration: remaining })
+      .catch(error => console.error('Error restarting scan after the device TTL changed:', error));
+  }
+  if (evictionTimer) {
+    clearInterval(evictionTimer);
+    evictionTimer = null;
+  }
+  if (discoveredPeripherals.length) {
+    ensureEvictionTimer();
+  }
+}
+
+/**
+ * @function getDeviceTtl
+ * @description Reports how long unconnected peripherals are kept after they were last seen.
+ * @returns {number} The TTL in milliseconds; 0 means eviction is disabled.
+ */
+function getDeviceTtl() {
+  return deviceTtlMs;
+}
+
+/**
+ * @function normalizeUuid
+ * @description Normalizes a UUID to the lowercase, dash-less form used by noble.
+ * @param {string} uuid - The UUID to normalize.
+ * @returns {string} The normalized UUID.
+ */
+function normalizeUuid(uuid) {
+  return String(uuid).toLowerCase().replace(/-/g, '');
+}
+
+/**
+ * @function clearScanTimer
+ * @description Cancels the pending auto-stop of a scan started with a duration.
+ */
+function clearScanTimer() {
+  if (scanTimer) {
+    clearTimeout(scanTimer);
+    scanTimer = null;
+  }
+  scanState.stopsAt = null;
+}
+
+/**
+ * @function isAdapterAvailable
+ * @description Checks whether the BLE adapter is powered on and usable.
+ * @returns {boolean} True if the adapter state is 'poweredOn'.
+ */
+function isAdapterAvailable() {
+  return noble.state === 'poweredOn';
+}
+
+/**
+ * @function adapterUnavailableError
+ * @description Builds the error returned by operations attempted while the adapter is not powered on.
+ * @returns {BleError} An ADAPTER_OFF error naming the current adapter state.
+ */
+function adapterUnavailableError() {
+  return new BleError('ADAPTER_OFF', 'Adapter unavailable (state: ' + (noble.state || 'unknown') + ')');
+}
+
+/**
+ * @function getAdapterInfo
+ * @description Reports the state of the BLE adapter.
+ * @returns {Object} The adapter state, whether it is available, whether a scan is running,
+ *                   the adapter address, the number of connected devices, when the state last changed
+ *                   and the backend (e.g. 'noble' or 'simulator').
+ */
+function getAdapterInfo() {
+  return {
+    backend: backendName,
+    state: noble.state || 'unknown',
+    available: isAdapterAvailable(),
+    scanning: scanState.scanning,
+    address: noble.address || null,
+    connectedDevices: Object.keys(connectedPeripherals).length,
+    lastStateChange
+  };
+}
+
+/**
+ * @function getScanStatus
+ * @description Reports whether a scan is running and with which options it was started.
+ * @returns {Object} The scan status: scanning, serviceUuids, allowDuplicates, duration,
+ *                   startedAt and stopsAt.
+ */
+function getScanStatus() {
+  return {
+    scanning: scanState.scanning,
+    serviceUuids: scanState.serviceUuids.slice(),
+    allowDuplicates: scanState.allowDuplicates,
+    duration: scanState.duration,
+    startedAt: scanState.startedAt,
+    stopsAt: scanState.stopsAt
+  };
+}
+
+/**
+ * @function startScan
+ * @description Starts (or restarts) scanning for BLE peripherals.
+ * @param {Object} [options={}] - Scan options.
+ * @param {Array<string>} [options.serviceUuids=[]] - Only report peripherals advertising one of these services.
+ * @param {boolean} [options.allowDuplicates=false] - Report every advertisement instead of once per peripheral.
+ *        While stale-device eviction is on, the adapter reports every advertisement anyway, so that
+ *        present devices keep being seen.
+ * @param {number} [options.duration] - Stop scanning automatically after this many milliseconds.
+ * @returns {Promise<Object>} A Promise that resolves with the scan status once scanning has started.
+ * @rejects {Error} If the options are invalid or the adapter refuses to start scanning.
+ */
+async function startScan(options = {}) {
+  const serviceUuids = (options.serviceUuids || []).map(normalizeUuid);
+  const allowDuplicates = !!options.allowDuplicates;
+  const duration = options.duration === undefined || options.duration === null ? null : options.duration;
+
+  if (duration !== null && (!Number.isInteger(duration) || duration <= 0)) {
+    return Promise.reject(new BleError('INVALID_REQUEST', 'Invalid scan duration'));
+  }
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
+  }
+
+  // A new scan replaces the previous session, including its auto-stop timer.
+  clearScanTimer();
+
+  return new Promise((resolve, reject) => {
+    noble.startScanning(serviceUuids, allowDuplicates || deviceTtlMs > 0, (error) => {
+      if (error) {
+        return reject(new Error('Failed to start scanning: ' + error.message));
+      }
+      scanState.scanning = true;
+      scanState.serviceUuids = serviceUuids;
+      scanState.allowDuplicates = allowDuplicates;
+      scanState.duration = duration;
+      scanState.startedAt = new Date().toISOString();
+
+      if (duration !== null) {
+        scanState.stopsAt = new Date(Date.now() + duration).toISOString();
+        scanTimer = setTimeout(() => {
+          scanTimer = null;
+          console.log('Scan duration of ' + duration + 'ms elapsed, stopping scan');
+          stopScan().catch(err => console.error('Error stopping scan after duration:', err));
+        }, duration);
+      }
+
+      console.log('Scanning started (services: ' + (serviceUuids.length ? serviceUuids.join(',') : 'all') +
+        ', allowDuplicates: ' + allowDuplicates + ')');
+      resolve(getScanStatus());
+    });
+  });
+}
+
+/**
+ * @function stopScan
+ * @description Stops scanning for BLE peripherals.
+ * @returns {Promise<Object>} A Promise that resolves with the scan status after scanning has stopped.
+ */
+async function stopScan() {
+  clearScanTimer();
+  // Not waiting for 'scanStop' here: noble never emits it when no scan was running.
+  noble.stopScanning();
+  scanState.scanning = false;
+  return Promise.resolve(getScanStatus());
+}
+
+/**
+ * @function companyIdOf
+ * @description Extracts the company identifier from manufacturer-specific advertisement data.
+ * @param {string|null} manufacturerData - The manufacturer data as hex.
+ * @returns {number|null} The little-endian 16-bit company identifier, or null without manufacturer data.
+ */
+function companyIdOf(manufacturerData) {
+  if (!manufacturerData || manufacturerData.length < 4) {
+    return null;
+  }
+  return Buffer.from(manufacturerData.slice(0, 4), 'hex').readUInt16LE(0);
+}
+
+/**
+ * @function isDevicePermitted
+ * @description Applies the device policy (see device-policy.js) to a peripheral, using its latest
+ * advertisement data.
+ * @param {Object} peripheral - The noble peripheral.
+ * @param {Object} [record] - Its advertisement record; looked up by peripheral ID if omitted.
+ * @returns {boolean} True if the policy permits the peripheral.
+ */
+function isDevicePermitted(peripheral, record = deviceRecords.get(peripheral.id)) {
+  const advertisement = record || snapshotAdvertisement(peripheral);
+  return devicePolicy.isPermitted({
+    id: peripheral.id,
+    address: peripheral.address,
+    name: advertisement.localName,
+    serviceUuids: advertisement.serviceUuids,
+    companyId: companyIdOf(advertisement.manufacturerData)
+  });
+}
+
+/**
+ * @function setDevicePolicy
+ * @description Replaces the device policy. Devices it rejects disappear from the device list and can
+ * no longer be connected; existing connections are kept.
+ * @param {Object} policy - { allow, deny } rule lists (see device-policy.js).
+ * @returns {Object} The active policy.
+ * @throws {Error} If the policy is invalid; the previous policy then stays active.
+ */
+function setDevicePolicy(policy) {
+  const active = devicePolicy.setPolicy(policy);
+  console.log('Device policy changed: ' + active.allow.length + ' allow and ' + active.deny.length + ' deny rules');
+  emitEvent('devicePolicyChanged', { allowRules: active.allow.length, denyRules: active.deny.length });
+  return active;
+}
+
+/**
+ * @function getWriteProtection
+ * @description Returns the write protection settings.
+ * @returns {Object} { readOnly, defaultAction, rules } (see write-protection.js).
+ */
+function getWriteProtection() {
+  return { readOnly: writeProtection.isReadOnly(), ...writeProtection.getWriteRules() };
+}
+
+/**
+ * @function setWriteProtection
+ * @description Changes read-only mode and/or the write rules. Omitted settings keep their current
+ * value; nothing changes if any setting is invalid.
+ * @param {Object} settings - { readOnly, defaultAction, rules }.
+ * @returns {Object} The active settings, as from getWriteProtection.
+ * @throws {Error} If a setting is invalid.
+ */
+function setWriteProtection(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid write rules: expected an object with readOnly, defaultAction and/or rules');
+  }
+  if (settings.readOnly !== undefined && typeof settings.readOnly !== 'boolean') {
+    throw new BleError('INVALID_REQUEST', 'Invalid read-only setting: must be a boolean');
+  }
+  if (settings.defaultAction !== undefined || settings.rules !== undefined) {
+    const current = writeProtection.getWriteRules();
+    writeProtection.setWriteRules({
+      defaultAction: settings.defaultAction === undefined ? current.defaultAction : settings.defaultAction,
+      rules: settings.rules === undefined ? current.rules : settings.rules
+    });
+  }
+  if (settings.readOnly !== undefined) {
+    writeProtection.setReadOnly(settings.readOnly);
+  }
+  const active = getWriteProtection();
+  console.log('Write protection changed: read-only ' + active.readOnly + ', ' + active.rules.length + ' write rules, default ' + active.defaultAction);
+  emitEvent('writeProtectionChanged', { readOnly: active.readOnly, defaultAction: active.defaultAction, rules: active.rules.length });
+  return active;
+}
+
+/**
+ * @function writeRefusal
+ * @description Checks a characteristic (or descriptor) write against read-only mode and the write rules.
+ * @param {Object} peripheral - The connected peripheral.
+ * @param {Object} address - The characteristic address from findCharacteristic.
+ * @param {string} valueHex - The value to write, as a hex string.
+ * @returns {BleError|null} The error to reject the write with (READ_ONLY or WRITE_REFUSED), or null if it is allowed.
+ */
+function writeRefusal(peripheral, address, valueHex) {
+  const reason = writeProtection.refusalReason({
+    deviceId: peripheral.id,
+    address: peripheral.address,
+    serviceUuid: address.serviceUuid,
+    characteristicUuid: address.characteristicUuid,
+    value: String(valueHex).toLowerCase()
+  });
+  if (!reason) {
+    return null;
+  }
+  return new BleError(writeProtection.isReadOnly() ? 'READ_ONLY' : 'WRITE_REFUSED', 'Write refused: ' + reason);
+}
+
+/**
+ * @function describeManufacturer
+ * @description Names the company that sent manufacturer-specific advertisement data.
+ * @param {string|null} manufacturerData - The manufacturer data as hex; it starts with the
+ *                                         little-endian 16-bit company identifier.
+ * @returns {Object|null} { companyId (e.g. `0x004c`), name } or null without manufacturer data.
+ */
+function describeManufacturer(manufacturerData) {
+  const companyId = companyIdOf(manufacturerData);
+  if (companyId === null) {
+    return null;
+  }
+  return {
+    companyId: '0x' + companyId.toString(16).padStart(4, '0'),
+    name: assignedNumbers.lookupCompany(companyId).name
+  };
+}
+
+/**
+ * @function latestRssi
+ * @description Returns the RSSI of a connected peripheral's latest sample, which is more recent
+ * than its last advertisement (peripherals stop advertising once connected).
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @param {number} advertisedRssi - The RSSI of the last advertisement.
+ * @returns {number} The RSSI in dBm.
+ */
+function latestRssi(peripheralId, advertisedRssi) {
+  const monitor = rssiMonitors.get(peripheralId);
+  const sample = connectedPeripherals[peripheralId] && monitor ? monitor.history.latest() : null;
+  return sample ? sample.rssi : advertisedRssi;
+}
 
 /**
  * @function getDiscoveredPeripherals
  * @description Retrieves a list of discovered BLE peripherals, formatted for client consumption.
  * @returns {Array<Object>} An array of objects, each representing a discovered peripheral
- *                          with properties like id, address, name, advertisedServices, and state.
+ *                          with properties like id, address, name, advertisedServices, and state,
+ *                          plus the latest advertisement data (rssi, txPowerLevel, manufacturerData,
+ *                          serviceData, serviceSolicitationUuids, addressType, connectable), the
+ *                          firstSeen/lastSeen times, the reconnect status, the manufacturer
+ *                          ({ companyId, name } from the manufacturer data, or null) and the
+ *                          negotiated ATT MTU of connected peripherals (null otherwise). Peripherals
+ *                          the device policy rejects are left out.
  */
 function getDiscoveredPeripherals() {
-  return discoveredPeripherals.map(peripheral => ({
-    id: peripheral.id,
-    address: peripheral.address,
-    name: peripheral.advertisement.localName,
-    advertisedServices: peripheral.advertisement.serviceUuids,
-    state: peripheral.state
-  }));
+  return discoveredPeripherals.filter(peripheral => isDevicePermitted(peripheral)).map(peripheral => {
+    // Noble updates the advertisement and RSSI of a peripheral in place, also on advertisements it does
+    // not report again (scans without duplicates), so read them from the peripheral rather than the record.
+    const seen = deviceRecords.get(peripheral.id) || {};
+    const record = snapshotAdvertisement(peripheral);
+    return {
+      id: peripheral.id,
+      address: peripheral.address,
+      addressType: record.addressType,
+      name: record.localName,
+      advertisedServices: record.serviceUuids,
+      state: peripheral.state,
+      connectable: record.connectable,
+      rssi: latestRssi(peripheral.id, record.rssi),
+      txPowerLevel: record.txPowerLevel,
+      manufacturerData: record.manufacturerData,
+      manufacturer: describeManufacturer(record.manufacturerData),
+      serviceData: record.serviceData,
+      serviceSolicitationUuids: record.serviceSolicitationUuids,
+      firstSeen: seen.firstSeen || null,
+      lastSeen: seen.lastSeen || null,
+      reconnect: getReconnectStatus(peripheral.id),
+      mtu: connectedPeripherals[peripheral.id] ? peripheral.mtu || DEFAULT_ATT_MTU : null
+    };
+  });
+}
+
+/**
+ * @function resolveReconnectPolicy
+ * @description Builds the reconnect policy for a connection from the configured defaults and
+ * the per-connection option.
+ * @param {boolean|Object} [option] - true/false to toggle the defaults, or an object overriding
+ *                                    enabled, maxAttempts, baseDelayMs, maxDelayMs and jitter.
+ * @returns {Object} The reconnect policy.
+ * @throws {Error} If the option is not a valid reconnect policy.
+ */
+function resolveReconnectPolicy(option) {
+  if (option === undefined || option === null) {
+    return Object.assign({}, defaultReconnectPolicy);
+  }
+  if (typeof option === 'boolean') {
+    return Object.assign({}, defaultReconnectPolicy, { enabled: option });
+  }
+  if (typeof option !== 'object' || Array.isArray(option)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid reconnect policy');
+  }
+  // Passing a policy object enables reconnects unless it says otherwise.
+  const policy = Object.assign({}, defaultReconnectPolicy, { enabled: true }, option);
+  if (typeof policy.enabled !== 'boolean' ||
+      !Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 0 ||
+      !Number.isInteger(policy.baseDelayMs) || policy.baseDelayMs <= 0 ||
+      !Number.isInteger(policy.maxDelayMs) || policy.maxDelayMs < policy.baseDelayMs ||
+      typeof policy.jitter !== 'number' || policy.jitter < 0 || policy.jitter > 1) {
+    throw new BleError('INVALID_REQUEST', 'Invalid reconnect policy');
+  }
+  return policy;
+}
+
+/**
+ * @function resolveConnectTimeouts
+ * @description Builds the connect and discovery timeouts for a connection from the configured
+ * defaults and the per-connection options.
+ * @param {Object} options - Connection options with optional timeoutMs and discoveryTimeoutMs.
+ * @returns {Object} { connectTimeoutMs, discoveryTimeoutMs }.
+ * @throws {Error} If a timeout is not a positive integer.
+ */
+function resolveConnectTimeouts(options) {
+  const timeouts = {
+    connectTimeoutMs: options.timeoutMs === undefined ? defaultConnectTimeoutMs : options.timeoutMs,
+    discoveryTimeoutMs: options.discoveryTimeoutMs === undefined ? defaultDiscoveryTimeoutMs : options.discoveryTimeoutMs
+  };
+  if (!Number.isInteger(timeouts.connectTimeoutMs) || timeouts.connectTimeoutMs <= 0 ||
+      !Number.isInteger(timeouts.discoveryTimeoutMs) || timeouts.discoveryTimeoutMs <= 0) {
+    throw new BleError('INVALID_REQUEST', 'Invalid connection timeout');
+  }
+  return timeouts;
+}
+
+/**
+ * @function computeBackoffDelay
+ * @description Computes the delay before a reconnect attempt: exponential backoff capped at
+ * maxDelayMs, reduced by a random share of up to `jitter` so devices that dropped together
+ * do not all reconnect at the same moment.
+ * @param {Object} policy - The reconnect policy.
+ * @param {number} attempt - The number of attempts made so far.
+ * @returns {number} The delay in milliseconds.
+ */
+function computeBackoffDelay(policy, attempt) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt));
+  return Math.round(exponential * (1 - policy.jitter * Math.random()));
+}
+
+/**
+ * @function getReconnectStatus
+ * @description Reports the reconnect state of a peripheral.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @returns {Object|null} The reconnect status (enabled, status, attempts, maxAttempts, nextAttemptAt),
+ *                        or null if the peripheral has no tracked connection.
+ */
+function getReconnectStatus(peripheralId) {
+  const entry = reconnectStates.get(peripheralId);
+  if (!entry) {
+    return null;
+  }
+  return {
+    enabled: entry.policy.enabled,
+    status: entry.status,
+    attempts: entry.attempts,
+    maxAttempts: entry.policy.maxAttempts,
+    nextAttemptAt: entry.nextAttemptAt
+  };
+}
+
+/**
+ * @function trackConnection
+ * @description Watches an established connection for unexpected disconnects for as long as it lasts.
+ * @param {Object} peripheral - The connected noble peripheral.
+ * @param {Object} policy - The reconnect policy of the connection.
+ * @param {Object} timeouts - The connect and discovery timeouts, reused for reconnect attempts.
+ * @param {Object} [discovery={}] - The discovery options of the connection, reused for reconnect attempts.
+ */
+function trackConnection(peripheral, policy, timeouts, discovery = {}) {
+  const previous = reconnectStates.get(peripheral.id);
+  if (previous) {
+    peripheral.removeListener('disconnect', previous.onDisconnect);
+  }
+  const entry = {
+    peripheral,
+    policy,
+    timeouts,
+    // A forced rediscovery applies to the connection it was asked for, not to reconnects.
+    discovery: { ...discovery, forceRediscover: false },
+    status: 'connected',
+    attempts: 0,
+    nextAttemptAt: null,
+    timer: null,
+    onDisconnect: (reason) => handleUnexpectedDisconnect(peripheral, reason)
+  };
+  peripheral.on('disconnect', entry.onDisconnect);
+  reconnectStates.set(peripheral.id, entry);
+}
+
+/**
+ * @function cancelReconnect
+ * @description Stops watching a connection and cancels any pending reconnect attempt.
+ * @param {string} peripheralId - The ID of the peripheral.
+ */
+function cancelReconnect(peripheralId) {
+  const entry = reconnectStates.get(peripheralId);
+  if (!entry) {
+    return;
+  }
+  if (entry.timer) {
+    clearTimeout(entry.timer);
+  }
+  entry.peripheral.removeListener('disconnect', entry.onDisconnect);
+  reconnectStates.delete(peripheralId);
+}
+
+/**
+ * @function handleUnexpectedDisconnect
+ * @description Untracks a peripheral whose link dropped without disconnectDevice being called,
+ * and schedules a reconnect if its policy allows it.
+ * @param {Object} peripheral - The noble peripheral that disconnected.
+ * @param {*} [reason] - The disconnect reason reported by noble.
+ */
+function handleUnexpectedDisconnect(peripheral, reason) {
+  const entry = reconnectStates.get(peripheral.id);
+  if (!entry) {
+    return;
+  }
+  peripheral.removeListener('disconnect', entry.onDisconnect);
+  delete connectedPeripherals[peripheral.id];
+  discoveryModes.delete(peripheral.id);
+  clearGattQueue(peripheral.id);
+  touchDevice(peripheral.id);
+  console.log('Peripheral disconnected unexpectedly: ' + peripheral.id);
+  emitEvent('deviceDisconnected', { deviceId: peripheral.id, reason: reason === undefined ? null : reason, expected: false });
+  sessionRecorder.record(peripheral.id, 'disconnect', { reason: reason === undefined ? null : String(reason), expected: false });
+
+  if (!entry.policy.enabled) {
+    reconnectStates.delete(peripheral.id);
+    deviceSubscriptions.delete(peripheral.id);
+    clearRssiMonitor(peripheral.id);
+    return;
+  }
+  scheduleReconnect(entry);
+}
+
+/**
+ * @function scheduleReconnect
+ * @description Schedules the next reconnect attempt with backoff, or gives up once the
+ * policy's maximum number of attempts has been reached.
+ * @param {Object} entry - The reconnect state of the peripheral.
+ */
+function scheduleReconnect(entry) {
+  const peripheralId = entry.peripheral.id;
+  if (entry.attempts >= entry.policy.maxAttempts) {
+    entry.status = 'failed';
+    entry.nextAttemptAt = null;
+    deviceSubscriptions.delete(peripheralId);
+    clearRssiMonitor(peripheralId);
+    console.log('Giving up reconnecting to ' + peripheralId + ' after ' + entry.attempts + ' attempts');
+    emitEvent('reconnectFailed', { deviceId: peripheralId, attempts: entry.attempts });
+    return;
+  }
+  const delay = computeBackoffDelay(entry.policy, entry.attempts);
+  entry.status = 'waiting';
+  entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  emitEvent('reconnectScheduled', { deviceId: peripheralId, attempt: entry.attempts + 1, delayMs: delay });
+  entry.timer = setTimeout(() => attemptReconnect(entry), delay);
+}
+
+/**
+ * @function attemptReconnect
+ * @description Makes one reconnect attempt and restores the peripheral's subscriptions on success.
+ * @param {Object} entry - The reconnect state of the peripheral.
+ */
+function attemptReconnect(entry) {
+  const peripheral = entry.peripheral;
+  entry.timer = null;
+  entry.attempts += 1;
+  entry.status = 'reconnecting';
+  entry.nextAttemptAt = null;
+  console.log('Reconnect attempt ' + entry.attempts + ' for peripheral: ' + peripheral.id);
+
+  const attempt = isAdapterAvailable() ? openConnection(peripheral, entry.timeouts, entry.discovery) : Promise.reject(adapterUnavailableError());
+  attempt.then(() => {
+    if (reconnectStates.get(peripheral.id) !== entry) {
+      // The reconnect was cancelled while this attempt was in flight.
+      peripheral.disconnect();
+      return;
+    }
+    const attempts = entry.attempts;
+    trackConnection(peripheral, entry.policy, entry.timeouts, entry.discovery);
+    emitEvent('deviceReconnected', { deviceId: peripheral.id, attempts });
+    return restoreSubscriptions(peripheral.id);
+  }).catch(error => {
+    console.error('Reconnect attempt failed for ' + peripheral.id + ':', error.message);
+    if (reconnectStates.get(peripheral.id) === entry) {
+      scheduleReconnect(entry);
+    }
+  });
+}
+
+/**
+ * @function restoreSubscriptions
+ * @description Re-subscribes to every characteristic a reconnected peripheral was subscribed to.
+ * @param {string} peripheralId - The ID of the reconnected peripheral.
+ * @returns {Promise<void>} A Promise that resolves once all subscriptions were attempted.
+ */
+function restoreSubscriptions(peripheralId) {
+  const subscriptions = deviceSubscriptions.get(peripheralId);
+  if (!subscriptions) {
+    return Promise.resolve();
+  }
+  return Promise.all(Array.from(subscriptions.entries()).map(([key, subscription]) => {
+    // The subscription ended with the link: subscribe again and hand it all its callbacks.
+    subscription.characteristic.removeListener('data', subscription.listener);
+    subscriptions.delete(key);
+    const [first, ...others] = subscription.callbacks;
+    return addSubscription(peripheralId, subscription.address, first)
+      .then(() => Promise.all(others.map(callback => addSubscription(peripheralId, subscription.address, callback))))
+      .catch(error => {
+        console.error('Failed to restore subscription to ' + key + ' on ' + peripheralId + ':', error.message);
+        // Keep it, so the next reconnect tries again.
+        if (!subscriptions.has(key)) {
+          subscriptions.set(key, subscription);
+        }
+      });
+  })).then(() => undefined);
 }
 
 /**
  * @function connectDevice
  * @description Connects to a specified BLE peripheral by its ID.
- * Discovers all services and characteristics upon successful connection.
+ * Discovers its services and characteristics (or restores them from the GATT cache) upon successful connection.
  * @param {string} peripheralId - The ID of the peripheral to connect to.
+ * @param {Object} [options={}] - Connection options.
+ * @param {boolean|Object} [options.reconnect] - Reconnect policy for unexpected disconnects: true/false,
+ *                                               or { enabled, maxAttempts, baseDelayMs, maxDelayMs, jitter }.
+ *                                               Defaults to the RECONNECT_* environment settings.
+ * @param {number} [options.timeoutMs] - Abort the connection attempt after this many milliseconds
+ *                                       (default CONNECT_TIMEOUT_MS or 15000).
+ * @param {number} [options.discoveryTimeoutMs] - Abort if service discovery takes longer than this
+ *                                                (default DISCOVERY_TIMEOUT_MS or 30000).
+ * @param {number} [options.rssiIntervalMs] - Sample the RSSI of the connection this often (0 disables;
+ *                                            default RSSI_SAMPLE_INTERVAL_MS, or off).
+ * @param {Array<string>} [options.services] - Discover only these services at connect; the others are
+ *                                             discovered on first access. Ignored when the GATT cache
+ *                                             has the device's layout.
+ * @param {boolean} [options.forceRediscover=false] - Ignore (and replace) the cached GATT layout.
  * @returns {Promise<Object>} A Promise that resolves with an object containing peripheral
- *                            information (id, name, state) on successful connection and
- *                            service/characteristic discovery.
- * @rejects {Error} If the peripheral is not found, already connected/connecting,
- *                  or if connection/discovery fails.
+ *                            information (id, name, state) and how its GATT layout was obtained
+ *                            (discovery: 'full', 'partial' or 'cache') on successful connection.
+ * @rejects {Error} If the peripheral is not found, not permitted by the device policy,
+ *                  already connected/connecting, or if connection/discovery fails, times out or is cancelled.
  */
-async function connectDevice(peripheralId) {
+async function connectDevice(peripheralId, options = {}) {
   const peripheral = discoveredPeripherals.find(p => p.id === peripheralId);
 
   if (!peripheral) {
-    return Promise.reject(new Error('Peripheral not found'));
+    return Promise.reject(new BleError('DEVICE_NOT_FOUND', 'Peripheral not found'));
+  }
+  if (!isDevicePermitted(peripheral)) {
+    return Promise.reject(new BleError('DEVICE_NOT_PERMITTED', 'Peripheral not permitted by the device policy'));
+  }
+  if (writeProtection.isReadOnly()) {
+    return Promise.reject(new BleError('READ_ONLY', 'Connection refused: the gateway is read-only'));
+  }
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
+  }
+
+  let policy;
+  let timeouts;
+  let discovery;
+  const rssiIntervalMs = options.rssiIntervalMs === undefined ? defaultRssiIntervalMs : options.rssiIntervalMs;
+  try {
+    policy = resolveReconnectPolicy(options.reconnect);
+    timeouts = resolveConnectTimeouts(options);
+    discovery = resolveDiscoveryOptions(options);
+    if (rssiIntervalMs !== 0) validateRssiInterval(rssiIntervalMs);
+  } catch (error) {
+    return Promise.reject(error);
   }
 
   // Check if already connected or in the process of connecting.
@@ -81,48 +948,338 @@ async function connectDevice(peripheralId) {
     if(peripheral.state === 'connected' && connectedPeripherals[peripheral.id]) {
         console.log('Peripheral already connected: ' + peripheral.id);
         // Resolve if already connected and tracked in connectedPeripherals.
-        return Promise.resolve({ id: peripheral.id, name: peripheral.advertisement.localName, state: peripheral.state });
+        return Promise.resolve({ id: peripheral.id, name: peripheral.advertisement.localName, state: peripheral.state, discovery: discoveryModes.get(peripheral.id) });
     }
-    return Promise.reject(new Error('Peripheral already connected or connecting'));
+    return Promise.reject(new BleError('ALREADY_CONNECTED', 'Peripheral already connected or connecting'));
   }
 
-  console.log('Attempting to connect to peripheral: ' + peripheral.id);
+  // An explicit connect replaces a pending automatic reconnect.
+  cancelReconnect(peripheral.id);
 
-  return new Promise((resolve, reject) => {
-    const onConnect = () => {
-      // Clean up listeners for this specific connection attempt to avoid multiple firings.
-      peripheral.removeListener('disconnect', onDisconnectDuringConnection);
-      peripheral.removeListener('error', onErrorDuringConnection);
+  console.log('Attempting to connect to peripheral: ' + peripheral.id);
 
-      connectedPeripherals[peripheral.id] = peripheral; // Track connected peripheral.
-      console.log('Connected to peripheral: ' + peripheral.id);
+  const result = await openConnection(peripheral, timeouts, discovery);
+  trackConnection(peripheral, policy, timeouts, discovery);
+  emitEvent('deviceConnected', { deviceId: peripheral.id, name: result.name });
+  if (rssiIntervalMs > 0) {
+    startRssiSampler(peripheral.id, { intervalMs: rssiIntervalMs });
+  }
+  return result;
+}
 
-      // After connecting, discover all services and characteristics.
-      peripheral.discoverAllServicesAndCharacteristics((error, services, characteristics) => {
-        if (error) {
-          console.error('Error discovering services/characteristics for ' + peripheral.id + ': ', error);
-          // Reject if discovery fails, as it's crucial for later operations.
-          delete connectedPeripherals[peripheral.id]; // Untrack on error post-connect.
-          return reject(new Error('Failed to discover services/characteristics: ' + error.message));
-        }
-        console.log('Discovered services for ' + peripheral.id + ':', services.map(s => s.uuid));
-        resolve({ id: peripheral.id, name: peripheral.advertisement.localName, state: peripheral.state });
-      });
-    };
+/**
+ * @function resolveDiscoveryOptions
+ * @description Validates the discovery options of a connection.
+ * @param {Object} options - Connection options with optional services and forceRediscover.
+ * @returns {Object} { services: normalized UUIDs or null for a full discovery, forceRediscover }.
+ * @throws {Error} If services is not an array of strings or forceRediscover is not a boolean.
+ */
+function resolveDiscoveryOptions(options) {
+  const { services, forceRediscover = false } = options;
+  if (services !== undefined && (!Array.isArray(services) || services.some(uuid => typeof uuid !== 'string' || uuid.length === 0))) {
+    throw new BleError('INVALID_REQUEST', 'Invalid discovery options: services must be an array of UUIDs');
+  }
+  if (typeof forceRediscover !== 'boolean') {
+    throw new BleError('INVALID_REQUEST', 'Invalid discovery options: forceRediscover must be a boolean');
+  }
+  return { services: services && services.length > 0 ? services.map(normalizeUuid) : null, forceRediscover };
+}
 
-    const onDisconnectDuringConnection = () => {
-      // Handles unexpected disconnects during the connection or discovery process.
-      peripheral.removeListener('connect', onConnect);
-      peripheral.removeListener('error', onErrorDuringConnection);
-      delete connectedPeripherals[peripheral.id]; // Ensure peripheral is untracked.
-      console.log('Disconnected from peripheral: ' + peripheral.id + ' (during connection attempt or unexpectedly)');
-      reject(new Error('Peripheral disconnected during connection process'));
-    };
+/**
+ * @function discoverGatt
+ * @description Obtains the GATT layout of a freshly connected peripheral: from the GATT cache if it
+ * has the device (unless forceRediscover), else by discovering the listed services only, else by a
+ * full discovery whose result is cached. Afterwards it watches Service Changed indications.
+ * @param {Object} peripheral - The connected noble peripheral.
+ * @param {Object} discovery - { services, forceRediscover } from resolveDiscoveryOptions.
+ * @returns {Promise<string>} A Promise that resolves with the discovery mode: 'cache', 'partial' or 'full'.
+ * @rejects {Error} If the discovery fails.
+ */
+function discoverGatt(peripheral, discovery) {
+  let discovered;
+  if (discovery.forceRediscover) {
+    gattCache.remove(peripheral.address);
+  }
+  if (!discovery.forceRediscover && restoreGattLayout(peripheral)) {
+    discovered = Promise.resolve('cache');
+  } else if (discovery.services) {
+    // Generic Attribute (0x1801) carries Service Changed, which invalidates the layout.
+    const serviceUuids = discovery.services.includes('1801') ? discovery.services : discovery.services.concat('1801');
+    discovered = new Promise((resolve, reject) => {
+      peripheral.discoverSomeServicesAndCharacteristics(serviceUuids, [], (error) => (error ? reject(error) : resolve('partial')));
+    });
+  } else {
+    discovered = discoverAllAndCache(peripheral).then(() => 'full');
+  }
+  return discovered.then(mode => {
+    discoveryModes.set(peripheral.id, mode);
+    watchServiceChanged(peripheral);
+    return mode;
+  });
+}
 
-    const onErrorDuringConnection = (error) => {
-      // Handles errors emitted by the peripheral object during connection.
+/**
+ * @function discoverAllAndCache
+ * @description Discovers every service and characteristic of a peripheral and stores the layout,
+ * with the ATT handles noble reports in its servicesDiscovered / characteristicsDiscovered events,
+ * in the GATT cache.
+ * @param {Object} peripheral - The connected noble peripheral.
+ * @returns {Promise<void>} A Promise that resolves once the discovery has completed.
+ * @rejects {Error} If the discovery fails.
+ */
+function discoverAllAndCache(peripheral) {
+  const layout = { services: null, characteristics: {} };
+  const onServicesDiscovered = (p, services) => {
+    layout.services = services;
+  };
+  // Registered before noble's own listener, so it sees each service before its characteristics are discovered.
+  const onServicesDiscover = (services) => {
+    services.forEach(service => service.once('characteristicsDiscovered', (characteristics) => {
+      layout.characteristics[service.uuid] = characteristics;
+    }));
+  };
+  peripheral.on('servicesDiscovered', onServicesDiscovered);
+  peripheral.once('servicesDiscover', onServicesDiscover);
+
+  return new Promise((resolve, reject) => {
+    peripheral.discoverAllServicesAndCharacteristics((error) => {
+      peripheral.removeListener('servicesDiscovered', onServicesDiscovered);
+      peripheral.removeListener('servicesDiscover', onServicesDiscover);
+      if (error) {
+        return reject(error);
+      }
+      const complete = layout.services && layout.services.every(s => layout.characteristics[s.uuid]);
+      if (complete && gattCache.save(peripheral.address, layout)) {
+        console.log('Cached GATT layout of ' + peripheral.id);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * @function restoreGattLayout
+ * @description Recreates the services and characteristics of a peripheral from the GATT cache
+ * through noble's addServices / addCharacteristics, skipping discovery. Only noble's HCI socket
+ * bindings accept a restored layout (they need the ATT handles).
+ * @param {Object} peripheral - The connected noble peripheral.
+ * @returns {boolean} True if the layout was restored.
+ */
+function restoreGattLayout(peripheral) {
+  if (typeof noble.addServices !== 'function' || !noble._bindings || typeof noble._bindings.addService !== 'function') {
+    return false;
+  }
+  const entry = gattCache.load(peripheral.address);
+  if (!entry) {
+    return false;
+  }
+  try {
+    peripheral.services = [];
+    noble.addServices(peripheral.id, entry.services).forEach(service => {
+      const cached = entry.characteristics[service.uuid] || [];
+      const characteristics = noble.addCharacteristics(peripheral.id, service.uuid, cached) || [];
+      // noble passes the numeric ATT properties on to the characteristics; use the decoded names.
+      characteristics.forEach((characteristic, i) => {
+        characteristic.properties = cached[i].propsDecoded || characteristic.properties;
+      });
+    });
+    return true;
+  } catch (error) {
+    console.error('Failed to restore cached GATT layout of ' + peripheral.id + ':', error.message);
+    gattCache.remove(peripheral.address);
+    peripheral.services = [];
+    return false;
+  }
+}
+
+/**
+ * @function watchServiceChanged
+ * @description Enables Service Changed (0x2a05) indications of a peripheral, if it has the
+ * characteristic. An indication means the device's GATT layout changed: the cached layout is
+ * dropped and the peripheral is rediscovered.
+ * @param {Object} peripheral - The connected noble peripheral.
+ */
+function watchServiceChanged(peripheral) {
+  const service = (peripheral.services || []).find(s => s.uuid === '1801');
+  const serviceChanged = service && (service.characteristics || []).find(c => c.uuid === '2a05');
+  if (!serviceChanged || !serviceChanged.properties || !serviceChanged.properties.includes('indicate')) {
+    return;
+  }
+  serviceChanged.on('data', () => {
+    if (connectedPeripherals[peripheral.id] !== peripheral) {
+      return;
+    }
+    console.log('Service Changed indicated by ' + peripheral.id + '; rediscovering');
+    gattCache.remove(peripheral.address);
+    emitEvent('gattChanged', { deviceId: peripheral.id });
+    rediscoverDevice(peripheral.id).catch(error => {
+      console.error('Rediscovery after Service Changed failed for ' + peripheral.id + ':', error.message);
+    });
+  });
+  getGattQueue(peripheral.id).enqueue(() => new Promise((resolve, reject) => {
+    serviceChanged.subscribe(error => (error ? reject(error) : resolve()));
+  }), { label: 'subscribe 2a05' }).catch(error => {
+    console.error('Failed to enable Service Changed indications for ' + peripheral.id + ':', error.message);
+  });
+}
+
+/**
+ * @function completeDiscovery
+ * @description Runs a full discovery on a connected peripheral (as one queued GATT operation, so it
+ * does not overlap reads and writes), caches the new layout and restores the subscriptions on the
+ * rediscovered characteristics. Concurrent calls share one discovery.
+ * @param {Object} peripheral - The connected noble peripheral.
+ * @returns {Promise<void>} A Promise that resolves once the layout is complete.
+ * @rejects {Error} If the discovery fails or times out.
+ */
+function completeDiscovery(peripheral) {
+  const pending = pendingDiscoveries.get(peripheral.id);
+  if (pending) {
+    return pending;
+  }
+  const discovery = getGattQueue(peripheral.id).enqueue(() => discoverAllAndCache(peripheral), {
+    label: 'discover services',
+    priority: 'high',
+    timeoutMs: defaultDiscoveryTimeoutMs
+  }).then(() => {
+    discoveryModes.set(peripheral.id, 'full');
+    sessionRecorder.record(peripheral.id, 'gatt', { services: describeGattTree(peripheral) });
+    watchServiceChanged(peripheral);
+    return restoreSubscriptions(peripheral.id);
+  }).finally(() => {
+    pendingDiscoveries.delete(peripheral.id);
+  });
+  pendingDiscoveries.set(peripheral.id, discovery);
+  return discovery;
+}
+
+/**
+ * @function retryAfterDiscovery
+ * @description Handles a failed service or characteristic lookup on a partially discovered
+ * peripheral: completes the discovery and retries the operation once.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @param {Error} error - The lookup error.
+ * @param {function(): Promise<*>} retry - Repeats the operation.
+ * @returns {Promise<*>} The result of the retried operation.
+ * @rejects {Error} The original error if the lookup failed for another reason or the layout is complete.
+ */
+function retryAfterDiscovery(peripheralId, error, retry) {
+  const peripheral = connectedPeripherals[peripheralId];
+  const lookupFailed = error.code === 'SERVICE_NOT_FOUND' || error.code === 'CHAR_NOT_FOUND';
+  if (!peripheral || !lookupFailed || discoveryModes.get(peripheralId) !== 'partial') {
+    return Promise.reject(error);
+  }
+  return completeDiscovery(peripheral).then(retry);
+}
+
+/**
+ * @function rediscoverDevice
+ * @description Discards the GATT layout of a connected peripheral (and its cache entry) and
+ * discovers it again, restoring subscriptions afterwards.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @returns {Promise<Object>} A Promise that resolves with the peripheral id, discovery mode ('full')
+ *                            and the rediscovered services (see getServices).
+ * @rejects {Error} If the peripheral is not connected, the adapter is unavailable or discovery fails.
+ */
+async function rediscoverDevice(peripheralId) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
+  }
+  gattCache.remove(peripheral.address);
+  await completeDiscovery(peripheral);
+  return { id: peripheralId, discovery: 'full', services: describeServices(peripheral.services) };
+}
+
+/**
+ * @function openConnection
+ * @description Connects to a peripheral and obtains its services and characteristics (see discoverGatt).
+ * The attempt is aborted if either phase exceeds its timeout, or when cancelConnect is called.
+ * @param {Object} peripheral - The noble peripheral to connect to.
+ * @param {Object} timeouts - { connectTimeoutMs, discoveryTimeoutMs }.
+ * @param {Object} [discovery={}] - { services, forceRediscover } from resolveDiscoveryOptions.
+ * @returns {Promise<Object>} A Promise that resolves with the peripheral id, name, state and discovery mode.
+ * @rejects {Error} If the connection or the discovery fails, times out or is cancelled.
+ */
+function openConnection(peripheral, timeouts, discovery = {}) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let timer = null;
+
+    const cleanup = () => {
+      settled = true;
+      clearTimeout(timer);
+      pendingConnections.delete(peripheral.id);
       peripheral.removeListener('connect', onConnect);
       peripheral.removeListener('disconnect', onDisconnectDuringConnection);
+      peripheral.removeListener('error', onErrorDuringConnection);
+    };
+
+    // Aborts the attempt in either phase and leaves the peripheral ready for a new connect.
+    const abort = (error) => {
+      if (settled) return;
+      const wasConnected = !!connectedPeripherals[peripheral.id];
+      cleanup();
+      delete connectedPeripherals[peripheral.id];
+      if (wasConnected || peripheral.state === 'connected') {
+        peripheral.disconnect();
+      } else if (typeof peripheral.cancelConnect === 'function') {
+        peripheral.cancelConnect();
+      }
+      peripheral.state = 'disconnected';
+      console.log('Aborted connection to peripheral ' + peripheral.id + ': ' + error.message);
+      reject(error);
+    };
+
+    const onConnect = (error) => {
+      if (settled) return;
+      if (error) {
+        // noble reports failed and cancelled connections through the 'connect' event.
+        return onErrorDuringConnection(error);
+      }
+      // Only the discovery phase remains; the disconnect listener stays until it completes.
+      peripheral.removeListener('error', onErrorDuringConnection);
+      clearTimeout(timer);
+      timer = setTimeout(() => abort(new BleError('TIMEOUT', 'Service discovery timed out')), timeouts.discoveryTimeoutMs);
+
+      connectedPeripherals[peripheral.id] = peripheral; // Track connected peripheral.
+      touchDevice(peripheral.id);
+      console.log('Connected to peripheral: ' + peripheral.id);
+
+      // After connecting, discover (or restore) the services and characteristics.
+      discoverGatt(peripheral, discovery).then(mode => {
+        if (settled) return;
+        cleanup();
+        console.log('Discovered services for ' + peripheral.id + ' (' + mode + '):', peripheral.services.map(s => s.uuid));
+        sessionRecorder.record(peripheral.id, 'connect', { discovery: mode });
+        sessionRecorder.record(peripheral.id, 'gatt', { services: describeGattTree(peripheral) });
+        resolve({ id: peripheral.id, name: peripheral.advertisement.localName, state: peripheral.state, discovery: mode });
+      }, error => {
+        if (settled) return;
+        console.error('Error discovering services/characteristics for ' + peripheral.id + ': ', error);
+        // Reject if discovery fails, as it's crucial for later operations.
+        cleanup();
+        delete connectedPeripherals[peripheral.id]; // Untrack on error post-connect.
+        reject(new Error('Failed to discover services/characteristics: ' + error.message));
+      });
+    };
+
+    const onDisconnectDuringConnection = () => {
+      // Handles unexpected disconnects during the connection or discovery process.
+      if (settled) return;
+      cleanup();
+      delete connectedPeripherals[peripheral.id]; // Ensure peripheral is untracked.
+      console.log('Disconnected from peripheral: ' + peripheral.id + ' (during connection attempt or unexpectedly)');
+      reject(new BleError('DISCONNECTED', 'Peripheral disconnected during connection process'));
+    };
+
+    const onErrorDuringConnection = (error) => {
+      // Handles errors emitted by the peripheral object during connection.
+      if (settled) return;
+      cleanup();
       console.error('Connection error for ' + peripheral.id + ':', error);
       reject(error);
     };
@@ -132,354 +1289,1781 @@ async function connectDevice(peripheralId) {
     peripheral.once('disconnect', onDisconnectDuringConnection);
     peripheral.once('error', onErrorDuringConnection);
 
+    pendingConnections.set(peripheral.id, { abort });
+    timer = setTimeout(() => abort(new BleError('TIMEOUT', 'Connection timed out')), timeouts.connectTimeoutMs);
+
     // Initiate the connection.
     peripheral.connect(error => {
       if (error) {
-        // Handles immediate errors from the .connect() call (e.g., device not available).
-        onErrorDuringConnection(error);
+        // Handles immediate errors from the .connect() call (e.g., device not available).
+        onErrorDuringConnection(error);
+      }
+    });
+  });
+}
+
+/**
+ * @function cancelConnect
+ * @description Cancels a pending connection attempt (including an automatic reconnect) and
+ * resets the peripheral so it can be connected again.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @returns {Promise<Object>} A Promise that resolves with the peripheral ID and a success message.
+ * @rejects {Error} If the peripheral is not found or no connection attempt is pending.
+ */
+async function cancelConnect(peripheralId) {
+  const pending = pendingConnections.get(peripheralId);
+  const peripheral = discoveredPeripherals.find(p => p.id === peripheralId);
+
+  if (!pending && !peripheral) {
+    return Promise.reject(new BleError('DEVICE_NOT_FOUND', 'Peripheral not found'));
+  }
+  if (!pending && peripheral.state !== 'connecting') {
+    return Promise.reject(new BleError('NO_PENDING_CONNECTION', 'No pending connection for this peripheral'));
+  }
+
+  console.log('Cancelling connection attempt for peripheral: ' + peripheralId);
+  // A cancelled connect must not be retried by the reconnect logic.
+  cancelReconnect(peripheralId);
+  deviceSubscriptions.delete(peripheralId);
+
+  if (pending) {
+    pending.abort(new BleError('CANCELLED', 'Connection cancelled'));
+  } else {
+    // Stuck in 'connecting' without an attempt of ours: reset the noble state directly.
+    if (typeof peripheral.cancelConnect === 'function') {
+      peripheral.cancelConnect();
+    }
+    peripheral.state = 'disconnected';
+  }
+  return Promise.resolve({ id: peripheralId, message: 'Connection cancelled' });
+}
+
+/**
+ * @function disconnectDevice
+ * @description Disconnects from a specified BLE peripheral. Also cancels a pending automatic
+ * reconnect of a peripheral that dropped its link.
+ * @param {string} peripheralId - The ID of the peripheral to disconnect from.
+ * @returns {Promise<Object>} A Promise that resolves with an object containing the
+ *                            peripheral ID and a success message.
+ * @rejects {Error} If the peripheral is not connected or not found in the connected list,
+ *                  or if the disconnect call fails.
+ */
+async function disconnectDevice(peripheralId) {
+  const peripheral = connectedPeripherals[peripheralId];
+
+  if (!peripheral) {
+    const entry = reconnectStates.get(peripheralId);
+    if (entry && entry.status !== 'connected') {
+      cancelReconnect(peripheralId);
+      deviceSubscriptions.delete(peripheralId);
+      clearRssiMonitor(peripheralId);
+      console.log('Cancelled reconnecting to peripheral: ' + peripheralId);
+      return Promise.resolve({ id: peripheralId, message: 'Reconnect cancelled' });
+    }
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected or not found'));
+  }
+
+  console.log('Attempting to disconnect from peripheral: ' + peripheral.id);
+  // A requested disconnect must not trigger an automatic reconnect.
+  cancelReconnect(peripheral.id);
+  deviceSubscriptions.delete(peripheral.id);
+  clearRssiMonitor(peripheral.id);
+
+  return new Promise((resolve, reject) => {
+    // Listen for the 'disconnect' event.
+    peripheral.once('disconnect', () => {
+      delete connectedPeripherals[peripheral.id]; // Untrack peripheral.
+      discoveryModes.delete(peripheral.id);
+      clearGattQueue(peripheral.id);
+      touchDevice(peripheral.id); // Restart its TTL now that it advertises again.
+      console.log('Successfully disconnected from peripheral: ' + peripheral.id);
+      emitEvent('deviceDisconnected', { deviceId: peripheral.id, reason: null, expected: true });
+      sessionRecorder.record(peripheral.id, 'disconnect', { reason: null, expected: true });
+      resolve({ id: peripheral.id, message: 'Disconnected successfully' });
+    });
+
+    // Initiate disconnection.
+    peripheral.disconnect(error => {
+      if (error) {
+        console.error('Error during disconnect call for ' + peripheral.id + ':', error);
+        reject(error); // Reject if the disconnect call itself errors.
+      }
+      // If no error, the 'disconnect' event handler will resolve the promise.
+    });
+  });
+}
+
+/**
+ * @function validateRssiInterval
+ * @description Checks a sampling interval for the RSSI sampler.
+ * @param {number} intervalMs - The interval in milliseconds.
+ * @throws {Error} If the interval is not an integer of at least MIN_RSSI_INTERVAL_MS.
+ */
+function validateRssiInterval(intervalMs) {
+  if (!Number.isInteger(intervalMs) || intervalMs < MIN_RSSI_INTERVAL_MS) {
+    throw new BleError('INVALID_REQUEST', 'Invalid RSSI interval: must be at least ' + MIN_RSSI_INTERVAL_MS + ' ms');
+  }
+}
+
+/**
+ * @function getRssiMonitor
+ * @description Returns the RSSI history and sampler state of a peripheral, creating it on first use.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @returns {Object} { history, intervalMs, timer, quality }.
+ */
+function getRssiMonitor(peripheralId) {
+  let monitor = rssiMonitors.get(peripheralId);
+  if (!monitor) {
+    monitor = { history: new RssiHistory(), intervalMs: null, timer: null, quality: null };
+    rssiMonitors.set(peripheralId, monitor);
+  }
+  return monitor;
+}
+
+/**
+ * @function clearRssiMonitor
+ * @description Stops the RSSI sampler of a peripheral whose connection ended and drops its history.
+ * @param {string} peripheralId - The ID of the peripheral.
+ */
+function clearRssiMonitor(peripheralId) {
+  const monitor = rssiMonitors.get(peripheralId);
+  if (monitor && monitor.timer) {
+    clearInterval(monitor.timer);
+  }
+  rssiMonitors.delete(peripheralId);
+}
+
+/**
+ * @function sampleRssi
+ * @description Asks the controller for the RSSI of a connection and records it in the history.
+ * Emits 'linkQualityChanged' when the quality level of the history's average changes.
+ * @param {Object} peripheral - The connected noble peripheral.
+ * @returns {Promise<Object>} A Promise that resolves with the recorded sample ({ rssi, timestamp }).
+ * @rejects {Error} If the controller does not report the RSSI.
+ */
+function sampleRssi(peripheral) {
+  return new Promise((resolve, reject) => {
+    peripheral.updateRssi((error, rssi) => {
+      if (error) {
+        return reject(error);
+      }
+      const monitor = getRssiMonitor(peripheral.id);
+      const sample = monitor.history.add(rssi);
+      const quality = monitor.history.getTrend().quality;
+      if (monitor.quality !== null && quality !== monitor.quality) {
+        emitEvent('linkQualityChanged', { deviceId: peripheral.id, quality, previousQuality: monitor.quality, rssi });
+      }
+      monitor.quality = quality;
+      resolve(sample);
+    });
+  });
+}
+
+/**
+ * @function describeRssi
+ * @description Builds the RSSI report of a peripheral from its monitor.
+ * @param {Object} monitor - The peripheral's RSSI monitor.
+ * @returns {Object} { rssi, timestamp, sampler: { intervalMs, historySize } or null, history, trend }.
+ */
+function describeRssi(monitor) {
+  const latest = monitor.history.latest();
+  return {
+    rssi: latest ? latest.rssi : null,
+    timestamp: latest ? latest.timestamp : null,
+    sampler: monitor.timer ? { intervalMs: monitor.intervalMs, historySize: monitor.history.size } : null,
+    history: monitor.history.samples.slice(),
+    trend: monitor.history.getTrend()
+  };
+}
+
+/**
+ * @function getRssi
+ * @description Reads the current RSSI of a connected peripheral (noble's updateRssi) and reports it
+ * with the sample history and link-quality trend.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @returns {Promise<Object>} A Promise that resolves with { rssi, timestamp, sampler, history, trend };
+ *                            the trend has samples, average, min, max, quality ('excellent', 'good',
+ *                            'fair' or 'poor'), direction ('rising', 'falling', 'stable' or 'unknown')
+ *                            and slopeDbPerMin.
+ * @rejects {Error} If the peripheral is not connected, the adapter is unavailable or the read fails.
+ */
+async function getRssi(peripheralId) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
+  }
+  await sampleRssi(peripheral);
+  return describeRssi(getRssiMonitor(peripheralId));
+}
+
+/**
+ * @function startRssiSampler
+ * @description Samples the RSSI of a connected peripheral periodically until it disconnects (a
+ * sampler survives automatic reconnects) or stopRssiSampler is called. Restarting a running
+ * sampler changes its interval and keeps the history.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {Object} [options={}] - Sampler options.
+ * @param {number} [options.intervalMs=5000] - Time between samples in milliseconds (at least 250).
+ * @param {number} [options.historySize] - Number of samples to keep (default 60).
+ * @returns {Promise<Object>} A Promise that resolves with the RSSI report (see getRssi).
+ * @rejects {Error} If the peripheral is not connected or the options are invalid.
+ */
+async function startRssiSampler(peripheralId, options = {}) {
+  if (!connectedPeripherals[peripheralId]) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  const intervalMs = options.intervalMs === undefined ? 5000 : options.intervalMs;
+  try {
+    validateRssiInterval(intervalMs);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  if (options.historySize !== undefined && (!Number.isInteger(options.historySize) || options.historySize < 1 || options.historySize > 1000)) {
+    return Promise.reject(new BleError('INVALID_REQUEST', 'Invalid RSSI history size: must be between 1 and 1000'));
+  }
+
+  const monitor = getRssiMonitor(peripheralId);
+  if (options.historySize !== undefined) {
+    monitor.history.resize(options.historySize);
+  }
+  if (monitor.timer) {
+    clearInterval(monitor.timer);
+  }
+  monitor.intervalMs = intervalMs;
+  monitor.timer = setInterval(() => {
+    // Skip samples while an automatic reconnect is pending.
+    const peripheral = connectedPeripherals[peripheralId];
+    if (peripheral && isAdapterAvailable()) {
+      sampleRssi(peripheral).catch(error => {
+        console.error('RSSI sample failed for ' + peripheralId + ':', error.message);
+      });
+    }
+  }, intervalMs);
+  // The sampler alone should not keep the process alive.
+  if (monitor.timer.unref) monitor.timer.unref();
+  console.log('Sampling RSSI of ' + peripheralId + ' every ' + intervalMs + ' ms');
+  return Promise.resolve(describeRssi(monitor));
+}
+
+/**
+ * @function stopRssiSampler
+ * @description Stops the periodic RSSI sampler of a peripheral; the history is kept until it disconnects.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @returns {Promise<Object>} A Promise that resolves with the RSSI report (see getRssi).
+ * @rejects {Error} If the peripheral has no running sampler.
+ */
+async function stopRssiSampler(peripheralId) {
+  const monitor = rssiMonitors.get(peripheralId);
+  if (!monitor || !monitor.timer) {
+    return Promise.reject(new BleError('NO_RSSI_SAMPLER', 'No RSSI sampler running for this peripheral'));
+  }
+  clearInterval(monitor.timer);
+  monitor.timer = null;
+  monitor.intervalMs = null;
+  return Promise.resolve(describeRssi(monitor));
+}
+
+/**
+ * @function getGattQueue
+ * @description Returns the GATT operation queue of a peripheral, creating it on first use. An operation
+ * that times out drops the link: the device may still answer the request, and no other ATT request may
+ * be sent until it does, so the queue would otherwise stay blocked.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @returns {GattQueue} The peripheral's queue.
+ */
+function getGattQueue(peripheralId) {
+  let queue = gattQueues.get(peripheralId);
+  if (!queue) {
+    queue = new GattQueue({
+      timeoutMs: gattOperationTimeoutMs,
+      onTimeout: label => {
+        const peripheral = connectedPeripherals[peripheralId];
+        if (peripheral) {
+          console.warn('GATT operation "' + label + '" timed out on ' + peripheralId + '; disconnecting');
+          peripheral.disconnect();
+        }
+      }
+    });
+    gattQueues.set(peripheralId, queue);
+  }
+  return queue;
+}
+
+/**
+ * @function clearGattQueue
+ * @description Fails the queued GATT operations of a peripheral whose link went down.
+ * @param {string} peripheralId - The ID of the peripheral.
+ */
+function clearGattQueue(peripheralId) {
+  const queue = gattQueues.get(peripheralId);
+  if (queue) {
+    queue.clear(new BleError('DISCONNECTED', 'Peripheral disconnected'));
+  }
+}
+
+/**
+ * @function getQueueStats
+ * @description Reports the GATT queue metrics of a peripheral.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @returns {Promise<Object>} A Promise that resolves with the queue depth, in-flight operation
+ *                            and processed/failed/timedOut counters.
+ * @rejects {Error} If the peripheral is not connected and has no queue.
+ */
+async function getQueueStats(peripheralId) {
+  const queue = gattQueues.get(peripheralId);
+  if (!queue) {
+    if (!connectedPeripherals[peripheralId]) {
+      return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+    }
+    return Promise.resolve(getGattQueue(peripheralId).getStats());
+  }
+  return Promise.resolve(queue.getStats());
+}
+
+/**
+ * @function instanceIndex
+ * @description Returns the position of a service or characteristic among its siblings with the same UUID.
+ * @param {Array<Object>} siblings - The services of a peripheral or the characteristics of a service.
+ * @param {Object} item - The service or characteristic.
+ * @returns {number} The 0-based instance index.
+ */
+function instanceIndex(siblings, item) {
+  return siblings.filter(s => s.uuid === item.uuid).indexOf(item);
+}
+
+/**
+ * @function describeServices
+ * @description Maps noble services to the service objects returned by getServices.
+ * @param {Array<Object>} services - The noble services of a peripheral.
+ * @returns {Array<Object>} Objects with uuid, instance, name, type and includedServiceUuids; name and
+ *                          type ('sig', 'vendor' or 'unknown') come from the assigned numbers.
+ */
+function describeServices(services) {
+  return services.map(s => ({
+    uuid: s.uuid,
+    instance: instanceIndex(services, s),
+    ...assignedNumbers.lookupService(s.uuid, s.name),
+    includedServiceUuids: s.includedServiceUuids
+  }));
+}
+
+/**
+ * @function resolveCharacteristicTarget
+ * @description Normalizes a characteristic address. A plain UUID addresses the first characteristic
+ * with that UUID in any service. An address object can scope the lookup to a service and pick one of
+ * several services or characteristics that share a UUID.
+ * @param {string|Object} characteristic - A characteristic UUID, or { characteristicUuid, serviceUuid,
+ *                                         serviceInstance, instance } with 0-based instance indexes.
+ *                                         Without serviceUuid, instance counts across all services.
+ * @returns {Object} The address with normalized UUIDs (serviceUuid is null when not scoped) and
+ *                   instance indexes defaulting to 0.
+ * @throws {Error} If the characteristic UUID is missing or an instance index is not a non-negative integer.
+ */
+function resolveCharacteristicTarget(characteristic) {
+  const target = typeof characteristic === 'object' && characteristic !== null ? characteristic : { characteristicUuid: characteristic };
+  const serviceInstance = target.serviceInstance === undefined ? 0 : target.serviceInstance;
+  const instance = target.instance === undefined ? 0 : target.instance;
+  if (typeof target.characteristicUuid !== 'string' || target.characteristicUuid.length === 0 ||
+      !Number.isInteger(serviceInstance) || serviceInstance < 0 ||
+      !Number.isInteger(instance) || instance < 0) {
+    throw new BleError('INVALID_REQUEST', 'Invalid characteristic address');
+  }
+  return {
+    characteristicUuid: normalizeUuid(target.characteristicUuid),
+    serviceUuid: target.serviceUuid ? normalizeUuid(target.serviceUuid) : null,
+    serviceInstance,
+    instance
+  };
+}
+
+/**
+ * @function findCharacteristic
+ * @description Looks up a characteristic of a connected peripheral by its address.
+ * @param {Object} peripheral - The connected noble peripheral.
+ * @param {string|Object} characteristic - The characteristic UUID or address (see resolveCharacteristicTarget).
+ * @returns {Object} { service, characteristic, address } with the matching noble objects and their fully
+ *                  qualified address { serviceUuid, serviceInstance, characteristicUuid, instance }.
+ * @throws {Error} If the address is invalid, or the service or characteristic is not found.
+ */
+function findCharacteristic(peripheral, characteristic) {
+  const target = resolveCharacteristicTarget(characteristic);
+  const services = peripheral.services || [];
+
+  if (target.serviceUuid) {
+    const service = services.filter(s => s.uuid === target.serviceUuid)[target.serviceInstance];
+    if (!service) {
+      throw new BleError('SERVICE_NOT_FOUND', 'Service not found');
+    }
+    const found = (service.characteristics || []).filter(c => c.uuid === target.characteristicUuid)[target.instance];
+    if (!found) {
+      throw new BleError('CHAR_NOT_FOUND', 'Characteristic not found');
+    }
+    return locationOf(services, service, found);
+  }
+
+  // Unscoped: count matching characteristics across services in discovery order.
+  const matches = [];
+  for (const service of services) {
+    for (const c of service.characteristics || []) {
+      if (c.uuid === target.characteristicUuid) {
+        matches.push({ service, characteristic: c });
+      }
+    }
+  }
+  const match = matches[target.instance];
+  if (!match) {
+    throw new BleError('CHAR_NOT_FOUND', 'Characteristic not found');
+  }
+  return locationOf(services, match.service, match.characteristic);
+}
+
+/**
+ * @function locationOf
+ * @description Pairs a service and characteristic with their fully qualified address.
+ * @param {Array<Object>} services - All services of the peripheral.
+ * @param {Object} service - The service containing the characteristic.
+ * @param {Object} characteristic - The characteristic.
+ * @returns {Object} { service, characteristic, address }.
+ */
+function locationOf(services, service, characteristic) {
+  return {
+    service,
+    characteristic,
+    address: {
+      serviceUuid: service.uuid,
+      serviceInstance: instanceIndex(services, service),
+      characteristicUuid: characteristic.uuid,
+      instance: instanceIndex(service.characteristics, characteristic)
+    }
+  };
+}
+
+/**
+ * @function locationKey
+ * @description Builds the key a characteristic address is tracked under, e.g. "180f:1/2a19:0".
+ * @param {Object} address - A fully qualified address from findCharacteristic.
+ * @returns {string} The key.
+ */
+function locationKey(address) {
+  return address.serviceUuid + ':' + address.serviceInstance + '/' + address.characteristicUuid + ':' + address.instance;
+}
+
+/**
+ * @function characteristicAddress
+ * @description Finds the fully qualified address of a noble characteristic of a connected peripheral.
+ * @param {Object} peripheral - The connected noble peripheral.
+ * @param {Object} characteristic - The noble characteristic.
+ * @returns {Object} The address, or just { characteristicUuid } if the characteristic is no longer
+ *                   part of the peripheral's layout.
+ */
+function characteristicAddress(peripheral, characteristic) {
+  const services = peripheral.services || [];
+  const service = services.find(s => (s.characteristics || []).includes(characteristic));
+  return service ? locationOf(services, service, characteristic).address : { characteristicUuid: characteristic.uuid };
+}
+
+/**
+ * @function describeGattTree
+ * @description Lists the discovered services and characteristics of a peripheral for a recorded session.
+ * @param {Object} peripheral - The connected noble peripheral.
+ * @returns {Array<Object>} { uuid, characteristics: [{ uuid, properties }] } per service, in discovery order.
+ */
+function describeGattTree(peripheral) {
+  return (peripheral.services || []).map(service => ({
+    uuid: service.uuid,
+    characteristics: (service.characteristics || []).map(c => ({ uuid: c.uuid, properties: c.properties || [] }))
+  }));
+}
+
+/**
+ * @function recordCharacteristicEvent
+ * @description Adds an event about a noble characteristic to the session of a peripheral being recorded.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @param {string} type - The event type (see session-recorder.js).
+ * @param {Object} characteristic - The noble characteristic.
+ * @param {Object} data - The event data, recorded after the characteristic address.
+ */
+function recordCharacteristicEvent(peripheralId, type, characteristic, data) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral || !sessionRecorder.isRecording(peripheralId)) {
+    return;
+  }
+  sessionRecorder.record(peripheralId, type, { ...characteristicAddress(peripheral, characteristic), ...data });
+}
+
+/**
+ * @function locateCharacteristic
+ * @description Resolves a characteristic address to the characteristic it currently points to.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {string|Object} characteristic - The characteristic UUID or address (see resolveCharacteristicTarget).
+ * @returns {Promise<Object>} A Promise that resolves with { serviceUuid, serviceInstance, characteristicUuid,
+ *                            instance, properties }.
+ * @rejects {Error} If the peripheral is not connected, the address is invalid, or nothing matches.
+ */
+async function locateCharacteristic(peripheralId, characteristic) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  try {
+    const location = findCharacteristic(peripheral, characteristic);
+    return Promise.resolve({ ...location.address, properties: location.characteristic.properties });
+  } catch (error) {
+    return retryAfterDiscovery(peripheralId, error, () => locateCharacteristic(peripheralId, characteristic));
+  }
+}
+
+/**
+ * @function getServices
+ * @description Retrieves a list of services for a connected peripheral.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @returns {Promise<Array<Object>>} A Promise that resolves with an array of service objects.
+ *                                   Each service object contains uuid, instance (0-based index among
+ *                                   services with the same UUID), name, type, and includedServiceUuids.
+ * @rejects {Error} If the peripheral is not connected, services are not discovered, or re-discovery fails.
+ */
+async function getServices(peripheralId) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  // Check if services are already discovered.
+  if (!peripheral.services) {
+    console.warn('Peripheral services not available for ' + peripheralId + '. Attempting re-discovery.');
+    // Attempt to re-discover if services are missing (should be rare if connectDevice worked).
+    return new Promise((resolve, reject) => {
+        peripheral.discoverAllServicesAndCharacteristics((error, services, characteristics) => {
+            if (error) {
+                return reject(new Error('Failed to re-discover services: ' + error.message));
+            }
+            resolve(describeServices(services));
+        });
+    });
+  }
+  // A listing covers every service, so finish a selective discovery first.
+  if (discoveryModes.get(peripheralId) === 'partial') {
+    return completeDiscovery(peripheral).then(() => describeServices(peripheral.services));
+  }
+  // Map and resolve service details if already available.
+  return Promise.resolve(describeServices(peripheral.services));
+}
+
+/**
+ * @function getCharacteristics
+ * @description Retrieves a list of characteristics for a specific service on a connected peripheral.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {string} serviceUuid - The UUID of the service to get characteristics from.
+ * @param {number} [serviceInstance=0] - Which of several services with this UUID to use (0-based).
+ * @returns {Promise<Array<Object>>} A Promise that resolves with an array of characteristic objects.
+ *                                   Each characteristic object contains uuid, instance (0-based index
+ *                                   among characteristics with the same UUID), name and type (resolved
+ *                                   from the assigned numbers; type is 'sig', 'vendor' or 'unknown'), properties,
+ *                                   userDescription (0x2901) and presentationFormat (0x2904), the latter
+ *                                   two null when the characteristic has no such descriptor.
+ * @rejects {Error} If peripheral not connected, services/characteristics not discovered, or service not found.
+ */
+async function getCharacteristics(peripheralId, serviceUuid, serviceInstance = 0) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  if (!peripheral.services) {
+      return Promise.reject(new BleError('NOT_DISCOVERED', 'Services not discovered for this peripheral.'));
+  }
+
+  const service = peripheral.services.filter(s => s.uuid === normalizeUuid(serviceUuid))[serviceInstance];
+  if (!service) {
+    return retryAfterDiscovery(peripheralId, new BleError('SERVICE_NOT_FOUND', 'Service not found'), () => getCharacteristics(peripheralId, serviceUuid, serviceInstance));
+  }
+  if (!service.characteristics) {
+      return Promise.reject(new BleError('NOT_DISCOVERED', 'Characteristics not discovered for this service.'));
+  }
+  // Map and resolve characteristic details, labelled from their descriptors.
+  return Promise.all(service.characteristics.map(c => getDescriptorMetadata(peripheralId, c))).then(metadata =>
+    service.characteristics.map((c, i) => ({
+      uuid: c.uuid,
+      instance: instanceIndex(service.characteristics, c),
+      ...assignedNumbers.lookupCharacteristic(c.uuid, c.name),
+      properties: c.properties,
+      userDescription: metadata[i].userDescription,
+      presentationFormat: metadata[i].presentationFormat
+    })));
+}
+
+/**
+ * @function readCharacteristic
+ * @description Reads the value of a specific characteristic from a connected peripheral.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {string|Object} characteristic - The UUID of the characteristic to read.
+ *                                          Pass an address object (see resolveCharacteristicTarget)
+ *                                          to pick a characteristic within a service or instance.
+ * @returns {Promise<string|null>} A Promise that resolves with the characteristic value as a hex string,
+ *                                or null if data is empty.
+ * @rejects {Error} If peripheral not connected, characteristic not found, not readable, or read operation fails.
+ */
+async function readCharacteristic(peripheralId, characteristic) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
+  }
+
+  let location;
+  try {
+    location = findCharacteristic(peripheral, characteristic);
+  } catch (error) {
+    return retryAfterDiscovery(peripheralId, error, () => readCharacteristic(peripheralId, characteristic));
+  }
+  const targetCharacteristic = location.characteristic;
+
+  // Check if characteristic is readable.
+  if (!targetCharacteristic.properties || !targetCharacteristic.properties.includes('read')) {
+    return Promise.reject(new BleError('CHAR_NOT_READABLE', 'Characteristic not readable'));
+  }
+
+  // Perform the read operation once earlier GATT operations on this peripheral have completed.
+  return readCharacteristicValue(peripheralId, targetCharacteristic);
+}
+
+/**
+ * @function readCharacteristicValue
+ * @description Reads a characteristic through the peripheral's GATT queue.
+ * @param {string} peripheralId - The ID of the peripheral owning the characteristic.
+ * @param {Object} characteristic - The noble characteristic.
+ * @returns {Promise<string|null>} A Promise that resolves with the value as a hex string, or null if empty.
+ */
+function readCharacteristicValue(peripheralId, characteristic) {
+  return getGattQueue(peripheralId).enqueue(() => new Promise((resolve, reject) => {
+    characteristic.read((error, data) => {
+      if (error) {
+        recordCharacteristicEvent(peripheralId, 'read', characteristic, { error: error.message });
+        return reject(error);
+      }
+      const value = data ? data.toString('hex') : null; // Convert data to hex string.
+      recordCharacteristicEvent(peripheralId, 'read', characteristic, { value });
+      resolve(value);
+    });
+  }), { label: 'read ' + characteristic.uuid });
+}
+
+/**
+ * @function getMtu
+ * @description Reports the ATT MTU of a connected peripheral and the largest value a single write can carry.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @returns {Promise<Object>} A Promise that resolves with { mtu, negotiated, maxWritePayload }; without an
+ *                            MTU exchange (negotiated false) the default ATT MTU of 23 bytes applies.
+ * @rejects {Error} If the peripheral is not connected.
+ */
+async function getMtu(peripheralId) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  const mtu = peripheral.mtu || DEFAULT_ATT_MTU;
+  return Promise.resolve({ mtu, negotiated: Boolean(peripheral.mtu), maxWritePayload: mtu - ATT_WRITE_HEADER_BYTES });
+}
+
+/**
+ * @function resolveWriteMode
+ * @description Picks write with or without response for a characteristic, falling back to the
+ * mode it supports when the requested one is not available.
+ * @param {Object} targetCharacteristic - The noble characteristic.
+ * @param {boolean} withoutResponse - The requested mode.
+ * @returns {boolean} True to write without response.
+ * @throws {Error} If the characteristic is not writable.
+ */
+function resolveWriteMode(targetCharacteristic, withoutResponse) {
+  const characteristicUuid = targetCharacteristic.uuid;
+  const canWrite = targetCharacteristic.properties && targetCharacteristic.properties.includes('write');
+  const canWriteWithoutResponse = targetCharacteristic.properties && targetCharacteristic.properties.includes('writeWithoutResponse');
+
+  if (!canWrite && !canWriteWithoutResponse) {
+    throw new BleError('CHAR_NOT_WRITABLE', 'Characteristic not writable');
+  }
+  if (withoutResponse && !canWriteWithoutResponse) {
+    console.warn(`Characteristic ${characteristicUuid} does not support 'writeWithoutResponse'. Falling back to 'write' if available.`);
+    return false; // Fallback to write with response.
+  }
+  if (!withoutResponse && !canWrite) {
+    console.warn(`Characteristic ${characteristicUuid} does not support 'write' with response. Using 'writeWithoutResponse'.`);
+    return true; // Use write without response if only that is available.
+  }
+  return withoutResponse;
+}
+
+/**
+ * @function writeCharacteristic
+ * @description Writes a value to a specific characteristic on a connected peripheral.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {string|Object} characteristic - The UUID of the characteristic to write to.
+ *                                          Pass an address object (see resolveCharacteristicTarget)
+ *                                          to pick a characteristic within a service or instance.
+ * @param {string} valueHex - The value to write, as a hex string.
+ * @param {boolean} [withoutResponse=false] - Whether to perform a write without response.
+ * @returns {Promise<Object>} A Promise that resolves with a success message.
+ * @rejects {Error} If peripheral not connected, characteristic not found, not writable,
+ *                  or write operation fails.
+ */
+async function writeCharacteristic(peripheralId, characteristic, valueHex, withoutResponse = false) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
+  }
+
+  let location;
+  try {
+    location = findCharacteristic(peripheral, characteristic);
+  } catch (error) {
+    return retryAfterDiscovery(peripheralId, error, () => writeCharacteristic(peripheralId, characteristic, valueHex, withoutResponse));
+  }
+  const targetCharacteristic = location.characteristic;
+  const characteristicUuid = targetCharacteristic.uuid;
+
+  const refusal = writeRefusal(peripheral, location.address, valueHex);
+  if (refusal) {
+    return Promise.reject(refusal);
+  }
+
+  // Check writability and adjust the write mode if the selected one is not supported but the other is.
+  let useWithoutResponse;
+  try {
+    useWithoutResponse = resolveWriteMode(targetCharacteristic, withoutResponse);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  // Convert hex string to Buffer for writing.
+  const buffer = Buffer.from(valueHex, 'hex');
+
+  // Perform the write operation; writes are queued ahead of pending reads and subscriptions.
+  return getGattQueue(peripheralId).enqueue(() => new Promise((resolve, reject) => {
+    targetCharacteristic.write(buffer, useWithoutResponse, (error) => {
+      sessionRecorder.record(peripheralId, 'write', {
+        ...location.address, value: valueHex, withoutResponse: useWithoutResponse, ...(error ? { error: error.message } : {})
+      });
+      if (error) {
+        return reject(error);
+      }
+      resolve({ message: 'Write successful' });
+    });
+  }), { label: 'write ' + characteristicUuid, priority: 'high' });
+}
+
+/**
+ * @function writeCharacteristicChunked
+ * @description Writes a value larger than one ATT write can carry as a series of MTU-sized writes
+ * (without response by default), pausing between writes so the controller is not overrun. Each
+ * chunk is queued on its own, so reads of other characteristics can run between chunks; a second
+ * chunked write to the same characteristic is rejected until the first one has finished.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {string|Object} characteristic - The characteristic UUID or address (see resolveCharacteristicTarget).
+ * @param {string} valueHex - The value to write, as a hex string.
+ * @param {Object} [options={}] - Chunking options.
+ * @param {number} [options.chunkSize] - Bytes per write (default and maximum: the MTU minus 3).
+ * @param {number} [options.delayMs] - Pause between writes in milliseconds (default: CHUNK_WRITE_DELAY_MS).
+ * @param {boolean} [options.withoutResponse=true] - Whether to write the chunks without response.
+ * @param {function(Object)} [options.onProgress] - Called after every chunk with the characteristic
+ *                                                  address, chunk, chunks, bytesWritten and totalBytes.
+ * @returns {Promise<Object>} A Promise that resolves with a success message, the characteristic address,
+ *                            bytesWritten, chunks, chunkSize and withoutResponse.
+ * @rejects {Error} If the peripheral is not connected, the characteristic is not found or not writable,
+ *                  the options are invalid, another chunked write is in progress, or a chunk fails.
+ */
+async function writeCharacteristicChunked(peripheralId, characteristic, valueHex, options = {}) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
+  }
+
+  let location;
+  let useWithoutResponse;
+  try {
+    location = findCharacteristic(peripheral, characteristic);
+    useWithoutResponse = resolveWriteMode(location.characteristic, options.withoutResponse !== false);
+  } catch (error) {
+    return retryAfterDiscovery(peripheralId, error, () => writeCharacteristicChunked(peripheralId, characteristic, valueHex, options));
+  }
+  const targetCharacteristic = location.characteristic;
+  const characteristicUuid = targetCharacteristic.uuid;
+
+  const refusal = writeRefusal(peripheral, location.address, valueHex);
+  if (refusal) {
+    return Promise.reject(refusal);
+  }
+
+  const maxChunkSize = (peripheral.mtu || DEFAULT_ATT_MTU) - ATT_WRITE_HEADER_BYTES;
+  const chunkSize = options.chunkSize === undefined ? maxChunkSize : options.chunkSize;
+  if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > maxChunkSize) {
+    return Promise.reject(new BleError('INVALID_REQUEST', 'Invalid chunk size: must be between 1 and ' + maxChunkSize + ' bytes'));
+  }
+  const delayMs = options.delayMs === undefined ? chunkWriteDelayMs : options.delayMs;
+  if (!Number.isInteger(delayMs) || delayMs < 0) {
+    return Promise.reject(new BleError('INVALID_REQUEST', 'Invalid chunk delay: must be a non-negative integer'));
+  }
+  const buffer = Buffer.from(valueHex, 'hex');
+  if (buffer.length === 0) {
+    return Promise.reject(new BleError('INVALID_REQUEST', 'Invalid value: a chunked write needs at least one byte'));
+  }
+
+  const writeKey = peripheralId + '/' + locationKey(location.address);
+  if (chunkedWrites.has(writeKey)) {
+    return Promise.reject(new BleError('WRITE_IN_PROGRESS', 'Chunked write already in progress for this characteristic'));
+  }
+  chunkedWrites.add(writeKey);
+
+  const chunks = Math.ceil(buffer.length / chunkSize);
+  let bytesWritten = 0;
+  try {
+    for (let index = 0; index < chunks; index++) {
+      if (!connectedPeripherals[peripheralId]) {
+        throw new BleError('DISCONNECTED', 'Peripheral disconnected after ' + bytesWritten + ' of ' + buffer.length + ' bytes');
+      }
+      const chunk = buffer.subarray(index * chunkSize, (index + 1) * chunkSize);
+      await getGattQueue(peripheralId).enqueue(() => new Promise((resolve, reject) => {
+        targetCharacteristic.write(chunk, useWithoutResponse, (error) => (error ? reject(error) : resolve()));
+      }), { label: 'write ' + characteristicUuid + ' chunk ' + (index + 1) + '/' + chunks, priority: 'high' });
+      bytesWritten += chunk.length;
+
+      if (typeof options.onProgress === 'function') {
+        options.onProgress({ ...location.address, chunk: index + 1, chunks, bytesWritten, totalBytes: buffer.length });
+      }
+      if (index < chunks - 1 && delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  } catch (error) {
+    sessionRecorder.record(peripheralId, 'write', {
+      ...location.address, value: valueHex, withoutResponse: useWithoutResponse, chunks, error: error.message
+    });
+    throw error;
+  } finally {
+    chunkedWrites.delete(writeKey);
+  }
+
+  sessionRecorder.record(peripheralId, 'write', { ...location.address, value: valueHex, withoutResponse: useWithoutResponse, chunks });
+  return { message: 'Chunked write successful', ...location.address, bytesWritten, chunks, chunkSize, withoutResponse: useWithoutResponse };
+}
+
+/**
+ * @function subscribeToCharacteristic
+ * @description Subscribes to notifications/indications from a specific characteristic.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {string|Object} characteristic - The UUID of the characteristic to subscribe to.
+ *                                          Pass an address object (see resolveCharacteristicTarget)
+ *                                          to pick a characteristic within a service or instance.
+ * @param {function} callback - Callback function to handle received data: the characteristic address,
+ *                              the hex `value`, `decoded` for standard SIG characteristics (see
+ *                              gatt-decoders.js), isNotification and timestamp. Each subscriber
+ *                              passes its own callback, and passes it again to unsubscribe.
+ * @returns {Promise<Object>} A Promise that resolves with a success message.
+ * @rejects {Error} If peripheral not connected, characteristic not found, or not notifiable,
+ *                  or the gateway is read-only.
+ */
+async function subscribeToCharacteristic(peripheralId, characteristic, callback) {
+  if (writeProtection.isReadOnly()) {
+    return Promise.reject(new BleError('READ_ONLY', 'Subscription refused: the gateway is read-only'));
+  }
+  return addSubscription(peripheralId, characteristic, callback);
+}
+
+/**
+ * @function addSubscription
+ * @description Subscribes to a characteristic (see subscribeToCharacteristic) without the read-only
+ * check, so subscriptions made before read-only mode was turned on survive reconnects. A characteristic
+ * that is already subscribed to only gets the callback added to those its notifications are passed to.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {string|Object} characteristic - The characteristic UUID or address.
+ * @param {function} callback - Callback function to handle received data.
+ * @returns {Promise<Object>} A Promise that resolves with a success message.
+ * @rejects {Error} If peripheral not connected, characteristic not found, or not notifiable.
+ */
+async function addSubscription(peripheralId, characteristic, callback) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
+  }
+
+  let location;
+  try {
+    location = findCharacteristic(peripheral, characteristic);
+  } catch (error) {
+    return retryAfterDiscovery(peripheralId, error, () => addSubscription(peripheralId, characteristic, callback));
+  }
+  const targetCharacteristic = location.characteristic;
+  const characteristicUuid = targetCharacteristic.uuid;
+
+  // Check if characteristic supports notifications or indications
+  const canNotify = targetCharacteristic.properties && targetCharacteristic.properties.includes('notify');
+  const canIndicate = targetCharacteristic.properties && targetCharacteristic.properties.includes('indicate');
+
+  if (!canNotify && !canIndicate) {
+    return Promise.reject(new BleError('CHAR_NOT_NOTIFIABLE', 'Characteristic does not support notifications or indications'));
+  }
+
+  const address = location.address;
+  const key = locationKey(address);
+  const result = {
+    message: 'Subscription successful',
+    ...address,
+    supportsNotify: canNotify,
+    supportsIndicate: canIndicate
+  };
+
+  return getGattQueue(peripheralId).enqueue(() => new Promise((resolve, reject) => {
+    // Checked once queued, so subscribers racing for the same characteristic subscribe to it once.
+    const subscriptions = deviceSubscriptions.get(peripheralId) || new Map();
+    const existing = subscriptions.get(key);
+    if (existing) {
+      existing.callbacks.add(callback);
+      return resolve(result);
+    }
+
+    // Set up the data event listener, which passes every notification to each subscriber
+    const subscription = { address, characteristic: targetCharacteristic, callbacks: new Set([callback]) };
+    subscription.listener = (data, isNotification) => {
+      const hexValue = data ? data.toString('hex') : null;
+      const decoded = data ? gattDecoders.decode(characteristicUuid, data) : null;
+      sessionRecorder.record(peripheralId, 'notification', { ...address, value: hexValue, isNotification });
+      const notification = {
+        ...address,
+        value: hexValue,
+        ...(decoded ? { decoded } : {}),
+        isNotification,
+        timestamp: new Date().toISOString()
+      };
+      subscription.callbacks.forEach(subscriber => subscriber({ ...notification }));
+    };
+    targetCharacteristic.on('data', subscription.listener);
+
+    // Subscribe to notifications/indications
+    targetCharacteristic.subscribe((error) => {
+      if (error) {
+        targetCharacteristic.removeListener('data', subscription.listener);
+        return reject(error);
+      }
+      // Remember the subscription so it can be restored after an automatic reconnect.
+      subscriptions.set(key, subscription);
+      deviceSubscriptions.set(peripheralId, subscriptions);
+      sessionRecorder.record(peripheralId, 'subscribe', address);
+      resolve(result);
+    });
+  }), { label: 'subscribe ' + characteristicUuid });
+}
+
+/**
+ * @function unsubscribeFromCharacteristic
+ * @description Unsubscribes from notifications/indications from a specific characteristic.
+ * With a callback only that subscriber is removed; the device is unsubscribed from once no
+ * other subscriber is left.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {string|Object} characteristic - The UUID of the characteristic to unsubscribe from.
+ *                                          Pass an address object (see resolveCharacteristicTarget)
+ *                                          to pick a characteristic within a service or instance.
+ * @param {function} [callback] - The callback passed to subscribeToCharacteristic. Without it, every
+ *                                subscriber is removed.
+ * @returns {Promise<Object>} A Promise that resolves with a success message.
+ * @rejects {Error} If peripheral not connected, characteristic not found, the callback is not
+ *                  subscribed, or unsubscribe fails.
+ */
+async function unsubscribeFromCharacteristic(peripheralId, characteristic, callback) {
+  const peripheral = connectedPeripherals[peripheralId];
+  if (!peripheral) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+
+  let location;
+  try {
+    location = findCharacteristic(peripheral, characteristic);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  const targetCharacteristic = location.characteristic;
+  const characteristicUuid = targetCharacteristic.uuid;
+  const key = locationKey(location.address);
+  const result = {
+    message: 'Unsubscription successful',
+    ...location.address
+  };
+
+  return getGattQueue(peripheralId).enqueue(() => new Promise((resolve, reject) => {
+    const subscriptions = deviceSubscriptions.get(peripheralId);
+    const subscription = subscriptions && subscriptions.get(key);
+    if (callback) {
+      if (!subscription || !subscription.callbacks.has(callback)) {
+        return reject(new BleError('NOT_SUBSCRIBED', 'Not subscribed to this characteristic'));
+      }
+      // Other subscribers keep the subscription.
+      if (subscription.callbacks.size > 1) {
+        subscription.callbacks.delete(callback);
+        return resolve(result);
+      }
+    }
+
+    // Unsubscribe from notifications/indications
+    targetCharacteristic.unsubscribe((error) => {
+      if (error) {
+        return reject(error);
+      }
+      
+      // Remove the data event listener of the subscription
+      if (subscription) {
+        subscription.characteristic.removeListener('data', subscription.listener);
+        subscriptions.delete(key);
       }
+      sessionRecorder.record(peripheralId, 'unsubscribe', location.address);
+      
+      resolve(result);
     });
-  });
+  }), { label: 'unsubscribe ' + characteristicUuid });
 }
 
+// Presentation format types of the 0x2904 descriptor (Bluetooth Core Spec Supplement / Assigned Numbers).
+const PRESENTATION_FORMATS = {
+  0x01: 'boolean', 0x02: '2bit', 0x03: 'nibble', 0x04: 'uint8', 0x05: 'uint12', 0x06: 'uint16',
+  0x07: 'uint24', 0x08: 'uint32', 0x09: 'uint48', 0x0a: 'uint64', 0x0b: 'uint128', 0x0c: 'sint8',
+  0x0d: 'sint12', 0x0e: 'sint16', 0x0f: 'sint24', 0x10: 'sint32', 0x11: 'sint48', 0x12: 'sint64',
+  0x13: 'sint128', 0x14: 'float32', 0x15: 'float64', 0x16: 'SFLOAT', 0x17: 'FLOAT', 0x18: 'duint16',
+  0x19: 'utf8s', 0x1a: 'utf16s', 0x1b: 'struct'
+};
+
 /**
- * @function disconnectDevice
- * @description Disconnects from a specified BLE peripheral.
- * @param {string} peripheralId - The ID of the peripheral to disconnect from.
- * @returns {Promise<Object>} A Promise that resolves with an object containing the
- *                            peripheral ID and a success message.
- * @rejects {Error} If the peripheral is not connected or not found in the connected list,
- *                  or if the disconnect call fails.
+ * @function parsePresentationFormat
+ * @description Parses the value of a Characteristic Presentation Format descriptor (0x2904).
+ * @param {Buffer} data - The 7-byte descriptor value.
+ * @returns {Object|null} { format, formatName, exponent, unit, namespace, description } with the
+ *                        unit and description as 4-digit hex, or null if the value is too short.
  */
-async function disconnectDevice(peripheralId) {
-  const peripheral = connectedPeripherals[peripheralId];
-
-  if (!peripheral) {
-    return Promise.reject(new Error('Peripheral not connected or not found'));
+function parsePresentationFormat(data) {
+  if (!data || data.length < 7) {
+    return null;
   }
+  return {
+    format: data.readUInt8(0),
+    formatName: PRESENTATION_FORMATS[data.readUInt8(0)] || null,
+    exponent: data.readInt8(1),
+    unit: data.readUInt16LE(2).toString(16).padStart(4, '0'),
+    namespace: data.readUInt8(4),
+    description: data.readUInt16LE(5).toString(16).padStart(4, '0')
+  };
+}
 
-  console.log('Attempting to disconnect from peripheral: ' + peripheral.id);
-
-  return new Promise((resolve, reject) => {
-    // Listen for the 'disconnect' event.
-    peripheral.once('disconnect', () => {
-      delete connectedPeripherals[peripheral.id]; // Untrack peripheral.
-      console.log('Successfully disconnected from peripheral: ' + peripheral.id);
-      resolve({ id: peripheral.id, message: 'Disconnected successfully' });
+/**
+ * @function discoverDescriptors
+ * @description Discovers the descriptors of a characteristic once; later calls reuse the result.
+ * @param {string} peripheralId - The ID of the peripheral owning the characteristic.
+ * @param {Object} characteristic - The noble characteristic.
+ * @returns {Promise<Array<Object>>} A Promise that resolves with the noble descriptors.
+ */
+function discoverDescriptors(peripheralId, characteristic) {
+  if (Array.isArray(characteristic.descriptors)) {
+    return Promise.resolve(characteristic.descriptors);
+  }
+  return getGattQueue(peripheralId).enqueue(() => new Promise((resolve, reject) => {
+    characteristic.discoverDescriptors((error, descriptors) => {
+      if (error) {
+        return reject(error);
+      }
+      recordCharacteristicEvent(peripheralId, 'descriptors', characteristic, { descriptors: (descriptors || []).map(d => d.uuid) });
+      resolve(descriptors || []);
     });
+  }), { label: 'discover descriptors ' + characteristic.uuid });
+}
 
-    // Initiate disconnection.
-    peripheral.disconnect(error => {
+/**
+ * @function readDescriptorValue
+ * @description Reads a descriptor through the peripheral's GATT queue.
+ * @param {string} peripheralId - The ID of the peripheral owning the descriptor.
+ * @param {Object} descriptor - The noble descriptor.
+ * @param {Object} characteristic - The noble characteristic owning the descriptor, for session recording.
+ * @returns {Promise<Buffer>} A Promise that resolves with the raw value.
+ */
+function readDescriptorValue(peripheralId, descriptor, characteristic) {
+  return getGattQueue(peripheralId).enqueue(() => new Promise((resolve, reject) => {
+    descriptor.readValue((error, data) => {
       if (error) {
-        console.error('Error during disconnect call for ' + peripheral.id + ':', error);
-        reject(error); // Reject if the disconnect call itself errors.
+        return reject(error);
       }
-      // If no error, the 'disconnect' event handler will resolve the promise.
+      recordCharacteristicEvent(peripheralId, 'descriptorRead', characteristic, {
+        descriptorUuid: descriptor.uuid, value: (data || Buffer.alloc(0)).toString('hex')
+      });
+      resolve(data || Buffer.alloc(0));
     });
+  }), { label: 'read descriptor ' + descriptor.uuid });
+}
+
+/**
+ * @function getDescriptorMetadata
+ * @description Reads the user description (0x2901) and presentation format (0x2904) of a
+ * characteristic. Results are cached per characteristic; failures are logged and reported as null
+ * so that one misbehaving descriptor does not break the characteristics listing.
+ * @param {string} peripheralId - The ID of the peripheral owning the characteristic.
+ * @param {Object} characteristic - The noble characteristic.
+ * @returns {Promise<Object>} A Promise that resolves with { userDescription, presentationFormat }.
+ */
+function getDescriptorMetadata(peripheralId, characteristic) {
+  if (descriptorMetadata.has(characteristic)) {
+    return Promise.resolve(descriptorMetadata.get(characteristic));
+  }
+  if (!isAdapterAvailable()) {
+    return Promise.resolve({ userDescription: null, presentationFormat: null });
+  }
+  return discoverDescriptors(peripheralId, characteristic).then(descriptors => {
+    const userDescription = descriptors.find(d => d.uuid === '2901');
+    const presentationFormat = descriptors.find(d => d.uuid === '2904');
+    return Promise.all([
+      userDescription ? readDescriptorValue(peripheralId, userDescription, characteristic) : null,
+      presentationFormat ? readDescriptorValue(peripheralId, presentationFormat, characteristic) : null
+    ]);
+  }).then(([descriptionData, formatData]) => {
+    const metadata = {
+      userDescription: descriptionData ? descriptionData.toString('utf8').replace(/\0+$/, '') : null,
+      presentationFormat: formatData ? parsePresentationFormat(formatData) : null
+    };
+    descriptorMetadata.set(characteristic, metadata);
+    return metadata;
+  }).catch(error => {
+    console.warn('Could not read descriptors of ' + characteristic.uuid + ' on ' + peripheralId + ':', error.message);
+    return { userDescription: null, presentationFormat: null };
   });
 }
 
 /**
- * @function getServices
- * @description Retrieves a list of services for a connected peripheral.
+ * @function findDescriptor
+ * @description Looks up a descriptor of a connected peripheral's characteristic, discovering the
+ * characteristic's descriptors first if needed.
  * @param {string} peripheralId - The ID of the connected peripheral.
- * @returns {Promise<Array<Object>>} A Promise that resolves with an array of service objects.
- *                                   Each service object contains uuid, name, type, and includedServiceUuids.
- * @rejects {Error} If the peripheral is not connected, services are not discovered, or re-discovery fails.
+ * @param {string|Object} characteristic - The characteristic UUID or address (see resolveCharacteristicTarget).
+ * @param {string} descriptorUuid - The UUID of the descriptor.
+ * @returns {Promise<Object>} A Promise that resolves with { location, descriptor }.
+ * @rejects {Error} If the peripheral is not connected, the adapter is unavailable, or the
+ *                  characteristic or descriptor is not found.
  */
-async function getServices(peripheralId) {
+function findDescriptor(peripheralId, characteristic, descriptorUuid) {
   const peripheral = connectedPeripherals[peripheralId];
   if (!peripheral) {
-    return Promise.reject(new Error('Peripheral not connected'));
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
   }
-  // Check if services are already discovered.
-  if (!peripheral.services) {
-    console.warn('Peripheral services not available for ' + peripheralId + '. Attempting re-discovery.');
-    // Attempt to re-discover if services are missing (should be rare if connectDevice worked).
-    return new Promise((resolve, reject) => {
-        peripheral.discoverAllServicesAndCharacteristics((error, services, characteristics) => {
-            if (error) {
-                return reject(new Error('Failed to re-discover services: ' + error.message));
-            }
-            resolve(services.map(s => ({ uuid: s.uuid, name: s.name, type: s.type, includedServiceUuids: s.includedServiceUuids })));
-        });
-    });
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
   }
-  // Map and resolve service details if already available.
-  return Promise.resolve(peripheral.services.map(s => ({ uuid: s.uuid, name: s.name, type: s.type, includedServiceUuids: s.includedServiceUuids })));
+  let location;
+  try {
+    location = findCharacteristic(peripheral, characteristic);
+  } catch (error) {
+    return retryAfterDiscovery(peripheralId, error, () => findDescriptor(peripheralId, characteristic, descriptorUuid));
+  }
+  return discoverDescriptors(peripheralId, location.characteristic).then(descriptors => {
+    const descriptor = descriptors.find(d => d.uuid === normalizeUuid(descriptorUuid));
+    if (!descriptor) {
+      throw new BleError('DESCRIPTOR_NOT_FOUND', 'Descriptor not found');
+    }
+    return { location, descriptor };
+  });
 }
 
 /**
- * @function getCharacteristics
- * @description Retrieves a list of characteristics for a specific service on a connected peripheral.
+ * @function getDescriptors
+ * @description Lists the descriptors of a characteristic on a connected peripheral.
  * @param {string} peripheralId - The ID of the connected peripheral.
- * @param {string} serviceUuid - The UUID of the service to get characteristics from.
- * @returns {Promise<Array<Object>>} A Promise that resolves with an array of characteristic objects.
- *                                   Each characteristic object contains uuid, name, type, and properties.
- * @rejects {Error} If peripheral not connected, services/characteristics not discovered, or service not found.
+ * @param {string|Object} characteristic - The characteristic UUID or address (see resolveCharacteristicTarget).
+ * @returns {Promise<Array<Object>>} A Promise that resolves with descriptor objects (uuid, name, and
+ *                                   type 'sig', 'vendor' or 'unknown').
+ * @rejects {Error} If the peripheral is not connected, the characteristic is not found, or discovery fails.
  */
-async function getCharacteristics(peripheralId, serviceUuid) {
+async function getDescriptors(peripheralId, characteristic) {
   const peripheral = connectedPeripherals[peripheralId];
   if (!peripheral) {
-    return Promise.reject(new Error('Peripheral not connected'));
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
   }
-  if (!peripheral.services) {
-      return Promise.reject(new Error('Services not discovered for this peripheral.'));
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
   }
-
-  const service = peripheral.services.find(s => s.uuid === serviceUuid);
-  if (!service) {
-    return Promise.reject(new Error('Service not found'));
+  let location;
+  try {
+    location = findCharacteristic(peripheral, characteristic);
+  } catch (error) {
+    return retryAfterDiscovery(peripheralId, error, () => getDescriptors(peripheralId, characteristic));
   }
-  if (!service.characteristics) {
-      return Promise.reject(new Error('Characteristics not discovered for this service.'));
+  return discoverDescriptors(peripheralId, location.characteristic).then(descriptors =>
+    descriptors.map(d => ({ uuid: d.uuid, ...assignedNumbers.lookupDescriptor(d.uuid, d.name) })));
+}
+
+/**
+ * @function readDescriptor
+ * @description Reads the value of a descriptor, e.g. a user description (0x2901) or the CCCD (0x2902).
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {string|Object} characteristic - The characteristic UUID or address (see resolveCharacteristicTarget).
+ * @param {string} descriptorUuid - The UUID of the descriptor to read.
+ * @returns {Promise<string>} A Promise that resolves with the value as a hex string.
+ * @rejects {Error} If the peripheral is not connected, the characteristic or descriptor is not found,
+ *                  or the read fails.
+ */
+async function readDescriptor(peripheralId, characteristic, descriptorUuid) {
+  return findDescriptor(peripheralId, characteristic, descriptorUuid).then(({ location, descriptor }) =>
+    readDescriptorValue(peripheralId, descriptor, location.characteristic)).then(data => data.toString('hex'));
+}
+
+/**
+ * @function writeDescriptor
+ * @description Writes the value of a descriptor. Writing the CCCD (0x2902) switches notifications
+ * (0100) or indications (0200) on or off (0000) without registering a subscription callback.
+ * The write rules of the characteristic apply to the descriptor's value.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {string|Object} characteristic - The characteristic UUID or address (see resolveCharacteristicTarget).
+ * @param {string} descriptorUuid - The UUID of the descriptor to write.
+ * @param {string} valueHex - The value to write, as a hex string.
+ * @returns {Promise<Object>} A Promise that resolves with a success message.
+ * @rejects {Error} If the peripheral is not connected, the characteristic or descriptor is not found,
+ *                  the gateway is read-only, a write rule refuses the write, or the write fails.
+ */
+async function writeDescriptor(peripheralId, characteristic, descriptorUuid, valueHex) {
+  if (writeProtection.isReadOnly()) {
+    return Promise.reject(new BleError('READ_ONLY', 'Write refused: the gateway is read-only'));
   }
-  // Map and resolve characteristic details.
-  return Promise.resolve(service.characteristics.map(c => ({ uuid: c.uuid, name: c.name, type: c.type, properties: c.properties })));
+  return findDescriptor(peripheralId, characteristic, descriptorUuid).then(({ location, descriptor }) => {
+    const peripheral = connectedPeripherals[peripheralId];
+    const refusal = peripheral ? writeRefusal(peripheral, location.address, valueHex) : new BleError('NOT_CONNECTED', 'Peripheral not connected');
+    if (refusal) {
+      return Promise.reject(refusal);
+    }
+    return getGattQueue(peripheralId).enqueue(() => new Promise((resolve, reject) => {
+      descriptor.writeValue(Buffer.from(valueHex, 'hex'), (error) => {
+        if (error) {
+          return reject(error);
+        }
+        // A rewritten user description or presentation format must be read again.
+        descriptorMetadata.delete(location.characteristic);
+        sessionRecorder.record(peripheralId, 'descriptorWrite', { ...location.address, descriptorUuid: descriptor.uuid, value: valueHex });
+        resolve({ message: 'Descriptor write successful', descriptorUuid: descriptor.uuid });
+      });
+    }), { label: 'write descriptor ' + descriptor.uuid, priority: 'high' });
+  });
 }
 
 /**
- * @function readCharacteristic
- * @description Reads the value of a specific characteristic from a connected peripheral.
+ * @function getProfile
+ * @description Exports the whole GATT database of a connected peripheral as one versioned snapshot
+ * (see gatt-profile.js): services, characteristics with their properties and descriptors, and
+ * optionally the current value of every readable characteristic. A selective discovery is completed
+ * first.
  * @param {string} peripheralId - The ID of the connected peripheral.
- * @param {string} characteristicUuid - The UUID of the characteristic to read.
- * @returns {Promise<string|null>} A Promise that resolves with the characteristic value as a hex string,
- *                                or null if data is empty.
- * @rejects {Error} If peripheral not connected, characteristic not found, not readable, or read operation fails.
+ * @param {Object} [options={}] - Export options.
+ * @param {boolean} [options.includeValues=false] - Read every readable characteristic. A failed read
+ *                                                  gives value null and the error as readError.
+ * @returns {Promise<Object>} A Promise that resolves with the profile snapshot.
+ * @rejects {Error} If the peripheral is not connected, the adapter is unavailable, or discovery fails.
  */
-async function readCharacteristic(peripheralId, characteristicUuid) {
+async function getProfile(peripheralId, options = {}) {
+  const { includeValues = false } = options;
   const peripheral = connectedPeripherals[peripheralId];
   if (!peripheral) {
-    return Promise.reject(new Error('Peripheral not connected'));
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
   }
-
-  // Find the target characteristic within any service.
-  let targetCharacteristic = null;
-  if (peripheral.services) {
-    for (const service of peripheral.services) {
-      if (service.characteristics) {
-        targetCharacteristic = service.characteristics.find(c => c.uuid === characteristicUuid);
-        if (targetCharacteristic) break;
-      }
-    }
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
   }
-
-  if (!targetCharacteristic) {
-    return Promise.reject(new Error('Characteristic not found'));
+  if (discoveryModes.get(peripheralId) === 'partial') {
+    await completeDiscovery(peripheral);
   }
 
-  // Check if characteristic is readable.
-  if (!targetCharacteristic.properties || !targetCharacteristic.properties.includes('read')) {
-    return Promise.reject(new Error('Characteristic not readable'));
+  const services = peripheral.services || [];
+  const profileServices = await Promise.all(describeServices(services).map(async (service, i) => {
+    const characteristics = services[i].characteristics || [];
+    return {
+      uuid: service.uuid,
+      instance: service.instance,
+      name: service.name,
+      type: service.type,
+      characteristics: await Promise.all(characteristics.map(c => describeProfileCharacteristic(peripheralId, characteristics, c, includeValues)))
+    };
+  }));
+
+  return {
+    version: gattProfile.PROFILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    device: {
+      id: peripheral.id,
+      name: peripheral.advertisement ? peripheral.advertisement.localName : undefined,
+      address: peripheral.address,
+      addressType: peripheral.addressType
+    },
+    services: profileServices
+  };
+}
+
+/**
+ * @function describeProfileCharacteristic
+ * @description Builds the profile entry of a characteristic, discovering its descriptors and, if
+ * asked to, reading its value.
+ * @param {string} peripheralId - The ID of the peripheral owning the characteristic.
+ * @param {Array<Object>} siblings - The characteristics of the characteristic's service.
+ * @param {Object} characteristic - The noble characteristic.
+ * @param {boolean} includeValues - Read the value if the characteristic is readable.
+ * @returns {Promise<Object>} A Promise that resolves with the characteristic entry.
+ */
+async function describeProfileCharacteristic(peripheralId, siblings, characteristic, includeValues) {
+  const descriptors = await discoverDescriptors(peripheralId, characteristic);
+  const entry = {
+    uuid: characteristic.uuid,
+    instance: instanceIndex(siblings, characteristic),
+    ...assignedNumbers.lookupCharacteristic(characteristic.uuid, characteristic.name),
+    properties: characteristic.properties,
+    descriptors: descriptors.map(d => ({ uuid: d.uuid, ...assignedNumbers.lookupDescriptor(d.uuid, d.name) }))
+  };
+  if (includeValues && characteristic.properties && characteristic.properties.includes('read')) {
+    try {
+      entry.value = await readCharacteristicValue(peripheralId, characteristic);
+    } catch (error) {
+      entry.value = null;
+      entry.readError = error.message;
+    }
   }
+  return entry;
+}
 
-  // Perform the read operation.
-  return new Promise((resolve, reject) => {
-    targetCharacteristic.read((error, data) => {
-      if (error) {
-        return reject(error);
-      }
-      resolve(data ? data.toString('hex') : null); // Convert data to hex string.
-    });
-  });
+/**
+ * @function diffProfile
+ * @description Compares a connected peripheral against a saved profile snapshot.
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {Object} snapshot - A profile snapshot exported by getProfile.
+ * @param {Object} [options={}] - Diff options.
+ * @param {boolean} [options.compareValues] - Read and compare characteristic values (default: if the
+ *                                            snapshot has values).
+ * @returns {Promise<Object>} A Promise that resolves with { deviceId, matches, snapshot: { exportedAt,
+ *                            device }, differences } (see gatt-profile.js diffProfiles).
+ * @rejects {Error} If the snapshot is invalid, or the profile of the peripheral cannot be exported.
+ */
+async function diffProfile(peripheralId, snapshot, options = {}) {
+  try {
+    gattProfile.validateProfile(snapshot);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  const compareValues = options.compareValues === undefined ? gattProfile.hasValues(snapshot) : options.compareValues;
+  const live = await getProfile(peripheralId, { includeValues: compareValues });
+  const differences = gattProfile.diffProfiles(snapshot, live, { compareValues });
+  return {
+    deviceId: peripheralId,
+    matches: differences.length === 0,
+    snapshot: { exportedAt: snapshot.exportedAt || null, device: snapshot.device || null },
+    differences
+  };
 }
 
 /**
- * @function writeCharacteristic
- * @description Writes a value to a specific characteristic on a connected peripheral.
+ * @function runBatch
+ * @description Runs a batch of GATT operations back to back on a connected peripheral (see gatt-batch.js
+ * for the steps). Each step goes through the peripheral's GATT queue like a single operation. A
+ * subscribe step joins an existing subscription to the characteristic, or subscribes until the batch ends.
  * @param {string} peripheralId - The ID of the connected peripheral.
- * @param {string} characteristicUuid - The UUID of the characteristic to write to.
- * @param {string} valueHex - The value to write, as a hex string.
- * @param {boolean} [withoutResponse=false] - Whether to perform a write without response.
- * @returns {Promise<Object>} A Promise that resolves with a success message.
- * @rejects {Error} If peripheral not connected, characteristic not found, not writable,
- *                  or write operation fails.
+ * @param {Array<Object>} steps - The steps, in order.
+ * @param {Object} [options={}] - Batch options.
+ * @param {string} [options.onError='stop'] - 'stop' to skip the steps after a failed one, or 'continue'.
+ * @returns {Promise<Object>} A Promise that resolves with { deviceId, ok, completed, failed, skipped, results }:
+ *                            one result per step with its index, op and status ('ok', 'error' or 'skipped'),
+ *                            the value (and format, decoded) of reads and notifications, or the error and its code.
+ * @rejects {Error} If the batch is invalid, the peripheral is not connected or the adapter is unavailable.
  */
-async function writeCharacteristic(peripheralId, characteristicUuid, valueHex, withoutResponse = false) {
-  const peripheral = connectedPeripherals[peripheralId];
-  if (!peripheral) {
-    return Promise.reject(new Error('Peripheral not connected'));
+async function runBatch(peripheralId, steps, options = {}) {
+  let batch;
+  try {
+    batch = gattBatch.validateBatch(steps, options);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  if (!connectedPeripherals[peripheralId]) {
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  if (!isAdapterAvailable()) {
+    return Promise.reject(adapterUnavailableError());
   }
 
-  // Find the target characteristic.
-  let targetCharacteristic = null;
-  if (peripheral.services) {
-    for (const service of peripheral.services) {
-      if (service.characteristics) {
-        targetCharacteristic = service.characteristics.find(c => c.uuid === characteristicUuid);
-        if (targetCharacteristic) break;
+  const inboxes = new Map(); // step address key -> notification inbox of a subscribe step
+  const taps = []; // subscribers the batch added, removed when it ends
+  const results = [];
+  let failed = false;
+  try {
+    for (let index = 0; index < batch.steps.length; index++) {
+      const step = batch.steps[index];
+      if (failed && batch.onError === 'stop') {
+        results.push({ index, op: step.op, status: 'skipped' });
+        continue;
+      }
+      try {
+        const result = await runBatchStep(peripheralId, step, inboxes, taps);
+        results.push({ index, op: step.op, status: 'ok', ...result });
+      } catch (error) {
+        failed = true;
+        results.push({ index, op: step.op, status: 'error', error: error.message, code: errorCode(error) });
       }
     }
+  } finally {
+    await removeBatchTaps(peripheralId, taps);
   }
 
-  if (!targetCharacteristic) {
-    return Promise.reject(new Error('Characteristic not found'));
-  }
-
-  // Check writability and selected write mode.
-  const canWrite = targetCharacteristic.properties && targetCharacteristic.properties.includes('write');
-  const canWriteWithoutResponse = targetCharacteristic.properties && targetCharacteristic.properties.includes('writeWithoutResponse');
+  const count = status => results.filter(result => result.status === status).length;
+  return { deviceId: peripheralId, ok: !failed, completed: count('ok'), failed: count('error'), skipped: count('skipped'), results };
+}
 
-  if (!canWrite && !canWriteWithoutResponse) {
-    return Promise.reject(new Error('Characteristic not writable'));
+/**
+ * @function runBatchStep
+ * @description Performs one step of a batch (see runBatch).
+ * @param {string} peripheralId - The ID of the connected peripheral.
+ * @param {Object} step - The normalized step (see gatt-batch.js validateBatch).
+ * @param {Map} inboxes - The notification inboxes of the batch's subscribe steps, by address key.
+ * @param {Array<Object>} taps - The subscribers the batch added.
+ * @returns {Promise<Object>} A Promise that resolves with the step's result fields.
+ * @rejects {Error} If the operation fails.
+ */
+async function runBatchStep(peripheralId, step, inboxes, taps) {
+  if (step.op === 'delay') {
+    await new Promise(resolve => setTimeout(resolve, step.ms));
+    return {};
   }
-  
-  let useWithoutResponse = withoutResponse;
-  // Adjust write mode if the selected one is not supported but the other is.
-  if (withoutResponse && !canWriteWithoutResponse) {
-    console.warn(`Characteristic ${characteristicUuid} does not support 'writeWithoutResponse'. Falling back to 'write' if available.`);
-    if (canWrite) {
-        useWithoutResponse = false; // Fallback to write with response.
-    } else {
-        return Promise.reject(new Error('Characteristic does not support writeWithoutResponse and write is also not available.'));
+  if (step.op === 'read') {
+    const value = await readCharacteristic(peripheralId, step.target);
+    const decoded = gattDecoders.decode(typeof step.target === 'string' ? step.target : step.target.characteristicUuid, value);
+    return { ...gattBatch.formatValue(value, step.format), ...(decoded ? { decoded } : {}) };
+  }
+  if (step.op === 'write' || step.op === 'writeWithoutResponse') {
+    await writeCharacteristic(peripheralId, step.target, step.value, step.op === 'writeWithoutResponse');
+    return {};
+  }
+  if (step.op === 'subscribe') {
+    if (!inboxes.has(step.key)) {
+      const inbox = notificationInbox();
+      await tapNotifications(peripheralId, step.target, inbox, taps);
+      inboxes.set(step.key, inbox);
     }
-  } else if (!withoutResponse && !canWrite) {
-      if (canWriteWithoutResponse) {
-          console.warn(`Characteristic ${characteristicUuid} does not support 'write' with response. Using 'writeWithoutResponse'.`);
-          useWithoutResponse = true; // Use write without response if only that is available.
-      } else {
-          return Promise.reject(new Error('Characteristic not writable with selected response option.'));
-      }
+    return {};
   }
+  // waitForNotification
+  const value = await inboxes.get(step.key).next(step.timeoutMs);
+  if (step.value !== undefined && value !== step.value) {
+    throw new BleError('VALUE_MISMATCH', 'Unexpected notification value ' + value + ' (expected ' + step.value + ')');
+  }
+  return gattBatch.formatValue(value, step.format);
+}
 
-  // Convert hex string to Buffer for writing.
-  const buffer = Buffer.from(valueHex, 'hex');
-
-  // Perform the write operation.
-  return new Promise((resolve, reject) => {
-    targetCharacteristic.write(buffer, useWithoutResponse, (error) => {
-      if (error) {
-        return reject(error);
+/**
+ * @function notificationInbox
+ * @description Creates the inbox collecting the notifications of a batch's subscribe step.
+ * @returns {Object} { deliver(value), next(timeoutMs) }: next takes the oldest undelivered value, or
+ *                   waits for the next one and rejects after timeoutMs.
+ */
+function notificationInbox() {
+  const values = [];
+  let waiting = null;
+  return {
+    deliver(value) {
+      if (waiting) {
+        waiting(value);
+      } else {
+        values.push(value);
       }
-      resolve({ message: 'Write successful' });
-    });
-  });
+    },
+    next(timeoutMs) {
+      if (values.length > 0) {
+        return Promise.resolve(values.shift());
+      }
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          waiting = null;
+          reject(new BleError('TIMEOUT', 'Timed out waiting for a notification'));
+        }, timeoutMs);
+        waiting = (value) => {
+          clearTimeout(timer);
+          waiting = null;
+          resolve(value);
+        };
+      });
+    }
+  };
 }
 
 /**
- * @function subscribeToCharacteristic
- * @description Subscribes to notifications/indications from a specific characteristic.
+ * @function tapNotifications
+ * @description Delivers the notifications of a characteristic to a batch inbox. The batch joins an
+ * existing subscription as another subscriber (even on a read-only gateway); otherwise it subscribes.
  * @param {string} peripheralId - The ID of the connected peripheral.
- * @param {string} characteristicUuid - The UUID of the characteristic to subscribe to.
- * @param {function} callback - Callback function to handle received data.
- * @returns {Promise<Object>} A Promise that resolves with a success message.
- * @rejects {Error} If peripheral not connected, characteristic not found, or not notifiable.
+ * @param {string|Object} characteristic - The characteristic UUID or address.
+ * @param {Object} inbox - The inbox (see notificationInbox).
+ * @param {Array<Object>} taps - The subscribers the batch added; this one is appended.
+ * @returns {Promise<void>} A Promise that resolves once notifications are delivered.
+ * @rejects {Error} If the characteristic is not found or cannot be subscribed to.
  */
-async function subscribeToCharacteristic(peripheralId, characteristicUuid, callback) {
+async function tapNotifications(peripheralId, characteristic, inbox, taps) {
   const peripheral = connectedPeripherals[peripheralId];
   if (!peripheral) {
-    return Promise.reject(new Error('Peripheral not connected'));
+    return Promise.reject(new BleError('NOT_CONNECTED', 'Peripheral not connected'));
+  }
+  let location;
+  try {
+    location = findCharacteristic(peripheral, characteristic);
+  } catch (error) {
+    return retryAfterDiscovery(peripheralId, error, () => tapNotifications(peripheralId, characteristic, inbox, taps));
   }
 
-  // Find the target characteristic.
-  let targetCharacteristic = null;
-  if (peripheral.services) {
-    for (const service of peripheral.services) {
-      if (service.characteristics) {
-        targetCharacteristic = service.characteristics.find(c => c.uuid === characteristicUuid);
-        if (targetCharacteristic) break;
-      }
+  const subscribed = (deviceSubscriptions.get(peripheralId) || new Map()).has(locationKey(location.address));
+  const callback = data => inbox.deliver(data.value);
+  await (subscribed ? addSubscription : subscribeToCharacteristic)(peripheralId, location.address, callback);
+  taps.push({ address: location.address, callback });
+}
+
+/**
+ * @function removeBatchTaps
+ * @description Removes the subscribers of a finished batch. Subscriptions that other subscribers
+ * joined in the meantime stay; the batch's own are ended.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @param {Array<Object>} taps - The subscribers the batch added.
+ * @returns {Promise<void>} A Promise that resolves once they are removed; failures are ignored.
+ */
+async function removeBatchTaps(peripheralId, taps) {
+  for (const tap of taps) {
+    const current = (deviceSubscriptions.get(peripheralId) || new Map()).get(locationKey(tap.address));
+    if (current && current.callbacks.has(tap.callback)) {
+      await unsubscribeFromCharacteristic(peripheralId, tap.address, tap.callback).catch(error => {
+        console.warn(`Could not end the batch subscription of ${tap.address.characteristicUuid} on ${peripheralId}:`, error.message);
+      });
     }
   }
+}
 
-  if (!targetCharacteristic) {
-    return Promise.reject(new Error('Characteristic not found'));
+/**
+ * @function startRecording
+ * @description Starts recording a session of a discovered peripheral (see session-recorder.js): its
+ * advertisements, connects, GATT layout, reads, writes, subscriptions, notifications and disconnects.
+ * A connected peripheral's connection, layout and subscriptions are recorded right away.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @returns {Promise<Object>} A Promise that resolves with the recording status.
+ * @rejects {Error} If the peripheral is not found or not permitted, or is already being recorded.
+ */
+async function startRecording(peripheralId) {
+  const peripheral = discoveredPeripherals.find(p => p.id === peripheralId);
+  if (!peripheral) {
+    return Promise.reject(new BleError('DEVICE_NOT_FOUND', 'Peripheral not found'));
   }
-
-  // Check if characteristic supports notifications or indications
-  const canNotify = targetCharacteristic.properties && targetCharacteristic.properties.includes('notify');
-  const canIndicate = targetCharacteristic.properties && targetCharacteristic.properties.includes('indicate');
-
-  if (!canNotify && !canIndicate) {
-    return Promise.reject(new Error('Characteristic does not support notifications or indications'));
+  if (!isDevicePermitted(peripheral)) {
+    return Promise.reject(new BleError('DEVICE_NOT_PERMITTED', 'Peripheral not permitted by the device policy'));
   }
-
-  return new Promise((resolve, reject) => {
-    // Set up the data event listener
-    targetCharacteristic.on('data', (data, isNotification) => {
-      const hexValue = data ? data.toString('hex') : null;
-      callback({
-        characteristicUuid,
-        value: hexValue,
-        isNotification,
-        timestamp: new Date().toISOString()
-      });
+  const record = deviceRecords.get(peripheralId);
+  try {
+    sessionRecorder.startRecording({
+      id: peripheral.id,
+      address: peripheral.address,
+      name: record ? record.localName : undefined,
+      addressType: peripheral.addressType
     });
-
-    // Subscribe to notifications/indications
-    targetCharacteristic.subscribe((error) => {
-      if (error) {
-        return reject(error);
-      }
-      resolve({ 
-        message: 'Subscription successful', 
-        characteristicUuid,
-        supportsNotify: canNotify,
-        supportsIndicate: canIndicate
-      });
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  if (record) {
+    sessionRecorder.record(peripheralId, 'advertisement', advertisementEvent(record));
+  }
+  if (connectedPeripherals[peripheralId]) {
+    sessionRecorder.record(peripheralId, 'connect', { discovery: discoveryModes.get(peripheralId) || null });
+    sessionRecorder.record(peripheralId, 'gatt', { services: describeGattTree(peripheral) });
+    (deviceSubscriptions.get(peripheralId) || new Map()).forEach(subscription => {
+      sessionRecorder.record(peripheralId, 'subscribe', subscription.address);
     });
-  });
+  }
+  console.log('Recording session of peripheral: ' + peripheralId);
+  return sessionRecorder.getStatus(peripheralId);
 }
 
 /**
- * @function unsubscribeFromCharacteristic
- * @description Unsubscribes from notifications/indications from a specific characteristic.
- * @param {string} peripheralId - The ID of the connected peripheral.
- * @param {string} characteristicUuid - The UUID of the characteristic to unsubscribe from.
- * @returns {Promise<Object>} A Promise that resolves with a success message.
- * @rejects {Error} If peripheral not connected, characteristic not found, or unsubscribe fails.
+ * @function stopRecording
+ * @description Stops recording a peripheral. The session is saved to RECORDING_DIR if it is set.
+ * @param {string} peripheralId - The ID of the peripheral.
+ * @returns {Promise<Object>} A Promise that resolves with { deviceId, events, truncated, file, session },
+ *                            where file is the name of the saved session or null.
+ * @rejects {Error} If the peripheral is not being recorded.
  */
-async function unsubscribeFromCharacteristic(peripheralId, characteristicUuid) {
-  const peripheral = connectedPeripherals[peripheralId];
-  if (!peripheral) {
-    return Promise.reject(new Error('Peripheral not connected'));
+async function stopRecording(peripheralId) {
+  let stopped;
+  try {
+    stopped = sessionRecorder.stopRecording(peripheralId);
+  } catch (error) {
+    return Promise.reject(error);
   }
+  const { session, file } = stopped;
+  console.log('Stopped recording peripheral ' + peripheralId + ': ' + session.events.length + ' events' + (file ? ', saved as ' + file : ''));
+  return { deviceId: peripheralId, events: session.events.length, truncated: session.truncated, file, session };
+}
 
-  // Find the target characteristic.
-  let targetCharacteristic = null;
-  if (peripheral.services) {
-    for (const service of peripheral.services) {
-      if (service.characteristics) {
-        targetCharacteristic = service.characteristics.find(c => c.uuid === characteristicUuid);
-        if (targetCharacteristic) break;
-      }
+/**
+ * @function startReplay
+ * @description Replays a recorded session as a stand-in device: a simulated peripheral with the
+ * recorded advertisement and GATT layout that answers reads with the recorded values and, once
+ * subscribed, sends the recorded notifications with their original timing. The device is added to
+ * the discovered devices and is used like any other until its replay is stopped.
+ * @param {Object} source - { session } with a session object, or { file } with the name of a session
+ *                          saved in RECORDING_DIR.
+ * @param {Object} [options={}] - Replay options.
+ * @param {string} [options.id] - ID of the stand-in device (default: "replay-" and the recorded ID).
+ * @returns {Promise<Object>} A Promise that resolves with { deviceId, recordedDeviceId, recordedAt,
+ *                            services, notifications }.
+ * @rejects {Error} If the session or ID is invalid, the file is not found, or the ID is in use.
+ */
+async function startReplay(source, options = {}) {
+  let session;
+  let definition;
+  let peripheral;
+  try {
+    if (options.id !== undefined && (typeof options.id !== 'string' || !/^[\w:-]+$/.test(options.id))) {
+      throw new BleError('INVALID_REQUEST', 'Invalid replay ID: must be a non-empty string of letters, digits, ":", "_" and "-"');
+    }
+    if (source && source.file !== undefined) {
+      session = sessionRecorder.loadSessionFile(source.file);
+    } else {
+      session = source ? source.session : undefined;
+      sessionRecorder.validateSession(session);
     }
+    definition = sessionRecorder.toPeripheralDefinition(session, { id: options.id });
+    if (discoveredPeripherals.some(p => p.id === definition.id)) {
+      throw new BleError('ID_IN_USE', 'Device ID already in use: ' + definition.id);
+    }
+    peripheral = bleSimulator.createPeripheral(definition);
+  } catch (error) {
+    return Promise.reject(error);
   }
+  replayDevices.set(peripheral.id, {
+    recordedDeviceId: session.device.id,
+    recordedAt: session.recordedAt,
+    startedAt: new Date().toISOString()
+  });
+  handleDiscover(peripheral);
+  console.log('Replaying session of ' + session.device.id + ' as peripheral: ' + peripheral.id);
+  const characteristics = definition.services.flatMap(s => s.characteristics);
+  return {
+    deviceId: peripheral.id,
+    recordedDeviceId: session.device.id,
+    recordedAt: session.recordedAt,
+    services: definition.services.length,
+    notifications: characteristics.reduce((count, c) => count + (c.notifications ? c.notifications.length : 0), 0)
+  };
+}
 
-  if (!targetCharacteristic) {
-    return Promise.reject(new Error('Characteristic not found'));
+/**
+ * @function stopReplay
+ * @description Stops a replay: disconnects the stand-in device and removes it from the discovered devices.
+ * @param {string} peripheralId - The ID of the stand-in device.
+ * @returns {Promise<Object>} A Promise that resolves with the device ID and a success message.
+ * @rejects {Error} If no replay device has this ID.
+ */
+async function stopReplay(peripheralId) {
+  if (!replayDevices.has(peripheralId)) {
+    return Promise.reject(new BleError('DEVICE_NOT_FOUND', 'Replay device not found'));
   }
-
-  return new Promise((resolve, reject) => {
-    // Unsubscribe from notifications/indications
-    targetCharacteristic.unsubscribe((error) => {
-      if (error) {
-        return reject(error);
-      }
-      
-      // Remove all data event listeners
-      targetCharacteristic.removeAllListeners('data');
-      
-      resolve({ 
-        message: 'Unsubscription successful', 
-        characteristicUuid
-      });
+  if (connectedPeripherals[peripheralId] || reconnectStates.has(peripheralId)) {
+    await disconnectDevice(peripheralId).catch(error => {
+      console.warn('Error disconnecting replay device ' + peripheralId + ':', error.message);
     });
-  });
+  }
+  replayDevices.delete(peripheralId);
+  const index = discoveredPeripherals.findIndex(p => p.id === peripheralId);
+  const peripheral = discoveredPeripherals[index];
+  const record = deviceRecords.get(peripheralId);
+  if (index !== -1) {
+    discoveredPeripherals.splice(index, 1);
+  }
+  deviceRecords.delete(peripheralId);
+  if (peripheral && isDevicePermitted(peripheral, record)) {
+    emitEvent('deviceLost', {
+      deviceId: peripheralId,
+      address: peripheral.address,
+      name: record ? record.localName : undefined,
+      lastSeen: record ? record.lastSeen : null
+    });
+  }
+  console.log('Stopped replay device: ' + peripheralId);
+  return { id: peripheralId, message: 'Replay stopped' };
+}
+
+/**
+ * @function getReplayDevices
+ * @description Lists the stand-in devices replaying recorded sessions.
+ * @returns {Array<Object>} { deviceId, recordedDeviceId, recordedAt, startedAt, connected } per device.
+ */
+function getReplayDevices() {
+  return Array.from(replayDevices, ([deviceId, replay]) => ({ deviceId, ...replay, connected: !!connectedPeripherals[deviceId] }));
+}
+
+/**
+ * @function decodeCharacteristicValue
+ * @description Decodes the value of a standard Bluetooth SIG characteristic (e.g. Battery Level
+ * 0x2A19 or Heart Rate Measurement 0x2A37) into structured JSON with units.
+ * @param {string} characteristicUuid - The UUID of the characteristic the value belongs to.
+ * @param {string|null} valueHex - The value as a hex string.
+ * @returns {Object|null} The decoded value, or null if the characteristic has no decoder or the
+ *                        value is malformed.
+ */
+function decodeCharacteristicValue(characteristicUuid, valueHex) {
+  return gattDecoders.decode(characteristicUuid, valueHex);
 }
 
 // Exported module functions and objects.
 module.exports = {
   noble, // The noble instance itself, for direct use if needed.
+  events, // EventEmitter for BLE lifecycle events (also re-emitted as a generic 'event').
+  getAdapterInfo, // Function to report the adapter state, address and connection count.
   discoveredPeripherals, // Raw array of discovered noble peripheral objects.
   getDiscoveredPeripherals, // Function to get formatted list of discovered peripherals.
+  evictStaleDevices, // Function to evict unconnected peripherals not seen within the TTL.
+  setDeviceTtl, // Function to change the stale-device TTL.
+  getDeviceTtl, // Function to get the stale-device TTL.
+  getDevicePolicy: devicePolicy.getPolicy, // Function to get the device allow/deny policy.
+  setDevicePolicy, // Function to replace the device allow/deny policy.
+  getWriteProtection, // Function to get read-only mode and the write rules.
+  setWriteProtection, // Function to change read-only mode and/or the write rules.
   connectedPeripherals, // Object storing currently connected noble peripheral objects.
+  startScan, // Function to start scanning with filters, duplicate handling and duration.
+  stopScan, // Function to stop scanning.
+  getScanStatus, // Function to report whether a scan is running and its options.
   connectDevice, // Function to connect to a device.
-  disconnectDevice, // Function to disconnect from a device.
+  cancelConnect, // Function to cancel a pending connection attempt.
+  disconnectDevice, // Function to disconnect from a device (or cancel its pending reconnect).
+  getReconnectStatus, // Function to get the reconnect status of a device.
   getServices, // Function to get services of a connected device.
+  rediscoverDevice, // Function to discard the (cached) GATT layout of a device and discover it again.
   getCharacteristics, // Function to get characteristics of a service.
+  locateCharacteristic, // Function to resolve a characteristic address to a service/instance.
   readCharacteristic, // Function to read a characteristic's value.
   writeCharacteristic, // Function to write to a characteristic.
+  writeCharacteristicChunked, // Function to write a large value as paced, MTU-sized chunks.
+  getMtu, // Function to get the ATT MTU and maximum write payload of a connected device.
+  getRssi, // Function to read the RSSI of a connected device with its history and trend.
+  startRssiSampler, // Function to sample the RSSI of a connected device periodically.
+  stopRssiSampler, // Function to stop the RSSI sampler of a device.
   subscribeToCharacteristic, // Function to subscribe to characteristic notifications.
-  unsubscribeFromCharacteristic // Function to unsubscribe from characteristic notifications.
+  unsubscribeFromCharacteristic, // Function to unsubscribe from characteristic notifications.
+  getDescriptors, // Function to list the descriptors of a characteristic.
+  getProfile, // Function to export the GATT database of a connected device as a versioned snapshot.
+  diffProfile, // Function to compare a connected device against a saved profile snapshot.
+  runBatch, // Function to run a batch of GATT operations back to back on a connected device.
+  readDescriptor, // Function to read a descriptor's value.
+  writeDescriptor, // Function to write a descriptor's value (e.g. the CCCD).
+  startRecording, // Function to start recording a session of a device.
+  stopRecording, // Function to stop recording a device and save its session.
+  getRecordings: sessionRecorder.getRecordings, // Function to list the active recordings.
+  startReplay, // Function to replay a recorded session as a stand-in device.
+  stopReplay, // Function to stop a replay and remove its stand-in device.
+  getReplayDevices, // Function to list the stand-in devices replaying sessions.
+  decodeCharacteristicValue, // Function to decode a standard SIG characteristic value into JSON.
+  registerDecoder: gattDecoders.registerDecoder, // Function to add a decoder for a characteristic UUID.
+  getQueueStats // Function to get the GATT operation queue metrics of a device.
 };
@@ -0,0 +1,602 @@
+/**
+ * @file ble-simulator.js
+ * @description A BLE backend with virtual peripherals, so the gateway runs without a Bluetooth
+ * radio (see ble-backend.js). It implements the part of noble's API `ble-manager.js` uses: the
+ * adapter powers on right away, scans report the defined peripherals, and connected peripherals
+ * serve their services, characteristics and descriptors.
+ *
+ * Definition format (a JSON file, or a JS module exporting the same object):
+ *   { "advertisingIntervalMs": 1000, "adapter": { "address" },
+ *     "peripherals": [{ "id", "address", "addressType", "connectable", "rssi", "mtu", "latencyMs",
+ *       "advertisement": { "localName", "serviceUuids", "txPowerLevel", "manufacturerData": "<hex>",
+ *                          "serviceData": [{ "uuid", "data": "<hex>" }] },
+ *       "services": [{ "uuid", "name", "characteristics": [{ "uuid", "name", "properties": [...],
+ *         "value": "<hex>", "values": ["<hex>", ...], "notifyIntervalMs",
+ *         "notifications": [{ "delayMs", "value": "<hex>" }],
+ *         "descriptors": [{ "uuid", "value": "<hex>" }],
+ *         "onWrite": { "notify": "<characteristic uuid>", "value": "<hex>" } }] }] }] }
+ * `rssi` is a number or { "min", "max" } for a random value per advertisement. `values` is a script:
+ * every read and periodic notification takes the next value, starting over after the last one.
+ * `notifications` are sent once per subscription, each `delayMs` after it (used by session replay,
+ * see session-recorder.js).
+ * `onWrite` notifies another characteristic of the peripheral (e.g. the TX side of a UART service)
+ * with the written value or a fixed one. In a JS module, `value` may be a function returning the
+ * next value and `onWrite` a function handling writes; both get a context (see
+ * SimulatedCharacteristic#context), and an error thrown by `onWrite` fails the write.
+ */
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { shortUuid } = require('./gatt-decoders');
+const { BleError } = require('./ble-errors');
+
+const DEFAULT_ADVERTISING_INTERVAL_MS = 1000;
+const DEFAULT_MTU = 23;
+const HEX_PATTERN = /^([0-9a-f]{2})*$/i;
+
+/**
+ * Converts a value from a definition or a script function into a Buffer.
+ * @param {Buffer|string|Array<number>} value - A Buffer, hex string or byte array.
+ * @returns {Buffer} The value.
+ */
+function toBuffer(value) {
+    if (Buffer.isBuffer(value)) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return Buffer.from(value);
+    }
+    return Buffer.from(value || '', 'hex');
+}
+
+/**
+ * Runs a peripheral operation after its simulated latency.
+ * @param {number} latencyMs - The latency in milliseconds (0 answers on the next tick).
+ * @param {function} fn - The operation.
+ */
+function later(latencyMs, fn) {
+    if (latencyMs > 0) {
+        setTimeout(fn, latencyMs);
+    } else {
+        process.nextTick(fn);
+    }
+}
+
+class SimulatedDescriptor extends EventEmitter {
+    /**
+     * @param {Object} definition - { uuid, value } from the definition.
+     * @param {SimulatedPeripheral} peripheral - The peripheral the descriptor belongs to.
+     */
+    constructor(definition, peripheral) {
+        super();
+        this.uuid = shortUuid(definition.uuid);
+        this.name = null;
+        this.type = null;
+        this._peripheral = peripheral;
+        this._value = toBuffer(definition.value);
+    }
+
+    readValue(callback) {
+        later(this._peripheral._latencyMs, () => callback(null, this._value));
+    }
+
+    writeValue(data, callback) {
+        this._value = Buffer.from(data);
+        later(this._peripheral._latencyMs, () => callback(null));
+    }
+}
+
+class SimulatedCharacteristic extends EventEmitter {
+    /**
+     * @param {Object} definition - The characteristic from the definition.
+     * @param {string} serviceUuid - The UUID of the service containing it.
+     * @param {SimulatedPeripheral} peripheral - The peripheral it belongs to.
+     */
+    constructor(definition, serviceUuid, peripheral) {
+        super();
+        this.uuid = shortUuid(definition.uuid);
+        this.name = definition.name || null;
+        this.type = null;
+        this.properties = definition.properties.slice();
+        this.descriptors = null;
+        this._serviceUuid = serviceUuid;
+        this._peripheral = peripheral;
+        this._descriptors = (definition.descriptors || []).map(d => new SimulatedDescriptor(d, peripheral));
+        this._valueFn = typeof definition.value === 'function' ? definition.value : null;
+        this._script = definition.values ? definition.values.map(toBuffer) : null;
+        this._value = this._script ? this._script[0] : toBuffer(this._valueFn ? '' : definition.value);
+        this._count = 0; // values taken so far, by reads and notifications
+        this._notifyIntervalMs = definition.notifyIntervalMs || 0;
+        this._notifications = (definition.notifications || []).map(n => ({ delayMs: n.delayMs, value: toBuffer(n.value) }));
+        this._onWrite = definition.onWrite || null;
+        this._subscribed = false;
+        this._notifyTimer = null;
+        this._notificationTimers = [];
+    }
+
+    /**
+     * The context passed to the value and onWrite functions of a JS definition.
+     * @returns {Object} { deviceId, serviceUuid, characteristicUuid, count, value, setValue(value),
+     *                   notify(value, [characteristicUuid]) } where notify sends a notification from
+     *                   this or another characteristic of the peripheral, if it is subscribed.
+     */
+    context() {
+        return {
+            deviceId: this._peripheral.id,
+            serviceUuid: this._serviceUuid,
+            characteristicUuid: this.uuid,
+            count: this._count,
+            value: this._value,
+            setValue: (value) => {
+                this._value = toBuffer(value);
+            },
+            notify: (value, characteristicUuid) => {
+                const target = characteristicUuid ? this._peripheral._findCharacteristic(characteristicUuid) : this;
+                if (target) target._notify(toBuffer(value));
+            }
+        };
+    }
+
+    /**
+     * Takes the next value: the result of the value function, the next scripted value or the
+     * current (static or last written) value.
+     * @returns {Buffer} The value.
+     */
+    _nextValue() {
+        if (this._valueFn) {
+            this._value = toBuffer(this._valueFn(this.context()));
+        } else if (this._script) {
+            this._value = this._script[this._count % this._script.length];
+        }
+        this._count++;
+        return this._value;
+    }
+
+    read(callback) {
+        if (!this._peripheral._isConnected()) {
+            return callback(new Error('Peripheral not connected'));
+        }
+        let value;
+        try {
+            value = this._nextValue();
+        } catch (error) {
+            return later(this._peripheral._latencyMs, () => callback(error));
+        }
+        later(this._peripheral._latencyMs, () => callback(null, value));
+    }
+
+    write(data, withoutResponse, callback) {
+        if (!this._peripheral._isConnected()) {
+            return callback && callback(new Error('Peripheral not connected'));
+        }
+        const value = Buffer.from(data);
+        let error = null;
+        try {
+            this._value = value;
+            if (typeof this._onWrite === 'function') {
+                this._onWrite(value, this.context());
+            } else if (this._onWrite) {
+                const target = this._peripheral._findCharacteristic(this._onWrite.notify);
+                if (target) target._notify(this._onWrite.value === undefined ? value : toBuffer(this._onWrite.value));
+            }
+        } catch (thrown) {
+            error = thrown;
+        }
+        this.emit('write', value, withoutResponse);
+        if (callback) later(this._peripheral._latencyMs, () => callback(error));
+    }
+
+    subscribe(callback) {
+        if (!this._peripheral._isConnected()) {
+            return callback(new Error('Peripheral not connected'));
+        }
+        this._subscribed = true;
+        if (this._notifyIntervalMs && !this._notifyTimer) {
+            this._notifyTimer = setInterval(() => {
+                try {
+                    this._notify(this._nextValue());
+                } catch (error) {
+                    console.error('Simulated notification of ' + this.uuid + ' on ' + this._peripheral.id + ' failed:', error.message);
+                }
+            }, this._notifyIntervalMs);
+            if (this._notifyTimer.unref) this._notifyTimer.unref();
+        }
+        if (this._notificationTimers.length === 0) {
+            this._notificationTimers = this._notifications.map(notification => {
+                const timer = setTimeout(() => this._notify(notification.value), notification.delayMs);
+                if (timer.unref) timer.unref();
+                return timer;
+            });
+        }
+        later(this._peripheral._latencyMs, () => callback(null));
+    }
+
+    unsubscribe(callback) {
+        this._stopNotifying();
+        later(this._peripheral._latencyMs, () => callback(null));
+    }
+
+    discoverDescriptors(callback) {
+        later(this._peripheral._latencyMs, () => {
+            this.descriptors = this._descriptors;
+            callback(null, this.descriptors);
+        });
+    }
+
+    /**
+     * Sends a notification if the characteristic is subscribed.
+     * @param {Buffer} value - The value.
+     */
+    _notify(value) {
+        this._value = value;
+        if (this._subscribed) {
+            this.emit('data', value, true);
+        }
+    }
+
+    _stopNotifying() {
+        this._subscribed = false;
+        clearInterval(this._notifyTimer);
+        this._notifyTimer = null;
+        this._notificationTimers.forEach(clearTimeout);
+        this._notificationTimers = [];
+    }
+}
+
+class SimulatedService extends EventEmitter {
+    /**
+     * @param {Object} definition - The service from the definition.
+     * @param {SimulatedPeripheral} peripheral - The peripheral it belongs to.
+     */
+    constructor(definition, peripheral) {
+        super();
+        this.uuid = shortUuid(definition.uuid);
+        this.name = definition.name || null;
+        this.type = null;
+        this.characteristics = (definition.characteristics || []).map(c => new SimulatedCharacteristic(c, this.uuid, peripheral));
+    }
+}
+
+class SimulatedPeripheral extends EventEmitter {
+    /**
+     * @param {Object} definition - The peripheral from the definition.
+     */
+    constructor(definition) {
+        super();
+        this.address = definition.address ? definition.address.toLowerCase() : 'unknown';
+        this.id = definition.id || this.address.replace(/:/g, '');
+        this.addressType = definition.addressType || 'public';
+        this.connectable = definition.connectable !== false;
+        const advertisement = definition.advertisement || {};
+        this.advertisement = {
+            localName: advertisement.localName,
+            serviceUuids: (advertisement.serviceUuids || []).map(shortUuid),
+            txPowerLevel: advertisement.txPowerLevel,
+            manufacturerData: advertisement.manufacturerData ? toBuffer(advertisement.manufacturerData) : undefined,
+            serviceData: (advertisement.serviceData || []).map(entry => ({ uuid: shortUuid(entry.uuid), data: toBuffer(entry.data) })),
+            serviceSolicitationUuids: []
+        };
+        this.rssi = undefined;
+        this.state = 'disconnected';
+        this.mtu = null;
+        this.services = null; // set by discovery, like noble
+        this._rssi = definition.rssi === undefined ? -60 : definition.rssi;
+        this._mtu = definition.mtu || DEFAULT_MTU;
+        this._latencyMs = definition.latencyMs || 0;
+        this._gattServices = (definition.services || []).map(s => new SimulatedService(s, this));
+        this._connectAttempt = 0; // numbers connection attempts, so a cancelled one does not complete
+        this.updateRssiValue();
+    }
+
+    /**
+     * Picks the RSSI of the next advertisement or RSSI read.
+     * @returns {number} The RSSI in dBm.
+     */
+    updateRssiValue() {
+        const rssi = this._rssi;
+        this.rssi = typeof rssi === 'number' ? rssi : Math.round(rssi.min + Math.random() * (rssi.max - rssi.min));
+        return this.rssi;
+    }
+
+    _isConnected() {
+        return this.state === 'connected';
+    }
+
+    _findCharacteristic(uuid) {
+        const wanted = shortUuid(uuid);
+        for (const service of this._gattServices) {
+            const characteristic = service.characteristics.find(c => c.uuid === wanted);
+            if (characteristic) return characteristic;
+        }
+        return null;
+    }
+
+    connect(callback) {
+        if (this.state === 'connected') {
+            if (callback) callback(new Error('Peripheral already connected'));
+            return;
+        }
+        this.state = 'connecting';
+        const attempt = ++this._connectAttempt;
+        later(this._latencyMs, () => {
+            if (attempt !== this._connectAttempt || this.state !== 'connecting') return;
+            const error = this.connectable ? null : new Error('Peripheral is not connectable');
+            this.state = error ? 'disconnected' : 'connected';
+            if (!error) this.mtu = this._mtu;
+            this.emit('connect', error);
+            if (callback) callback(error);
+        });
+    }
+
+    cancelConnect() {
+        if (this.state !== 'connecting') return;
+        this._connectAttempt++;
+        this.state = 'disconnected';
+        this.emit('connect', new Error('connection canceled!'));
+    }
+
+    disconnect(callback) {
+        this.state = 'disconnecting';
+        process.nextTick(() => {
+            this._dropLink();
+            this.emit('disconnect');
+            if (callback) callback(null);
+        });
+    }
+
+    /**
+     * Drops the link as if the device went out of range, without a disconnect request.
+     * @param {*} [reason='connection timeout'] - The reason reported with the 'disconnect' event.
+     */
+    simulateDisconnect(reason = 'connection timeout') {
+        if (this.state !== 'connected') return;
+        this._dropLink();
+        this.emit('disconnect', reason);
+    }
+
+    _dropLink() {
+        this.state = 'disconnected';
+        this.mtu = null;
+        this._gattServices.forEach(s => s.characteristics.forEach(c => c._stopNotifying()));
+    }
+
+    updateRssi(callback) {
+        later(this._latencyMs, () => callback(null, this.updateRssiValue()));
+    }
+
+    discoverAllServicesAndCharacteristics(callback) {
+        this.discoverSomeServicesAndCharacteristics([], [], callback);
+    }
+
+    discoverSomeServicesAndCharacteristics(serviceUuids, characteristicUuids, callback) {
+        later(this._latencyMs, () => {
+            if (!this._isConnected()) {
+                return callback(new Error('Peripheral not connected'));
+            }
+            const wanted = serviceUuids.map(shortUuid);
+            this.services = this._gattServices.filter(s => wanted.length === 0 || wanted.includes(s.uuid));
+            this.emit('servicesDiscover', this.services);
+            callback(null, this.services, this.services.flatMap(s => s.characteristics));
+        });
+    }
+}
+
+class SimulatedNoble extends EventEmitter {
+    /**
+     * @param {Object} definition - A validated definition (see validateDefinition).
+     */
+    constructor(definition) {
+        super();
+        this.state = 'unknown';
+        this.address = definition.adapter && definition.adapter.address ? definition.adapter.address : null;
+        this.peripherals = (definition.peripherals || []).map(p => new SimulatedPeripheral(p));
+        this._advertisingIntervalMs = definition.advertisingIntervalMs || DEFAULT_ADVERTISING_INTERVAL_MS;
+        this._scan = null; // { serviceUuids, allowDuplicates, reported, timer } while scanning
+        // Like noble, the adapter reports its state once the listeners are attached.
+        setImmediate(() => this.setState('poweredOn'));
+    }
+
+    /**
+     * Changes the adapter state, e.g. to simulate the radio being switched off.
+     * @param {string} state - The new state, e.g. 'poweredOn' or 'poweredOff'.
+     */
+    setState(state) {
+        this.state = state;
+        if (state !== 'poweredOn') {
+            this.peripherals.forEach(p => p.simulateDisconnect('adapter ' + state));
+        }
+        this.emit('stateChange', state);
+    }
+
+    startScanning(serviceUuids, allowDuplicates, callback) {
+        if (this.state !== 'poweredOn') {
+            if (callback) callback(new Error('Could not start scanning, state is ' + this.state + ' (not poweredOn)'));
+            return;
+        }
+        this._stopAdvertising();
+        this._scan = { serviceUuids: (serviceUuids || []).map(shortUuid), allowDuplicates: !!allowDuplicates, reported: new Set(), timer: null };
+        this._scan.timer = setInterval(() => this._advertise(), this._advertisingIntervalMs);
+        if (this._scan.timer.unref) this._scan.timer.unref();
+        this.emit('scanStart');
+        if (callback) callback(null);
+        setImmediate(() => this._advertise());
+    }
+
+    stopScanning(callback) {
+        if (this._scan) {
+            this._stopAdvertising();
+            this.emit('scanStop');
+        }
+        if (callback) callback(null);
+    }
+
+    _stopAdvertising() {
+        if (this._scan) {
+            clearInterval(this._scan.timer);
+            this._scan = null;
+        }
+    }
+
+    /**
+     * Reports the advertisements of the peripherals matching the scan filter. Connected peripherals
+     * do not advertise; without duplicates, each peripheral is reported once per scan and link.
+     */
+    _advertise() {
+        const scan = this._scan;
+        if (!scan) return;
+        for (const peripheral of this.peripherals) {
+            if (peripheral.state !== 'disconnected') {
+                scan.reported.delete(peripheral.id);
+                continue;
+            }
+            if (scan.serviceUuids.length && !peripheral.advertisement.serviceUuids.some(uuid => scan.serviceUuids.includes(uuid))) {
+                continue;
+            }
+            if (!scan.allowDuplicates && scan.reported.has(peripheral.id)) {
+                continue;
+            }
+            scan.reported.add(peripheral.id);
+            peripheral.updateRssiValue();
+            this.emit('discover', peripheral);
+        }
+    }
+}
+
+/**
+ * Checks a simulator definition.
+ * @param {Object} definition - The definition.
+ * @throws {Error} If the definition is malformed, naming the first offending field.
+ */
+function validateDefinition(definition) {
+    const fail = (where, message) => {
+        throw new BleError('INVALID_REQUEST', 'Invalid simulator definition: ' + where + ' ' + message);
+    };
+    const checkUuid = (value, where) => {
+        if (typeof value !== 'string' || !/^[0-9a-f-]+$/i.test(value)) fail(where, 'must be a UUID string');
+    };
+    const checkHex = (value, where) => {
+        if (typeof value !== 'string' || !HEX_PATTERN.test(value)) fail(where, 'must be a hex string');
+    };
+    const checkInterval = (value, where) => {
+        if (value !== undefined && (!Number.isInteger(value) || value <= 0)) fail(where, 'must be a positive integer');
+    };
+
+    if (!definition || typeof definition !== 'object' || !Array.isArray(definition.peripherals)) {
+        fail('peripherals', 'must be an array');
+    }
+    checkInterval(definition.advertisingIntervalMs, 'advertisingIntervalMs');
+    const ids = new Set();
+    definition.peripherals.forEach((peripheral, i) => {
+        const where = 'peripherals[' + i + ']';
+        if (!peripheral || typeof peripheral !== 'object') fail(where, 'must be an object');
+        if (!peripheral.id && !peripheral.address) fail(where, 'must have an id or an address');
+        const id = peripheral.id || peripheral.address.toLowerCase().replace(/:/g, '');
+        if (ids.has(id)) fail(where + '.id', 'duplicates ' + id);
+        ids.add(id);
+        const rssi = peripheral.rssi;
+        if (rssi !== undefined && typeof rssi !== 'number' &&
+            !(rssi && typeof rssi.min === 'number' && typeof rssi.max === 'number' && rssi.min <= rssi.max)) {
+            fail(where + '.rssi', 'must be a number or { min, max }');
+        }
+        if (peripheral.mtu !== undefined && (!Number.isInteger(peripheral.mtu) || peripheral.mtu < DEFAULT_MTU || peripheral.mtu > 517)) {
+            fail(where + '.mtu', 'must be an integer between 23 and 517');
+        }
+        if (peripheral.latencyMs !== undefined && (!Number.isInteger(peripheral.latencyMs) || peripheral.latencyMs < 0)) {
+            fail(where + '.latencyMs', 'must be a non-negative integer');
+        }
+        const advertisement = peripheral.advertisement || {};
+        (advertisement.serviceUuids || []).forEach((uuid, k) => checkUuid(uuid, where + '.advertisement.serviceUuids[' + k + ']'));
+        if (advertisement.manufacturerData !== undefined) checkHex(advertisement.manufacturerData, where + '.advertisement.manufacturerData');
+        (advertisement.serviceData || []).forEach((entry, k) => {
+            checkUuid(entry && entry.uuid, where + '.advertisement.serviceData[' + k + '].uuid');
+            checkHex(entry.data, where + '.advertisement.serviceData[' + k + '].data');
+        });
+        if (peripheral.services !== undefined && !Array.isArray(peripheral.services)) fail(where + '.services', 'must be an array');
+        (peripheral.services || []).forEach((service, j) => {
+            const serviceWhere = where + '.services[' + j + ']';
+            checkUuid(service && service.uuid, serviceWhere + '.uuid');
+            if (service.characteristics !== undefined && !Array.isArray(service.characteristics)) fail(serviceWhere + '.characteristics', 'must be an array');
+            (service.characteristics || []).forEach((characteristic, k) => {
+                const charWhere = serviceWhere + '.characteristics[' + k + ']';
+                checkUuid(characteristic && characteristic.uuid, charWhere + '.uuid');
+                if (!Array.isArray(characteristic.properties) || characteristic.properties.some(p => typeof p !== 'string')) {
+                    fail(charWhere + '.properties', 'must be an array of property names');
+                }
+                if (characteristic.value !== undefined && typeof characteristic.value !== 'function') checkHex(characteristic.value, charWhere + '.value');
+                if (characteristic.values !== undefined) {
+                    if (!Array.isArray(characteristic.values) || characteristic.values.length === 0) fail(charWhere + '.values', 'must be a non-empty array');
+                    characteristic.values.forEach((value, v) => checkHex(value, charWhere + '.values[' + v + ']'));
+                }
+                checkInterval(characteristic.notifyIntervalMs, charWhere + '.notifyIntervalMs');
+                if (characteristic.notifications !== undefined && !Array.isArray(characteristic.notifications)) fail(charWhere + '.notifications', 'must be an array');
+                (characteristic.notifications || []).forEach((notification, n) => {
+                    const notificationWhere = charWhere + '.notifications[' + n + ']';
+                    if (!notification || !Number.isInteger(notification.delayMs) || notification.delayMs < 0) fail(notificationWhere + '.delayMs', 'must be a non-negative integer');
+                    checkHex(notification.value, notificationWhere + '.value');
+                });
+                (characteristic.descriptors || []).forEach((descriptor, d) => {
+                    checkUuid(descriptor && descriptor.uuid, charWhere + '.descriptors[' + d + '].uuid');
+                    if (descriptor.value !== undefined) checkHex(descriptor.value, charWhere + '.descriptors[' + d + '].value');
+                });
+                const onWrite = characteristic.onWrite;
+                if (onWrite !== undefined && typeof onWrite !== 'function') {
+                    checkUuid(onWrite && onWrite.notify, charWhere + '.onWrite.notify');
+                    if (onWrite.value !== undefined) checkHex(onWrite.value, charWhere + '.onWrite.value');
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Loads a simulator definition from a JSON file or a JS module.
+ * @param {string} file - Path to the file.
+ * @returns {Object} The validated definition.
+ * @throws {Error} If the file cannot be loaded or holds an invalid definition.
+ */
+function loadDefinition(file) {
+    let definition;
+    try {
+        definition = /\.(c?js)$/.test(file)
+            ? require(path.resolve(file))
+            : JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error('Invalid simulator definition file: ' + error.message);
+    }
+    validateDefinition(definition);
+    return definition;
+}
+
+/**
+ * Creates a simulator backend.
+ * @param {Object|string} definition - The definition, or the path of a file holding it.
+ * @returns {SimulatedNoble} The backend, which powers on right after creation.
+ * @throws {Error} If the definition is invalid.
+ */
+function createSimulator(definition) {
+    if (typeof definition === 'string') {
+        definition = loadDefinition(definition);
+    } else {
+        validateDefinition(definition);
+    }
+    return new SimulatedNoble(definition);
+}
+
+/**
+ * Creates a single simulated peripheral, for use outside a simulator backend.
+ * @param {Object} definition - The peripheral, in the format of the definition's peripherals.
+ * @returns {SimulatedPeripheral} The peripheral, disconnected.
+ * @throws {Error} If the peripheral definition is invalid.
+ */
+function createPeripheral(definition) {
+    validateDefinition({ peripherals: [definition] });
+    return new SimulatedPeripheral(definition);
+}
+
+module.exports = {
+    createSimulator, // Function to create a simulator backend from a definition or file.
+    loadDefinition, // Function to load and validate a definition file.
+    validateDefinition, // Function to check a definition.
+    createPeripheral, // Function to create a single simulated peripheral.
+    SimulatedNoble // The simulator backend class.
+};
@@ -0,0 +1,173 @@
+/**
+ * @file device-policy.js
+ * @description Allow and deny rules deciding which BLE devices the gateway exposes. `ble-manager.js`
+ * hides devices the policy rejects from the device list and refuses to connect to them. The policy
+ * is loaded from DEVICE_POLICY_FILE at startup and can be replaced at runtime.
+ *
+ * Policy format: { "allow": [rule, ...], "deny": [rule, ...] }. A rule matches a device when all of
+ * its fields match: "id" (peripheral ID), "address", "name" (regular expression on the advertised
+ * name), "serviceUuid" (an advertised service) and "companyId" (of the manufacturer data, e.g.
+ * "0x004c" or 76). Deny rules win; with allow rules, only devices matching one of them are permitted.
+ */
+const fs = require('fs');
+const { shortUuid } = require('./gatt-decoders');
+const { BleError } = require('./ble-errors');
+
+const RULE_FIELDS = ['id', 'address', 'name', 'serviceUuid', 'companyId'];
+
+// The active policy as configured ({ allow, deny }), and its rules compiled for matching.
+var policy = { allow: [], deny: [] };
+var compiled = { allow: [], deny: [] };
+// Set while the policy file could not be loaded: every device is denied until a policy is set.
+var denyAll = false;
+
+/**
+ * @function compileRule
+ * @description Validates a rule and prepares it for matching.
+ * @param {Object} rule - The rule as configured.
+ * @param {string} where - The rule's position in the policy, for the error message.
+ * @returns {Object} The rule with a compiled name pattern and normalized service UUID and company ID.
+ * @throws {Error} If the rule is empty, has unknown fields or invalid values.
+ */
+function compileRule(rule, where) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid device policy: ' + where + ' must be an object');
+  }
+  const fields = Object.keys(rule);
+  const unknown = fields.find(field => !RULE_FIELDS.includes(field));
+  if (unknown) {
+    throw new BleError('INVALID_REQUEST', 'Invalid device policy: ' + where + ' has unknown field ' + unknown);
+  }
+  if (fields.length === 0) {
+    throw new BleError('INVALID_REQUEST', 'Invalid device policy: ' + where + ' must set at least one of ' + RULE_FIELDS.join(', '));
+  }
+  for (const field of ['id', 'address', 'name', 'serviceUuid']) {
+    if (rule[field] !== undefined && (typeof rule[field] !== 'string' || rule[field].length === 0)) {
+      throw new BleError('INVALID_REQUEST', 'Invalid device policy: ' + where + '.' + field + ' must be a non-empty string');
+    }
+  }
+
+  const matcher = {};
+  if (rule.id !== undefined) matcher.id = rule.id.toLowerCase();
+  if (rule.address !== undefined) matcher.address = rule.address.toLowerCase();
+  if (rule.name !== undefined) {
+    try {
+      matcher.name = new RegExp(rule.name);
+    } catch (error) {
+      throw new BleError('INVALID_REQUEST', 'Invalid device policy: ' + where + '.name is not a valid regular expression');
+    }
+  }
+  if (rule.serviceUuid !== undefined) matcher.serviceUuid = shortUuid(rule.serviceUuid);
+  if (rule.companyId !== undefined) {
+    const companyId = typeof rule.companyId === 'number' ? rule.companyId : parseInt(String(rule.companyId).replace(/^0x/i, ''), 16);
+    if (!Number.isInteger(companyId) || companyId < 0 || companyId > 0xffff) {
+      throw new BleError('INVALID_REQUEST', 'Invalid device policy: ' + where + '.companyId must be a 16-bit company identifier');
+    }
+    matcher.companyId = companyId;
+  }
+  return matcher;
+}
+
+/**
+ * @function setPolicy
+ * @description Replaces the active policy. The previous policy stays active if the new one is invalid.
+ * @param {Object} newPolicy - { allow, deny }, each an optional array of rules.
+ * @returns {Object} The active policy.
+ * @throws {Error} If the policy is invalid, naming the first offending rule.
+ */
+function setPolicy(newPolicy) {
+  if (!newPolicy || typeof newPolicy !== 'object' || Array.isArray(newPolicy)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid device policy: expected an object with allow and deny rules');
+  }
+  const next = { allow: [], deny: [] };
+  const nextCompiled = { allow: [], deny: [] };
+  for (const list of ['allow', 'deny']) {
+    const rules = newPolicy[list] === undefined ? [] : newPolicy[list];
+    if (!Array.isArray(rules)) {
+      throw new BleError('INVALID_REQUEST', 'Invalid device policy: ' + list + ' must be an array of rules');
+    }
+    rules.forEach((rule, i) => {
+      nextCompiled[list].push(compileRule(rule, list + '[' + i + ']'));
+      next[list].push({ ...rule });
+    });
+  }
+  policy = next;
+  compiled = nextCompiled;
+  denyAll = false;
+  return getPolicy();
+}
+
+/**
+ * @function getPolicy
+ * @description Returns the active policy.
+ * @returns {Object} { allow, deny } as configured, with denyAll: true while the policy file failed to load.
+ */
+function getPolicy() {
+  const active = { allow: policy.allow.map(rule => ({ ...rule })), deny: policy.deny.map(rule => ({ ...rule })) };
+  return denyAll ? { ...active, denyAll } : active;
+}
+
+/**
+ * @function matches
+ * @description Checks a device against a compiled rule.
+ * @param {Object} matcher - The compiled rule.
+ * @param {Object} device - See isPermitted.
+ * @returns {boolean} True if every field of the rule matches.
+ */
+function matches(matcher, device) {
+  if (matcher.id !== undefined && String(device.id || '').toLowerCase() !== matcher.id) return false;
+  if (matcher.address !== undefined && String(device.address || '').toLowerCase() !== matcher.address) return false;
+  if (matcher.name !== undefined && !(typeof device.name === 'string' && matcher.name.test(device.name))) return false;
+  if (matcher.serviceUuid !== undefined && !(device.serviceUuids || []).some(uuid => shortUuid(uuid) === matcher.serviceUuid)) return false;
+  if (matcher.companyId !== undefined && device.companyId !== matcher.companyId) return false;
+  return true;
+}
+
+/**
+ * @function isPermitted
+ * @description Applies the policy to a device.
+ * @param {Object} device - { id, address, name, serviceUuids, companyId } of the device; companyId is
+ *                          the number from its manufacturer data, or null.
+ * @returns {boolean} True if no deny rule matches and, when there are allow rules, one of them matches.
+ */
+function isPermitted(device) {
+  if (denyAll || compiled.deny.some(matcher => matches(matcher, device))) {
+    return false;
+  }
+  return compiled.allow.length === 0 || compiled.allow.some(matcher => matches(matcher, device));
+}
+
+/**
+ * @function loadPolicyFile
+ * @description Loads the policy from a JSON file.
+ * @param {string} file - Path to the JSON file.
+ * @returns {Object} The active policy.
+ * @throws {Error} If the file cannot be read or does not hold a valid policy.
+ */
+function loadPolicyFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new BleError('INVALID_REQUEST', 'Invalid device policy file: ' + error.message);
+  }
+  return setPolicy(parsed);
+}
+
+if (process.env.DEVICE_POLICY_FILE) {
+  try {
+    const loaded = loadPolicyFile(process.env.DEVICE_POLICY_FILE);
+    console.log('Loaded device policy from ' + process.env.DEVICE_POLICY_FILE + ': ' + loaded.allow.length + ' allow and ' + loaded.deny.length + ' deny rules');
+  } catch (error) {
+    // Fail closed: a policy that cannot be loaded must not expose every device.
+    console.error(error.message + '; denying all devices until a valid policy is set');
+    denyAll = true;
+  }
+}
+
+module.exports = {
+  setPolicy, // Function to replace the active policy.
+  getPolicy, // Function to get the active policy.
+  isPermitted, // Function to check a device against the policy.
+  loadPolicyFile // Function to load the policy from a JSON file.
+};
@@ -0,0 +1,191 @@
+/**
+ * @file gatt-batch.js
+ * @description Batches of GATT operations run back to back on one device, e.g. a provisioning flow
+ * of dependent reads and writes. `ble-manager.js` runs them; this module checks the steps, converts
+ * their values to hex, and converts read and notified values into the requested format.
+ *
+ * A step is an object with an `op` and, except for delays, a characteristic address: characteristicUuid
+ * and optionally serviceUuid, serviceInstance and instance (as for the characteristic routes).
+ *   read                  { format }                  Reads the value.
+ *   write                 { value, format }           Writes with response.
+ *   writeWithoutResponse  { value, format }           Writes without response.
+ *   subscribe             { }                         Collects notifications for later waitForNotification steps.
+ *   waitForNotification   { timeoutMs, value, format } Takes the oldest notification received since the
+ *                                                     subscribe step with the same address, or waits for the
+ *                                                     next one; fails if it differs from `value` (hex).
+ *   delay                 { ms }                      Pauses.
+ * `format` is a value-codec format (hex by default).
+ */
+const valueCodec = require('./value-codec');
+const { BleError } = require('./ble-errors');
+
+// The operations a step can perform.
+const STEP_OPS = ['read', 'write', 'writeWithoutResponse', 'subscribe', 'waitForNotification', 'delay'];
+// What a batch does after a failed step: skip the remaining steps, or run them anyway.
+const ON_ERROR_MODES = ['stop', 'continue'];
+// Limits keeping one batch from occupying a device for too long.
+const MAX_STEPS = 100;
+const MAX_WAIT_MS = 60000;
+const DEFAULT_NOTIFICATION_TIMEOUT_MS = 5000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$|^[0-9a-f]{32}$|^[0-9a-f]{4}$/i;
+
+/**
+ * @function validateBatch
+ * @description Checks a batch and normalizes its steps for ble-manager.js.
+ * @param {Array<Object>} steps - The steps, in order.
+ * @param {Object} [options={}] - Batch options.
+ * @param {string} [options.onError='stop'] - 'stop' to skip the steps after a failed one, or 'continue'.
+ * @returns {Object} { steps, onError } with each step as { op, target, key, value, format, timeoutMs, ms }:
+ *                   target is the characteristic address for ble-manager.js, key identifies it within the
+ *                   batch, and value is hex.
+ * @throws {Error} If the batch is malformed, naming the first offending field.
+ */
+function validateBatch(steps, options = {}) {
+  const onError = options.onError === undefined ? 'stop' : options.onError;
+  if (!ON_ERROR_MODES.includes(onError)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid batch: onError must be one of ' + ON_ERROR_MODES.join(', '));
+  }
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+    throw new BleError('INVALID_REQUEST', 'Invalid batch: steps must be an array of 1 to ' + MAX_STEPS + ' steps');
+  }
+  const subscribed = new Set();
+  const normalized = steps.map((step, i) => {
+    const where = 'steps[' + i + ']';
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + ' must be an object');
+    }
+    if (!STEP_OPS.includes(step.op)) {
+      throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + '.op must be one of ' + STEP_OPS.join(', '));
+    }
+    if (step.op === 'delay') {
+      checkDuration(step.ms, where + '.ms');
+      return { op: step.op, ms: step.ms };
+    }
+
+    const { target, key } = stepTarget(step, where);
+    const entry = { op: step.op, target, key };
+    if (step.format !== undefined && !valueCodec.isValidFormat(step.format)) {
+      throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + '.format is not a supported value format');
+    }
+    if (step.format !== undefined) {
+      entry.format = step.format;
+    }
+    if (step.op === 'write' || step.op === 'writeWithoutResponse') {
+      if (step.value === undefined) {
+        throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + '.value is required');
+      }
+      entry.value = hexValue(step.value, step.format, where + '.value');
+    }
+    if (step.op === 'subscribe') {
+      subscribed.add(key);
+    }
+    if (step.op === 'waitForNotification') {
+      if (!subscribed.has(key)) {
+        throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + ' waits for a characteristic no earlier step subscribes to with the same address');
+      }
+      entry.timeoutMs = step.timeoutMs === undefined ? DEFAULT_NOTIFICATION_TIMEOUT_MS : step.timeoutMs;
+      checkDuration(entry.timeoutMs, where + '.timeoutMs');
+      if (step.value !== undefined) {
+        entry.value = hexValue(step.value, step.format, where + '.value');
+      }
+    }
+    return entry;
+  });
+  return { steps: normalized, onError };
+}
+
+/**
+ * @function stepTarget
+ * @description Builds the characteristic address of a step: the bare UUID, or an object when the step
+ * names a service or an instance among duplicate characteristic UUIDs.
+ * @param {Object} step - The step.
+ * @param {string} where - The step's position, for error messages.
+ * @returns {Object} { target, key }.
+ * @throws {Error} If the address is malformed.
+ */
+function stepTarget(step, where) {
+  const { characteristicUuid, serviceUuid, serviceInstance, instance } = step;
+  if (typeof characteristicUuid !== 'string' || !UUID_PATTERN.test(characteristicUuid)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + '.characteristicUuid must be a UUID');
+  }
+  if (serviceUuid !== undefined && (typeof serviceUuid !== 'string' || !UUID_PATTERN.test(serviceUuid))) {
+    throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + '.serviceUuid must be a UUID');
+  }
+  [['serviceInstance', serviceInstance], ['instance', instance]].forEach(([name, value]) => {
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + '.' + name + ' must be a non-negative integer');
+    }
+  });
+  if (serviceInstance !== undefined && serviceUuid === undefined) {
+    throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + '.serviceInstance requires serviceUuid');
+  }
+
+  const uuid = characteristicUuid.toLowerCase();
+  if (serviceUuid === undefined && instance === undefined) {
+    return { target: uuid, key: uuid };
+  }
+  const target = { characteristicUuid: uuid, instance: instance || 0 };
+  if (serviceUuid !== undefined) {
+    target.serviceUuid = serviceUuid.toLowerCase();
+    target.serviceInstance = serviceInstance || 0;
+  }
+  return { target, key: (target.serviceUuid || '') + ':' + (target.serviceInstance || 0) + '/' + uuid + ':' + target.instance };
+}
+
+/**
+ * @function checkDuration
+ * @description Checks a step's duration in milliseconds.
+ * @param {*} ms - The duration.
+ * @param {string} where - The field, for error messages.
+ * @throws {Error} If it is not an integer between 0 and MAX_WAIT_MS.
+ */
+function checkDuration(ms, where) {
+  if (!Number.isInteger(ms) || ms < 0 || ms > MAX_WAIT_MS) {
+    throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + ' must be an integer between 0 and ' + MAX_WAIT_MS);
+  }
+}
+
+/**
+ * @function hexValue
+ * @description Converts a step's value into hex.
+ * @param {*} value - The value, hex unless a format is given.
+ * @param {string} [format] - Its value-codec format.
+ * @param {string} where - The field, for error messages.
+ * @returns {string} The value as lowercase hex.
+ * @throws {Error} If the value does not match the format.
+ */
+function hexValue(value, format, where) {
+  if (format !== undefined) {
+    try {
+      return valueCodec.encodeValue(value, format);
+    } catch (error) {
+      throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + ': ' + error.message);
+    }
+  }
+  if (typeof value !== 'string' || !/^([0-9a-fA-F]{2})*$/.test(value)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid batch: ' + where + ' must be a hex string');
+  }
+  return value.toLowerCase();
+}
+
+/**
+ * @function formatValue
+ * @description Converts a read or notified hex value into a step's format.
+ * @param {string|null} value - The hex value.
+ * @param {string} [format] - The step's format.
+ * @returns {Object} { value } or, with a format, { value, format }.
+ * @throws {Error} If the value does not fit the format.
+ */
+function formatValue(value, format) {
+  if (format === undefined || value === null) {
+    return { value };
+  }
+  return { value: valueCodec.decodeValue(value, format), format };
+}
+
+module.exports = {
+  STEP_OPS, // The operations a step can perform.
+  validateBatch, // Function to check a batch and normalize its steps.
+  formatValue // Function to convert a read or notified value into a step's format.
+};
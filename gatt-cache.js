@@ -0,0 +1,126 @@
+/**
+ * @file gatt-cache.js
+ * @description On-disk cache of discovered GATT layouts (services and characteristics with their
+ * ATT handles), one JSON file per device address in GATT_CACHE_DIR. `ble-manager.js` saves the
+ * layout after a full discovery and hands it back to noble on the next connection, which then
+ * needs no discovery round trips. The cache is disabled while no directory is configured.
+ */
+const fs = require('fs');
+const path = require('path');
+
+// Bumped when the entry format changes; entries of other versions are ignored.
+const CACHE_VERSION = 1;
+
+// Directory holding the cache files, or null to disable the cache.
+var cacheDir = process.env.GATT_CACHE_DIR || null;
+
+/**
+ * @function setCacheDir
+ * @description Changes the cache directory.
+ * @param {string|null} dir - The directory, or null to disable the cache.
+ */
+function setCacheDir(dir) {
+  cacheDir = dir || null;
+}
+
+/**
+ * @function getCacheDir
+ * @description Returns the cache directory.
+ * @returns {string|null} The directory, or null while the cache is disabled.
+ */
+function getCacheDir() {
+  return cacheDir;
+}
+
+/**
+ * @function cacheFile
+ * @description Maps a device address to its cache file.
+ * @param {string} address - The device address, e.g. `aa:bb:cc:dd:ee:ff`.
+ * @returns {string|null} The file path, or null if the cache is disabled or the address is unknown
+ *                        (noble reports `unknown` on platforms that hide addresses).
+ */
+function cacheFile(address) {
+  const key = typeof address === 'string' ? address.toLowerCase().replace(/[^0-9a-f]/g, '') : '';
+  if (!cacheDir || key.length === 0) {
+    return null;
+  }
+  return path.join(cacheDir, key + '.json');
+}
+
+/**
+ * @function load
+ * @description Reads the cached GATT layout of a device.
+ * @param {string} address - The device address.
+ * @returns {Object|null} { address, savedAt, services, characteristics } or null if there is no
+ *                        usable entry; unreadable entries are reported and ignored.
+ */
+function load(address) {
+  const file = cacheFile(address);
+  if (!file || !fs.existsSync(file)) {
+    return null;
+  }
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (entry.version !== CACHE_VERSION || !Array.isArray(entry.services) || !entry.characteristics) {
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    console.error('Ignoring unreadable GATT cache entry ' + file + ':', error.message);
+    return null;
+  }
+}
+
+/**
+ * @function save
+ * @description Stores the GATT layout of a device. Write errors are reported, not thrown, since
+ * the cache only speeds up later connections.
+ * @param {string} address - The device address.
+ * @param {Object} layout - { services, characteristics } as captured from noble's
+ *                          servicesDiscovered / characteristicsDiscovered events.
+ * @returns {boolean} True if the entry was written.
+ */
+function save(address, layout) {
+  const file = cacheFile(address);
+  if (!file) {
+    return false;
+  }
+  const entry = {
+    version: CACHE_VERSION,
+    address,
+    savedAt: new Date().toISOString(),
+    services: layout.services,
+    characteristics: layout.characteristics
+  };
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(entry, null, 2));
+    return true;
+  } catch (error) {
+    console.error('Failed to write GATT cache entry ' + file + ':', error.message);
+    return false;
+  }
+}
+
+/**
+ * @function remove
+ * @description Deletes the cached GATT layout of a device.
+ * @param {string} address - The device address.
+ * @returns {boolean} True if an entry was deleted.
+ */
+function remove(address) {
+  const file = cacheFile(address);
+  if (!file || !fs.existsSync(file)) {
+    return false;
+  }
+  fs.rmSync(file, { force: true });
+  return true;
+}
+
+module.exports = {
+  setCacheDir, // Function to change (or disable) the cache directory.
+  getCacheDir, // Function to get the cache directory.
+  load, // Function to read the cached GATT layout of a device.
+  save, // Function to store the GATT layout of a device.
+  remove // Function to delete the cached GATT layout of a device.
+};
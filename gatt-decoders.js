@@ -0,0 +1,121 @@
+/**
+ * @file gatt-decoders.js
+ * @description Registry of decoders that turn the values of standard Bluetooth SIG characteristics
+ * into structured JSON. `ble-manager.js` uses it to attach a `decoded` object next to the raw hex
+ * of reads and notifications. Further decoders can be added at runtime with `registerDecoder`.
+ */
+
+// SIG-assigned 16-bit UUIDs are aliases of 0000xxxx-0000-1000-8000-00805f9b34fb.
+const SIG_BASE_UUID_SUFFIX = '00001000800000805f9b34fb';
+
+// Decoders keyed by normalized characteristic UUID; each takes a Buffer and returns an object.
+const decoders = new Map();
+
+/**
+ * @function shortUuid
+ * @description Normalizes a UUID and shortens SIG base UUIDs to their 16-bit form.
+ * @param {string} uuid - The characteristic UUID in any common notation.
+ * @returns {string} The lowercase, dash-less UUID, e.g. `2a19`.
+ */
+function shortUuid(uuid) {
+  const normalized = String(uuid).toLowerCase().replace(/-/g, '');
+  if (normalized.length === 32 && normalized.startsWith('0000') && normalized.endsWith(SIG_BASE_UUID_SUFFIX)) {
+    return normalized.slice(4, 8);
+  }
+  return normalized;
+}
+
+/**
+ * @function registerDecoder
+ * @description Registers (or replaces) the decoder of a characteristic.
+ * @param {string} uuid - The characteristic UUID.
+ * @param {function(Buffer): Object} decoder - Converts the raw value into a JSON-serializable object;
+ *                                             may throw on malformed values.
+ */
+function registerDecoder(uuid, decoder) {
+  if (typeof decoder !== 'function') {
+    throw new Error('Decoder must be a function');
+  }
+  decoders.set(shortUuid(uuid), decoder);
+}
+
+/**
+ * @function hasDecoder
+ * @description Checks whether a characteristic has a registered decoder.
+ * @param {string} uuid - The characteristic UUID.
+ * @returns {boolean} True if values of this characteristic can be decoded.
+ */
+function hasDecoder(uuid) {
+  return decoders.has(shortUuid(uuid));
+}
+
+/**
+ * @function decode
+ * @description Decodes a characteristic value with its registered decoder.
+ * @param {string} uuid - The characteristic UUID.
+ * @param {Buffer|string|null} value - The raw value, as a Buffer or hex string.
+ * @returns {Object|null} The decoded value, or null if there is no decoder, the value is empty,
+ *                        or the value is malformed.
+ */
+function decode(uuid, value) {
+  const decoder = decoders.get(shortUuid(uuid));
+  if (!decoder || value === null || value === undefined) {
+    return null;
+  }
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(value, 'hex');
+  try {
+    return decoder(buffer);
+  } catch (error) {
+    // Buffer reads past the end throw RangeError; report the value as undecodable.
+    return null;
+  }
+}
+
+// Device Name: UTF-8 string.
+registerDecoder('2a00', data => ({ name: data.toString('utf8').replace(/\0+$/, '') }));
+
+// Battery Level: uint8 percentage.
+registerDecoder('2a19', data => ({ level: data.readUInt8(0), units: { level: '%' } }));
+
+// Heart Rate Measurement: flags, 8- or 16-bit rate, optional energy expended and RR intervals.
+registerDecoder('2a37', data => {
+  const flags = data.readUInt8(0);
+  let offset = 1;
+  const bpm = flags & 0x01 ? data.readUInt16LE(offset) : data.readUInt8(offset);
+  offset += flags & 0x01 ? 2 : 1;
+
+  let energyExpended = null;
+  if (flags & 0x08) {
+    energyExpended = data.readUInt16LE(offset);
+    offset += 2;
+  }
+
+  // RR intervals are in 1/1024 s; report them in milliseconds.
+  const rrIntervals = [];
+  if (flags & 0x10) {
+    for (; offset + 1 < data.length; offset += 2) {
+      rrIntervals.push(Math.round(data.readUInt16LE(offset) * 1000 / 1024));
+    }
+  }
+
+  return {
+    bpm,
+    sensorContact: flags & 0x04 ? Boolean(flags & 0x02) : null,
+    energyExpended,
+    rrIntervals,
+    units: { bpm: 'beats/min', energyExpended: 'kJ', rrIntervals: 'ms' }
+  };
+});
+
+// Temperature: sint16 in 0.01 degrees Celsius.
+registerDecoder('2a6e', data => ({ temperature: data.readInt16LE(0) / 100, units: { temperature: '°C' } }));
+
+// Humidity: uint16 in 0.01 percent.
+registerDecoder('2a6f', data => ({ humidity: data.readUInt16LE(0) / 100, units: { humidity: '%' } }));
+
+module.exports = {
+  shortUuid, // Function to normalize a UUID and shorten SIG base UUIDs to 16 bits.
+  registerDecoder, // Function to add or replace the decoder of a characteristic.
+  hasDecoder, // Function to check whether a characteristic has a decoder.
+  decode // Function to decode a characteristic value into structured JSON.
+};
@@ -0,0 +1,173 @@
+/**
+ * @file gatt-profile.js
+ * @description Versioned GATT profile snapshots: the services, characteristics, properties,
+ * descriptors and (optionally) values of a device as one JSON document. `ble-manager.js` builds
+ * them from a connected device; this module checks imported snapshots and diffs two profiles, so a
+ * live device can be compared against a saved snapshot (e.g. for firmware release sign-off).
+ *
+ * Snapshot format (version 1):
+ *   { "version": 1, "exportedAt": "...", "device": { "id", "name", "address", "addressType" },
+ *     "services": [{ "uuid", "instance", "name", "type",
+ *       "characteristics": [{ "uuid", "instance", "name", "type", "properties": [...],
+ *         "descriptors": [{ "uuid", "name", "type" }], "value": "<hex>|null" }] }] }
+ * `value` is only present for readable characteristics of snapshots exported with values.
+ */
+const { shortUuid } = require('./gatt-decoders');
+const { BleError } = require('./ble-errors');
+
+// Bumped when the snapshot format changes; snapshots of other versions are rejected.
+const PROFILE_VERSION = 1;
+
+/**
+ * @function validateProfile
+ * @description Checks that an imported document is a GATT profile snapshot of a supported version.
+ * @param {Object} profile - The imported snapshot.
+ * @throws {Error} If the snapshot is malformed, naming the first offending field.
+ */
+function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid profile: expected a profile object');
+  }
+  if (profile.version !== PROFILE_VERSION) {
+    throw new BleError('INVALID_REQUEST', 'Invalid profile: unsupported version ' + profile.version + ' (expected ' + PROFILE_VERSION + ')');
+  }
+  if (!Array.isArray(profile.services)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid profile: services must be an array');
+  }
+  profile.services.forEach((service, i) => {
+    const where = 'services[' + i + ']';
+    checkEntry(service, where);
+    if (!Array.isArray(service.characteristics)) {
+      throw new BleError('INVALID_REQUEST', 'Invalid profile: ' + where + '.characteristics must be an array');
+    }
+    service.characteristics.forEach((characteristic, j) => {
+      const charWhere = where + '.characteristics[' + j + ']';
+      checkEntry(characteristic, charWhere);
+      if (characteristic.properties !== undefined && !Array.isArray(characteristic.properties)) {
+        throw new BleError('INVALID_REQUEST', 'Invalid profile: ' + charWhere + '.properties must be an array');
+      }
+      if (characteristic.descriptors !== undefined && !Array.isArray(characteristic.descriptors)) {
+        throw new BleError('INVALID_REQUEST', 'Invalid profile: ' + charWhere + '.descriptors must be an array');
+      }
+      (characteristic.descriptors || []).forEach((descriptor, k) => checkEntry(descriptor, charWhere + '.descriptors[' + k + ']'));
+      if (characteristic.value !== undefined && characteristic.value !== null &&
+          (typeof characteristic.value !== 'string' || !/^([0-9a-f]{2})*$/i.test(characteristic.value))) {
+        throw new BleError('INVALID_REQUEST', 'Invalid profile: ' + charWhere + '.value must be a hex string or null');
+      }
+    });
+  });
+}
+
+/**
+ * @function checkEntry
+ * @description Checks the fields shared by services, characteristics and descriptors of a snapshot.
+ * @param {Object} entry - The entry.
+ * @param {string} where - The entry's position in the snapshot, for the error message.
+ * @throws {Error} If the entry has no UUID or an invalid instance index.
+ */
+function checkEntry(entry, where) {
+  if (!entry || typeof entry !== 'object' || typeof entry.uuid !== 'string' || entry.uuid.length === 0) {
+    throw new BleError('INVALID_REQUEST', 'Invalid profile: ' + where + '.uuid must be a UUID string');
+  }
+  if (entry.instance !== undefined && (!Number.isInteger(entry.instance) || entry.instance < 0)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid profile: ' + where + '.instance must be a non-negative integer');
+  }
+}
+
+/**
+ * @function indexEntries
+ * @description Keys entries by "<uuid>:<instance>", numbering entries without an instance by their
+ * position among siblings with the same UUID.
+ * @param {Array<Object>} entries - Services or characteristics of a profile.
+ * @returns {Map<string, Object>} The entries in their original order.
+ */
+function indexEntries(entries) {
+  const seen = {};
+  const index = new Map();
+  entries.forEach(entry => {
+    const uuid = shortUuid(entry.uuid);
+    const instance = entry.instance === undefined ? (seen[uuid] || 0) : entry.instance;
+    seen[uuid] = instance + 1;
+    index.set(uuid + ':' + instance, entry);
+  });
+  return index;
+}
+
+/**
+ * @function diffEntries
+ * @description Reports the entries only one of two lists has, and calls compare for the others.
+ * @param {Map<string, Object>} expected - Entries of the snapshot, from indexEntries.
+ * @param {Map<string, Object>} actual - Entries of the live device, from indexEntries.
+ * @param {string} prefix - Path of the parent entry ('' for services).
+ * @param {Array<Object>} differences - Receives the differences.
+ * @param {function(Object, Object, string)} [compare] - Compares two entries present in both lists.
+ */
+function diffEntries(expected, actual, prefix, differences, compare) {
+  for (const [key, entry] of expected) {
+    const path = prefix + key;
+    if (!actual.has(key)) {
+      differences.push({ path, change: 'removed', expected: entry.name || null });
+    } else if (compare) {
+      compare(entry, actual.get(key), path);
+    }
+  }
+  for (const [key, entry] of actual) {
+    if (!expected.has(key)) {
+      differences.push({ path: prefix + key, change: 'added', actual: entry.name || null });
+    }
+  }
+}
+
+/**
+ * @function diffProfiles
+ * @description Compares a saved profile snapshot with the profile of a live device. Services and
+ * characteristics are matched by UUID and instance, descriptors by UUID.
+ * @param {Object} expected - The saved snapshot.
+ * @param {Object} actual - The live profile.
+ * @param {Object} [options={}] - Diff options.
+ * @param {boolean} [options.compareValues=true] - Also compare values present in both profiles.
+ * @returns {Array<Object>} The differences, each { path, change, field, expected, actual } where path
+ *                          is e.g. "180f:0/2a19:0/2902" and change is 'removed' (only in the snapshot),
+ *                          'added' (only on the device) or 'changed' (field differs).
+ */
+function diffProfiles(expected, actual, options = {}) {
+  const { compareValues = true } = options;
+  const differences = [];
+
+  diffEntries(indexEntries(expected.services), indexEntries(actual.services), '', differences, (expectedService, actualService, servicePath) => {
+    diffEntries(indexEntries(expectedService.characteristics), indexEntries(actualService.characteristics), servicePath + '/', differences,
+      (expectedChar, actualChar, charPath) => {
+        const expectedProps = (expectedChar.properties || []).slice().sort();
+        const actualProps = (actualChar.properties || []).slice().sort();
+        if (expectedChar.properties !== undefined && expectedProps.join(',') !== actualProps.join(',')) {
+          differences.push({ path: charPath, change: 'changed', field: 'properties', expected: expectedChar.properties, actual: actualChar.properties });
+        }
+        if (expectedChar.descriptors !== undefined) {
+          const descriptorIndex = list => new Map((list || []).map(d => [shortUuid(d.uuid), d]));
+          diffEntries(descriptorIndex(expectedChar.descriptors), descriptorIndex(actualChar.descriptors), charPath + '/', differences);
+        }
+        if (compareValues && expectedChar.value !== undefined && actualChar.value !== undefined &&
+            String(expectedChar.value).toLowerCase() !== String(actualChar.value).toLowerCase()) {
+          differences.push({ path: charPath, change: 'changed', field: 'value', expected: expectedChar.value, actual: actualChar.value });
+        }
+      });
+  });
+  return differences;
+}
+
+/**
+ * @function hasValues
+ * @description Checks whether a profile snapshot was exported with characteristic values.
+ * @param {Object} profile - A validated snapshot.
+ * @returns {boolean} True if any characteristic carries a value.
+ */
+function hasValues(profile) {
+  return profile.services.some(s => s.characteristics.some(c => c.value !== undefined));
+}
+
+module.exports = {
+  PROFILE_VERSION, // Version of the snapshot format written by exports.
+  validateProfile, // Function to check an imported snapshot.
+  diffProfiles, // Function to list the differences between a snapshot and a live profile.
+  hasValues // Function to check whether a snapshot carries characteristic values.
+};
@@ -0,0 +1,146 @@
+/**
+ * @file gatt-queue.js
+ * @description A per-peripheral FIFO for GATT operations. BlueZ and many devices fail when ATT
+ * requests overlap, so `ble-manager.js` runs every read, write and (un)subscribe of a peripheral
+ * through its queue: one operation is in flight at a time and writes can jump ahead of reads.
+ * An operation that does not complete in time is failed, but its ATT request may still be in
+ * flight, so the next one only starts once it settles or the link is cleared; the `onTimeout`
+ * hook lets the owner drop the link.
+ */
+const { BleError } = require('./ble-errors');
+
+class GattQueue {
+    /**
+     * @param {Object} [options={}] - Queue options.
+     * @param {number} [options.timeoutMs=10000] - Default per-operation timeout in milliseconds.
+     * @param {function(string)} [options.onTimeout] - Called with the label of an operation that timed out.
+     */
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.onTimeout = options.onTimeout || null;
+        this.pending = []; // { run, priority, timeoutMs, label, resolve, reject, settle (once started) }
+        this.active = null; // label of the operation in flight, or null
+        this.current = null; // the operation in flight, or null
+        this.stats = { processed: 0, failed: 0, timedOut: 0, maxDepth: 0 };
+    }
+
+    /**
+     * Queues an operation and runs it once every operation ahead of it has settled.
+     * @param {function(): Promise<*>} run - Starts the operation and returns its promise.
+     * @param {Object} [options={}] - Operation options.
+     * @param {string} [options.priority='normal'] - 'high' runs before queued 'normal' operations
+     *                                              (in FIFO order among high-priority operations).
+     * @param {number} [options.timeoutMs] - Fail the operation after this many milliseconds.
+     * @param {string} [options.label] - Describes the operation in the queue statistics.
+     * @returns {Promise<*>} Settles with the result of the operation.
+     */
+    enqueue(run, options = {}) {
+        return new Promise((resolve, reject) => {
+            const op = {
+                run,
+                priority: options.priority === 'high' ? 'high' : 'normal',
+                timeoutMs: options.timeoutMs || this.timeoutMs,
+                label: options.label || 'operation',
+                resolve,
+                reject
+            };
+            if (op.priority === 'high') {
+                // Insert after the last queued high-priority operation.
+                const firstNormal = this.pending.findIndex(p => p.priority !== 'high');
+                if (firstNormal === -1) this.pending.push(op);
+                else this.pending.splice(firstNormal, 0, op);
+            } else {
+                this.pending.push(op);
+            }
+            this.stats.maxDepth = Math.max(this.stats.maxDepth, this.pending.length);
+            this._next();
+        });
+    }
+
+    /**
+     * Fails every queued operation and the one in flight (unless it already timed out), and frees
+     * the queue: the link went down, so nothing is in flight anymore.
+     * @param {Error} error - The error to reject them with.
+     */
+    clear(error) {
+        const dropped = this.pending.splice(0);
+        for (const op of dropped) {
+            this.stats.failed += 1;
+            op.reject(error);
+        }
+        if (this.current) {
+            const op = this.current;
+            op.settle(() => {
+                this.stats.failed += 1;
+                op.reject(error);
+            });
+        }
+        this.current = null;
+        this.active = null;
+    }
+
+    /**
+     * @returns {Object} Queue metrics: depth (waiting operations), inFlight, activeOperation,
+     *                   processed, failed, timedOut and maxDepth.
+     */
+    getStats() {
+        return {
+            depth: this.pending.length,
+            inFlight: this.active ? 1 : 0,
+            activeOperation: this.active,
+            processed: this.stats.processed,
+            failed: this.stats.failed,
+            timedOut: this.stats.timedOut,
+            maxDepth: this.stats.maxDepth
+        };
+    }
+
+    _next() {
+        if (this.active || this.pending.length === 0) return;
+        const op = this.pending.shift();
+        this.active = op.label;
+        this.current = op;
+
+        // Settles the caller's promise once: on completion, timeout or clear(), whichever comes first.
+        let settled = false;
+        const settle = (outcome) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            outcome();
+        };
+        op.settle = settle;
+        const timer = setTimeout(() => {
+            this.stats.timedOut += 1;
+            settle(() => {
+                this.stats.failed += 1;
+                op.reject(new BleError('TIMEOUT', 'GATT operation timed out'));
+            });
+            if (this.onTimeout) this.onTimeout(op.label);
+        }, op.timeoutMs);
+        if (timer.unref) timer.unref();
+
+        let started;
+        try {
+            started = Promise.resolve(op.run());
+        } catch (err) {
+            started = Promise.reject(err);
+        }
+
+        // The queue stays busy until the operation itself settles, even after its caller timed out.
+        started.then(result => settle(() => {
+            this.stats.processed += 1;
+            op.resolve(result);
+        }), err => settle(() => {
+            this.stats.failed += 1;
+            op.reject(err);
+        })).then(() => {
+            if (this.current !== op) return; // cleared while in flight
+            this.current = null;
+            this.active = null;
+            this._next();
+        });
+    }
+}
+
+module.exports = GattQueue;
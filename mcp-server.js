@@ -1,13 +1,24 @@
 const net = require('net');
 const bleManager = require('./ble-manager');
+const valueCodec = require('./value-codec');
+const openApi = require('./openapi');
 const crypto = require('crypto');
+const { BleError, errorCode } = require('./ble-errors');
+
+// Errors of the MCP envelope itself (e.g. missing_params), reported with their lowercase code alone.
+function protocolError(code) {
+    const error = new Error(code);
+    error.protocol = true;
+    return error;
+}
 
 class MCPServer {
     constructor(port) {
         this.port = port || process.env.MCP_PORT || 8123;
         this.server = null;
         this.clients = new Set();
-        this.subscriptions = new Map(); // socket -> Map<deviceId:charUuid, listener>
+        this.subscriptions = new Map(); // socket -> Map<subscription key, { deviceId, target }>
+        this.eventSubscribers = new Map(); // socket -> Set(event types) or null for all events
         this.authToken = process.env.MCP_TOKEN || null;
 
         // Tool / execution management (MCP SDK)
@@ -15,6 +26,9 @@ class MCPServer {
         this.executions = new Map(); // execId -> { toolId, status, result, cancelFn }
         this.execSubscribers = new Map(); // execId -> Set(sockets)
         this._execCounter = 0;
+
+        // Forwards BLE lifecycle events to sockets that subscribed to them, while the server runs
+        this._onBleEvent = event => this._broadcastBleEvent(event);
     }
 
     start(port, callback) {
@@ -23,6 +37,7 @@ class MCPServer {
             port = null;
         }
         this.port = port || this.port;
+        bleManager.events.on('event', this._onBleEvent);
         this.server = net.createServer(socket => this._onConnection(socket));
         this.server.listen(this.port, () => {
             console.log(`MCP server listening on ${this.port}`);
@@ -34,6 +49,7 @@ class MCPServer {
     }
 
     stop(callback) {
+        bleManager.events.removeListener('event', this._onBleEvent);
         for (const c of this.clients) c.destroy();
         if (this.server) this.server.close(callback);
     }
@@ -66,12 +82,14 @@ class MCPServer {
         socket.on('close', () => {
             this._cleanSubscriptions(socket);
             this.subscriptions.delete(socket);
+            this.eventSubscribers.delete(socket);
             this.clients.delete(socket);
             for (const subs of this.execSubscribers.values()) subs.delete(socket);
         });
 
         socket.on('error', () => {
             this._cleanSubscriptions(socket);
+            this.eventSubscribers.delete(socket);
             this.clients.delete(socket);
             for (const subs of this.execSubscribers.values()) subs.delete(socket);
         });
@@ -128,9 +146,9 @@ class MCPServer {
 
             if (type === 'mcp.tool.info') {
                 const toolId = payload.toolId;
-                if (!toolId) throw new Error('missing_toolId');
+                if (!toolId) throw protocolError('missing_toolId');
                 const entry = this.tools.get(toolId);
-                if (!entry) throw new Error('tool_not_found');
+                if (!entry) throw protocolError('tool_not_found');
                 socket.write(JSON.stringify({ type: 'mcp.tool.info.result', id, payload: { tool: Object.assign({ id: toolId }, entry.meta) } }) + '\n');
                 return;
             }
@@ -138,9 +156,9 @@ class MCPServer {
             // Tool execution
             if (type === 'mcp.tool.execute') {
                 const toolId = payload.toolId;
-                if (!toolId) throw new Error('missing_toolId');
+                if (!toolId) throw protocolError('missing_toolId');
                 const entry = this.tools.get(toolId);
-                if (!entry) throw new Error('tool_not_found');
+                if (!entry) throw protocolError('tool_not_found');
 
                 const execId = this._generateExecId();
                 this.executions.set(execId, { toolId, status: 'running', result: null, cancelFn: null });
@@ -169,7 +187,7 @@ class MCPServer {
                         broadcast('completed', this.executions.get(execId).result);
                     } catch (err) {
                         this.executions.get(execId).status = 'failed';
-                        this.executions.get(execId).result = { error: err && err.message ? err.message : String(err) };
+                        this.executions.get(execId).result = { error: err && err.message ? err.message : String(err), code: errorCode(err) };
                         broadcast('failed', this.executions.get(execId).result);
                     }
                 })();
@@ -181,8 +199,8 @@ class MCPServer {
             // Execution subscription management
             if (type === 'mcp.exec.subscribe') {
                 const execId = payload.execId;
-                if (!execId) throw new Error('missing_execId');
-                if (!this.executions.has(execId)) throw new Error('execution_not_found');
+                if (!execId) throw protocolError('missing_execId');
+                if (!this.executions.has(execId)) throw protocolError('execution_not_found');
                 const subs = this.execSubscribers.get(execId) || new Set();
                 subs.add(socket);
                 this.execSubscribers.set(execId, subs);
@@ -192,7 +210,7 @@ class MCPServer {
 
             if (type === 'mcp.exec.unsubscribe') {
                 const execId = payload.execId;
-                if (!execId) throw new Error('missing_execId');
+                if (!execId) throw protocolError('missing_execId');
                 const subs = this.execSubscribers.get(execId);
                 if (subs) subs.delete(socket);
                 socket.write(JSON.stringify({ type: 'mcp.exec.unsubscribe.ack', id, payload: { execId } }) + '\n');
@@ -201,18 +219,18 @@ class MCPServer {
 
             if (type === 'mcp.exec.status') {
                 const execId = payload.execId;
-                if (!execId) throw new Error('missing_execId');
+                if (!execId) throw protocolError('missing_execId');
                 const rec = this.executions.get(execId);
-                if (!rec) throw new Error('execution_not_found');
+                if (!rec) throw protocolError('execution_not_found');
                 socket.write(JSON.stringify({ type: 'mcp.exec.status.result', id, payload: { execId, toolId: rec.toolId, state: rec.status, result: rec.result } }) + '\n');
                 return;
             }
 
             if (type === 'mcp.exec.cancel') {
                 const execId = payload.execId;
-                if (!execId) throw new Error('missing_execId');
+                if (!execId) throw protocolError('missing_execId');
                 const rec = this.executions.get(execId);
-                if (!rec) throw new Error('execution_not_found');
+                if (!rec) throw protocolError('execution_not_found');
                 if (rec.cancelFn && typeof rec.cancelFn === 'function') {
                     try {
                         await rec.cancelFn();
@@ -222,10 +240,10 @@ class MCPServer {
                         const subs = this.execSubscribers.get(execId) || new Set();
                         for (const sub of subs) try { sub.write(s); } catch (_) {}
                     } catch (err) {
-                        throw new Error('cancel_failed');
+                        throw protocolError('cancel_failed');
                     }
                 } else {
-                    throw new Error('not_cancellable');
+                    throw protocolError('not_cancellable');
                 }
                 return;
             }
@@ -237,85 +255,338 @@ class MCPServer {
                 return;
             }
 
+            if (type === 'mcp.ble.adapter') {
+                const adapter = bleManager.getAdapterInfo();
+                socket.write(JSON.stringify({ type: 'mcp.ble.adapter.result', id, payload: { adapter } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.events.subscribe') {
+                const eventTypes = payload.events;
+                if (eventTypes !== undefined && !Array.isArray(eventTypes)) throw protocolError('invalid_params');
+                this.eventSubscribers.set(socket, eventTypes ? new Set(eventTypes) : null);
+                socket.write(JSON.stringify({ type: 'mcp.ble.events.subscribe.result', id, payload: { events: eventTypes || 'all' } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.events.unsubscribe') {
+                this.eventSubscribers.delete(socket);
+                socket.write(JSON.stringify({ type: 'mcp.ble.events.unsubscribe.result', id, payload: { msg: 'unsubscribed' } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.scan.start') {
+                const { serviceUuids, allowDuplicates, duration } = payload;
+                // Check the options as the REST route does, so noble only gets UUIDs
+                const options = Object.fromEntries(Object.entries({ serviceUuids, allowDuplicates, duration }).filter(([, value]) => value !== undefined));
+                if (openApi.validateOperation('startScan', { body: options })) throw protocolError('invalid_params');
+                const scan = await bleManager.startScan({ serviceUuids, allowDuplicates, duration });
+                socket.write(JSON.stringify({ type: 'mcp.ble.scan.start.result', id, payload: { scan } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.scan.stop') {
+                const scan = await bleManager.stopScan();
+                socket.write(JSON.stringify({ type: 'mcp.ble.scan.stop.result', id, payload: { scan } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.scan.status') {
+                const scan = bleManager.getScanStatus();
+                socket.write(JSON.stringify({ type: 'mcp.ble.scan.status.result', id, payload: { scan } }) + '\n');
+                return;
+            }
+
             if (type === 'mcp.ble.connect') {
                 const deviceId = payload.deviceId;
-                if (!deviceId) throw new Error('missing_deviceId');
-                const res = await bleManager.connectDevice(deviceId);
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const { reconnect, timeoutMs, discoveryTimeoutMs, rssiIntervalMs, services, forceRediscover } = payload;
+                const res = await bleManager.connectDevice(deviceId, { reconnect, timeoutMs, discoveryTimeoutMs, rssiIntervalMs, services, forceRediscover });
                 socket.write(JSON.stringify({ type: 'mcp.ble.connect.result', id, payload: { device: res } }) + '\n');
                 return;
             }
 
+            if (type === 'mcp.ble.connect.cancel') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const res = await bleManager.cancelConnect(deviceId);
+                socket.write(JSON.stringify({ type: 'mcp.ble.connect.cancel.result', id, payload: { device: res } }) + '\n');
+                return;
+            }
+
             if (type === 'mcp.ble.disconnect') {
                 const deviceId = payload.deviceId;
-                if (!deviceId) throw new Error('missing_deviceId');
+                if (!deviceId) throw protocolError('missing_deviceId');
                 const res = await bleManager.disconnectDevice(deviceId);
                 socket.write(JSON.stringify({ type: 'mcp.ble.disconnect.result', id, payload: { device: res } }) + '\n');
                 return;
             }
 
+            if (type === 'mcp.ble.queue') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const queue = await bleManager.getQueueStats(deviceId);
+                socket.write(JSON.stringify({ type: 'mcp.ble.queue.result', id, payload: { deviceId, queue } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.rssi') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const rssi = await bleManager.getRssi(deviceId);
+                socket.write(JSON.stringify({ type: 'mcp.ble.rssi.result', id, payload: { deviceId, ...rssi } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.rssi.start') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const options = {};
+                if (payload.intervalMs !== undefined) options.intervalMs = payload.intervalMs;
+                if (payload.historySize !== undefined) options.historySize = payload.historySize;
+                const rssi = await bleManager.startRssiSampler(deviceId, options);
+                socket.write(JSON.stringify({ type: 'mcp.ble.rssi.start.result', id, payload: { deviceId, ...rssi } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.rssi.stop') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const rssi = await bleManager.stopRssiSampler(deviceId);
+                socket.write(JSON.stringify({ type: 'mcp.ble.rssi.stop.result', id, payload: { deviceId, ...rssi } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.record.start') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const recording = await bleManager.startRecording(deviceId);
+                socket.write(JSON.stringify({ type: 'mcp.ble.record.start.result', id, payload: { recording } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.record.stop') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const recording = await bleManager.stopRecording(deviceId);
+                socket.write(JSON.stringify({ type: 'mcp.ble.record.stop.result', id, payload: recording }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.replay') {
+                const { session, file } = payload;
+                if ((session === undefined) === (file === undefined)) throw protocolError('missing_params');
+                const options = {};
+                if (payload.deviceId !== undefined) options.id = payload.deviceId;
+                const replay = await bleManager.startReplay(file === undefined ? { session } : { file }, options);
+                socket.write(JSON.stringify({ type: 'mcp.ble.replay.result', id, payload: { replay } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.replay.stop') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const res = await bleManager.stopReplay(deviceId);
+                socket.write(JSON.stringify({ type: 'mcp.ble.replay.stop.result', id, payload: { device: res } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.mtu') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const mtu = await bleManager.getMtu(deviceId);
+                socket.write(JSON.stringify({ type: 'mcp.ble.mtu.result', id, payload: { deviceId, ...mtu } }) + '\n');
+                return;
+            }
+
             if (type === 'mcp.ble.services') {
                 const deviceId = payload.deviceId;
-                if (!deviceId) throw new Error('missing_deviceId');
+                if (!deviceId) throw protocolError('missing_deviceId');
                 const services = await bleManager.getServices(deviceId);
                 socket.write(JSON.stringify({ type: 'mcp.ble.services.result', id, payload: { services } }) + '\n');
                 return;
             }
 
+            if (type === 'mcp.ble.rediscover') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const res = await bleManager.rediscoverDevice(deviceId);
+                socket.write(JSON.stringify({ type: 'mcp.ble.rediscover.result', id, payload: { device: res } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.profile') {
+                const deviceId = payload.deviceId;
+                if (!deviceId) throw protocolError('missing_deviceId');
+                const options = {};
+                if (payload.includeValues !== undefined) options.includeValues = payload.includeValues === true;
+                const profile = await bleManager.getProfile(deviceId, options);
+                socket.write(JSON.stringify({ type: 'mcp.ble.profile.result', id, payload: { profile } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.profile.diff') {
+                const { deviceId, profile } = payload;
+                if (!deviceId || !profile) throw protocolError('missing_params');
+                const options = {};
+                if (payload.compareValues !== undefined) options.compareValues = payload.compareValues === true;
+                const diff = await bleManager.diffProfile(deviceId, profile, options);
+                socket.write(JSON.stringify({ type: 'mcp.ble.profile.diff.result', id, payload: diff }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.batch') {
+                const { deviceId, steps } = payload;
+                if (!deviceId || !steps) throw protocolError('missing_params');
+                // Check the values to write or expect, as for mcp.ble.write; runBatch reports any other fault
+                if (Array.isArray(steps)) {
+                    steps.forEach((step, i) => {
+                        if (!step || typeof step !== 'object' || step.value === undefined) return;
+                        try {
+                            this._hexValue(step.value, step.format);
+                        } catch (err) {
+                            throw new BleError('INVALID_REQUEST', `Invalid batch: steps[${i}].value: ${err.message}`);
+                        }
+                    });
+                }
+                const options = {};
+                if (payload.onError !== undefined) options.onError = payload.onError;
+                const batch = await bleManager.runBatch(deviceId, steps, options);
+                socket.write(JSON.stringify({ type: 'mcp.ble.batch.result', id, payload: batch }) + '\n');
+                return;
+            }
+
             if (type === 'mcp.ble.characteristics') {
-                const { deviceId, serviceUuid } = payload;
-                if (!deviceId || !serviceUuid) throw new Error('missing_params');
-                const chars = await bleManager.getCharacteristics(deviceId, serviceUuid);
+                const { deviceId, serviceUuid, serviceInstance } = payload;
+                if (!deviceId || !serviceUuid) throw protocolError('missing_params');
+                const chars = serviceInstance === undefined
+                    ? await bleManager.getCharacteristics(deviceId, serviceUuid)
+                    : await bleManager.getCharacteristics(deviceId, serviceUuid, serviceInstance);
                 socket.write(JSON.stringify({ type: 'mcp.ble.characteristics.result', id, payload: { characteristics: chars } }) + '\n');
                 return;
             }
 
             if (type === 'mcp.ble.read') {
                 const { deviceId, characteristicUuid } = payload;
-                if (!deviceId || !characteristicUuid) throw new Error('missing_params');
-                const value = await bleManager.readCharacteristic(deviceId, characteristicUuid);
-                socket.write(JSON.stringify({ type: 'mcp.ble.read.result', id, payload: { characteristicUuid, value } }) + '\n');
+                if (!deviceId || !characteristicUuid) throw protocolError('missing_params');
+                const format = this._valueFormat(payload);
+                const target = this._characteristicTarget(payload);
+                const value = await bleManager.readCharacteristic(deviceId, target);
+                const address = typeof target === 'string' ? { characteristicUuid } : target;
+                const result = format ? { ...address, value: valueCodec.decodeValue(value, format), format } : { ...address, value };
+                const decoded = bleManager.decodeCharacteristicValue(characteristicUuid, value);
+                if (decoded) result.decoded = decoded;
+                socket.write(JSON.stringify({ type: 'mcp.ble.read.result', id, payload: result }) + '\n');
                 return;
             }
 
             if (type === 'mcp.ble.write') {
                 const { deviceId, characteristicUuid, value, withoutResponse } = payload;
-                if (!deviceId || !characteristicUuid || typeof value === 'undefined') throw new Error('missing_params');
-                await bleManager.writeCharacteristic(deviceId, characteristicUuid, value, !!withoutResponse);
+                if (!deviceId || !characteristicUuid || typeof value === 'undefined') throw protocolError('missing_params');
+                const format = this._valueFormat(payload);
+                const hex = this._hexValue(value, format);
+                if (payload.chunked) {
+                    // Chunked writes report each chunk as an mcp.ble.write.progress message with the request id.
+                    const options = {
+                        onProgress: (progress) => {
+                            socket.write(JSON.stringify({ type: 'mcp.ble.write.progress', id, payload: { deviceId, ...progress } }) + '\n');
+                        }
+                    };
+                    if (payload.chunkSize !== undefined) options.chunkSize = payload.chunkSize;
+                    if (payload.delayMs !== undefined) options.delayMs = payload.delayMs;
+                    if (withoutResponse !== undefined) options.withoutResponse = !!withoutResponse;
+                    const result = await bleManager.writeCharacteristicChunked(deviceId, this._characteristicTarget(payload), hex, options);
+                    socket.write(JSON.stringify({ type: 'mcp.ble.write.result', id, payload: { msg: 'written', bytesWritten: result.bytesWritten, chunks: result.chunks } }) + '\n');
+                    return;
+                }
+                await bleManager.writeCharacteristic(deviceId, this._characteristicTarget(payload), hex, !!withoutResponse);
                 socket.write(JSON.stringify({ type: 'mcp.ble.write.result', id, payload: { msg: 'written' } }) + '\n');
                 return;
             }
 
+            if (type === 'mcp.ble.descriptors') {
+                const { deviceId, characteristicUuid } = payload;
+                if (!deviceId || !characteristicUuid) throw protocolError('missing_params');
+                const descriptors = await bleManager.getDescriptors(deviceId, this._characteristicTarget(payload));
+                socket.write(JSON.stringify({ type: 'mcp.ble.descriptors.result', id, payload: { characteristicUuid, descriptors } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.descriptor.read') {
+                const { deviceId, characteristicUuid, descriptorUuid } = payload;
+                if (!deviceId || !characteristicUuid || !descriptorUuid) throw protocolError('missing_params');
+                const value = await bleManager.readDescriptor(deviceId, this._characteristicTarget(payload), descriptorUuid);
+                socket.write(JSON.stringify({ type: 'mcp.ble.descriptor.read.result', id, payload: { characteristicUuid, descriptorUuid, value } }) + '\n');
+                return;
+            }
+
+            if (type === 'mcp.ble.descriptor.write') {
+                const { deviceId, characteristicUuid, descriptorUuid, value } = payload;
+                if (!deviceId || !characteristicUuid || !descriptorUuid || typeof value === 'undefined') throw protocolError('missing_params');
+                await bleManager.writeDescriptor(deviceId, this._characteristicTarget(payload), descriptorUuid, this._hexValue(value));
+                socket.write(JSON.stringify({ type: 'mcp.ble.descriptor.write.result', id, payload: { msg: 'written' } }) + '\n');
+                return;
+            }
+
             if (type === 'mcp.ble.subscribe') {
                 const { deviceId, characteristicUuid } = payload;
-                if (!deviceId || !characteristicUuid) throw new Error('missing_params');
+                if (!deviceId || !characteristicUuid) throw protocolError('missing_params');
+                const format = this._valueFormat(payload);
+                const target = this._characteristicTarget(payload);
+                const key = this._subscriptionKey(deviceId, target);
+                const subscriptions = this.subscriptions.get(socket);
+                // One listener per socket and characteristic, as the REST route allows one subscription
+                if (subscriptions.has(key)) throw new BleError('ALREADY_SUBSCRIBED', 'Already subscribed to this characteristic');
                 const listener = (data) => {
-                    const nm = { type: 'mcp.ble.notification', id: null, payload: { deviceId, characteristicUuid, data: data.toString('hex'), ts: new Date().toISOString() } };
+                    const { value, isNotification, timestamp, ...address } = data;
+                    let converted = { data: value };
+                    if (format) {
+                        try {
+                            converted = { data: valueCodec.decodeValue(value, format), format };
+                        } catch (err) {
+                            converted = { data: value, format: 'hex', decodeError: err.message };
+                        }
+                    }
+                    const nm = { type: 'mcp.ble.notification', id: null, payload: { deviceId, ...address, ...converted, ts: timestamp } };
                     try { socket.write(JSON.stringify(nm) + '\n'); } catch (_) {}
                 };
-                await bleManager.subscribe(deviceId, characteristicUuid, listener);
-                this.subscriptions.get(socket).set(`${deviceId}:${characteristicUuid}`, listener);
-                socket.write(JSON.stringify({ type: 'mcp.ble.subscribe.result', id, payload: { msg: 'subscribed' } }) + '\n');
+                // Taken before subscribing, so a second subscribe sent meanwhile is refused too
+                subscriptions.set(key, { deviceId, target, listener });
+                let result;
+                try {
+                    result = await bleManager.subscribeToCharacteristic(deviceId, target, listener);
+                } catch (err) {
+                    subscriptions.delete(key);
+                    throw err;
+                }
+                socket.write(JSON.stringify({ type: 'mcp.ble.subscribe.result', id, payload: {
+                    msg: 'subscribed',
+                    serviceUuid: result.serviceUuid,
+                    serviceInstance: result.serviceInstance,
+                    characteristicUuid: result.characteristicUuid,
+                    instance: result.instance
+                } }) + '\n');
                 return;
             }
 
             if (type === 'mcp.ble.unsubscribe') {
                 const { deviceId, characteristicUuid } = payload;
-                if (!deviceId || !characteristicUuid) throw new Error('missing_params');
-                const key = `${deviceId}:${characteristicUuid}`;
-                const listener = this.subscriptions.get(socket).get(key);
-                if (listener) {
-                    await bleManager.unsubscribe(deviceId, characteristicUuid, listener);
+                if (!deviceId || !characteristicUuid) throw protocolError('missing_params');
+                const target = this._characteristicTarget(payload);
+                const key = this._subscriptionKey(deviceId, target);
+                if (this.subscriptions.get(socket).has(key)) {
+                    await bleManager.unsubscribeFromCharacteristic(deviceId, target, this.subscriptions.get(socket).get(key).listener);
                     this.subscriptions.get(socket).delete(key);
                     socket.write(JSON.stringify({ type: 'mcp.ble.unsubscribe.result', id, payload: { msg: 'unsubscribed' } }) + '\n');
                 } else {
-                    throw new Error('not_subscribed');
+                    throw new BleError('NOT_SUBSCRIBED', 'Not subscribed to this characteristic');
                 }
                 return;
             }
 
             if (type === 'mcp.ble.getnotifications') {
                 const { deviceId, characteristicUuid } = payload;
-                if (!deviceId || !characteristicUuid) throw new Error('missing_params');
+                if (!deviceId || !characteristicUuid) throw protocolError('missing_params');
                 const notifications = await bleManager.getNotifications(deviceId, characteristicUuid);
                 socket.write(JSON.stringify({ type: 'mcp.ble.getnotifications.result', id, payload: { notifications } }) + '\n');
                 return;
@@ -324,17 +595,17 @@ class MCPServer {
             // unknown / unsupported
             socket.write(JSON.stringify({ type: 'mcp/error', id, payload: { code: 'unsupported_command' } }) + '\n');
         } catch (err) {
-            socket.write(JSON.stringify({ type: 'mcp/error', id, payload: { code: err.message || String(err) } }) + '\n');
+            socket.write(JSON.stringify({ type: 'mcp/error', id, payload: this._errorPayload(err) }) + '\n');
         }
     }
 
     _cleanSubscriptions(socket) {
         const map = this.subscriptions.get(socket);
         if (!map) return;
-        for (const [key, listener] of map.entries()) {
-            const [deviceId, characteristicUuid] = key.split(':');
+        // Only this socket's listeners: other clients keep their subscriptions
+        for (const { deviceId, target, listener } of map.values()) {
             try {
-                bleManager.unsubscribe(deviceId, characteristicUuid, listener).catch(()=>{});
+                bleManager.unsubscribeFromCharacteristic(deviceId, target, listener).catch(()=>{});
             } catch {}
         }
         map.clear();
@@ -345,6 +616,52 @@ class MCPServer {
         }
     }
 
+    // Characteristic address for bleManager: the bare UUID, or an object when the payload names a
+    // service (serviceUuid, serviceInstance) or an instance among duplicate characteristic UUIDs.
+    _characteristicTarget(payload) {
+        const { characteristicUuid, serviceUuid, serviceInstance, instance } = payload;
+        if (serviceUuid === undefined && serviceInstance === undefined && instance === undefined) return characteristicUuid;
+        const target = { characteristicUuid, instance: instance || 0 };
+        if (serviceUuid !== undefined) {
+            target.serviceUuid = serviceUuid;
+            target.serviceInstance = serviceInstance || 0;
+        }
+        return target;
+    }
+
+    // A value to write as hex for bleManager, given in its format (hex by default). Fails with the
+    // codec's INVALID_REQUEST error, as the REST routes do.
+    _hexValue(value, format) {
+        return valueCodec.encodeValue(value, format || 'hex');
+    }
+
+    // Optional value format (`format` or `encoding`) of read, write and subscribe payloads.
+    _valueFormat(payload) {
+        const format = payload.format || payload.encoding;
+        if (format !== undefined && !valueCodec.isValidFormat(format)) throw new BleError('INVALID_REQUEST', 'Invalid value format: ' + format);
+        return format;
+    }
+
+    // Payload of an mcp/error: the code of an envelope error, or the code and message of a BLE error,
+    // with the same code the REST API responds with (see ble-errors.js).
+    _errorPayload(err) {
+        if (err && err.protocol) return { code: err.message };
+        return { code: errorCode(err), message: err && err.message ? err.message : String(err) };
+    }
+
+    _subscriptionKey(deviceId, target) {
+        if (typeof target === 'string') return `${deviceId}|${target}`;
+        return `${deviceId}|${target.serviceUuid || ''}:${target.serviceInstance || 0}|${target.characteristicUuid}:${target.instance}`;
+    }
+
+    _broadcastBleEvent(event) {
+        const msg = JSON.stringify({ type: 'mcp.ble.event', id: null, payload: event }) + '\n';
+        for (const [socket, eventTypes] of this.eventSubscribers.entries()) {
+            if (eventTypes && !eventTypes.has(event.type)) continue;
+            try { socket.write(msg); } catch (_) {}
+        }
+    }
+
     _generateExecId() {
         if (crypto && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
         this._execCounter += 1;
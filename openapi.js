@@ -0,0 +1,1226 @@
+/**
+ * @file openapi.js
+ * @description The OpenAPI 3.1 document of the REST API, served at GET /openapi.json, and the request
+ * validation built on it. `server.js` validates every request against the document before it reaches a
+ * route: the path parameters, the query string and the JSON body of the matching operation. A request
+ * that does not fit gets a 400 with `{ error, field, code }` (code INVALID_REQUEST), where field names the offending value, e.g.
+ * `path.deviceId`, `query.instance` or `body.steps[1].op`.
+ *
+ * The schemas check shapes: types, formats (UUIDs, device IDs, hex), ranges and enums. Checks that
+ * depend on the device or on several fields (e.g. a batch waiting for a notification it never subscribed
+ * to, or the rules of a device policy) stay with the modules that own them.
+ */
+const Ajv2020 = require('ajv/dist/2020');
+const { ERROR_STATUS } = require('./ble-errors');
+
+// Value formats of value-codec.js: the text formats, and the numeric ones with an optional byte order.
+const VALUE_FORMATS = ['hex', 'base64', 'utf8'].concat(
+  ['int8', 'uint8', 'int16', 'uint16', 'int32', 'uint32', 'float32'].flatMap(name => [name, name + 'le', name + 'be']));
+// Events of ble-manager.js listed by GET /ble/events and pushed over the WebSocket API.
+const EVENT_TYPES = ['adapterStateChange', 'deviceAppeared', 'deviceLost', 'deviceConnected', 'deviceDisconnected',
+  'deviceReconnected', 'reconnectScheduled', 'reconnectFailed', 'gattChanged', 'linkQualityChanged',
+  'devicePolicyChanged', 'writeProtectionChanged'];
+
+const ref = name => ({ $ref: '#/components/schemas/' + name });
+const nullable = type => ({ type: [type, 'null'] });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const ok = (description, schema) => ({ 200: { description, ...json(schema) } });
+const body = (schema, required = false) => ({ required, ...json(schema) });
+const parameter = name => ({ $ref: '#/components/parameters/' + name });
+
+const schemas = {
+  DeviceId: {
+    type: 'string',
+    title: 'device ID',
+    description: 'ID of a discovered device (letters, digits, ":", "_" and "-").',
+    pattern: '^[a-zA-Z0-9_:-]{1,255}$'
+  },
+  Uuid: {
+    type: 'string',
+    title: 'UUID',
+    description: 'A 16-bit (e.g. "180f") or 128-bit UUID, with or without dashes.',
+    pattern: '^([0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}|[0-9a-fA-F]{32}|[0-9a-fA-F]{4})$'
+  },
+  Hex: {
+    type: 'string',
+    title: 'hex string',
+    description: 'Bytes as an even-length hex string.',
+    pattern: '^([0-9a-fA-F]{2})*$'
+  },
+  ValueFormat: {
+    type: 'string',
+    description: 'Format of a value: hex, base64, utf8, or a number type with an optional byte order suffix (little-endian by default).',
+    enum: VALUE_FORMATS
+  },
+  InstanceIndex: {
+    type: 'integer',
+    description: '0-based index among services or characteristics sharing a UUID.',
+    minimum: 0,
+    maximum: 999
+  },
+  ErrorCode: {
+    type: 'string',
+    enum: Object.keys(ERROR_STATUS),
+    description: 'Stable code of an error, the same in REST, WebSocket and MCP responses; each code has a fixed HTTP status.'
+  },
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Describes the error; clients should branch on code instead.' },
+      code: ref('ErrorCode'),
+      field: { type: 'string', description: 'The offending value of a request that does not fit this document, e.g. "body.steps[1].op".' }
+    }
+  },
+  AdapterInfo: {
+    type: 'object',
+    properties: {
+      backend: { type: 'string', enum: ['noble', 'simulator'] },
+      state: { type: 'string' },
+      available: { type: 'boolean' },
+      scanning: { type: 'boolean' },
+      address: nullable('string'),
+      connectedDevices: { type: 'integer' },
+      lastStateChange: nullable('string')
+    }
+  },
+  Health: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ok', 'degraded'] },
+      adapter: { type: 'string' }
+    }
+  },
+  LifecycleEvent: {
+    type: 'object',
+    required: ['id', 'type', 'timestamp'],
+    properties: {
+      id: { type: 'integer' },
+      type: { type: 'string', enum: EVENT_TYPES },
+      timestamp: { type: 'string' }
+    },
+    description: 'A BLE lifecycle event; the other fields depend on its type (e.g. deviceId, state, reason).'
+  },
+  ScanOptions: {
+    type: 'object',
+    properties: {
+      serviceUuids: { type: 'array', items: ref('Uuid'), description: 'Only report devices advertising one of these services.' },
+      allowDuplicates: { type: 'boolean', description: 'Report every advertisement, not just the first.' },
+      duration: { type: 'integer', minimum: 1, description: 'Stop scanning after this many milliseconds.' }
+    }
+  },
+  ScanStatus: {
+    type: 'object',
+    properties: {
+      scanning: { type: 'boolean' },
+      serviceUuids: { type: 'array', items: { type: 'string' } },
+      allowDuplicates: { type: 'boolean' },
+      duration: nullable('integer'),
+      startedAt: nullable('string'),
+      stopsAt: nullable('string')
+    }
+  },
+  ReconnectStatus: {
+    type: ['object', 'null'],
+    properties: {
+      enabled: { type: 'boolean' },
+      status: { type: 'string' },
+      attempts: { type: 'integer' },
+      maxAttempts: { type: 'integer' },
+      nextAttemptAt: nullable('string')
+    }
+  },
+  Device: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      address: { type: 'string' },
+      addressType: nullable('string'),
+      name: nullable('string'),
+      advertisedServices: { type: 'array', items: { type: 'string' } },
+      state: { type: 'string' },
+      connectable: nullable('boolean'),
+      rssi: nullable('integer'),
+      txPowerLevel: nullable('integer'),
+      manufacturerData: nullable('string'),
+      manufacturer: {
+        type: ['object', 'null'],
+        properties: { companyId: { type: 'string' }, name: nullable('string') }
+      },
+      serviceData: {
+        type: 'array',
+        items: { type: 'object', properties: { uuid: { type: 'string' }, data: nullable('string') } }
+      },
+      serviceSolicitationUuids: { type: 'array', items: { type: 'string' } },
+      firstSeen: nullable('string'),
+      lastSeen: nullable('string'),
+      reconnect: ref('ReconnectStatus'),
+      mtu: nullable('integer')
+    }
+  },
+  ReconnectPolicy: {
+    type: 'object',
+    properties: {
+      enabled: { type: 'boolean' },
+      maxAttempts: { type: 'integer', minimum: 0 },
+      baseDelayMs: { type: 'integer', minimum: 1 },
+      maxDelayMs: { type: 'integer', minimum: 1, description: 'At least baseDelayMs.' },
+      jitter: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  },
+  ConnectOptions: {
+    type: 'object',
+    properties: {
+      reconnect: {
+        anyOf: [{ type: 'boolean' }, ref('ReconnectPolicy')],
+        description: 'Reconnect after unexpected disconnects: true/false for the defaults, or a policy.'
+      },
+      timeoutMs: { type: 'integer', minimum: 1, description: 'Abort the connection attempt after this many milliseconds.' },
+      discoveryTimeoutMs: { type: 'integer', minimum: 1, description: 'Abort if service discovery takes longer.' },
+      rssiIntervalMs: { type: 'integer', minimum: 0, description: 'Sample the RSSI this often (0 disables).' },
+      services: { type: 'array', items: ref('Uuid'), description: 'Discover only these services at connect.' },
+      forceRediscover: { type: 'boolean', description: 'Ignore (and replace) the cached GATT layout.' }
+    }
+  },
+  DeviceResult: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      device: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: nullable('string'),
+          state: { type: 'string' },
+          message: { type: 'string' },
+          discovery: { type: 'string', enum: ['full', 'partial', 'cache'] },
+          services: { type: 'array', items: ref('Service') }
+        }
+      }
+    }
+  },
+  Mtu: {
+    type: 'object',
+    properties: {
+      deviceId: { type: 'string' },
+      mtu: { type: 'integer' },
+      negotiated: { type: 'boolean' },
+      maxWritePayload: { type: 'integer' }
+    }
+  },
+  RssiSamplerOptions: {
+    type: 'object',
+    properties: {
+      intervalMs: { type: 'integer', minimum: 250, description: 'Time between samples in milliseconds (default 5000).' },
+      historySize: { type: 'integer', minimum: 1, maximum: 1000, description: 'Number of samples to keep (default 60).' }
+    }
+  },
+  RssiReport: {
+    type: 'object',
+    properties: {
+      deviceId: { type: 'string' },
+      rssi: nullable('integer'),
+      timestamp: nullable('string'),
+      sampler: {
+        type: ['object', 'null'],
+        properties: { intervalMs: { type: 'integer' }, historySize: { type: 'integer' } }
+      },
+      history: {
+        type: 'array',
+        items: { type: 'object', properties: { rssi: { type: 'integer' }, timestamp: { type: 'string' } } }
+      },
+      trend: {
+        type: 'object',
+        properties: {
+          samples: { type: 'integer' },
+          average: nullable('number'),
+          min: nullable('integer'),
+          max: nullable('integer'),
+          quality: { type: ['string', 'null'], enum: ['excellent', 'good', 'fair', 'poor', null] },
+          direction: { type: 'string', enum: ['rising', 'falling', 'stable', 'unknown'] },
+          slopeDbPerMin: nullable('number')
+        }
+      }
+    }
+  },
+  QueueStats: {
+    type: 'object',
+    properties: {
+      deviceId: { type: 'string' },
+      depth: { type: 'integer' },
+      inFlight: { type: 'integer' },
+      activeOperation: nullable('string'),
+      processed: { type: 'integer' },
+      failed: { type: 'integer' },
+      timedOut: { type: 'integer' },
+      maxDepth: { type: 'integer' }
+    }
+  },
+  Service: {
+    type: 'object',
+    properties: {
+      uuid: { type: 'string' },
+      instance: { type: 'integer' },
+      name: nullable('string'),
+      type: { type: 'string', enum: ['sig', 'vendor', 'unknown'] },
+      includedServiceUuids: { type: ['array', 'null'], items: { type: 'string' } }
+    }
+  },
+  Characteristic: {
+    type: 'object',
+    properties: {
+      uuid: { type: 'string' },
+      instance: { type: 'integer' },
+      name: nullable('string'),
+      type: { type: 'string', enum: ['sig', 'vendor', 'unknown'] },
+      properties: { type: 'array', items: { type: 'string' } },
+      userDescription: nullable('string'),
+      presentationFormat: { type: ['object', 'null'] }
+    }
+  },
+  CharacteristicAddress: {
+    type: 'object',
+    properties: {
+      serviceUuid: { type: 'string' },
+      serviceInstance: { type: 'integer' },
+      characteristicUuid: { type: 'string' },
+      instance: { type: 'integer' }
+    }
+  },
+  CharacteristicValue: {
+    allOf: [ref('CharacteristicAddress')],
+    type: 'object',
+    properties: {
+      value: {
+        type: ['string', 'number', 'array', 'null'],
+        description: 'The value: hex, or in the requested format.'
+      },
+      format: ref('ValueFormat'),
+      decoded: { type: 'object', description: 'The value decoded as JSON, for standard SIG characteristics.' }
+    }
+  },
+  WriteRequest: {
+    type: 'object',
+    required: ['value'],
+    properties: {
+      value: {
+        anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'array', items: { type: 'number' } }],
+        description: 'The value to write: a hex string unless format says otherwise.'
+      },
+      format: ref('ValueFormat'),
+      encoding: ref('ValueFormat'),
+      withoutResponse: { type: 'boolean', description: 'Write without response (chunked writes default to true).' },
+      chunked: { type: 'boolean', description: 'Split the value into MTU-sized writes.' },
+      chunkSize: { type: 'integer', minimum: 1, description: 'Bytes per chunked write (default: MTU minus 3).' },
+      delayMs: { type: 'integer', minimum: 0, maximum: 10000, description: 'Pause between chunked writes.' }
+    }
+  },
+  WriteResult: {
+    allOf: [ref('CharacteristicAddress')],
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      bytesWritten: { type: 'integer' },
+      chunks: { type: 'integer' },
+      chunkSize: { type: 'integer' },
+      withoutResponse: { type: 'boolean' }
+    }
+  },
+  FormatOption: {
+    type: 'object',
+    properties: {
+      format: ref('ValueFormat'),
+      encoding: ref('ValueFormat')
+    }
+  },
+  Subscription: {
+    allOf: [ref('CharacteristicAddress')],
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      subscriptionKey: { type: 'string' },
+      supportsNotify: { type: 'boolean' },
+      supportsIndicate: { type: 'boolean' }
+    }
+  },
+  Notification: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      value: { type: ['string', 'number', 'array', 'null'] },
+      format: ref('ValueFormat'),
+      decodeError: { type: 'string' },
+      receivedAt: { type: 'string' }
+    }
+  },
+  NotificationList: {
+    allOf: [ref('CharacteristicAddress')],
+    type: 'object',
+    properties: {
+      subscriptionKey: { type: 'string' },
+      deviceId: { type: 'string' },
+      format: ref('ValueFormat'),
+      notifications: { type: 'array', items: ref('Notification') },
+      totalCount: { type: 'integer' },
+      subscribedAt: { type: 'string' }
+    }
+  },
+  ActiveSubscription: {
+    allOf: [ref('CharacteristicAddress')],
+    type: 'object',
+    properties: {
+      subscriptionKey: { type: 'string' },
+      deviceId: { type: 'string' },
+      subscribedAt: { type: 'string' },
+      notificationCount: { type: 'integer' },
+      lastNotification: { anyOf: [ref('Notification'), { type: 'null' }] }
+    }
+  },
+  Descriptor: {
+    type: 'object',
+    properties: {
+      uuid: { type: 'string' },
+      name: nullable('string'),
+      type: { type: 'string', enum: ['sig', 'vendor', 'unknown'] }
+    }
+  },
+  BatchStep: {
+    type: 'object',
+    // allOf checks the fields before which of them the op requires, so an unknown op is reported as such.
+    allOf: [{
+      required: ['op'],
+      properties: {
+        op: { type: 'string', enum: ['read', 'write', 'writeWithoutResponse', 'subscribe', 'waitForNotification', 'delay'] },
+        characteristicUuid: ref('Uuid'),
+        serviceUuid: ref('Uuid'),
+        serviceInstance: { type: 'integer', minimum: 0 },
+        instance: { type: 'integer', minimum: 0 },
+        value: {
+          anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'array', items: { type: 'number' } }],
+          description: 'Value to write, or expected notification value: hex unless format says otherwise.'
+        },
+        format: ref('ValueFormat'),
+        timeoutMs: { type: 'integer', minimum: 0, maximum: 60000, description: 'How long waitForNotification waits (default 5000).' },
+        ms: { type: 'integer', minimum: 0, maximum: 60000, description: 'How long a delay step pauses.' }
+      }
+    }, {
+      if: { properties: { op: { const: 'delay' } } },
+      then: { required: ['ms'] },
+      else: { required: ['characteristicUuid'] }
+    }]
+  },
+  Batch: {
+    type: 'object',
+    required: ['steps'],
+    properties: {
+      steps: { type: 'array', items: ref('BatchStep'), minItems: 1, maxItems: 100 },
+      onError: { type: 'string', enum: ['stop', 'continue'], description: 'Skip the steps after a failed one (default), or continue.' }
+    }
+  },
+  BatchResult: {
+    type: 'object',
+    properties: {
+      deviceId: { type: 'string' },
+      ok: { type: 'boolean' },
+      completed: { type: 'integer' },
+      failed: { type: 'integer' },
+      skipped: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            op: { type: 'string' },
+            status: { type: 'string', enum: ['ok', 'error', 'skipped'] },
+            value: { type: ['string', 'number', 'array', 'null'] },
+            format: ref('ValueFormat'),
+            decoded: { type: 'object' },
+            error: { type: 'string' },
+            code: ref('ErrorCode')
+          }
+        }
+      }
+    }
+  },
+  GattProfile: {
+    type: 'object',
+    required: ['version', 'services'],
+    properties: {
+      version: { type: 'integer' },
+      exportedAt: { type: 'string' },
+      device: {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' }, address: { type: 'string' }, addressType: { type: 'string' } }
+      },
+      services: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            uuid: { type: 'string' },
+            instance: { type: 'integer' },
+            name: nullable('string'),
+            type: { type: 'string' },
+            characteristics: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  uuid: { type: 'string' },
+                  instance: { type: 'integer' },
+                  name: nullable('string'),
+                  properties: { type: 'array', items: { type: 'string' } },
+                  descriptors: { type: 'array', items: { type: 'object' } },
+                  value: nullable('string')
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  ProfileDiff: {
+    type: 'object',
+    properties: {
+      deviceId: { type: 'string' },
+      matches: { type: 'boolean' },
+      snapshot: {
+        type: 'object',
+        properties: { exportedAt: nullable('string'), device: { type: ['object', 'null'] } }
+      },
+      differences: {
+        type: 'array',
+        items: { type: 'object', properties: { path: { type: 'string' }, change: { type: 'string' } } }
+      }
+    }
+  },
+  DeviceRule: {
+    type: 'object',
+    description: 'Matches devices when all of its fields match; name is a regular expression.',
+    properties: {
+      id: { type: 'string' },
+      address: { type: 'string' },
+      name: { type: 'string' },
+      serviceUuid: { type: 'string' },
+      companyId: { type: ['string', 'integer'] }
+    }
+  },
+  DevicePolicy: {
+    type: 'object',
+    properties: {
+      allow: { type: 'array', items: ref('DeviceRule'), description: 'When present, only matching devices are permitted.' },
+      deny: { type: 'array', items: ref('DeviceRule'), description: 'Rejected devices; deny rules win over allow rules.' },
+      denyAll: { type: 'boolean', description: 'Set while a policy file failed to load.' }
+    }
+  },
+  WriteRule: {
+    type: 'object',
+    required: ['action'],
+    description: 'Matches writes when all of device, serviceUuid and characteristicUuid match. An allow rule may list values, regular expressions one of which the hex value must match.',
+    properties: {
+      action: { type: 'string', enum: ['allow', 'deny'] },
+      device: { type: 'string' },
+      serviceUuid: { type: 'string' },
+      characteristicUuid: { type: 'string' },
+      values: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  WriteProtection: {
+    type: 'object',
+    properties: {
+      readOnly: { type: 'boolean', description: 'In read-only mode writes, subscriptions and connections are refused.' },
+      defaultAction: { type: 'string', enum: ['allow', 'deny'], description: 'What happens to writes no rule matches.' },
+      rules: { type: 'array', items: ref('WriteRule'), description: 'The first matching rule decides.' }
+    }
+  },
+  RecordingStatus: {
+    type: 'object',
+    properties: {
+      deviceId: { type: 'string' },
+      recordedAt: { type: 'string' },
+      events: { type: 'integer' },
+      truncated: { type: 'boolean' }
+    }
+  },
+  RecordedSession: {
+    type: 'object',
+    description: 'A recorded session, as returned when a recording stops.',
+    properties: {
+      version: { type: 'integer' },
+      device: { type: 'object', properties: { id: { type: 'string' } } },
+      recordedAt: { type: 'string' },
+      endedAt: { type: 'string' },
+      truncated: { type: 'boolean' },
+      events: { type: 'array', items: { type: 'object', properties: { t: { type: 'number' }, type: { type: 'string' } } } }
+    }
+  },
+  ReplayRequest: {
+    type: 'object',
+    description: 'Either session or file.',
+    properties: {
+      session: ref('RecordedSession'),
+      file: { type: 'string', description: 'Name of a session saved in RECORDING_DIR.' },
+      id: ref('DeviceId')
+    }
+  },
+  ReplayDevice: {
+    type: 'object',
+    properties: {
+      deviceId: { type: 'string' },
+      recordedDeviceId: { type: 'string' },
+      recordedAt: { type: 'string' },
+      startedAt: { type: 'string' },
+      connected: { type: 'boolean' }
+    }
+  }
+};
+
+const parameters = {
+  DeviceId: { name: 'deviceId', in: 'path', required: true, schema: ref('DeviceId') },
+  ServiceUuid: { name: 'serviceUuid', in: 'path', required: true, schema: ref('Uuid') },
+  CharacteristicUuid: { name: 'characteristicUuid', in: 'path', required: true, schema: ref('Uuid') },
+  DescriptorUuid: { name: 'descriptorUuid', in: 'path', required: true, schema: ref('Uuid') },
+  ServiceInstance: {
+    name: 'serviceInstance', in: 'query', schema: ref('InstanceIndex'),
+    description: 'Which of several services with this UUID to use (default 0).'
+  },
+  Instance: {
+    name: 'instance', in: 'query', schema: ref('InstanceIndex'),
+    description: 'Which of several characteristics with this UUID to use (default 0); without a service, counted across all services.'
+  },
+  Format: { name: 'format', in: 'query', schema: ref('ValueFormat'), description: 'Value format (default hex).' },
+  Encoding: { name: 'encoding', in: 'query', schema: ref('ValueFormat'), description: 'Alias of format.' },
+  LastEventId: {
+    name: 'lastEventId', in: 'query', schema: { type: 'integer', minimum: 0 },
+    description: 'Resume after this notification ID (as the Last-Event-ID header).'
+  }
+};
+
+const responses = {
+  BadRequest: { description: 'The request is invalid.', ...json(ref('Error')) },
+  Unauthorized: { description: 'The API key is missing or wrong.', ...json(ref('Error')) },
+  Forbidden: { description: 'Not permitted by the device policy or the write protection.', ...json(ref('Error')) },
+  NotFound: { description: 'The device or resource is not found, or the device is not connected.', ...json(ref('Error')) },
+  Conflict: { description: 'The request conflicts with an operation in progress.', ...json(ref('Error')) },
+  UnprocessableContent: { description: 'The value does not fit the requested format.', ...json(ref('Error')) },
+  TooManyRequests: { description: 'The rate limit is exceeded.', content: { 'text/plain': { schema: { type: 'string' } } } },
+  ServerError: { description: 'The operation failed.', ...json(ref('Error')) },
+  ServiceUnavailable: { description: 'The Bluetooth adapter is unavailable.', ...json(ref('Error')) },
+  GatewayTimeout: { description: 'The operation timed out.', ...json(ref('Error')) }
+};
+
+const STATUS_RESPONSES = {
+  400: 'BadRequest', 401: 'Unauthorized', 403: 'Forbidden', 404: 'NotFound', 409: 'Conflict',
+  422: 'UnprocessableContent', 429: 'TooManyRequests', 500: 'ServerError', 503: 'ServiceUnavailable', 504: 'GatewayTimeout'
+};
+const errors = (...codes) => Object.fromEntries(codes.map(code => [code, { $ref: '#/components/responses/' + STATUS_RESPONSES[code] }]));
+
+const eventStream = {
+  200: { description: 'A text/event-stream of `notification` and `unsubscribed` events.', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+};
+
+/**
+ * @function characteristicPaths
+ * @description Builds the two paths of a characteristic route: flat (the first characteristic with the
+ * UUID, or `instance` among all services) and service-scoped (`serviceInstance` and `instance` within
+ * the service).
+ * @param {string} suffix - The path after the characteristic UUID, e.g. '/subscribe'.
+ * @param {function} build - Builds the path item from (scoped, addressParameters, prefix), where prefix
+ *                           is '' or 'Service' for the operation IDs.
+ * @returns {Object} The two path items by path.
+ */
+function characteristicPaths(suffix, build) {
+  const flat = [parameter('DeviceId'), parameter('CharacteristicUuid'), parameter('Instance')];
+  const scoped = [parameter('DeviceId'), parameter('ServiceUuid'), parameter('CharacteristicUuid'), parameter('ServiceInstance'), parameter('Instance')];
+  return {
+    ['/ble/devices/{deviceId}/characteristics/{characteristicUuid}' + suffix]: build(false, flat, ''),
+    ['/ble/devices/{deviceId}/services/{serviceUuid}/characteristics/{characteristicUuid}' + suffix]: build(true, scoped, 'Service')
+  };
+}
+
+const paths = {
+  '/health': {
+    get: {
+      operationId: 'getHealth', tags: ['System'], summary: 'Reports whether the gateway and its Bluetooth adapter are up.',
+      responses: { ...ok('The gateway is up.', ref('Health')), 503: { description: 'The adapter is not powered on.', ...json(ref('Health')) } }
+    }
+  },
+  '/openapi.json': {
+    get: {
+      operationId: 'getOpenApi', tags: ['System'], summary: 'Returns this document.',
+      responses: ok('The OpenAPI document.', { type: 'object' })
+    }
+  },
+  '/webble': {
+    get: {
+      operationId: 'getWebBleClient', tags: ['System'], summary: 'Serves the Web Bluetooth client page.',
+      responses: { 200: { description: 'The page.', content: { 'text/html': { schema: { type: 'string' } } } } }
+    }
+  },
+  '/ble/adapter': {
+    get: {
+      operationId: 'getAdapter', tags: ['Adapter'], summary: 'Reports the state of the Bluetooth adapter.',
+      responses: { ...ok('The adapter state.', ref('AdapterInfo')), ...errors(500) }
+    }
+  },
+  '/ble/events': {
+    get: {
+      operationId: 'listEvents', tags: ['Adapter'], summary: 'Lists recent BLE lifecycle events, oldest first.',
+      parameters: [
+        { name: 'since', in: 'query', schema: { type: 'integer' }, description: 'Only events after this event ID.' },
+        { name: 'type', in: 'query', schema: { type: 'string', enum: EVENT_TYPES }, description: 'Only events of this type.' },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 0, default: 50 }, description: 'At most this many events (0 for all).' }
+      ],
+      responses: ok('The events and the ID of the latest event.', {
+        type: 'object',
+        properties: { events: { type: 'array', items: ref('LifecycleEvent') }, lastEventId: { type: 'integer' } }
+      })
+    }
+  },
+  '/ble/ws': {
+    get: {
+      operationId: 'openWebSocket', tags: ['Adapter'],
+      summary: 'Opens the WebSocket API: requests mirroring the BLE routes, with pushed notifications and events.',
+      parameters: [{ name: 'events', in: 'query', schema: { type: 'string' }, description: 'Comma-separated event types to push (default: all).' }],
+      responses: { 101: { description: 'Switching to the WebSocket protocol.' }, ...errors(401, 403) }
+    }
+  },
+  '/ble/scan': {
+    get: {
+      operationId: 'getScan', tags: ['Scanning'], summary: 'Reports whether a scan is running and its options.',
+      responses: { ...ok('The scan status.', ref('ScanStatus')), ...errors(500) }
+    }
+  },
+  '/ble/scan/start': {
+    post: {
+      operationId: 'startScan', tags: ['Scanning'], summary: 'Starts (or restarts) scanning for BLE devices.',
+      requestBody: body(ref('ScanOptions')),
+      responses: {
+        ...ok('Scanning started.', { type: 'object', properties: { message: { type: 'string' }, scan: ref('ScanStatus') } }),
+        ...errors(503, 500)
+      }
+    }
+  },
+  '/ble/scan/stop': {
+    post: {
+      operationId: 'stopScan', tags: ['Scanning'], summary: 'Stops scanning.',
+      responses: {
+        ...ok('Scanning stopped.', { type: 'object', properties: { message: { type: 'string' }, scan: ref('ScanStatus') } }),
+        ...errors(500)
+      }
+    }
+  },
+  '/ble/devices': {
+    get: {
+      operationId: 'listDevices', tags: ['Devices'], summary: 'Lists the discovered devices the device policy permits.',
+      responses: { ...ok('The devices.', { type: 'array', items: ref('Device') }), ...errors(500) }
+    }
+  },
+  '/admin/policy': {
+    get: {
+      operationId: 'getDevicePolicy', tags: ['Admin'], summary: 'Returns the device allow/deny policy.',
+      responses: ok('The policy.', ref('DevicePolicy'))
+    },
+    put: {
+      operationId: 'setDevicePolicy', tags: ['Admin'],
+      summary: 'Replaces the device policy; rejected devices are hidden and cannot be connected.',
+      requestBody: body(ref('DevicePolicy'), true),
+      responses: {
+        ...ok('The policy is active.', { type: 'object', properties: { message: { type: 'string' }, policy: ref('DevicePolicy') } }),
+        ...errors(500)
+      }
+    }
+  },
+  '/admin/write-protection': {
+    get: {
+      operationId: 'getWriteProtection', tags: ['Admin'], summary: 'Returns the read-only mode and the write rules.',
+      responses: ok('The write protection settings.', ref('WriteProtection'))
+    },
+    put: {
+      operationId: 'setWriteProtection', tags: ['Admin'], summary: 'Changes read-only mode and/or the write rules.',
+      requestBody: body(ref('WriteProtection'), true),
+      responses: {
+        ...ok('The settings are active.', { type: 'object', properties: { message: { type: 'string' }, writeProtection: ref('WriteProtection') } }),
+        ...errors(500)
+      }
+    }
+  },
+  '/ble/devices/{deviceId}/connect': {
+    post: {
+      operationId: 'connectDevice', tags: ['Devices'], summary: 'Connects to a device and discovers its services.',
+      parameters: [parameter('DeviceId')],
+      requestBody: body(ref('ConnectOptions')),
+      responses: { ...ok('Connected.', ref('DeviceResult')), ...errors(403, 404, 409, 503, 504, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/connect/cancel': {
+    post: {
+      operationId: 'cancelConnect', tags: ['Devices'], summary: 'Cancels a pending connection attempt or reconnect.',
+      parameters: [parameter('DeviceId')],
+      responses: { ...ok('Cancelled.', ref('DeviceResult')), ...errors(404, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/disconnect': {
+    post: {
+      operationId: 'disconnectDevice', tags: ['Devices'], summary: 'Disconnects from a device.',
+      parameters: [parameter('DeviceId')],
+      responses: { ...ok('Disconnected.', ref('DeviceResult')), ...errors(404, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/mtu': {
+    get: {
+      operationId: 'getMtu', tags: ['Devices'], summary: 'Gets the ATT MTU and the largest single write.',
+      parameters: [parameter('DeviceId')],
+      responses: { ...ok('The MTU.', ref('Mtu')), ...errors(404, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/rssi': {
+    get: {
+      operationId: 'getRssi', tags: ['Devices'], summary: 'Reads the RSSI with the recent samples and the link-quality trend.',
+      parameters: [parameter('DeviceId')],
+      responses: { ...ok('The RSSI report.', ref('RssiReport')), ...errors(404, 503, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/rssi/start': {
+    post: {
+      operationId: 'startRssiSampler', tags: ['Devices'], summary: 'Starts (or reconfigures) periodic RSSI sampling.',
+      parameters: [parameter('DeviceId')],
+      requestBody: body(ref('RssiSamplerOptions')),
+      responses: { ...ok('The RSSI report with the sampler settings.', ref('RssiReport')), ...errors(404, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/rssi/stop': {
+    post: {
+      operationId: 'stopRssiSampler', tags: ['Devices'], summary: 'Stops RSSI sampling; the history is kept.',
+      parameters: [parameter('DeviceId')],
+      responses: { ...ok('The RSSI report.', ref('RssiReport')), ...errors(404, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/queue': {
+    get: {
+      operationId: 'getQueueStats', tags: ['Devices'], summary: 'Gets the GATT operation queue metrics.',
+      parameters: [parameter('DeviceId')],
+      responses: { ...ok('The queue metrics.', ref('QueueStats')), ...errors(404, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/rediscover': {
+    post: {
+      operationId: 'rediscoverDevice', tags: ['Devices'], summary: 'Discards the GATT layout and discovers it again.',
+      parameters: [parameter('DeviceId')],
+      responses: { ...ok('The rediscovered services.', ref('DeviceResult')), ...errors(404, 503, 504, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/services': {
+    get: {
+      operationId: 'listServices', tags: ['GATT'], summary: 'Lists the services of a connected device.',
+      parameters: [parameter('DeviceId')],
+      responses: { ...ok('The services.', { type: 'array', items: ref('Service') }), ...errors(404, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/profile': {
+    get: {
+      operationId: 'exportProfile', tags: ['GATT'], summary: 'Exports the GATT database as a versioned snapshot.',
+      parameters: [
+        parameter('DeviceId'),
+        { name: 'includeValues', in: 'query', schema: { type: 'boolean', default: false }, description: 'Read every readable characteristic.' }
+      ],
+      responses: { ...ok('The profile snapshot.', ref('GattProfile')), ...errors(404, 503, 504, 500) }
+    },
+    post: {
+      operationId: 'diffProfile', tags: ['GATT'], summary: 'Diffs the connected device against a saved snapshot.',
+      parameters: [
+        parameter('DeviceId'),
+        { name: 'compareValues', in: 'query', schema: { type: 'boolean' }, description: 'Compare values (default: if the snapshot has values).' }
+      ],
+      requestBody: body(ref('GattProfile'), true),
+      responses: { ...ok('The differences.', ref('ProfileDiff')), ...errors(404, 503, 504, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/services/{serviceUuid}/characteristics': {
+    get: {
+      operationId: 'listCharacteristics', tags: ['GATT'], summary: 'Lists the characteristics of a service.',
+      parameters: [parameter('DeviceId'), parameter('ServiceUuid'), parameter('ServiceInstance')],
+      responses: { ...ok('The characteristics.', { type: 'array', items: ref('Characteristic') }), ...errors(404, 500) }
+    }
+  },
+  ...characteristicPaths('', (scoped, address, prefix) => ({
+    get: {
+      operationId: 'read' + prefix + 'Characteristic', tags: ['GATT'], summary: 'Reads a characteristic.',
+      parameters: [...address, parameter('Format'), parameter('Encoding')],
+      responses: { ...ok('The value.', ref('CharacteristicValue')), ...errors(404, 422, 503, 504, 500) }
+    },
+    post: {
+      operationId: 'write' + prefix + 'Characteristic', tags: ['GATT'], summary: 'Writes a characteristic, optionally in MTU-sized chunks.',
+      parameters: [...address, parameter('Format'), parameter('Encoding')],
+      requestBody: body(ref('WriteRequest'), true),
+      responses: { ...ok('Written.', ref('WriteResult')), ...errors(403, 404, 409, 503, 504, 500) }
+    }
+  })),
+  ...characteristicPaths('/subscribe', (scoped, address, prefix) => ({
+    post: {
+      operationId: 'subscribe' + prefix + 'Characteristic', tags: ['Notifications'],
+      summary: 'Subscribes to notifications; format sets the default format of the buffered ones.',
+      parameters: [...address, parameter('Format'), parameter('Encoding')],
+      requestBody: body(ref('FormatOption')),
+      responses: { ...ok('Subscribed.', ref('Subscription')), ...errors(403, 404, 503, 504, 500) }
+    }
+  })),
+  ...characteristicPaths('/unsubscribe', (scoped, address, prefix) => ({
+    post: {
+      operationId: 'unsubscribe' + prefix + 'Characteristic', tags: ['Notifications'], summary: 'Unsubscribes from notifications.',
+      parameters: address,
+      responses: { ...ok('Unsubscribed.', ref('Subscription')), ...errors(404, 500) }
+    }
+  })),
+  ...characteristicPaths('/notifications', (scoped, address, prefix) => ({
+    get: {
+      operationId: 'list' + prefix + 'Notifications', tags: ['Notifications'], summary: 'Gets the latest buffered notifications.',
+      parameters: [
+        ...address,
+        { name: 'since', in: 'query', schema: { type: 'integer' }, description: 'Only notifications after this time (milliseconds since the epoch).' },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 0, default: 10 }, description: 'At most this many notifications (0 for all).' },
+        parameter('Format'),
+        parameter('Encoding')
+      ],
+      responses: { ...ok('The notifications.', ref('NotificationList')), ...errors(404, 500) }
+    }
+  })),
+  ...characteristicPaths('/stream', (scoped, address, prefix) => ({
+    get: {
+      operationId: 'stream' + prefix + 'Notifications', tags: ['Notifications'], summary: 'Streams notifications as Server-Sent Events.',
+      parameters: [...address, parameter('Format'), parameter('Encoding'), parameter('LastEventId')],
+      responses: { ...eventStream, ...errors(404) }
+    }
+  })),
+  '/ble/stream': {
+    get: {
+      operationId: 'streamSubscriptions', tags: ['Notifications'],
+      summary: 'Streams the notifications of several subscriptions over one Server-Sent Events connection.',
+      parameters: [
+        { name: 'subscriptions', in: 'query', required: true, schema: { type: 'string', minLength: 1 }, description: 'Comma-separated subscription keys.' },
+        parameter('Format'),
+        parameter('Encoding'),
+        parameter('LastEventId')
+      ],
+      responses: { ...eventStream, ...errors(404) }
+    }
+  },
+  '/ble/subscriptions': {
+    get: {
+      operationId: 'listSubscriptions', tags: ['Notifications'], summary: 'Lists the active subscriptions.',
+      responses: {
+        ...ok('The subscriptions.', { type: 'object', properties: { subscriptions: { type: 'array', items: ref('ActiveSubscription') } } }),
+        ...errors(500)
+      }
+    }
+  },
+  ...characteristicPaths('/descriptors', (scoped, address, prefix) => ({
+    get: {
+      operationId: 'list' + prefix + 'Descriptors', tags: ['GATT'], summary: 'Lists the descriptors of a characteristic.',
+      parameters: address,
+      responses: {
+        ...ok('The descriptors.', { type: 'object', properties: { characteristicUuid: { type: 'string' }, descriptors: { type: 'array', items: ref('Descriptor') } } }),
+        ...errors(404, 503, 504, 500)
+      }
+    }
+  })),
+  ...characteristicPaths('/descriptors/{descriptorUuid}', (scoped, address, prefix) => ({
+    get: {
+      operationId: 'read' + prefix + 'Descriptor', tags: ['GATT'], summary: 'Reads a descriptor.',
+      parameters: [...address, parameter('DescriptorUuid')],
+      responses: {
+        ...ok('The value.', {
+          type: 'object',
+          properties: { characteristicUuid: { type: 'string' }, descriptorUuid: { type: 'string' }, value: ref('Hex') }
+        }),
+        ...errors(404, 503, 504, 500)
+      }
+    },
+    post: {
+      operationId: 'write' + prefix + 'Descriptor', tags: ['GATT'], summary: 'Writes a descriptor, e.g. 0100 to the CCCD (0x2902).',
+      parameters: [...address, parameter('DescriptorUuid')],
+      requestBody: body({ type: 'object', required: ['value'], properties: { value: ref('Hex') } }, true),
+      responses: {
+        ...ok('Written.', { type: 'object', properties: { message: { type: 'string' }, descriptorUuid: { type: 'string' } } }),
+        ...errors(403, 404, 503, 504, 500)
+      }
+    }
+  })),
+  '/ble/devices/{deviceId}/batch': {
+    post: {
+      operationId: 'runBatch', tags: ['GATT'], summary: 'Runs GATT operations back to back and returns one result per step.',
+      parameters: [parameter('DeviceId')],
+      requestBody: body(ref('Batch'), true),
+      responses: { ...ok('The step results, also when steps failed.', ref('BatchResult')), ...errors(404, 503, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/recording/start': {
+    post: {
+      operationId: 'startRecording', tags: ['Recording'], summary: 'Starts recording a session of a device.',
+      parameters: [parameter('DeviceId')],
+      responses: { ...ok('The recording status.', ref('RecordingStatus')), ...errors(403, 404, 409, 500) }
+    }
+  },
+  '/ble/devices/{deviceId}/recording/stop': {
+    post: {
+      operationId: 'stopRecording', tags: ['Recording'], summary: 'Stops recording; the session is saved to RECORDING_DIR if set.',
+      parameters: [parameter('DeviceId')],
+      responses: {
+        ...ok('The recorded session.', {
+          type: 'object',
+          properties: {
+            deviceId: { type: 'string' },
+            events: { type: 'integer' },
+            truncated: { type: 'boolean' },
+            file: nullable('string'),
+            session: ref('RecordedSession')
+          }
+        }),
+        ...errors(404, 500)
+      }
+    }
+  },
+  '/ble/recordings': {
+    get: {
+      operationId: 'listRecordings', tags: ['Recording'], summary: 'Lists the active recordings.',
+      responses: ok('The recordings.', { type: 'object', properties: { recordings: { type: 'array', items: ref('RecordingStatus') } } })
+    }
+  },
+  '/ble/replay': {
+    get: {
+      operationId: 'listReplays', tags: ['Recording'], summary: 'Lists the stand-in devices replaying sessions.',
+      responses: ok('The replay devices.', { type: 'object', properties: { devices: { type: 'array', items: ref('ReplayDevice') } } })
+    },
+    post: {
+      operationId: 'startReplay', tags: ['Recording'], summary: 'Replays a recorded session as a stand-in device.',
+      requestBody: body(ref('ReplayRequest'), true),
+      responses: {
+        201: {
+          description: 'The stand-in device.',
+          ...json({
+            type: 'object',
+            properties: {
+              deviceId: { type: 'string' },
+              recordedDeviceId: { type: 'string' },
+              recordedAt: { type: 'string' },
+              services: { type: 'integer' },
+              notifications: { type: 'integer' }
+            }
+          })
+        },
+        ...errors(404, 409, 500)
+      }
+    }
+  },
+  '/ble/replay/{deviceId}/stop': {
+    post: {
+      operationId: 'stopReplay', tags: ['Recording'], summary: 'Stops a replay and removes the stand-in device.',
+      parameters: [parameter('DeviceId')],
+      responses: { ...ok('Stopped.', ref('DeviceResult')), ...errors(404, 500) }
+    }
+  }
+};
+
+const document = {
+  openapi: '3.1.0',
+  info: {
+    title: 'BLE2WebSvc',
+    version: require('./package.json').version,
+    description: 'A REST bridge to Bluetooth Low Energy devices. Requests that do not fit this document are refused with 400 and an error naming the offending field.'
+  },
+  tags: ['System', 'Adapter', 'Scanning', 'Devices', 'GATT', 'Notifications', 'Recording', 'Admin'].map(name => ({ name })),
+  paths,
+  components: {
+    schemas,
+    parameters,
+    responses,
+    securitySchemes: {
+      ApiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key', description: 'API_KEY, or ADMIN_API_KEY for /admin.' },
+      ApiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' }
+    }
+  }
+};
+
+// Every operation on /ble and /admin takes the API key and is rate-limited, and every operation with
+// parameters or a body can be refused as invalid.
+Object.entries(paths).forEach(([path, item]) => Object.values(item).forEach(operation => {
+  const secured = path.startsWith('/ble/') || path.startsWith('/admin/');
+  if (secured) {
+    operation.security = [{ ApiKeyHeader: [] }, { ApiKeyQuery: [] }];
+  }
+  operation.responses = {
+    ...operation.responses,
+    ...(operation.parameters || operation.requestBody ? errors(400) : {}),
+    ...(secured ? errors(401, 429) : {})
+  };
+}));
+
+// Coerce path and query values, which arrive as strings; bodies are JSON and must have the right types.
+const coercing = new Ajv2020({ strict: false, validateFormats: false, verbose: true, coerceTypes: true });
+const strict = new Ajv2020({ strict: false, validateFormats: false, verbose: true });
+coercing.addSchema(document, 'openapi.json');
+strict.addSchema(document, 'openapi.json');
+
+// The operations by ID, with the regular expression matching their path and their compiled validators.
+const operations = new Map();
+
+/**
+ * @function pointer
+ * @description Builds a reference to a location in the document.
+ * @param {Array<string|number>} segments - The path to the location.
+ * @returns {Object} A $ref to it.
+ */
+function pointer(segments) {
+  return { $ref: 'openapi.json#/' + segments.map(s => String(s).replace(/~/g, '~0').replace(/\//g, '~1')).join('/') };
+}
+
+/**
+ * @function resolveParameter
+ * @description Looks up a parameter that may be a reference to the shared parameters.
+ * @param {Object} param - The parameter or its $ref.
+ * @param {Array<string|number>} segments - The path to the parameter in the document.
+ * @returns {Object} { param, segments } with the parameter and the path to it.
+ */
+function resolveParameter(param, segments) {
+  if (!param.$ref) {
+    return { param, segments };
+  }
+  const name = param.$ref.split('/').pop();
+  return { param: parameters[name], segments: ['components', 'parameters', name] };
+}
+
+/**
+ * @function compileOperation
+ * @description Compiles the validators of an operation: one for its path parameters, one for its query
+ * parameters and, if it takes a body, one for the body.
+ * @param {string} path - The path template, e.g. '/ble/devices/{deviceId}/connect'.
+ * @param {string} method - The lowercase HTTP method.
+ * @param {Object} operation - The operation.
+ * @returns {Object} The operation entry.
+ */
+function compileOperation(path, method, operation) {
+  const locations = { path: { type: 'object', properties: {}, required: [] }, query: { type: 'object', properties: {}, required: [] } };
+  (operation.parameters || []).forEach((p, i) => {
+    const { param, segments } = resolveParameter(p, ['paths', path, method, 'parameters', i]);
+    locations[param.in].properties[param.name] = pointer(segments.concat('schema'));
+    if (param.required) {
+      locations[param.in].required.push(param.name);
+    }
+  });
+  const names = [];
+  const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return {
+    method: method.toUpperCase(),
+    regex: new RegExp('^' + pattern + '/?$', 'i'),
+    names,
+    path: coercing.compile(locations.path),
+    query: coercing.compile(locations.query),
+    body: operation.requestBody
+      ? strict.compile(pointer(['paths', path, method, 'requestBody', 'content', 'application/json', 'schema']))
+      : null
+  };
+}
+
+Object.entries(paths).forEach(([path, item]) => Object.entries(item).forEach(([method, operation]) => {
+  operations.set(operation.operationId, compileOperation(path, method, operation));
+}));
+
+/**
+ * @function describeError
+ * @description Turns the errors of a failed validation into the message of a 400 response. The deepest
+ * error is reported; when a value matches none of several alternatives, the alternatives are named.
+ * @param {Array<Object>} errors - The Ajv errors.
+ * @param {string} location - 'path', 'query' or 'body', or '' to leave the location out of the field name.
+ * @returns {Object} { error, field, code }.
+ */
+function describeError(errors, location) {
+  const error = errors.reduce((deepest, e) => e.instancePath.length > deepest.instancePath.length ? e : deepest);
+  const segments = error.instancePath.split('/').slice(1).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+  const field = segments.reduce((name, s) => /^\d+$/.test(s) ? name + '[' + s + ']' : (name ? name + '.' : '') + s, location);
+
+  const typeName = type => (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+  let message = error.message;
+  const alternatives = errors.filter(e => e.instancePath === error.instancePath && e.keyword === 'type').map(e => typeName(e.params.type));
+  if (errors.some(e => e.instancePath === error.instancePath && (e.keyword === 'anyOf' || e.keyword === 'oneOf'))) {
+    message = 'must be ' + alternatives.slice(0, -1).join(', ') + ' or ' + alternatives[alternatives.length - 1];
+  } else if (error.keyword === 'required') {
+    message = 'is required';
+  } else if (error.keyword === 'enum') {
+    message = 'must be one of ' + error.params.allowedValues.filter(v => v !== null).join(', ');
+  } else if (error.keyword === 'type') {
+    message = 'must be ' + typeName(error.params.type);
+  } else if (error.keyword === 'pattern' && error.parentSchema && error.parentSchema.title) {
+    message = 'must be a ' + error.parentSchema.title;
+  }
+  return { error: 'Invalid request: ' + (field || 'body') + ' ' + message, field: field || 'body', code: 'INVALID_REQUEST' };
+}
+
+/**
+ * @function validateOperation
+ * @description Validates a request against an operation of the document.
+ * @param {string} operationId - The operation ID, e.g. 'connectDevice'.
+ * @param {Object} request - { params, query, body } as in an Express request; missing parts count as empty.
+ * @param {Object} [options={}] - Validation options.
+ * @param {boolean} [options.flat=false] - Name fields without their location (e.g. `deviceId` instead of
+ *                                         `path.deviceId`), for WebSocket messages that carry them all together.
+ * @returns {Object|null} { error, field, code } naming the first offending value, or null if the request is valid.
+ * @throws {Error} If there is no operation with this ID.
+ */
+function validateOperation(operationId, request, options = {}) {
+  const operation = operations.get(operationId);
+  if (!operation) {
+    throw new Error('Unknown operation: ' + operationId);
+  }
+  // Coercion converts values in place, so validate copies and leave the request as it came.
+  const checks = [
+    ['path', operation.path, { ...request.params }],
+    ['query', operation.query, { ...request.query }],
+    ['body', operation.body, request.body === undefined ? {} : request.body]
+  ];
+  for (const [location, validate, data] of checks) {
+    if (validate && !validate(data)) {
+      return describeError(validate.errors, options.flat ? '' : location);
+    }
+  }
+  return null;
+}
+
+/**
+ * @function validateRequest
+ * @description Validates an HTTP request against the operation of the document matching its method and path.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The request path, without the query string.
+ * @param {Object} [query={}] - The parsed query string.
+ * @param {*} [body] - The parsed JSON body.
+ * @returns {Object|null} { error, field, code } naming the first offending value, or null if the request is valid
+ *                        or no operation matches (routes outside the document are not checked).
+ */
+function validateRequest(method, path, query = {}, body = undefined) {
+  for (const [operationId, operation] of operations) {
+    const match = operation.method === method && operation.regex.exec(path);
+    if (match) {
+      let params;
+      try {
+        params = Object.fromEntries(operation.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+      } catch (error) {
+        return { error: 'Invalid request: the path is not valid URI encoding', field: 'path', code: 'INVALID_REQUEST' };
+      }
+      return validateOperation(operationId, { params, query, body });
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  document, // The OpenAPI document of the REST API.
+  validateOperation, // Function to validate a request against an operation of the document.
+  validateRequest // Function to validate an HTTP request against the operation matching its method and path.
+};
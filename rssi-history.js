@@ -0,0 +1,105 @@
+/**
+ * @file rssi-history.js
+ * @description A bounded history of RSSI samples for one connection. `ble-manager.js` feeds it
+ * from on-demand reads and the periodic sampler, and reports the trend it computes so clients can
+ * spot a weakening link before it drops.
+ */
+
+// Lower bounds (dBm) of the link quality levels, from best to worst.
+const QUALITY_LEVELS = [
+    { quality: 'excellent', minRssi: -60 },
+    { quality: 'good', minRssi: -70 },
+    { quality: 'fair', minRssi: -80 }
+];
+
+// A slope below this many dB per minute (in either direction) counts as stable.
+const STABLE_SLOPE_DB_PER_MIN = 1;
+
+class RssiHistory {
+    /**
+     * @param {Object} [options={}] - History options.
+     * @param {number} [options.size=60] - Number of samples to keep.
+     */
+    constructor(options = {}) {
+        this.size = options.size || 60;
+        this.samples = []; // { rssi, timestamp } in arrival order, timestamp as an ISO string
+    }
+
+    /**
+     * Records a sample, dropping the oldest one when the history is full.
+     * @param {number} rssi - Signal strength in dBm.
+     * @param {number} [time=Date.now()] - Sample time in milliseconds since the epoch.
+     * @returns {Object} The recorded sample.
+     */
+    add(rssi, time = Date.now()) {
+        const sample = { rssi, timestamp: new Date(time).toISOString() };
+        this.samples.push(sample);
+        if (this.samples.length > this.size) {
+            this.samples.splice(0, this.samples.length - this.size);
+        }
+        return sample;
+    }
+
+    /**
+     * Changes the number of samples kept, dropping the oldest ones that no longer fit.
+     * @param {number} size - The new history size.
+     */
+    resize(size) {
+        this.size = size;
+        if (this.samples.length > size) {
+            this.samples.splice(0, this.samples.length - size);
+        }
+    }
+
+    /**
+     * @returns {Object|null} The most recent sample, or null before the first one.
+     */
+    latest() {
+        return this.samples.length ? this.samples[this.samples.length - 1] : null;
+    }
+
+    /**
+     * Summarizes the samples: average, min and max RSSI, the link quality of the average and the
+     * direction of the least-squares slope over time.
+     * @returns {Object} { samples, average, min, max, quality, direction, slopeDbPerMin }; direction is
+     *                   'rising', 'falling', 'stable' or 'unknown' (fewer than 3 samples).
+     */
+    getTrend() {
+        const count = this.samples.length;
+        if (count === 0) {
+            return { samples: 0, average: null, min: null, max: null, quality: null, direction: 'unknown', slopeDbPerMin: null };
+        }
+        const values = this.samples.map(s => s.rssi);
+        const average = values.reduce((sum, v) => sum + v, 0) / count;
+        const level = QUALITY_LEVELS.find(l => average >= l.minRssi);
+
+        let slopeDbPerMin = null;
+        let direction = 'unknown';
+        if (count >= 3) {
+            const minutes = this.samples.map(s => Date.parse(s.timestamp) / 60000);
+            const meanTime = minutes.reduce((sum, t) => sum + t, 0) / count;
+            let covariance = 0;
+            let variance = 0;
+            minutes.forEach((t, i) => {
+                covariance += (t - meanTime) * (values[i] - average);
+                variance += (t - meanTime) * (t - meanTime);
+            });
+            slopeDbPerMin = variance > 0 ? Math.round((covariance / variance) * 10) / 10 : 0;
+            if (slopeDbPerMin >= STABLE_SLOPE_DB_PER_MIN) direction = 'rising';
+            else if (slopeDbPerMin <= -STABLE_SLOPE_DB_PER_MIN) direction = 'falling';
+            else direction = 'stable';
+        }
+
+        return {
+            samples: count,
+            average: Math.round(average * 10) / 10,
+            min: Math.min(...values),
+            max: Math.max(...values),
+            quality: level ? level.quality : 'poor',
+            direction,
+            slopeDbPerMin
+        };
+    }
+}
+
+module.exports = RssiHistory;
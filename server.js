@@ -6,49 +6,46 @@
  */
 var express = require('express');
 const bleManager = require('./ble-manager.js'); // Manages BLE interactions.
+const valueCodec = require('./value-codec'); // Converts values between hex and client formats.
+const openApi = require('./openapi'); // The OpenAPI document and the request validation built on it.
+const bleErrors = require('./ble-errors'); // Error codes and their HTTP statuses.
 const mcpServer = require('./mcp-server');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
 
 // Security helpers
 const SecurityHelpers = {
-  // Validate UUID format (standard UUID v4 format)
-  isValidUUID: (uuid) => {
-    if (typeof uuid !== 'string') return false;
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$|^[0-9a-f]{32}$|^[0-9a-f]{4}$/i;
-    return uuidRegex.test(uuid);
-  },
-  
-  // Validate device ID format (alphanumeric and common separators)
-  isValidDeviceId: (deviceId) => {
-    if (typeof deviceId !== 'string') return false;
-    return /^[a-zA-Z0-9_:-]+$/.test(deviceId) && deviceId.length > 0 && deviceId.length <= 255;
-  },
-  
-  // Map error messages to safe error responses for clients
-  getSafeErrorMessage: (errorMessage, statusCode = 500) => {
+  // Map errors to safe error responses for clients: by code, or by message for legacy errors without one
+  getSafeErrorMessage: (errorMessage, statusCode = 500, code) => {
+    if (code && code !== 'INTERNAL_ERROR' && bleErrors.ERROR_MESSAGES[code]) {
+      return bleErrors.ERROR_MESSAGES[code];
+    }
+
     const errorMap = {
+      'adapter unavailable': 'Bluetooth adapter is unavailable.',
       'not found': 'Device or resource not found.',
       'not connected': 'Device is not connected.',
       'not readable': 'Characteristic is not readable.',
       'not writable': 'Characteristic is not writable.',
       'not support': 'Characteristic does not support this operation.',
+      'timed out': 'The operation timed out.',
       'already connected': 'Device is already connected.',
       'connecting': 'Device is currently connecting. Please wait.',
       'disconnected': 'Device has been disconnected.',
     };
     
-    if (statusCode === 401 || statusCode === 403) {
-      return 'Access denied.';
-    }
-    
     for (const [key, value] of Object.entries(errorMap)) {
       if (errorMessage && errorMessage.toLowerCase().includes(key)) {
         return value;
       }
     }
     
+    if (statusCode === 401 || statusCode === 403) {
+      return 'Access denied.';
+    }
+    
     if (statusCode === 400) {
       return 'Invalid request. Please check your parameters.';
     }
@@ -59,6 +56,32 @@ const SecurityHelpers = {
   }
 };
 
+/**
+ * @function sendError
+ * @description Responds to a failed request with the HTTP status and the safe message fixed for the
+ * error's code, and the code, e.g. { error: 'Device is not connected.', code: 'NOT_CONNECTED' }.
+ * @param {Object} res - The Express response.
+ * @param {Error} error - The error; without a known code it is reported as INTERNAL_ERROR.
+ * @param {Object} [options={}] - Response options.
+ * @param {boolean} [options.passInvalid=false] - Pass on the message of INVALID_REQUEST errors, for
+ *        errors that name the offending field and carry no device data.
+ * @param {string} [options.invalidMessage] - Message for INVALID_REQUEST errors of the route, in place
+ *        of the generic one.
+ */
+function sendError(res, error, options = {}) {
+  const code = bleErrors.errorCode(error);
+  const statusCode = bleErrors.httpStatus(error);
+  let message;
+  if (code === 'INVALID_REQUEST' && options.passInvalid) {
+    message = error.message;
+  } else if (code === 'INVALID_REQUEST' && options.invalidMessage) {
+    message = options.invalidMessage;
+  } else {
+    message = SecurityHelpers.getSafeErrorMessage(error.message, statusCode, code);
+  }
+  res.status(statusCode).json({ error: message, code });
+}
+
 // Global Error Handlers - These should be defined early.
 // Handles unhandled promise rejections.
 process.on('unhandledRejection', (reason, promise) => {
@@ -91,18 +114,17 @@ const windowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000', 10); // 1
 const maxReqs = parseInt(process.env.RATE_LIMIT_MAX || '120', 10); // 120 reqs/min default
 const apiLimiter = rateLimit({ windowMs, max: maxReqs, standardHeaders: true, legacyHeaders: false });
 app.use('/ble', apiLimiter);
+app.use('/admin', apiLimiter);
 
 // Apply rate limiting to all routes to prevent abuse
 const globalLimiter = rateLimit({ windowMs, max: maxReqs * 2, standardHeaders: true, legacyHeaders: false });
 app.use(globalLimiter);
 
-// API key auth for BLE routes (no-op if API_KEY is not set)
-const requiredApiKey = process.env.API_KEY || null;
-app.use('/ble', (req, res, next) => {
+// Checks a provided API key against the required one (any key passes when none is required)
+function apiKeyMatches(provided, requiredApiKey) {
   if (!requiredApiKey) {
-    return next();
+    return true;
   }
-  const provided = req.get('x-api-key') || req.query.api_key;
   // Use timing-safe comparison to prevent timing attacks
   let keyMatch = false;
   try {
@@ -112,8 +134,29 @@ app.use('/ble', (req, res, next) => {
   } catch (err) {
     keyMatch = false;
   }
-  if (!keyMatch) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  return keyMatch;
+}
+
+// Builds middleware that requires an API key in the x-api-key header or api_key query (no-op without a key)
+function requireApiKey(requiredApiKey) {
+  return (req, res, next) => {
+    if (!apiKeyMatches(req.get('x-api-key') || req.query.api_key, requiredApiKey)) {
+      return res.status(401).json({ error: 'Unauthorized', code: 'UNAUTHORIZED' });
+    }
+    next();
+  };
+}
+
+// API key auth for BLE routes (no-op if API_KEY is not set)
+app.use('/ble', requireApiKey(process.env.API_KEY || null));
+// Admin routes take their own key, so BLE clients cannot change the device policy (falls back to API_KEY)
+app.use('/admin', requireApiKey(process.env.ADMIN_API_KEY || process.env.API_KEY || null));
+
+// Validate path parameters, query and body against the OpenAPI document before they reach the routes
+app.use((req, res, next) => {
+  const invalid = openApi.validateRequest(req.method, req.path, req.query, req.body);
+  if (invalid) {
+    return res.status(400).json(invalid);
   }
   next();
 });
@@ -138,9 +181,136 @@ app.get('/webble', (req, res) => {
   res.sendFile(__dirname + '/public/webble.html');
 });
 
-// Simple health endpoint (no auth)
+// Health endpoint (no auth); reports 'degraded' with 503 while the Bluetooth adapter is not powered on
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok' });
+  const adapter = bleManager.getAdapterInfo();
+  if (adapter && !adapter.available) {
+    return res.status(503).json({ status: 'degraded', adapter: adapter.state });
+  }
+  res.json({ status: 'ok', adapter: adapter ? adapter.state : 'unknown' });
+});
+
+/**
+ * @route GET /openapi.json
+ * @description Returns the OpenAPI 3.1 document of the REST API (no auth), for client generators.
+ * @returns {Object} 200 - The OpenAPI document.
+ */
+app.get('/openapi.json', (req, res) => {
+  res.json(openApi.document);
+});
+
+/**
+ * @route GET /ble/adapter
+ * @description Reports the state of the Bluetooth adapter.
+ * @returns {Object} 200 - Backend ('noble' or 'simulator'), adapter state, availability, scanning flag,
+ *                         address, connected device count and time of the last state change.
+ * @returns {Object} 500 - Error object if the adapter state cannot be retrieved.
+ */
+app.get('/ble/adapter', (req, res) => {
+  try {
+    res.json(bleManager.getAdapterInfo());
+  } catch (error) {
+    console.error('API: Error getting adapter state:', error);
+    res.status(500).json({ error: 'Failed to get adapter state', code: 'INTERNAL_ERROR' });
+  }
+});
+
+// Keep the most recent BLE lifecycle events (adapter state, device appeared/lost, ...) for GET /ble/events.
+const recentEvents = [];
+let lastEventId = 0;
+// Clients of the WebSocket API (see attachWebSocket), which get the events pushed.
+const webSocketClients = new Set();
+bleManager.events.on('event', (event) => {
+  const numbered = { id: ++lastEventId, ...event };
+  recentEvents.push(numbered);
+  // Keep only the last 200 events to prevent memory issues
+  if (recentEvents.length > 200) {
+    recentEvents.shift();
+  }
+  webSocketClients.forEach(client => client.event(numbered));
+});
+
+/**
+ * @route GET /ble/events
+ * @description Gets recent BLE lifecycle events such as adapterStateChange, deviceAppeared and deviceLost.
+ * @param {number} [req.query.since] - Optional event ID; only events after it are returned.
+ * @param {string} [req.query.type] - Optional event type to filter on.
+ * @param {number} [req.query.limit=50] - Optional limit for number of events to return.
+ * @returns {Object} 200 - The events (oldest first) and the ID of the latest event.
+ */
+app.get('/ble/events', (req, res) => {
+  const { since, type, limit = 50 } = req.query;
+  let events = recentEvents;
+
+  const sinceId = parseInt(since, 10);
+  if (!isNaN(sinceId)) {
+    events = events.filter(event => event.id > sinceId);
+  }
+  if (type) {
+    events = events.filter(event => event.type === type);
+  }
+  const limitNum = parseInt(limit, 10);
+  if (limitNum > 0) {
+    events = events.slice(-limitNum);
+  }
+
+  res.json({ events, lastEventId });
+});
+
+/**
+ * @route GET /ble/scan
+ * @description Reports whether a scan is running and the options it was started with.
+ * @returns {Object} 200 - Scan status (scanning, serviceUuids, allowDuplicates, duration, startedAt, stopsAt).
+ * @returns {Object} 500 - Error object if the status cannot be retrieved.
+ */
+app.get('/ble/scan', (req, res) => {
+  try {
+    res.json(bleManager.getScanStatus());
+  } catch (error) {
+    console.error('API: Error getting scan status:', error);
+    res.status(500).json({ error: 'Failed to get scan status', code: 'INTERNAL_ERROR' });
+  }
+});
+
+/**
+ * @route POST /ble/scan/start
+ * @description Starts (or restarts) scanning for BLE devices.
+ * @param {Object} req.body - The request body (optional).
+ * @param {string[]} [req.body.serviceUuids] - Optional. Only report devices advertising one of these services.
+ * @param {boolean} [req.body.allowDuplicates=false] - Optional. Report every advertisement, not just the first.
+ * @param {number} [req.body.duration] - Optional. Stop scanning automatically after this many milliseconds.
+ * @returns {Object} 200 - Success message and scan status.
+ * @returns {Object} 400 - If the scan options are invalid.
+ * @returns {Object} 500 - Error object if scanning could not be started.
+ */
+app.post('/ble/scan/start', async (req, res) => {
+  const { serviceUuids, allowDuplicates, duration } = req.body || {};
+
+  try {
+    console.log('API: Request to start scanning');
+    const scan = await bleManager.startScan({ serviceUuids, allowDuplicates, duration });
+    res.json({ message: 'Scan started', scan });
+  } catch (error) {
+    console.error('API: Error starting scan:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /ble/scan/stop
+ * @description Stops scanning for BLE devices.
+ * @returns {Object} 200 - Success message and scan status.
+ * @returns {Object} 500 - Error object if scanning could not be stopped.
+ */
+app.post('/ble/scan/stop', async (req, res) => {
+  try {
+    console.log('API: Request to stop scanning');
+    const scan = await bleManager.stopScan();
+    res.json({ message: 'Scan stopped', scan });
+  } catch (error) {
+    console.error('API: Error stopping scan:', error);
+    sendError(res, error);
+  }
 });
 
 /**
@@ -149,13 +319,76 @@ app.get('/health', (req, res) => {
  * @returns {Object[]} 200 - An array of device objects, each with id, name, address, etc.
  * @returns {Object} 500 - Error object if fetching devices fails.
  */
-app.get('/ble/devices', (req, res) => {
+function listDevicesRoute(req, res) {
   try {
     const devices = bleManager.getDiscoveredPeripherals();
     res.json(devices);
   } catch (error) {
     console.error('API: Error getting discovered devices:', error);
-    res.status(500).json({ error: 'Failed to get discovered devices' });
+    res.status(500).json({ error: 'Failed to get discovered devices', code: 'INTERNAL_ERROR' });
+  }
+}
+app.get('/ble/devices', listDevicesRoute);
+
+/**
+ * @route GET /admin/policy
+ * @description Returns the device allow/deny policy.
+ * @returns {Object} 200 - The policy: { allow, deny } rule lists (denyAll is true while a policy file failed to load).
+ */
+app.get('/admin/policy', (req, res) => {
+  res.json(bleManager.getDevicePolicy());
+});
+
+/**
+ * @route PUT /admin/policy
+ * @description Replaces the device allow/deny policy. Devices the policy rejects are hidden from the device
+ * list and cannot be connected; existing connections are kept.
+ * @param {Object[]} [req.body.allow] - Rules of permitted devices; when present, only matching devices are permitted.
+ * @param {Object[]} [req.body.deny] - Rules of rejected devices; they win over allow rules. A rule matches when all
+ *        of its fields match: id, address, name (regular expression), serviceUuid and companyId.
+ * @returns {Object} 200 - Success message and the active policy.
+ * @returns {Object} 400 - If the policy is invalid; the previous policy stays active.
+ */
+app.put('/admin/policy', (req, res) => {
+  try {
+    const policy = bleManager.setDevicePolicy(req.body);
+    res.json({ message: 'Device policy updated', policy });
+  } catch (error) {
+    console.error('API: Error updating the device policy:', error);
+    // Policy errors name the offending rule and carry no device data, so pass them on.
+    sendError(res, error, { passInvalid: true });
+  }
+});
+
+/**
+ * @route GET /admin/write-protection
+ * @description Returns the write protection settings.
+ * @returns {Object} 200 - { readOnly, defaultAction, rules }.
+ */
+app.get('/admin/write-protection', (req, res) => {
+  res.json(bleManager.getWriteProtection());
+});
+
+/**
+ * @route PUT /admin/write-protection
+ * @description Changes read-only mode and/or the write rules. In read-only mode writes, subscriptions and
+ * connections are refused with 403; existing connections and subscriptions are kept.
+ * @param {boolean} [req.body.readOnly] - Whether the gateway is read-only.
+ * @param {string} [req.body.defaultAction] - 'allow' or 'deny': what happens to writes no rule matches.
+ * @param {Object[]} [req.body.rules] - Write rules; the first matching rule decides. A rule has an action
+ *        ('allow' or 'deny') and matches when all of device, serviceUuid and characteristicUuid match; an allow
+ *        rule may list values, regular expressions one of which the hex value must match.
+ * @returns {Object} 200 - Success message and the active settings.
+ * @returns {Object} 400 - If a setting is invalid; nothing is changed.
+ */
+app.put('/admin/write-protection', (req, res) => {
+  try {
+    const writeProtection = bleManager.setWriteProtection(req.body);
+    res.json({ message: 'Write protection updated', writeProtection });
+  } catch (error) {
+    console.error('API: Error updating write protection:', error);
+    // Rule errors name the offending rule and carry no device data, so pass them on.
+    sendError(res, error, { passInvalid: true });
   }
 });
 
@@ -163,31 +396,66 @@ app.get('/ble/devices', (req, res) => {
  * @route POST /ble/devices/:deviceId/connect
  * @description Connects to a specific BLE device by its ID.
  * @param {string} req.params.deviceId - The ID of the device to connect to.
- * @returns {Object} 200 - Success message and device connection information.
- * @returns {Object} 400 - If device is already connected/connecting.
+ * @param {Object} [req.body] - Optional connection options.
+ * @param {boolean|Object} [req.body.reconnect] - Optional. Reconnect policy for unexpected disconnects:
+ *        true/false, or { enabled, maxAttempts, baseDelayMs, maxDelayMs, jitter }.
+ * @param {number} [req.body.timeoutMs] - Optional. Abort the connection attempt after this many milliseconds.
+ * @param {number} [req.body.discoveryTimeoutMs] - Optional. Abort if service discovery takes longer than this.
+ * @param {number} [req.body.rssiIntervalMs] - Optional. Sample the RSSI of the connection this often (0 disables).
+ * @param {string[]} [req.body.services] - Optional. Discover only these services at connect; the others are
+ *        discovered on first access. Ignored when the GATT cache has the device's layout.
+ * @param {boolean} [req.body.forceRediscover] - Optional. Ignore (and replace) the cached GATT layout.
+ * @returns {Object} 200 - Success message and device connection information, including how the
+ *          GATT layout was obtained (discovery: 'full', 'partial' or 'cache').
+ * @returns {Object} 400 - If device is already connected/connecting or the options are invalid.
+ * @returns {Object} 403 - If the device policy does not permit the device, or the gateway is read-only.
  * @returns {Object} 404 - If device is not found.
+ * @returns {Object} 409 - If the connection attempt was cancelled.
+ * @returns {Object} 502 - If the device disconnected during connection.
+ * @returns {Object} 504 - If the connection or service discovery timed out.
  * @returns {Object} 500 - Error object if connection fails for other reasons.
  */
-app.post('/ble/devices/:deviceId/connect', async (req, res) => {
+async function connectRoute(req, res) {
   const { deviceId } = req.params;
   
-  // Validate device ID format
-  if (!SecurityHelpers.isValidDeviceId(deviceId)) {
-    return res.status(400).json({ error: 'Invalid device ID format' });
-  }
-  
+  const { reconnect, timeoutMs, discoveryTimeoutMs, rssiIntervalMs, services, forceRediscover } = req.body || {};
+  const connectOptions = {};
+  if (reconnect !== undefined) connectOptions.reconnect = reconnect;
+  if (timeoutMs !== undefined) connectOptions.timeoutMs = timeoutMs;
+  if (discoveryTimeoutMs !== undefined) connectOptions.discoveryTimeoutMs = discoveryTimeoutMs;
+  if (rssiIntervalMs !== undefined) connectOptions.rssiIntervalMs = rssiIntervalMs;
+  if (services !== undefined) connectOptions.services = services;
+  if (forceRediscover !== undefined) connectOptions.forceRediscover = forceRediscover;
+
   try {
     console.log(`API: Request to connect to ${deviceId}`);
-    const connectionResult = await bleManager.connectDevice(deviceId);
+    const connectionResult = await bleManager.connectDevice(deviceId, connectOptions);
     res.json({ message: 'Connection successful', device: connectionResult });
   } catch (error) {
     console.error(`API: Error connecting to ${deviceId}:`, error);
-    // Determine appropriate status code based on error message.
-    let statusCode = 500;
-    if (error.message.includes('not found')) statusCode = 404;
-    else if (error.message.includes('already connected') || error.message.includes('connecting') || error.message.includes('Peripheral disconnected during connection process') ) statusCode = 400;
-    const safeMessage = SecurityHelpers.getSafeErrorMessage(error.message, statusCode);
-    res.status(statusCode).json({ error: safeMessage });
+    sendError(res, error);
+  }
+}
+app.post('/ble/devices/:deviceId/connect', connectRoute);
+
+/**
+ * @route POST /ble/devices/:deviceId/connect/cancel
+ * @description Cancels a pending connection attempt (including an automatic reconnect) and resets the device state.
+ * @param {string} req.params.deviceId - The ID of the device whose connection attempt to cancel.
+ * @returns {Object} 200 - Success message and device information.
+ * @returns {Object} 404 - If device is not found or no connection attempt is pending.
+ * @returns {Object} 500 - Error object if cancelling fails for other reasons.
+ */
+app.post('/ble/devices/:deviceId/connect/cancel', async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    console.log(`API: Request to cancel connecting to ${deviceId}`);
+    const result = await bleManager.cancelConnect(deviceId);
+    res.json({ message: 'Connection attempt cancelled', device: result });
+  } catch (error) {
+    console.error(`API: Error cancelling connection to ${deviceId}:`, error);
+    sendError(res, error);
   }
 });
 
@@ -199,24 +467,152 @@ app.post('/ble/devices/:deviceId/connect', async (req, res) => {
  * @returns {Object} 404 - If device is not connected or not found.
  * @returns {Object} 500 - Error object if disconnection fails for other reasons.
  */
-app.post('/ble/devices/:deviceId/disconnect', async (req, res) => {
+async function disconnectRoute(req, res) {
   const { deviceId } = req.params;
   
-  // Validate device ID format
-  if (!SecurityHelpers.isValidDeviceId(deviceId)) {
-    return res.status(400).json({ error: 'Invalid device ID format' });
-  }
-  
   try {
     console.log(`API: Request to disconnect from ${deviceId}`);
     const disconnectionResult = await bleManager.disconnectDevice(deviceId);
     res.json({ message: 'Disconnection successful', device: disconnectionResult });
   } catch (error) {
     console.error(`API: Error disconnecting from ${deviceId}:`, error);
-    let statusCode = 500;
-    if (error.message.includes('not found') || error.message.includes('not connected')) statusCode = 404;
-    const safeMessage = SecurityHelpers.getSafeErrorMessage(error.message, statusCode);
-    res.status(statusCode).json({ error: safeMessage });
+    sendError(res, error);
+  }
+}
+app.post('/ble/devices/:deviceId/disconnect', disconnectRoute);
+
+/**
+ * @route GET /ble/devices/:deviceId/mtu
+ * @description Gets the ATT MTU of a connected BLE device and the largest value a single write can carry.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @returns {Object} 200 - { deviceId, mtu, negotiated, maxWritePayload }.
+ * @returns {Object} 404 - If device is not connected.
+ * @returns {Object} 500 - Error object if fetching the MTU fails.
+ */
+app.get('/ble/devices/:deviceId/mtu', async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    const mtu = await bleManager.getMtu(deviceId);
+    res.json({ deviceId, ...mtu });
+  } catch (error) {
+    console.error(`API: Error getting MTU for ${deviceId}:`, error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route GET /ble/devices/:deviceId/rssi
+ * @description Reads the current RSSI of a connected BLE device and reports it with the recent
+ *              samples and the link-quality trend.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @returns {Object} 200 - { deviceId, rssi, timestamp, sampler, history, trend }.
+ * @returns {Object} 404 - If device is not connected.
+ * @returns {Object} 503 - If the Bluetooth adapter is unavailable.
+ * @returns {Object} 500 - Error object if reading the RSSI fails.
+ */
+app.get('/ble/devices/:deviceId/rssi', async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    const rssi = await bleManager.getRssi(deviceId);
+    res.json({ deviceId, ...rssi });
+  } catch (error) {
+    console.error(`API: Error reading RSSI for ${deviceId}:`, error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /ble/devices/:deviceId/rssi/start
+ * @description Starts (or reconfigures) periodic RSSI sampling of a connected BLE device.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {Object} [req.body] - Optional sampler options.
+ * @param {number} [req.body.intervalMs=5000] - Time between samples in milliseconds (at least 250).
+ * @param {number} [req.body.historySize=60] - Number of samples to keep (1 to 1000).
+ * @returns {Object} 200 - The RSSI report with the sampler settings.
+ * @returns {Object} 400 - If the options are invalid.
+ * @returns {Object} 404 - If device is not connected.
+ * @returns {Object} 500 - Error object if starting the sampler fails.
+ */
+app.post('/ble/devices/:deviceId/rssi/start', async (req, res) => {
+  const { deviceId } = req.params;
+
+  const { intervalMs, historySize } = req.body || {};
+  const options = {};
+  if (intervalMs !== undefined) options.intervalMs = intervalMs;
+  if (historySize !== undefined) options.historySize = historySize;
+
+  try {
+    const rssi = await bleManager.startRssiSampler(deviceId, options);
+    res.json({ deviceId, ...rssi });
+  } catch (error) {
+    console.error(`API: Error starting RSSI sampler for ${deviceId}:`, error);
+    // Sampler settings errors name the offending setting and carry no device data, so pass them on.
+    sendError(res, error, { passInvalid: true });
+  }
+});
+
+/**
+ * @route POST /ble/devices/:deviceId/rssi/stop
+ * @description Stops periodic RSSI sampling of a BLE device; the history is kept while it stays connected.
+ * @param {string} req.params.deviceId - The ID of the device.
+ * @returns {Object} 200 - The RSSI report.
+ * @returns {Object} 404 - If no sampler is running for the device.
+ */
+app.post('/ble/devices/:deviceId/rssi/stop', async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    const rssi = await bleManager.stopRssiSampler(deviceId);
+    res.json({ deviceId, ...rssi });
+  } catch (error) {
+    console.error(`API: Error stopping RSSI sampler for ${deviceId}:`, error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route GET /ble/devices/:deviceId/queue
+ * @description Gets the GATT operation queue metrics of a connected BLE device.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @returns {Object} 200 - Queue depth, in-flight operation and processed/failed/timedOut counters.
+ * @returns {Object} 404 - If device is not connected.
+ * @returns {Object} 500 - Error object if fetching the metrics fails.
+ */
+app.get('/ble/devices/:deviceId/queue', async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    const stats = await bleManager.getQueueStats(deviceId);
+    res.json({ deviceId, ...stats });
+  } catch (error) {
+    console.error(`API: Error getting queue metrics for ${deviceId}:`, error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /ble/devices/:deviceId/rediscover
+ * @description Discards the GATT layout of a connected device, including its cache entry, and discovers
+ * it again. Subscriptions are restored on the rediscovered characteristics.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @returns {Object} 200 - Success message with the device ID and its rediscovered services.
+ * @returns {Object} 404 - If device is not connected.
+ * @returns {Object} 503 - If the Bluetooth adapter is unavailable.
+ * @returns {Object} 504 - If the discovery timed out.
+ * @returns {Object} 500 - Error object if the discovery fails.
+ */
+app.post('/ble/devices/:deviceId/rediscover', async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    console.log(`API: Request to rediscover services of ${deviceId}`);
+    const result = await bleManager.rediscoverDevice(deviceId);
+    res.json({ message: 'Rediscovery successful', device: result });
+  } catch (error) {
+    console.error(`API: Error rediscovering services of ${deviceId}:`, error);
+    sendError(res, error);
   }
 });
 
@@ -228,24 +624,84 @@ app.post('/ble/devices/:deviceId/disconnect', async (req, res) => {
  * @returns {Object} 404 - If device is not connected.
  * @returns {Object} 500 - Error object if fetching services fails.
  */
-app.get('/ble/devices/:deviceId/services', async (req, res) => {
+async function servicesRoute(req, res) {
   const { deviceId } = req.params;
   
-  // Validate device ID format
-  if (!SecurityHelpers.isValidDeviceId(deviceId)) {
-    return res.status(400).json({ error: 'Invalid device ID format' });
-  }
-  
   try {
     console.log(`API: Request to get services for ${deviceId}`);
     const services = await bleManager.getServices(deviceId);
     res.json(services);
   } catch (error) {
     console.error(`API: Error getting services for ${deviceId}:`, error);
-    let statusCode = 500;
-    if (error.message.includes('not connected')) statusCode = 404;
-    const safeMessage = SecurityHelpers.getSafeErrorMessage(error.message, statusCode);
-    res.status(statusCode).json({ error: safeMessage });
+    sendError(res, error);
+  }
+}
+app.get('/ble/devices/:deviceId/services', servicesRoute);
+
+/**
+ * @function parseBooleanQuery
+ * @description Parses an optional boolean query parameter (validated as 'true' or 'false' by the OpenAPI document).
+ * @param {string} [value] - The raw query value.
+ * @returns {boolean|undefined} The value, or undefined if absent.
+ */
+function parseBooleanQuery(value) {
+  return value === undefined ? undefined : value === 'true';
+}
+
+/**
+ * @route GET /ble/devices/:deviceId/profile
+ * @description Exports the whole GATT database of a connected device as one versioned JSON snapshot:
+ * services, characteristics, properties, descriptors and, optionally, the current values.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {boolean} [req.query.includeValues=false] - Optional. Read every readable characteristic.
+ * @returns {Object} 200 - The profile snapshot.
+ * @returns {Object} 400 - If includeValues is not true or false.
+ * @returns {Object} 404 - If device is not connected.
+ * @returns {Object} 503 - If the Bluetooth adapter is unavailable.
+ * @returns {Object} 504 - If a discovery or read timed out.
+ * @returns {Object} 500 - Error object if the export fails.
+ */
+app.get('/ble/devices/:deviceId/profile', async (req, res) => {
+  const { deviceId } = req.params;
+
+  const includeValues = parseBooleanQuery(req.query.includeValues);
+
+  try {
+    console.log(`API: Request to export the profile of ${deviceId}`);
+    const profile = await bleManager.getProfile(deviceId, includeValues === undefined ? {} : { includeValues });
+    res.json(profile);
+  } catch (error) {
+    console.error(`API: Error exporting the profile of ${deviceId}:`, error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /ble/devices/:deviceId/profile
+ * @description Imports a saved profile snapshot and diffs the connected device against it.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {Object} req.body - The profile snapshot, as exported by GET /ble/devices/:deviceId/profile.
+ * @param {boolean} [req.query.compareValues] - Optional. Compare characteristic values (default: if the
+ *        snapshot has values).
+ * @returns {Object} 200 - { deviceId, matches, snapshot: { exportedAt, device }, differences }.
+ * @returns {Object} 400 - If the snapshot or compareValues is invalid.
+ * @returns {Object} 404 - If device is not connected.
+ * @returns {Object} 503 - If the Bluetooth adapter is unavailable.
+ * @returns {Object} 504 - If a discovery or read timed out.
+ * @returns {Object} 500 - Error object if the comparison fails.
+ */
+app.post('/ble/devices/:deviceId/profile', async (req, res) => {
+  const { deviceId } = req.params;
+
+  const compareValues = parseBooleanQuery(req.query.compareValues);
+
+  try {
+    console.log(`API: Request to diff ${deviceId} against a profile snapshot`);
+    const result = await bleManager.diffProfile(deviceId, req.body, compareValues === undefined ? {} : { compareValues });
+    res.json(result);
+  } catch (error) {
+    console.error(`API: Error diffing ${deviceId} against a profile snapshot:`, error);
+    sendError(res, error, { invalidMessage: 'The profile is not a valid GATT profile snapshot.' });
   }
 });
 
@@ -254,161 +710,282 @@ app.get('/ble/devices/:deviceId/services', async (req, res) => {
  * @description Retrieves characteristics for a specific service on a connected BLE device.
  * @param {string} req.params.deviceId - The ID of the connected device.
  * @param {string} req.params.serviceUuid - The UUID of the service.
+ * @param {number} [req.query.serviceInstance=0] - Which of several services with this UUID to list (0-based).
  * @returns {Object[]} 200 - An array of characteristic objects.
  * @returns {Object} 404 - If device not connected or service not found.
  * @returns {Object} 500 - Error object if fetching characteristics fails.
  */
-app.get('/ble/devices/:deviceId/services/:serviceUuid/characteristics', async (req, res) => {
+async function characteristicsRoute(req, res) {
   const { deviceId, serviceUuid } = req.params;
-  
-  // Validate input formats
-  if (!SecurityHelpers.isValidDeviceId(deviceId) || !SecurityHelpers.isValidUUID(serviceUuid)) {
-    return res.status(400).json({ error: 'Invalid device ID or service UUID format' });
-  }
+  const serviceInstance = parseInstanceIndex(req.query.serviceInstance);
   
   try {
     console.log(`API: Request to get characteristics for service ${serviceUuid} on device ${deviceId}`);
-    const characteristics = await bleManager.getCharacteristics(deviceId, serviceUuid);
+    const characteristics = serviceInstance === undefined
+      ? await bleManager.getCharacteristics(deviceId, serviceUuid)
+      : await bleManager.getCharacteristics(deviceId, serviceUuid, serviceInstance);
     res.json(characteristics);
   } catch (error) {
     console.error(`API: Error getting characteristics for ${deviceId}, service ${serviceUuid}:`, error);
-    let statusCode = 500;
-    if (error.message.includes('not connected') || error.message.includes('Service not found')) statusCode = 404;
-    const safeMessage = SecurityHelpers.getSafeErrorMessage(error.message, statusCode);
-    res.status(statusCode).json({ error: safeMessage });
+    sendError(res, error);
   }
-});
+}
+app.get('/ble/devices/:deviceId/services/:serviceUuid/characteristics', characteristicsRoute);
+
+/**
+ * Parses an optional 0-based instance index from a query parameter (validated by the OpenAPI document).
+ * @param {string} [value] - The raw query value.
+ * @returns {number|undefined} The index, or undefined if absent.
+ */
+function parseInstanceIndex(value) {
+  return value === undefined ? undefined : parseInt(value, 10);
+}
+
+/**
+ * Builds the characteristic address passed to bleManager from the route parameters. Service-scoped
+ * routes (`/services/:serviceUuid/characteristics/:characteristicUuid`) and the `serviceInstance` /
+ * `instance` query parameters select among duplicate UUIDs; flat routes without them keep addressing
+ * the first characteristic with the UUID.
+ * @param {Object} req - The Express request.
+ * @returns {{target: (string|Object), invalid: (Object|undefined)}} The address, or the 400 response body if
+ *          serviceInstance is given on a flat route.
+ */
+function characteristicAddress(req) {
+  const { serviceUuid, characteristicUuid } = req.params;
+  const serviceInstance = parseInstanceIndex(req.query.serviceInstance);
+  const instance = parseInstanceIndex(req.query.instance);
+  if (serviceInstance !== undefined && serviceUuid === undefined) {
+    return { invalid: { error: 'Invalid request: query.serviceInstance requires a service-scoped route', field: 'query.serviceInstance', code: 'INVALID_REQUEST' } };
+  }
+  if (serviceUuid === undefined && instance === undefined) {
+    return { target: characteristicUuid };
+  }
+  const target = { characteristicUuid, instance: instance || 0 };
+  if (serviceUuid !== undefined) {
+    target.serviceUuid = serviceUuid;
+    target.serviceInstance = serviceInstance || 0;
+  }
+  return { target };
+}
+
+/**
+ * Returns the value format a request asks for through `format` (or its alias `encoding`) in the
+ * body or the query string.
+ * @param {Object} req - The Express request.
+ * @returns {string|undefined} The format (validated by the OpenAPI document), or undefined for hex.
+ */
+function requestedFormat(req) {
+  const body = req.body || {};
+  return body.format || body.encoding || req.query.format || req.query.encoding;
+}
+
+/**
+ * Returns the key a REST subscription is tracked under, e.g. `dev-2a37` for a flat subscription or
+ * `dev-180d:0-2a37:1` for a service-scoped one.
+ * @param {string} deviceId - The device ID.
+ * @param {string|Object} target - The characteristic address from characteristicAddress().
+ * @returns {string} The subscription key.
+ */
+function subscriptionKeyFor(deviceId, target) {
+  if (typeof target === 'string') return `${deviceId}-${target}`;
+  if (target.serviceUuid === undefined) return `${deviceId}-${target.characteristicUuid}:${target.instance}`;
+  return `${deviceId}-${target.serviceUuid}:${target.serviceInstance}-${target.characteristicUuid}:${target.instance}`;
+}
 
 /**
  * @route GET /ble/devices/:deviceId/characteristics/:characteristicUuid
+ * @route GET /ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid
  * @description Reads the value of a specific characteristic from a connected BLE device.
  * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {string} [req.params.serviceUuid] - The UUID of the service containing the characteristic.
  * @param {string} req.params.characteristicUuid - The UUID of the characteristic to read.
- * @returns {Object} 200 - Object containing the characteristic UUID and its hex value.
- * @returns {Object} 404 - If device not connected, characteristic not found, or not readable.
+ * @param {number} [req.query.serviceInstance=0] - Which of several services with this UUID to use (0-based).
+ * @param {number} [req.query.instance=0] - Which of several characteristics with this UUID to read (0-based).
+ * @param {string} [req.query.format=hex] - Value format: hex, base64, utf8, (u)int8/16/32 or float32, with
+ *                                          an optional le/be suffix (little-endian by default).
+ * @returns {Object} 200 - Object containing the characteristic address and its value (plus `format` if requested),
+ *                         and `decoded` JSON for standard SIG characteristics such as 0x2A19 or 0x2A37.
+ * @returns {Object} 404 - If device not connected, service or characteristic not found, or not readable.
+ * @returns {Object} 422 - If the value does not fit the requested numeric format.
  * @returns {Object} 500 - Error object if reading fails.
  */
-app.get('/ble/devices/:deviceId/characteristics/:characteristicUuid', async (req, res) => {
+async function readCharacteristicRoute(req, res) {
   const { deviceId, characteristicUuid } = req.params;
   
-  // Validate input formats
-  if (!SecurityHelpers.isValidDeviceId(deviceId) || !SecurityHelpers.isValidUUID(characteristicUuid)) {
-    return res.status(400).json({ error: 'Invalid device ID or characteristic UUID format' });
+  // Resolve the characteristic address
+  const { target, invalid } = characteristicAddress(req);
+  if (invalid) {
+    return res.status(400).json(invalid);
   }
+  const format = requestedFormat(req);
   
   try {
     console.log(`API: Request to read characteristic ${characteristicUuid} on device ${deviceId}`);
-    const data = await bleManager.readCharacteristic(deviceId, characteristicUuid);
-    res.json({ characteristicUuid, value: data });
+    const data = await bleManager.readCharacteristic(deviceId, target);
+    const result = typeof target === 'string' ? { characteristicUuid, value: data } : { ...target, value: data };
+    const decoded = bleManager.decodeCharacteristicValue(characteristicUuid, data);
+    if (format) {
+      result.value = valueCodec.decodeValue(data, format);
+      result.format = format;
+    }
+    if (decoded) {
+      result.decoded = decoded;
+    }
+    res.json(result);
   } catch (error) {
     console.error(`API: Error reading characteristic ${characteristicUuid} for ${deviceId}:`, error);
-    let statusCode = 500;
-    if (error.message.includes('not connected') || error.message.includes('Characteristic not found') || error.message.includes('not readable')) statusCode = 404;
-    const safeMessage = SecurityHelpers.getSafeErrorMessage(error.message, statusCode);
-    res.status(statusCode).json({ error: safeMessage });
+    sendError(res, error);
   }
-});
+}
+app.get('/ble/devices/:deviceId/characteristics/:characteristicUuid', readCharacteristicRoute);
+app.get('/ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid', readCharacteristicRoute);
 
 /**
  * @route POST /ble/devices/:deviceId/characteristics/:characteristicUuid
+ * @route POST /ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid
  * @description Writes a value to a specific characteristic on a connected BLE device.
+ *              The service route and the serviceInstance/instance query parameters address the
+ *              characteristic as for reads.
  * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {string} [req.params.serviceUuid] - The UUID of the service containing the characteristic.
  * @param {string} req.params.characteristicUuid - The UUID of the characteristic to write to.
  * @param {Object} req.body - The request body.
- * @param {string} req.body.value - The hex string value to write.
- * @param {boolean} [req.body.withoutResponse=false] - Optional. If true, perform write without response.
- * @returns {Object} 200 - Success message.
- * @returns {Object} 400 - If 'value' is missing or invalid in request body.
+ * @param {string|number|number[]} req.body.value - The value to write; a hex string unless `format` says otherwise.
+ * @param {string} [req.body.format=hex] - Format of `value`: hex, base64, utf8, (u)int8/16/32 or float32,
+ *                                         with an optional le/be suffix (little-endian by default).
+ * @param {boolean} [req.body.withoutResponse=false] - Optional. If true, perform write without response
+ *                                                   (chunked writes default to true).
+ * @param {boolean} [req.body.chunked=false] - Optional. If true, split the value into MTU-sized writes.
+ * @param {number} [req.body.chunkSize] - Optional. Bytes per chunked write (default: MTU minus 3).
+ * @param {number} [req.body.delayMs] - Optional. Pause between chunked writes in milliseconds.
+ * @returns {Object} 200 - Success message; chunked writes add bytesWritten, chunks and chunkSize.
+ * @returns {Object} 400 - If 'value' or the chunking options are missing or invalid in request body.
+ * @returns {Object} 403 - If the gateway is read-only or the write rules refuse the write.
  * @returns {Object} 404 - If device not connected, characteristic not found, or not writable.
+ * @returns {Object} 409 - If a chunked write to the characteristic is already in progress.
  * @returns {Object} 500 - Error object if writing fails.
  */
-app.post('/ble/devices/:deviceId/characteristics/:characteristicUuid', async (req, res) => {
+async function writeCharacteristicRoute(req, res) {
   const { deviceId, characteristicUuid } = req.params;
-  const { value, withoutResponse } = req.body; // `value` should be a hex string.
+  const { withoutResponse, chunked, chunkSize, delayMs } = req.body || {};
+  let { value } = req.body || {}; // `value` is a hex string unless a format is given.
 
-  // Validate input formats
-  if (!SecurityHelpers.isValidDeviceId(deviceId) || !SecurityHelpers.isValidUUID(characteristicUuid)) {
-    return res.status(400).json({ error: 'Invalid device ID or characteristic UUID format' });
+  // Resolve the characteristic address
+  const { target, invalid } = characteristicAddress(req);
+  if (invalid) {
+    return res.status(400).json(invalid);
   }
-  
-  // Validate request body: 'value' must be present.
-  if (value === undefined) {
-    return res.status(400).json({ error: 'Invalid request. Please provide a hex string value.' });
-  }
-  // Basic validation for hex string format.
-  if (typeof value !== 'string' || !/^[0-9a-fA-F]*$/.test(value) || value.length % 2 !== 0) {
-      // Allow empty string for some characteristics, but still must be even length if not empty.
-      // Corrected regex to allow empty string, but still check for even length if not empty.
-      if (value.length > 0 && (value.length % 2 !== 0 || !/^[0-9a-fA-F]+$/.test(value))) {
-        return res.status(400).json({ error: 'Invalid request. Please provide a valid hex string.' });
-      }
+  const format = requestedFormat(req);
+
+  // Whether the value fits depends on its format, so convert it here rather than in the OpenAPI document.
+  try {
+    value = valueCodec.encodeValue(value, format || 'hex');
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid request: body.value: ' + error.message, field: 'body.value', code: 'INVALID_REQUEST' });
+  }
+  if ((chunkSize !== undefined || delayMs !== undefined) && !chunked) {
+    return res.status(400).json({ error: 'Invalid request: body.chunked must be true with chunkSize or delayMs', field: 'body.chunked', code: 'INVALID_REQUEST' });
+  }
+  if (chunked && value.length === 0) {
+    return res.status(400).json({ error: 'Invalid request: body.value must not be empty in a chunked write', field: 'body.value', code: 'INVALID_REQUEST' });
   }
 
   try {
-    console.log(`API: Request to write to characteristic ${characteristicUuid} on device ${deviceId} with value ${value}`);
-    const result = await bleManager.writeCharacteristic(deviceId, characteristicUuid, value, withoutResponse || false);
+    let result;
+    if (chunked) {
+      console.log(`API: Request for chunked write of ${value.length / 2} bytes to characteristic ${characteristicUuid} on device ${deviceId}`);
+      const options = {};
+      if (chunkSize !== undefined) options.chunkSize = chunkSize;
+      if (delayMs !== undefined) options.delayMs = delayMs;
+      if (withoutResponse !== undefined) options.withoutResponse = Boolean(withoutResponse);
+      result = await bleManager.writeCharacteristicChunked(deviceId, target, value, options);
+    } else {
+      console.log(`API: Request to write to characteristic ${characteristicUuid} on device ${deviceId} with value ${value}`);
+      result = await bleManager.writeCharacteristic(deviceId, target, value, withoutResponse || false);
+    }
     res.json(result);
   } catch (error) {
     console.error(`API: Error writing to characteristic ${characteristicUuid} for ${deviceId}:`, error);
-    let statusCode = 500;
-    if (error.message.includes('not connected') || error.message.includes('Characteristic not found') || error.message.includes('not writable')) statusCode = 404;
-    else if (error.message.includes('Invalid') && error.message.includes('format')) statusCode = 400;
-    const safeMessage = SecurityHelpers.getSafeErrorMessage(error.message, statusCode);
-    res.status(statusCode).json({ error: safeMessage });
+    // Chunked write settings errors name the offending setting and carry no device data, so pass them on.
+    sendError(res, error, { passInvalid: true });
   }
-});
+}
+app.post('/ble/devices/:deviceId/characteristics/:characteristicUuid', writeCharacteristicRoute);
+app.post('/ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid', writeCharacteristicRoute);
 
 // Store active subscriptions for each device/characteristic combination
 const activeSubscriptions = new Map();
+// Numbers buffered notifications across all subscriptions, so SSE clients can resume with Last-Event-ID.
+let lastNotificationId = 0;
+// Interval of the comment lines that keep idle SSE connections (and proxies in between) open.
+const sseHeartbeatMs = parseInt(process.env.SSE_HEARTBEAT_MS || '15000', 10);
 
 /**
  * @route POST /ble/devices/:deviceId/characteristics/:characteristicUuid/subscribe
+ * @route POST /ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/subscribe
  * @description Subscribes to notifications/indications from a specific characteristic.
+ *              Each address (flat, service-scoped, instance) gets its own subscription key.
+ *              An optional `format` (body or query) sets the default format of buffered notifications.
  * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {string} [req.params.serviceUuid] - The UUID of the service containing the characteristic.
  * @param {string} req.params.characteristicUuid - The UUID of the characteristic to subscribe to.
  * @returns {Object} 200 - Success message with subscription details.
+ * @returns {Object} 403 - If the gateway is read-only.
  * @returns {Object} 404 - If device not connected, characteristic not found, or not notifiable.
  * @returns {Object} 500 - Error object if subscription fails.
  */
-app.post('/ble/devices/:deviceId/characteristics/:characteristicUuid/subscribe', async (req, res) => {
+async function subscribeRoute(req, res) {
   const { deviceId, characteristicUuid } = req.params;
-  const subscriptionKey = `${deviceId}-${characteristicUuid}`;
   
-  // Validate input formats
-  if (!SecurityHelpers.isValidDeviceId(deviceId) || !SecurityHelpers.isValidUUID(characteristicUuid)) {
-    return res.status(400).json({ error: 'Invalid device ID or characteristic UUID format' });
+  // Resolve the characteristic address
+  const { target, invalid } = characteristicAddress(req);
+  if (invalid) {
+    return res.status(400).json(invalid);
   }
+  const subscriptionKey = subscriptionKeyFor(deviceId, target);
+  const format = requestedFormat(req);
   
   try {
     console.log(`API: Request to subscribe to characteristic ${characteristicUuid} on device ${deviceId}`);
     
     // Check if already subscribed
     if (activeSubscriptions.has(subscriptionKey)) {
-      return res.status(400).json({ error: 'Already subscribed to this characteristic' });
+      return res.status(400).json({ error: 'Already subscribed to this characteristic', code: 'ALREADY_SUBSCRIBED' });
     }
     
-    // Create a data buffer to store received notifications
+    // Create a data buffer to store received notifications, and the SSE streams to push them to
     const dataBuffer = [];
+    const streams = new Set();
     
     // Subscribe with a callback to handle incoming data
-    const result = await bleManager.subscribeToCharacteristic(deviceId, characteristicUuid, (data) => {
-      // Store the notification data with timestamp
-      dataBuffer.push({
+    const callback = (data) => {
+      // Store the notification data with its event ID and timestamp
+      const notification = {
+        id: ++lastNotificationId,
         ...data,
         receivedAt: new Date().toISOString()
-      });
+      };
+      dataBuffer.push(notification);
       
       // Keep only the last 100 notifications to prevent memory issues
       if (dataBuffer.length > 100) {
         dataBuffer.shift();
       }
-    });
+      streams.forEach(stream => stream.send(subscriptionKey, notification));
+    };
+    const result = await bleManager.subscribeToCharacteristic(deviceId, target, callback);
     
     // Store the subscription info
     activeSubscriptions.set(subscriptionKey, {
       deviceId,
+      callback,
       characteristicUuid,
+      serviceUuid: result.serviceUuid,
+      serviceInstance: result.serviceInstance,
+      instance: result.instance,
+      format: format || 'hex',
       dataBuffer,
+      streams,
       subscribedAt: new Date().toISOString()
     });
     
@@ -420,81 +997,91 @@ app.post('/ble/devices/:deviceId/characteristics/:characteristicUuid/subscribe',
     
   } catch (error) {
     console.error(`API: Error subscribing to characteristic ${characteristicUuid} for ${deviceId}:`, error);
-    let statusCode = 500;
-    if (error.message.includes('not connected') || error.message.includes('Characteristic not found') || error.message.includes('not support')) statusCode = 404;
-    const safeMessage = SecurityHelpers.getSafeErrorMessage(error.message, statusCode);
-    res.status(statusCode).json({ error: safeMessage });
+    sendError(res, error);
   }
-});
+}
+app.post('/ble/devices/:deviceId/characteristics/:characteristicUuid/subscribe', subscribeRoute);
+app.post('/ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/subscribe', subscribeRoute);
 
 /**
  * @route POST /ble/devices/:deviceId/characteristics/:characteristicUuid/unsubscribe
+ * @route POST /ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/unsubscribe
  * @description Unsubscribes from notifications/indications from a specific characteristic.
  * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {string} [req.params.serviceUuid] - The UUID of the service containing the characteristic.
  * @param {string} req.params.characteristicUuid - The UUID of the characteristic to unsubscribe from.
  * @returns {Object} 200 - Success message.
  * @returns {Object} 404 - If device not connected, characteristic not found, or not subscribed.
  * @returns {Object} 500 - Error object if unsubscription fails.
  */
-app.post('/ble/devices/:deviceId/characteristics/:characteristicUuid/unsubscribe', async (req, res) => {
+async function unsubscribeRoute(req, res) {
   const { deviceId, characteristicUuid } = req.params;
-  const subscriptionKey = `${deviceId}-${characteristicUuid}`;
   
-  // Validate input formats
-  if (!SecurityHelpers.isValidDeviceId(deviceId) || !SecurityHelpers.isValidUUID(characteristicUuid)) {
-    return res.status(400).json({ error: 'Invalid device ID or characteristic UUID format' });
+  // Resolve the characteristic address
+  const { target, invalid } = characteristicAddress(req);
+  if (invalid) {
+    return res.status(400).json(invalid);
   }
+  const subscriptionKey = subscriptionKeyFor(deviceId, target);
   
   try {
     console.log(`API: Request to unsubscribe from characteristic ${characteristicUuid} on device ${deviceId}`);
     
     // Check if subscribed
     if (!activeSubscriptions.has(subscriptionKey)) {
-      return res.status(404).json({ error: 'Not subscribed to this characteristic' });
+      return res.status(404).json({ error: 'Not subscribed to this characteristic', code: 'NOT_SUBSCRIBED' });
     }
     
-    const result = await bleManager.unsubscribeFromCharacteristic(deviceId, characteristicUuid);
+    const { callback, streams } = activeSubscriptions.get(subscriptionKey);
+    const result = await bleManager.unsubscribeFromCharacteristic(deviceId, target, callback);
     
-    // Remove from active subscriptions
+    // Remove from active subscriptions and tell its SSE clients
     activeSubscriptions.delete(subscriptionKey);
+    streams.forEach(stream => stream.end(subscriptionKey));
     
     res.json(result);
     
   } catch (error) {
     console.error(`API: Error unsubscribing from characteristic ${characteristicUuid} for ${deviceId}:`, error);
-    let statusCode = 500;
-    if (error.message.includes('not connected') || error.message.includes('Characteristic not found')) statusCode = 404;
-    const safeMessage = SecurityHelpers.getSafeErrorMessage(error.message, statusCode);
-    res.status(statusCode).json({ error: safeMessage });
+    sendError(res, error);
   }
-});
+}
+app.post('/ble/devices/:deviceId/characteristics/:characteristicUuid/unsubscribe', unsubscribeRoute);
+app.post('/ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/unsubscribe', unsubscribeRoute);
 
 /**
  * @route GET /ble/devices/:deviceId/characteristics/:characteristicUuid/notifications
+ * @route GET /ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/notifications
  * @description Gets the latest notifications/indications received from a subscribed characteristic.
+ *              Use the same address (route and instance query parameters) as when subscribing.
  * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {string} [req.params.serviceUuid] - The UUID of the service containing the characteristic.
  * @param {string} req.params.characteristicUuid - The UUID of the characteristic.
  * @param {number} [req.query.since] - Optional timestamp to get notifications since a specific time.
  * @param {number} [req.query.limit=10] - Optional limit for number of notifications to return.
+ * @param {string} [req.query.format] - Value format, overriding the one chosen when subscribing. A
+ *                                      notification that does not fit keeps its hex value and gets a `decodeError`.
  * @returns {Object} 200 - Array of notification data.
  * @returns {Object} 404 - If not subscribed to this characteristic.
  */
-app.get('/ble/devices/:deviceId/characteristics/:characteristicUuid/notifications', (req, res) => {
+function notificationsRoute(req, res) {
   const { deviceId, characteristicUuid } = req.params;
   const { since, limit = 10 } = req.query;
-  const subscriptionKey = `${deviceId}-${characteristicUuid}`;
   
-  // Validate input formats
-  if (!SecurityHelpers.isValidDeviceId(deviceId) || !SecurityHelpers.isValidUUID(characteristicUuid)) {
-    return res.status(400).json({ error: 'Invalid device ID or characteristic UUID format' });
+  // Resolve the characteristic address
+  const { target, invalid } = characteristicAddress(req);
+  if (invalid) {
+    return res.status(400).json(invalid);
   }
+  const subscriptionKey = subscriptionKeyFor(deviceId, target);
+  const requested = requestedFormat(req);
   
   try {
     console.log(`API: Request to get notifications for characteristic ${characteristicUuid} on device ${deviceId}`);
     
     const subscription = activeSubscriptions.get(subscriptionKey);
     if (!subscription) {
-      return res.status(404).json({ error: 'Not subscribed to this characteristic' });
+      return res.status(404).json({ error: 'Not subscribed to this characteristic', code: 'NOT_SUBSCRIBED' });
     }
     
     let notifications = subscription.dataBuffer;
@@ -512,11 +1099,19 @@ app.get('/ble/devices/:deviceId/characteristics/:characteristicUuid/notification
     if (limitNum > 0) {
       notifications = notifications.slice(-limitNum);
     }
+
+    // Convert the buffered hex values into the requested format.
+    const format = requested || subscription.format;
+    notifications = notifications.map(notification => convertNotification(notification, format));
     
     res.json({
       subscriptionKey,
       deviceId,
       characteristicUuid,
+      serviceUuid: subscription.serviceUuid,
+      serviceInstance: subscription.serviceInstance,
+      instance: subscription.instance,
+      format,
       notifications,
       totalCount: subscription.dataBuffer.length,
       subscribedAt: subscription.subscribedAt
@@ -524,7 +1119,386 @@ app.get('/ble/devices/:deviceId/characteristics/:characteristicUuid/notification
     
   } catch (error) {
     console.error(`API: Error getting notifications for characteristic ${characteristicUuid} for ${deviceId}:`, error);
-    res.status(500).json({ error: 'Failed to get notifications' });
+    res.status(500).json({ error: 'Failed to get notifications', code: 'INTERNAL_ERROR' });
+  }
+}
+app.get('/ble/devices/:deviceId/characteristics/:characteristicUuid/notifications', notificationsRoute);
+app.get('/ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/notifications', notificationsRoute);
+
+/**
+ * Converts the hex value of a buffered notification into a format. A notification that does not fit
+ * keeps its hex value and gets a `decodeError`.
+ * @param {Object} notification - The buffered notification.
+ * @param {string} format - The value format (see value-codec.js).
+ * @returns {Object} The notification with the converted value.
+ */
+function convertNotification(notification, format) {
+  if (format === 'hex') {
+    return notification;
+  }
+  try {
+    return { ...notification, value: valueCodec.decodeValue(notification.value, format), format };
+  } catch (error) {
+    return { ...notification, format: 'hex', decodeError: error.message };
+  }
+}
+
+/**
+ * Streams the notifications of REST subscriptions as Server-Sent Events. Each notification is a
+ * `notification` event whose id is the notification's ID; when a subscription is removed, an
+ * `unsubscribed` event names it, and the stream ends once none of its subscriptions is left. With a
+ * Last-Event-ID header (or `lastEventId` query), buffered notifications after that ID are sent first.
+ * Comment lines are sent every SSE_HEARTBEAT_MS to keep idle connections open.
+ * @param {Object} req - The request.
+ * @param {Object} res - The response.
+ * @param {Array<string>} subscriptionKeys - Keys of active subscriptions.
+ * @param {string} [requested] - Value format, overriding the one chosen when subscribing.
+ */
+function openNotificationStream(req, res, subscriptionKeys, requested) {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const open = new Set(subscriptionKeys);
+  const stream = {
+    send(subscriptionKey, notification) {
+      const subscription = activeSubscriptions.get(subscriptionKey);
+      const data = {
+        subscriptionKey,
+        deviceId: subscription.deviceId,
+        ...convertNotification(notification, requested || subscription.format)
+      };
+      res.write(`id: ${notification.id}\nevent: notification\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end(subscriptionKey) {
+      res.write(`event: unsubscribed\ndata: ${JSON.stringify({ subscriptionKey })}\n\n`);
+      open.delete(subscriptionKey);
+      if (open.size === 0) {
+        res.end();
+      }
+    }
+  };
+
+  // Resume after the last event the client received, oldest notification first.
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (!isNaN(lastEventId)) {
+    subscriptionKeys
+      .flatMap(key => activeSubscriptions.get(key).dataBuffer.filter(n => n.id > lastEventId).map(n => [key, n]))
+      .sort((a, b) => a[1].id - b[1].id)
+      .forEach(([key, notification]) => stream.send(key, notification));
+  }
+  subscriptionKeys.forEach(key => activeSubscriptions.get(key).streams.add(stream));
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), sseHeartbeatMs);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    subscriptionKeys.forEach(key => {
+      const subscription = activeSubscriptions.get(key);
+      if (subscription) subscription.streams.delete(stream);
+    });
+  });
+}
+
+/**
+ * @route GET /ble/devices/:deviceId/characteristics/:characteristicUuid/stream
+ * @route GET /ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/stream
+ * @description Streams the notifications of a subscribed characteristic as Server-Sent Events (see
+ *              openNotificationStream). Use the same address as when subscribing.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {string} [req.params.serviceUuid] - The UUID of the service containing the characteristic.
+ * @param {string} req.params.characteristicUuid - The UUID of the characteristic.
+ * @param {string} [req.query.format] - Value format, overriding the one chosen when subscribing.
+ * @returns {Object} 200 - A text/event-stream of notification events.
+ * @returns {Object} 404 - If not subscribed to this characteristic.
+ */
+function streamRoute(req, res) {
+  const { deviceId } = req.params;
+
+  // Resolve the characteristic address
+  const { target, invalid } = characteristicAddress(req);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+  const subscriptionKey = subscriptionKeyFor(deviceId, target);
+  const format = requestedFormat(req);
+  if (!activeSubscriptions.has(subscriptionKey)) {
+    return res.status(404).json({ error: 'Not subscribed to this characteristic', code: 'NOT_SUBSCRIBED' });
+  }
+
+  console.log(`API: Streaming notifications of ${subscriptionKey}`);
+  openNotificationStream(req, res, [subscriptionKey], format);
+}
+app.get('/ble/devices/:deviceId/characteristics/:characteristicUuid/stream', streamRoute);
+app.get('/ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/stream', streamRoute);
+
+/**
+ * @route GET /ble/stream
+ * @description Streams the notifications of several subscriptions, possibly of different devices, over
+ *              one Server-Sent Events connection (see openNotificationStream). Each event names its
+ *              subscriptionKey.
+ * @param {string} req.query.subscriptions - Comma-separated subscription keys, as returned when subscribing.
+ * @param {string} [req.query.format] - Value format, overriding the ones chosen when subscribing.
+ * @returns {Object} 200 - A text/event-stream of notification events.
+ * @returns {Object} 400 - If no subscription keys are given.
+ * @returns {Object} 404 - If one of the subscriptions does not exist.
+ */
+app.get('/ble/stream', (req, res) => {
+  const subscriptionKeys = typeof req.query.subscriptions === 'string'
+    ? Array.from(new Set(req.query.subscriptions.split(',').map(key => key.trim()).filter(Boolean)))
+    : [];
+  if (subscriptionKeys.length === 0) {
+    return res.status(400).json({ error: 'Invalid request: query.subscriptions must list one or more subscription keys', field: 'query.subscriptions', code: 'INVALID_REQUEST' });
+  }
+  const format = requestedFormat(req);
+  const unknown = subscriptionKeys.find(key => !activeSubscriptions.has(key));
+  if (unknown) {
+    return res.status(404).json({ error: `Not subscribed: ${unknown}`, code: 'NOT_SUBSCRIBED' });
+  }
+
+  console.log(`API: Streaming notifications of ${subscriptionKeys.length} subscriptions`);
+  openNotificationStream(req, res, subscriptionKeys, format);
+});
+
+/**
+ * @route GET /ble/devices/:deviceId/characteristics/:characteristicUuid/descriptors
+ * @route GET /ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/descriptors
+ * @description Lists the descriptors of a characteristic (e.g. 0x2901 user description, 0x2902 CCCD,
+ *              0x2904 presentation format). The characteristic is addressed as for reads.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {string} [req.params.serviceUuid] - The UUID of the service containing the characteristic.
+ * @param {string} req.params.characteristicUuid - The UUID of the characteristic.
+ * @returns {Object} 200 - Object with the characteristic UUID and its descriptors (uuid, name, type).
+ * @returns {Object} 404 - If device not connected or characteristic not found.
+ * @returns {Object} 500 - Error object if descriptor discovery fails.
+ */
+async function descriptorsRoute(req, res) {
+  const { deviceId, characteristicUuid } = req.params;
+
+  // Resolve the characteristic address
+  const { target, invalid } = characteristicAddress(req);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  try {
+    console.log(`API: Request to list descriptors of characteristic ${characteristicUuid} on device ${deviceId}`);
+    const descriptors = await bleManager.getDescriptors(deviceId, target);
+    res.json({ characteristicUuid, descriptors });
+  } catch (error) {
+    console.error(`API: Error listing descriptors of characteristic ${characteristicUuid} for ${deviceId}:`, error);
+    sendError(res, error);
+  }
+}
+app.get('/ble/devices/:deviceId/characteristics/:characteristicUuid/descriptors', descriptorsRoute);
+app.get('/ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/descriptors', descriptorsRoute);
+
+/**
+ * @route GET /ble/devices/:deviceId/characteristics/:characteristicUuid/descriptors/:descriptorUuid
+ * @route GET /ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/descriptors/:descriptorUuid
+ * @description Reads the value of a descriptor.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {string} [req.params.serviceUuid] - The UUID of the service containing the characteristic.
+ * @param {string} req.params.characteristicUuid - The UUID of the characteristic.
+ * @param {string} req.params.descriptorUuid - The UUID of the descriptor to read.
+ * @returns {Object} 200 - Object containing the characteristic and descriptor UUIDs and the hex value.
+ * @returns {Object} 404 - If device not connected, or characteristic or descriptor not found.
+ * @returns {Object} 500 - Error object if reading fails.
+ */
+async function readDescriptorRoute(req, res) {
+  const { deviceId, characteristicUuid, descriptorUuid } = req.params;
+
+  // Resolve the characteristic address
+  const { target, invalid } = characteristicAddress(req);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  try {
+    console.log(`API: Request to read descriptor ${descriptorUuid} of characteristic ${characteristicUuid} on device ${deviceId}`);
+    const value = await bleManager.readDescriptor(deviceId, target, descriptorUuid);
+    res.json({ characteristicUuid, descriptorUuid, value });
+  } catch (error) {
+    console.error(`API: Error reading descriptor ${descriptorUuid} of characteristic ${characteristicUuid} for ${deviceId}:`, error);
+    sendError(res, error);
+  }
+}
+app.get('/ble/devices/:deviceId/characteristics/:characteristicUuid/descriptors/:descriptorUuid', readDescriptorRoute);
+app.get('/ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/descriptors/:descriptorUuid', readDescriptorRoute);
+
+/**
+ * @route POST /ble/devices/:deviceId/characteristics/:characteristicUuid/descriptors/:descriptorUuid
+ * @route POST /ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/descriptors/:descriptorUuid
+ * @description Writes the value of a descriptor, e.g. `0100` to the CCCD (0x2902) to enable
+ *              notifications without a subscription buffer.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {string} [req.params.serviceUuid] - The UUID of the service containing the characteristic.
+ * @param {string} req.params.characteristicUuid - The UUID of the characteristic.
+ * @param {string} req.params.descriptorUuid - The UUID of the descriptor to write.
+ * @param {string} req.body.value - The hex string value to write.
+ * @returns {Object} 200 - Success message.
+ * @returns {Object} 400 - If 'value' is missing or not a hex string.
+ * @returns {Object} 403 - If the gateway is read-only or the write rules refuse the write.
+ * @returns {Object} 404 - If device not connected, or characteristic or descriptor not found.
+ * @returns {Object} 500 - Error object if writing fails.
+ */
+async function writeDescriptorRoute(req, res) {
+  const { deviceId, characteristicUuid, descriptorUuid } = req.params;
+  const { value } = req.body || {};
+
+  // Resolve the characteristic address
+  const { target, invalid } = characteristicAddress(req);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  try {
+    console.log(`API: Request to write descriptor ${descriptorUuid} of characteristic ${characteristicUuid} on device ${deviceId} with value ${value}`);
+    const result = await bleManager.writeDescriptor(deviceId, target, descriptorUuid, value);
+    res.json(result);
+  } catch (error) {
+    console.error(`API: Error writing descriptor ${descriptorUuid} of characteristic ${characteristicUuid} for ${deviceId}:`, error);
+    sendError(res, error);
+  }
+}
+app.post('/ble/devices/:deviceId/characteristics/:characteristicUuid/descriptors/:descriptorUuid', writeDescriptorRoute);
+app.post('/ble/devices/:deviceId/services/:serviceUuid/characteristics/:characteristicUuid/descriptors/:descriptorUuid', writeDescriptorRoute);
+
+/**
+ * @route POST /ble/devices/:deviceId/batch
+ * @description Runs GATT operations back to back on a connected device, e.g. a provisioning flow, and
+ * returns one result per step. See gatt-batch.js for the steps: read, write, writeWithoutResponse,
+ * subscribe, waitForNotification and delay.
+ * @param {string} req.params.deviceId - The ID of the connected device.
+ * @param {Object[]} req.body.steps - The steps, in order, e.g. { op: 'write', characteristicUuid, value }.
+ * @param {string} [req.body.onError='stop'] - 'stop' to skip the steps after a failed one, or 'continue'.
+ * @returns {Object} 200 - { deviceId, ok, completed, failed, skipped, results }, also when steps failed.
+ * @returns {Object} 400 - If the batch is invalid; the error names the offending step.
+ * @returns {Object} 404 - If device is not connected.
+ * @returns {Object} 503 - If the Bluetooth adapter is unavailable.
+ * @returns {Object} 500 - Error object if the batch cannot be run.
+ */
+app.post('/ble/devices/:deviceId/batch', async (req, res) => {
+  const { deviceId } = req.params;
+  const { steps, onError } = req.body || {};
+
+  try {
+    console.log(`API: Request to run a batch of ${Array.isArray(steps) ? steps.length : 0} steps on ${deviceId}`);
+    const result = await bleManager.runBatch(deviceId, steps, onError === undefined ? {} : { onError });
+    const results = result.results.map(step => step.error ? { ...step, error: SecurityHelpers.getSafeErrorMessage(step.error, bleErrors.ERROR_STATUS[step.code], step.code) } : step);
+    res.json({ ...result, results });
+  } catch (error) {
+    console.error(`API: Error running a batch on ${deviceId}:`, error);
+    // Batch errors name the offending step and carry no device data, so pass them on.
+    sendError(res, error, { passInvalid: true });
+  }
+});
+
+/**
+ * @route POST /ble/devices/:deviceId/recording/start
+ * @description Starts recording a session of a discovered device: advertisements, connects, the GATT
+ * layout, reads, writes, subscriptions, notifications and disconnects, with their times.
+ * @param {string} req.params.deviceId - The ID of the device.
+ * @returns {Object} 200 - The recording status (deviceId, recordedAt, events, truncated).
+ * @returns {Object} 403 - If the device is not permitted by the device policy.
+ * @returns {Object} 404 - If the device is not found.
+ * @returns {Object} 409 - If the device is already being recorded.
+ */
+app.post('/ble/devices/:deviceId/recording/start', async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    console.log(`API: Request to record ${deviceId}`);
+    const status = await bleManager.startRecording(deviceId);
+    res.json(status);
+  } catch (error) {
+    console.error(`API: Error starting to record ${deviceId}:`, error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /ble/devices/:deviceId/recording/stop
+ * @description Stops recording a device. The session is saved to RECORDING_DIR if it is set.
+ * @param {string} req.params.deviceId - The ID of the device.
+ * @returns {Object} 200 - { deviceId, events, truncated, file, session } where file is the name of
+ *                         the saved session (null if not saved).
+ * @returns {Object} 404 - If the device is not being recorded.
+ */
+app.post('/ble/devices/:deviceId/recording/stop', async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    const result = await bleManager.stopRecording(deviceId);
+    res.json(result);
+  } catch (error) {
+    console.error(`API: Error stopping to record ${deviceId}:`, error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route GET /ble/recordings
+ * @description Lists the active recordings.
+ * @returns {Object} 200 - { recordings } with deviceId, recordedAt, events and truncated per recording.
+ */
+app.get('/ble/recordings', (req, res) => {
+  res.json({ recordings: bleManager.getRecordings() });
+});
+
+/**
+ * @route POST /ble/replay
+ * @description Replays a recorded session as a stand-in device that answers reads with the recorded
+ * values and sends the recorded notifications with their original timing. The device appears in
+ * GET /ble/devices and is connected and used like any other.
+ * @param {Object} req.body - { session } with a recorded session, or { file } with the name of a
+ *                            session saved in RECORDING_DIR (for sessions larger than a request body).
+ * @param {string} [req.body.id] - ID of the stand-in device (default: "replay-" and the recorded ID).
+ * @returns {Object} 201 - { deviceId, recordedDeviceId, recordedAt, services, notifications }.
+ * @returns {Object} 400 - If the session or ID is invalid.
+ * @returns {Object} 404 - If the session file is not found.
+ * @returns {Object} 409 - If a device with the ID already exists.
+ */
+app.post('/ble/replay', async (req, res) => {
+  const { session, file, id } = req.body || {};
+  if ((session === undefined) === (file === undefined)) {
+    return res.status(400).json({ error: 'Invalid request: body must have either session or file', field: 'body', code: 'INVALID_REQUEST' });
+  }
+
+  try {
+    const result = await bleManager.startReplay(file === undefined ? { session } : { file }, id === undefined ? {} : { id });
+    console.log(`API: Replaying session as ${result.deviceId}`);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('API: Error starting replay:', error);
+    sendError(res, error, { invalidMessage: 'The session is not a valid recorded session.' });
+  }
+});
+
+/**
+ * @route GET /ble/replay
+ * @description Lists the stand-in devices replaying recorded sessions.
+ * @returns {Object} 200 - { devices } with deviceId, recordedDeviceId, recordedAt, startedAt and connected.
+ */
+app.get('/ble/replay', (req, res) => {
+  res.json({ devices: bleManager.getReplayDevices() });
+});
+
+/**
+ * @route POST /ble/replay/:deviceId/stop
+ * @description Stops a replay: disconnects the stand-in device and removes it.
+ * @param {string} req.params.deviceId - The ID of the stand-in device.
+ * @returns {Object} 200 - Success message with the device ID.
+ * @returns {Object} 404 - If no replay device has this ID.
+ */
+app.post('/ble/replay/:deviceId/stop', async (req, res) => {
+  const { deviceId } = req.params;
+
+  try {
+    const result = await bleManager.stopReplay(deviceId);
+    res.json({ message: 'Replay stopped', device: result });
+  } catch (error) {
+    console.error(`API: Error stopping replay ${deviceId}:`, error);
+    sendError(res, error);
   }
 });
 
@@ -539,6 +1513,9 @@ app.get('/ble/subscriptions', (req, res) => {
       subscriptionKey: key,
       deviceId: subscription.deviceId,
       characteristicUuid: subscription.characteristicUuid,
+      serviceUuid: subscription.serviceUuid,
+      serviceInstance: subscription.serviceInstance,
+      instance: subscription.instance,
       subscribedAt: subscription.subscribedAt,
       notificationCount: subscription.dataBuffer.length,
       lastNotification: subscription.dataBuffer.length > 0 ? 
@@ -548,12 +1525,214 @@ app.get('/ble/subscriptions', (req, res) => {
     res.json({ subscriptions });
   } catch (error) {
     console.error('API: Error getting subscriptions:', error);
-    res.status(500).json({ error: 'Failed to get subscriptions' });
+    res.status(500).json({ error: 'Failed to get subscriptions', code: 'INTERNAL_ERROR' });
   }
 });
 
-// Export the app instance for testing or other module usage
+// Operations of the WebSocket API, by name: the REST route handlers that run them, and the operations of
+// the OpenAPI document their messages are validated against (flat, and service-scoped when serviceUuid is given).
+const webSocketOperations = {
+  list: { route: listDevicesRoute, operationId: 'listDevices' },
+  connect: { route: connectRoute, operationId: 'connectDevice' },
+  disconnect: { route: disconnectRoute, operationId: 'disconnectDevice' },
+  services: { route: servicesRoute, operationId: 'listServices' },
+  characteristics: { route: characteristicsRoute, operationId: 'listCharacteristics' },
+  read: { route: readCharacteristicRoute, operationId: 'readCharacteristic', scopedOperationId: 'readServiceCharacteristic' },
+  write: { route: writeCharacteristicRoute, operationId: 'writeCharacteristic', scopedOperationId: 'writeServiceCharacteristic' },
+  subscribe: { route: subscribeRoute, operationId: 'subscribeCharacteristic', scopedOperationId: 'subscribeServiceCharacteristic' },
+  unsubscribe: { route: unsubscribeRoute, operationId: 'unsubscribeCharacteristic', scopedOperationId: 'unsubscribeServiceCharacteristic' }
+};
+
+/**
+ * Builds the request a REST route handler expects from a WebSocket request message: deviceId,
+ * serviceUuid and characteristicUuid are the route parameters, serviceInstance and instance the
+ * query parameters, and the other fields (except id and op) the body.
+ * @param {Object} message - The request message.
+ * @returns {Object} The request.
+ */
+function webSocketRequest(message) {
+  const { id, op, deviceId, serviceUuid, characteristicUuid, serviceInstance, instance, ...body } = message;
+  const query = {};
+  if (serviceInstance !== undefined) query.serviceInstance = String(serviceInstance);
+  if (instance !== undefined) query.instance = String(instance);
+  return { params: { deviceId, serviceUuid, characteristicUuid }, query, body, get: () => undefined };
+}
+
+/**
+ * Runs a REST route handler and captures its response.
+ * @param {function} route - The route handler.
+ * @param {Object} req - The request (see webSocketRequest).
+ * @returns {Promise<{status: number, data: *}>} The status code and JSON body of the response.
+ */
+function runRoute(route, req) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(data) {
+        resolve({ status: this.statusCode, data });
+        return this;
+      }
+    };
+    Promise.resolve(route(req, res)).catch(reject);
+  });
+}
+
+/**
+ * Subscribes a WebSocket client to a characteristic. The subscription is the one of the REST routes:
+ * it is created if needed (and is listed by GET /ble/subscriptions), or the client joins the existing one.
+ * @param {Object} client - The WebSocket client (see openWebSocket).
+ * @param {Object} req - The request (see webSocketRequest).
+ * @returns {Promise<{status: number, data: *}>} The response, as from subscribeRoute.
+ */
+async function subscribeWebSocket(client, req) {
+  const { target } = characteristicAddress(req);
+  const format = requestedFormat(req);
+  const subscriptionKey = target && subscriptionKeyFor(req.params.deviceId, target);
+  let result;
+  if (activeSubscriptions.has(subscriptionKey)) {
+    const { characteristicUuid, serviceUuid, serviceInstance, instance } = activeSubscriptions.get(subscriptionKey);
+    result = { status: 200, data: { message: 'Subscription successful', subscriptionKey, serviceUuid, serviceInstance, characteristicUuid, instance } };
+  } else {
+    result = await runRoute(subscribeRoute, req);
+  }
+  if (result.status === 200) {
+    client.follow(subscriptionKey, format);
+  }
+  return result;
+}
+
+/**
+ * Handles a request message of a WebSocket client and sends the response: `{ id, type: 'result',
+ * status, data }` with the status and body of the REST route, or `{ id, type: 'error', status, error, code }`.
+ * Messages are validated against the OpenAPI document as REST requests are, naming fields without
+ * their location (`deviceId` rather than `path.deviceId`).
+ * @param {Object} client - The WebSocket client (see openWebSocket).
+ * @param {string} raw - The message text.
+ */
+async function handleWebSocketMessage(client, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return client.push({ id: null, type: 'error', status: 400, error: 'Invalid request. Messages must be JSON.', code: 'INVALID_REQUEST' });
+  }
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return client.push({ id: null, type: 'error', status: 400, error: 'Invalid request. Messages must be JSON objects.', code: 'INVALID_REQUEST' });
+  }
+  const id = message.id === undefined ? null : message.id;
+  if (!Object.prototype.hasOwnProperty.call(webSocketOperations, message.op)) {
+    return client.push({ id, type: 'error', status: 400, error: `Invalid request. op must be one of ${Object.keys(webSocketOperations).join(', ')}.`, code: 'INVALID_REQUEST' });
+  }
+
+  const operation = webSocketOperations[message.op];
+  const req = webSocketRequest(message);
+  const scoped = message.serviceUuid !== undefined && operation.scopedOperationId;
+  const invalid = openApi.validateOperation(scoped ? operation.scopedOperationId : operation.operationId, req, { flat: true });
+  if (invalid) {
+    return client.push({ id, type: 'error', status: 400, error: invalid.error, code: invalid.code });
+  }
+  const { status, data } = message.op === 'subscribe'
+    ? await subscribeWebSocket(client, req)
+    : await runRoute(operation.route, req);
+  client.push(status < 400 ? { id, type: 'result', status, data } : { id, type: 'error', status, error: data.error, code: data.code });
+}
+
+/**
+ * Serves a WebSocket client: sends a `welcome` message listing the operations, answers its requests,
+ * and pushes `notification` messages of the subscriptions it made or joined, `unsubscribed` when one
+ * of them is removed, and BLE lifecycle events as `event` messages (connects, disconnects, discovery...).
+ * Subscriptions outlive the socket, as REST subscriptions do.
+ * @param {WebSocket} ws - The socket.
+ * @param {Set<string>|null} eventTypes - The event types to push, or null for all.
+ */
+function openWebSocket(ws, eventTypes) {
+  const formats = new Map(); // subscription key -> value format requested by this client
+  const client = {
+    push(message) {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    },
+    follow(subscriptionKey, format) {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      if (format) formats.set(subscriptionKey, format);
+      activeSubscriptions.get(subscriptionKey).streams.add(client);
+    },
+    send(subscriptionKey, notification) {
+      const subscription = activeSubscriptions.get(subscriptionKey);
+      const format = formats.get(subscriptionKey) || subscription.format;
+      client.push({ type: 'notification', data: { subscriptionKey, deviceId: subscription.deviceId, ...convertNotification(notification, format) } });
+    },
+    end(subscriptionKey) {
+      formats.delete(subscriptionKey);
+      client.push({ type: 'unsubscribed', data: { subscriptionKey } });
+    },
+    event(event) {
+      if (!eventTypes || eventTypes.has(event.type)) {
+        client.push({ type: 'event', data: event });
+      }
+    }
+  };
+  webSocketClients.add(client);
+  client.push({ type: 'welcome', data: { operations: Object.keys(webSocketOperations) } });
+
+  ws.on('message', (data) => {
+    handleWebSocketMessage(client, data.toString()).catch(error => console.error('API: Error handling WebSocket message:', error));
+  });
+  ws.on('error', error => console.error('API: WebSocket error:', error));
+  ws.on('close', () => {
+    webSocketClients.delete(client);
+    activeSubscriptions.forEach(subscription => subscription.streams.delete(client));
+  });
+}
+
+// Browsers do not apply CORS to WebSocket handshakes, so only accept pages served by this server or by
+// CORS_ORIGIN. Clients that send no Origin (scripts, not browsers) are accepted.
+function isAllowedWebSocketOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.headers.host || origin === corsOrigin;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Serves the WebSocket API at /ble/ws on an HTTP server (see openWebSocket). The API key is checked as
+ * for the REST routes, from the x-api-key header or the api_key query. The `events` query limits the
+ * pushed events to a comma-separated list of types.
+ * @param {http.Server} server - The server the app listens on.
+ * @param {string|null} [requiredApiKey] - The API key clients must present (defaults to API_KEY).
+ * @returns {WebSocketServer} The WebSocket server.
+ */
+function attachWebSocket(server, requiredApiKey = process.env.API_KEY || null) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: 1024 * 1024 });
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/ble/ws') {
+      return socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    }
+    if (!apiKeyMatches(req.headers['x-api-key'] || url.searchParams.get('api_key'), requiredApiKey)) {
+      return socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+    }
+    if (!isAllowedWebSocketOrigin(req)) {
+      return socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+    }
+    const events = url.searchParams.get('events');
+    const eventTypes = events ? new Set(events.split(',').map(type => type.trim()).filter(Boolean)) : null;
+    wss.handleUpgrade(req, socket, head, ws => openWebSocket(ws, eventTypes));
+  });
+  return wss;
+}
+
+// Export the app instance for testing or other module usage, and the WebSocket API for its server
 module.exports = app;
+module.exports.attachWebSocket = attachWebSocket;
 
 // Start the server only if this script is executed directly
 if (require.main === module) {
@@ -566,6 +1745,7 @@ if (require.main === module) {
     const apiKeyMsg = process.env.API_KEY ? 'enabled' : 'disabled (API_KEY not set)';
     console.log(`Security: CORS ${corsMsg}, MCP Auth ${authMsg}, API Key Auth ${apiKeyMsg}`);
   });
+  attachWebSocket(server);
   const mcpPort = process.env.MCP_PORT || 8123;
   mcpServer.start(mcpPort);
 }
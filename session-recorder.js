@@ -0,0 +1,333 @@
+/**
+ * @file session-recorder.js
+ * @description Records what the gateway does with a device into a session: advertisements,
+ * connects, the discovered GATT tree, reads and writes with their results, subscriptions,
+ * notifications and disconnects, each with its time. `ble-manager.js` reports the events of the
+ * devices being recorded. A session can be turned into a simulator peripheral (see
+ * ble-simulator.js) that answers reads with the recorded values and sends the recorded
+ * notifications with their original timing, so a device can be reproduced without its hardware.
+ *
+ * Session format (version 1):
+ *   { "version": 1, "recordedAt": "...", "endedAt": "...", "truncated": false,
+ *     "device": { "id", "address", "name", "addressType" },
+ *     "events": [{ "t": <ms since recordedAt>, "type": "...", ... }] }
+ * Event types: advertisement, connect, gatt ({ services: [{ uuid, characteristics: [{ uuid,
+ * properties }] }] }), read, write, subscribe, unsubscribe, notification, descriptors,
+ * descriptorRead, descriptorWrite and disconnect. Characteristic events carry the characteristic
+ * address (serviceUuid, serviceInstance, characteristicUuid, instance) and a hex `value`, or an
+ * `error` for failed reads and writes.
+ */
+const fs = require('fs');
+const path = require('path');
+const { BleError } = require('./ble-errors');
+
+// Bumped when the session format changes; sessions of other versions are rejected.
+const SESSION_VERSION = 1;
+const EVENT_TYPES = ['advertisement', 'connect', 'gatt', 'read', 'write', 'subscribe', 'unsubscribe', 'notification',
+  'descriptors', 'descriptorRead', 'descriptorWrite', 'disconnect'];
+
+// Active recordings by peripheral ID: { session, startedAt } with startedAt in milliseconds.
+var recordings = new Map();
+// Sessions stop taking events at this size and are marked truncated.
+var maxEvents = parseInt(process.env.RECORDING_MAX_EVENTS, 10) || 10000;
+// Directory stopped sessions are saved to and replays are loaded from, or null.
+var recordingDir = process.env.RECORDING_DIR || null;
+
+/**
+ * @function setRecordingDir
+ * @description Changes the directory sessions are saved to and loaded from.
+ * @param {string|null} dir - The directory, or null to keep sessions in memory only.
+ */
+function setRecordingDir(dir) {
+  recordingDir = dir || null;
+}
+
+/**
+ * @function getRecordingDir
+ * @description Returns the directory sessions are saved to and loaded from.
+ * @returns {string|null} The directory, or null.
+ */
+function getRecordingDir() {
+  return recordingDir;
+}
+
+/**
+ * @function startRecording
+ * @description Starts recording a device.
+ * @param {Object} device - { id, address, name, addressType } of the device.
+ * @returns {Object} The recording status (see getStatus).
+ * @throws {Error} If the device is already being recorded.
+ */
+function startRecording(device) {
+  if (recordings.has(device.id)) {
+    throw new BleError('ALREADY_RECORDING', 'Already recording this device');
+  }
+  const startedAt = Date.now();
+  const session = {
+    version: SESSION_VERSION,
+    recordedAt: new Date(startedAt).toISOString(),
+    endedAt: null,
+    truncated: false,
+    device: { id: device.id, address: device.address || null, name: device.name || null, addressType: device.addressType || null },
+    events: []
+  };
+  recordings.set(device.id, { session, startedAt });
+  return getStatus(device.id);
+}
+
+/**
+ * @function isRecording
+ * @description Checks whether a device is being recorded.
+ * @param {string} deviceId - The peripheral ID.
+ * @returns {boolean} True while the device is being recorded.
+ */
+function isRecording(deviceId) {
+  return recordings.has(deviceId);
+}
+
+/**
+ * @function record
+ * @description Adds an event to the session of a device; does nothing while it is not recorded.
+ * @param {string} deviceId - The peripheral ID.
+ * @param {string} type - The event type (see the session format).
+ * @param {Object} [data={}] - The event data.
+ */
+function record(deviceId, type, data = {}) {
+  const recording = recordings.get(deviceId);
+  if (!recording) {
+    return;
+  }
+  const { session, startedAt } = recording;
+  if (session.events.length >= maxEvents) {
+    session.truncated = true;
+    return;
+  }
+  session.events.push({ t: Date.now() - startedAt, type, ...data });
+}
+
+/**
+ * @function stopRecording
+ * @description Stops recording a device and saves the session when a recording directory is set.
+ * @param {string} deviceId - The peripheral ID.
+ * @returns {Object} { session, file } where file is the saved session's file name, or null.
+ * @throws {Error} If the device is not being recorded.
+ */
+function stopRecording(deviceId) {
+  const recording = recordings.get(deviceId);
+  if (!recording) {
+    throw new BleError('NOT_RECORDING', 'Not recording this device');
+  }
+  recordings.delete(deviceId);
+  const session = recording.session;
+  session.endedAt = new Date().toISOString();
+  return { session, file: saveSession(session) };
+}
+
+/**
+ * @function getStatus
+ * @description Reports a recording.
+ * @param {string} deviceId - The peripheral ID.
+ * @returns {Object|null} { deviceId, recordedAt, events, truncated }, or null while not recording.
+ */
+function getStatus(deviceId) {
+  const recording = recordings.get(deviceId);
+  if (!recording) {
+    return null;
+  }
+  const { session } = recording;
+  return { deviceId, recordedAt: session.recordedAt, events: session.events.length, truncated: session.truncated };
+}
+
+/**
+ * @function getRecordings
+ * @description Lists the active recordings.
+ * @returns {Array<Object>} The status of every recording (see getStatus).
+ */
+function getRecordings() {
+  return Array.from(recordings.keys()).map(getStatus);
+}
+
+/**
+ * @function saveSession
+ * @description Writes a session to the recording directory. Write errors are reported, not thrown,
+ * since the stopped session is returned to the caller anyway.
+ * @param {Object} session - The session.
+ * @returns {string|null} The file name, or null if no directory is set or the write failed.
+ */
+function saveSession(session) {
+  if (!recordingDir) {
+    return null;
+  }
+  const name = session.device.id.replace(/[^\w-]/g, '_') + '-' + session.recordedAt.replace(/[:.]/g, '-') + '.json';
+  try {
+    fs.mkdirSync(recordingDir, { recursive: true });
+    fs.writeFileSync(path.join(recordingDir, name), JSON.stringify(session, null, 2));
+    return name;
+  } catch (error) {
+    console.error('Failed to save session ' + name + ':', error.message);
+    return null;
+  }
+}
+
+/**
+ * @function loadSessionFile
+ * @description Reads a saved session from the recording directory.
+ * @param {string} name - The file name as returned by stopRecording; paths are not accepted.
+ * @returns {Object} The validated session.
+ * @throws {Error} If no directory is set, the name is invalid, the file is missing or the session invalid.
+ */
+function loadSessionFile(name) {
+  if (typeof name !== 'string' || !/^[\w.-]+\.json$/.test(name) || name.startsWith('.')) {
+    throw new BleError('INVALID_REQUEST', 'Invalid session: file must be the name of a .json file in the recording directory');
+  }
+  const file = recordingDir ? path.join(recordingDir, name) : null;
+  if (!file || !fs.existsSync(file)) {
+    throw new BleError('SESSION_NOT_FOUND', 'Session file not found');
+  }
+  let session;
+  try {
+    session = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new BleError('INVALID_REQUEST', 'Invalid session: ' + error.message);
+  }
+  validateSession(session);
+  return session;
+}
+
+/**
+ * @function validateSession
+ * @description Checks that a document is a recorded session of a supported version.
+ * @param {Object} session - The session.
+ * @throws {Error} If the session is malformed, naming the first offending field.
+ */
+function validateSession(session) {
+  if (!session || typeof session !== 'object' || Array.isArray(session)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid session: expected a session object');
+  }
+  if (session.version !== SESSION_VERSION) {
+    throw new BleError('INVALID_REQUEST', 'Invalid session: unsupported version ' + session.version + ' (expected ' + SESSION_VERSION + ')');
+  }
+  if (!session.device || typeof session.device.id !== 'string') {
+    throw new BleError('INVALID_REQUEST', 'Invalid session: device.id must be a string');
+  }
+  if (!Array.isArray(session.events)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid session: events must be an array');
+  }
+  session.events.forEach((event, i) => {
+    if (!event || !EVENT_TYPES.includes(event.type)) {
+      throw new BleError('INVALID_REQUEST', 'Invalid session: events[' + i + '].type must be one of ' + EVENT_TYPES.join(', '));
+    }
+    if (!Number.isFinite(event.t) || event.t < 0) {
+      throw new BleError('INVALID_REQUEST', 'Invalid session: events[' + i + '].t must be a non-negative number');
+    }
+    if (event.value !== undefined && event.value !== null && (typeof event.value !== 'string' || !/^([0-9a-f]{2})*$/i.test(event.value))) {
+      throw new BleError('INVALID_REQUEST', 'Invalid session: events[' + i + '].value must be a hex string');
+    }
+  });
+}
+
+/**
+ * @function addressKey
+ * @description Builds the key a characteristic is tracked under during conversion, e.g. "180f:0/2a19:0".
+ * @param {Object} event - An event or tree entry with serviceUuid, serviceInstance, characteristicUuid and instance.
+ * @returns {string} The key.
+ */
+function addressKey(event) {
+  return event.serviceUuid + ':' + (event.serviceInstance || 0) + '/' + event.characteristicUuid + ':' + (event.instance || 0);
+}
+
+/**
+ * @function toPeripheralDefinition
+ * @description Turns a session into a simulator peripheral: the last recorded advertisement and GATT
+ * tree, the recorded read values as a script per characteristic, the recorded notifications with
+ * their delay after the subscription that received them, and the descriptors with their last values.
+ * Failed reads are left out.
+ * @param {Object} session - A validated session.
+ * @param {Object} [options={}] - Conversion options.
+ * @param {string} [options.id] - ID of the stand-in peripheral (default: "replay-" and the recorded ID).
+ * @returns {Object} The peripheral definition.
+ * @throws {Error} If the session holds no GATT tree.
+ */
+function toPeripheralDefinition(session, options = {}) {
+  const events = session.events;
+  const gatt = events.filter(e => e.type === 'gatt').pop();
+  if (!gatt || !Array.isArray(gatt.services)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid session: no GATT tree was recorded; record the device while connecting to it');
+  }
+  const advertisement = events.filter(e => e.type === 'advertisement').pop() || {};
+
+  // Collect the recorded values per characteristic.
+  const recorded = new Map();
+  const entry = key => {
+    if (!recorded.has(key)) recorded.set(key, { values: [], notifications: [], subscribedAt: null, descriptors: new Map() });
+    return recorded.get(key);
+  };
+  for (const event of events) {
+    if (!event.characteristicUuid) continue;
+    const characteristic = entry(addressKey(event));
+    if (event.type === 'read' && event.value !== undefined && event.value !== null && !event.error) {
+      characteristic.values.push(event.value);
+    } else if (event.type === 'subscribe') {
+      characteristic.subscribedAt = event.t;
+    } else if (event.type === 'notification' && event.value !== undefined && event.value !== null) {
+      const delayMs = Math.round(event.t - (characteristic.subscribedAt === null ? 0 : characteristic.subscribedAt));
+      characteristic.notifications.push({ delayMs, value: event.value });
+    } else if (event.type === 'descriptors') {
+      (event.descriptors || []).forEach(uuid => {
+        if (!characteristic.descriptors.has(uuid)) characteristic.descriptors.set(uuid, '');
+      });
+    } else if ((event.type === 'descriptorRead' || event.type === 'descriptorWrite') && event.descriptorUuid && !event.error) {
+      characteristic.descriptors.set(event.descriptorUuid, event.value || '');
+    }
+  }
+
+  const serviceCounts = {};
+  const services = gatt.services.map(service => {
+    const serviceInstance = serviceCounts[service.uuid] = (serviceCounts[service.uuid] === undefined ? 0 : serviceCounts[service.uuid] + 1);
+    const characteristicCounts = {};
+    return {
+      uuid: service.uuid,
+      characteristics: (service.characteristics || []).map(c => {
+        const instance = characteristicCounts[c.uuid] = (characteristicCounts[c.uuid] === undefined ? 0 : characteristicCounts[c.uuid] + 1);
+        const data = recorded.get(addressKey({ serviceUuid: service.uuid, serviceInstance, characteristicUuid: c.uuid, instance }));
+        const definition = { uuid: c.uuid, properties: c.properties || [] };
+        if (data && data.values.length) definition.values = data.values;
+        if (data && data.notifications.length) definition.notifications = data.notifications;
+        if (data && data.descriptors.size) {
+          definition.descriptors = Array.from(data.descriptors, ([uuid, value]) => ({ uuid, value }));
+        }
+        return definition;
+      })
+    };
+  });
+
+  const name = advertisement.localName || session.device.name || undefined;
+  return {
+    id: options.id || 'replay-' + session.device.id,
+    addressType: session.device.addressType || undefined,
+    rssi: typeof advertisement.rssi === 'number' ? advertisement.rssi : undefined,
+    advertisement: {
+      localName: name,
+      serviceUuids: advertisement.serviceUuids || [],
+      txPowerLevel: advertisement.txPowerLevel === null ? undefined : advertisement.txPowerLevel,
+      manufacturerData: advertisement.manufacturerData || undefined,
+      serviceData: (advertisement.serviceData || []).filter(d => d.data !== null)
+    },
+    services
+  };
+}
+
+module.exports = {
+  SESSION_VERSION, // Version of the session format written by recordings.
+  setRecordingDir, // Function to change the directory sessions are saved to.
+  getRecordingDir, // Function to get the directory sessions are saved to.
+  startRecording, // Function to start recording a device.
+  isRecording, // Function to check whether a device is being recorded.
+  record, // Function to add an event to the session of a device.
+  stopRecording, // Function to stop recording a device and save its session.
+  getStatus, // Function to report a recording.
+  getRecordings, // Function to list the active recordings.
+  loadSessionFile, // Function to read a saved session.
+  validateSession, // Function to check a session.
+  toPeripheralDefinition // Function to turn a session into a simulator peripheral.
+};
@@ -0,0 +1,156 @@
+/**
+ * @file value-codec.js
+ * @description Converts characteristic values between the hex strings used by `ble-manager.js`
+ * and the formats API clients ask for: hex, base64, utf8 and fixed-size numbers. Integers and
+ * float32 default to little-endian (the byte order of GATT); append `le` or `be` to choose.
+ */
+const { BleError } = require('./ble-errors');
+
+// Fixed-size numeric formats: byte size and the Buffer read/write method stem.
+const NUMERIC_FORMATS = {
+  int8: { size: 1, method: 'Int8' },
+  uint8: { size: 1, method: 'UInt8' },
+  int16: { size: 2, method: 'Int16' },
+  uint16: { size: 2, method: 'UInt16' },
+  int32: { size: 4, method: 'Int32' },
+  uint32: { size: 4, method: 'UInt32' },
+  float32: { size: 4, method: 'Float' }
+};
+
+const TEXT_FORMATS = ['hex', 'base64', 'utf8'];
+
+/**
+ * @function parseFormat
+ * @description Splits a format name such as `uint16be` into its numeric type and byte order.
+ * @param {string} format - The format name.
+ * @returns {Object|null} { name, size, method, bigEndian } for numeric formats, { name } for
+ *                        text formats, or null if the format is unknown.
+ */
+function parseFormat(format) {
+  if (typeof format !== 'string') {
+    return null;
+  }
+  const name = format.toLowerCase();
+  if (TEXT_FORMATS.includes(name)) {
+    return { name };
+  }
+  const match = /^(u?int(?:8|16|32)|float32)(le|be)?$/.exec(name);
+  if (!match) {
+    return null;
+  }
+  const numeric = NUMERIC_FORMATS[match[1]];
+  return { name, size: numeric.size, method: numeric.method, bigEndian: match[2] === 'be' };
+}
+
+/**
+ * @function isValidFormat
+ * @description Checks whether a format name is supported.
+ * @param {string} format - The format name.
+ * @returns {boolean} True if values can be encoded and decoded with this format.
+ */
+function isValidFormat(format) {
+  return parseFormat(format) !== null;
+}
+
+/**
+ * @function numberAccessor
+ * @description Returns the Buffer method suffix for a numeric format (8-bit types have no byte order).
+ * @param {Object} spec - A numeric format from parseFormat.
+ * @returns {string} E.g. `UInt16BE`, `Int8` or `FloatLE`.
+ */
+function numberAccessor(spec) {
+  return spec.size === 1 ? spec.method : spec.method + (spec.bigEndian ? 'BE' : 'LE');
+}
+
+/**
+ * @function decodeValue
+ * @description Converts a hex value read from a device into the requested format.
+ * @param {string|null} hex - The value as a hex string (null for an empty read).
+ * @param {string} [format='hex'] - The target format.
+ * @returns {string|number|Array<number>|null} The decoded value. Numeric formats return a number,
+ *                                             or an array when the value holds several numbers.
+ * @throws {Error} If the format is unknown or the value length does not fit a numeric format.
+ */
+function decodeValue(hex, format = 'hex') {
+  const spec = parseFormat(format);
+  if (!spec) {
+    throw new BleError('INVALID_REQUEST', 'Invalid value format: ' + format);
+  }
+  if (hex === null || hex === undefined) {
+    return null;
+  }
+  const buffer = Buffer.from(hex, 'hex');
+  if (spec.name === 'hex') return buffer.toString('hex');
+  if (spec.name === 'base64') return buffer.toString('base64');
+  if (spec.name === 'utf8') return buffer.toString('utf8');
+
+  if (buffer.length === 0 || buffer.length % spec.size !== 0) {
+    throw new BleError('VALUE_DOES_NOT_FIT', 'Value of ' + buffer.length + ' bytes does not fit format ' + spec.name);
+  }
+  const read = 'read' + numberAccessor(spec);
+  const values = [];
+  for (let offset = 0; offset < buffer.length; offset += spec.size) {
+    values.push(buffer[read](offset));
+  }
+  return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * @function encodeValue
+ * @description Converts a value supplied by a client into the hex string written to a device.
+ * @param {string|number|Array<number>} value - The value: a string for hex, base64 and utf8, or a
+ *                                              number (or numeric string, or array of numbers)
+ *                                              for numeric formats.
+ * @param {string} [format='hex'] - The format the value is given in.
+ * @returns {string} The value as a hex string.
+ * @throws {Error} If the format is unknown or the value is not valid for it.
+ */
+function encodeValue(value, format = 'hex') {
+  const spec = parseFormat(format);
+  if (!spec) {
+    throw new BleError('INVALID_REQUEST', 'Invalid value format: ' + format);
+  }
+
+  if (!spec.size) {
+    if (typeof value !== 'string') {
+      throw new BleError('INVALID_REQUEST', 'Invalid value for format ' + spec.name + ': expected a string');
+    }
+    if (spec.name === 'hex') {
+      if (!/^([0-9a-fA-F]{2})*$/.test(value)) {
+        throw new BleError('INVALID_REQUEST', 'Invalid value for format hex: expected an even-length hex string');
+      }
+      return value.toLowerCase();
+    }
+    if (spec.name === 'base64') {
+      if (!/^[A-Za-z0-9+/]*={0,2}$/.test(value) || value.length % 4 === 1) {
+        throw new BleError('INVALID_REQUEST', 'Invalid value for format base64');
+      }
+      return Buffer.from(value, 'base64').toString('hex');
+    }
+    return Buffer.from(value, 'utf8').toString('hex');
+  }
+
+  const numbers = (Array.isArray(value) ? value : [value]).map(v => (typeof v === 'string' && v.trim() !== '' ? Number(v) : v));
+  if (numbers.length === 0) {
+    throw new BleError('INVALID_REQUEST', 'Invalid value for format ' + spec.name + ': expected a number');
+  }
+  const buffer = Buffer.alloc(numbers.length * spec.size);
+  const write = 'write' + numberAccessor(spec);
+  numbers.forEach((n, i) => {
+    if (typeof n !== 'number' || !Number.isFinite(n) || (spec.method !== 'Float' && !Number.isInteger(n))) {
+      throw new BleError('INVALID_REQUEST', 'Invalid value for format ' + spec.name + ': expected a number');
+    }
+    try {
+      buffer[write](n, i * spec.size);
+    } catch (error) {
+      throw new BleError('INVALID_REQUEST', 'Invalid value for format ' + spec.name + ': ' + n + ' is out of range');
+    }
+  });
+  return buffer.toString('hex');
+}
+
+module.exports = {
+  isValidFormat, // Function to check whether a format name is supported.
+  decodeValue, // Function to convert a hex value into a requested format.
+  encodeValue // Function to convert a client value in some format into hex.
+};
@@ -0,0 +1,195 @@
+/**
+ * @file write-protection.js
+ * @description Guards against clients changing device state. In read-only mode `ble-manager.js`
+ * refuses writes, subscriptions and connections. Write rules decide which characteristic writes
+ * (and descriptor writes, by their characteristic) are allowed: per device or UUID, optionally
+ * only for values matching patterns. Read-only mode comes from READ_ONLY and the rules from
+ * WRITE_RULES_FILE; both can be changed at runtime.
+ *
+ * Rules format: { "defaultAction": "allow" | "deny", "rules": [rule, ...] }. A rule has an
+ * "action" ("allow" or "deny") and matches writes when all of its other fields match: "device"
+ * (peripheral ID or address), "serviceUuid" and "characteristicUuid". An allow rule may list
+ * "values": regular expressions one of which the whole hex value must match. The first matching
+ * rule decides; writes no rule matches get the default action.
+ */
+const fs = require('fs');
+const { shortUuid } = require('./gatt-decoders');
+const { BleError } = require('./ble-errors');
+
+const ACTIONS = ['allow', 'deny'];
+const RULE_FIELDS = ['action', 'device', 'serviceUuid', 'characteristicUuid', 'values'];
+
+// Whether writes, subscriptions and connections are refused.
+var readOnly = process.env.READ_ONLY === 'true';
+// The write rules as configured, and compiled for matching.
+var writeRules = { defaultAction: 'allow', rules: [] };
+var compiled = [];
+
+/**
+ * @function compileRule
+ * @description Validates a write rule and prepares it for matching.
+ * @param {Object} rule - The rule as configured.
+ * @param {string} where - The rule's position, for the error message.
+ * @returns {Object} The rule with normalized UUIDs and compiled value patterns.
+ * @throws {Error} If the rule has unknown fields or invalid values.
+ */
+function compileRule(rule, where) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid write rules: ' + where + ' must be an object');
+  }
+  const unknown = Object.keys(rule).find(field => !RULE_FIELDS.includes(field));
+  if (unknown) {
+    throw new BleError('INVALID_REQUEST', 'Invalid write rules: ' + where + ' has unknown field ' + unknown);
+  }
+  if (!ACTIONS.includes(rule.action)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid write rules: ' + where + '.action must be allow or deny');
+  }
+  for (const field of ['device', 'serviceUuid', 'characteristicUuid']) {
+    if (rule[field] !== undefined && (typeof rule[field] !== 'string' || rule[field].length === 0)) {
+      throw new BleError('INVALID_REQUEST', 'Invalid write rules: ' + where + '.' + field + ' must be a non-empty string');
+    }
+  }
+  if (rule.values !== undefined) {
+    if (rule.action !== 'allow' || !Array.isArray(rule.values) || rule.values.length === 0) {
+      throw new BleError('INVALID_REQUEST', 'Invalid write rules: ' + where + '.values must be a non-empty array on an allow rule');
+    }
+  }
+
+  const matcher = { action: rule.action };
+  if (rule.device !== undefined) matcher.device = rule.device.toLowerCase();
+  if (rule.serviceUuid !== undefined) matcher.serviceUuid = shortUuid(rule.serviceUuid);
+  if (rule.characteristicUuid !== undefined) matcher.characteristicUuid = shortUuid(rule.characteristicUuid);
+  if (rule.values !== undefined) {
+    matcher.values = rule.values.map((pattern, i) => {
+      try {
+        // Patterns match the whole lowercase hex value.
+        return new RegExp('^(?:' + pattern + ')$', 'i');
+      } catch (error) {
+        throw new BleError('INVALID_REQUEST', 'Invalid write rules: ' + where + '.values[' + i + '] is not a valid regular expression');
+      }
+    });
+  }
+  return matcher;
+}
+
+/**
+ * @function setWriteRules
+ * @description Replaces the write rules. The previous rules stay active if the new ones are invalid.
+ * @param {Object} config - { defaultAction ('allow' by default), rules }.
+ * @returns {Object} The active write rules.
+ * @throws {Error} If the rules are invalid, naming the first offending rule.
+ */
+function setWriteRules(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid write rules: expected an object with defaultAction and rules');
+  }
+  const defaultAction = config.defaultAction === undefined ? 'allow' : config.defaultAction;
+  if (!ACTIONS.includes(defaultAction)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid write rules: defaultAction must be allow or deny');
+  }
+  const rules = config.rules === undefined ? [] : config.rules;
+  if (!Array.isArray(rules)) {
+    throw new BleError('INVALID_REQUEST', 'Invalid write rules: rules must be an array');
+  }
+  const nextCompiled = rules.map((rule, i) => compileRule(rule, 'rules[' + i + ']'));
+  writeRules = { defaultAction, rules: rules.map(rule => ({ ...rule })) };
+  compiled = nextCompiled;
+  return getWriteRules();
+}
+
+/**
+ * @function getWriteRules
+ * @description Returns the active write rules.
+ * @returns {Object} { defaultAction, rules } as configured.
+ */
+function getWriteRules() {
+  return { defaultAction: writeRules.defaultAction, rules: writeRules.rules.map(rule => ({ ...rule })) };
+}
+
+/**
+ * @function setReadOnly
+ * @description Turns read-only mode on or off.
+ * @param {boolean} enabled - Whether to refuse writes, subscriptions and connections.
+ * @throws {Error} If enabled is not a boolean.
+ */
+function setReadOnly(enabled) {
+  if (typeof enabled !== 'boolean') {
+    throw new BleError('INVALID_REQUEST', 'Invalid read-only setting: must be a boolean');
+  }
+  readOnly = enabled;
+}
+
+/**
+ * @function isReadOnly
+ * @description Reports whether read-only mode is on.
+ * @returns {boolean} True while writes, subscriptions and connections are refused.
+ */
+function isReadOnly() {
+  return readOnly;
+}
+
+/**
+ * @function refusalReason
+ * @description Applies read-only mode and the write rules to a characteristic write.
+ * @param {Object} write - { deviceId, address, serviceUuid, characteristicUuid, value (hex) }.
+ * @returns {string|null} Why the write is refused, or null if it is allowed.
+ */
+function refusalReason(write) {
+  if (readOnly) {
+    return 'the gateway is read-only';
+  }
+  const devices = [write.deviceId, write.address].filter(Boolean).map(d => String(d).toLowerCase());
+  const index = compiled.findIndex(rule =>
+    (rule.device === undefined || devices.includes(rule.device)) &&
+    (rule.serviceUuid === undefined || shortUuid(write.serviceUuid) === rule.serviceUuid) &&
+    (rule.characteristicUuid === undefined || shortUuid(write.characteristicUuid) === rule.characteristicUuid));
+  if (index === -1) {
+    return writeRules.defaultAction === 'deny' ? 'no write rule allows this characteristic' : null;
+  }
+  const rule = compiled[index];
+  if (rule.action === 'deny') {
+    return 'denied by write rule ' + index;
+  }
+  if (rule.values && !rule.values.some(pattern => pattern.test(write.value || ''))) {
+    return 'the value does not match the values allowed by write rule ' + index;
+  }
+  return null;
+}
+
+/**
+ * @function loadWriteRulesFile
+ * @description Loads the write rules from a JSON file.
+ * @param {string} file - Path to the JSON file.
+ * @returns {Object} The active write rules.
+ * @throws {Error} If the file cannot be read or does not hold valid write rules.
+ */
+function loadWriteRulesFile(file) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new BleError('INVALID_REQUEST', 'Invalid write rules file: ' + error.message);
+  }
+  return setWriteRules(parsed);
+}
+
+if (process.env.WRITE_RULES_FILE) {
+  try {
+    const loaded = loadWriteRulesFile(process.env.WRITE_RULES_FILE);
+    console.log('Loaded write rules from ' + process.env.WRITE_RULES_FILE + ': ' + loaded.rules.length + ' rules, default ' + loaded.defaultAction);
+  } catch (error) {
+    // Fail closed: rules that cannot be loaded must not leave every characteristic writable.
+    console.error(error.message + '; refusing all writes until valid write rules are set');
+    writeRules = { defaultAction: 'deny', rules: [] };
+    compiled = [];
+  }
+}
+
+module.exports = {
+  setWriteRules, // Function to replace the write rules.
+  getWriteRules, // Function to get the write rules.
+  setReadOnly, // Function to turn read-only mode on or off.
+  isReadOnly, // Function to check whether read-only mode is on.
+  refusalReason, // Function to check a characteristic write against read-only mode and the rules.
+  loadWriteRulesFile // Function to load the write rules from a JSON file.
+};